@@ -65,4 +65,54 @@ describe('cache', function() {
         expect(cache.get(2)).toBeNull(); // The first expired item should be gone now
     }, 10 * 1000);
 
+    it('lfu policy', () => {
+        const cache = new SimpleCache({ maxEntries: 3, policy: 'lfu' });
+        const evicted = [];
+        cache.on('evict', event => evicted.push(event));
+        cache.set(1, '1');
+        cache.set(2, '2');
+        cache.set(3, '3');
+        cache.get(1);
+        cache.get(1);
+        cache.get(3);
+
+        // 2 is used least
+        cache.set(4, '4');
+        expect(evicted).toEqual([{ key: 2, value: '2', reason: 'capacity' }]);
+
+        // 4 is used least, 3 and 1 were used more often
+        cache.set(5, '5');
+        expect(evicted[1].key).toBe(4);
+        expect(cache.get(1)).toBe('1');
+        expect(cache.get(3)).toBe('3');
+    });
+
+    it('maxBytes, expiry overrides and stats', async () => {
+        const cache = new SimpleCache({ maxBytes: 100, sizeOf: value => value.length });
+        const evicted = [];
+        cache.on('evict', event => evicted.push(event));
+        cache.set('a', 'x'.repeat(40));
+        cache.set('b', 'x'.repeat(40));
+        cache.get('a');
+        cache.set('c', 'x'.repeat(40));
+        expect(evicted.map(e => [e.key, e.reason])).toEqual([['b', 'size']]);
+
+        // Values larger than maxBytes are not cached
+        cache.set('d', 'x'.repeat(101));
+        expect(cache.has('d')).toBeFalse();
+        expect(evicted[1].reason).toBe('size');
+
+        cache.set('e', 'x', 0.05);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(cache.get('e')).toBeNull();
+        expect(evicted[2]).toEqual({ key: 'e', value: 'x', reason: 'expired' });
+        expect(cache.get('a')).not.toBeNull();
+
+        expect(cache.stats()).toEqual({ hits: 2, misses: 1, evictions: 3, entries: 2, bytes: 80 });
+
+        // Default size estimator
+        const estimated = new SimpleCache({ maxEntries: 10 });
+        estimated.set('user', { name: 'Ewout', age: 42 });
+        expect(estimated.stats().bytes).toBe(('name'.length + 'Ewout'.length + 'age'.length) * 2 + 8);
+    });
 });
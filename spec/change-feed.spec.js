@@ -0,0 +1,102 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+const { ObservableShim } = require('../dist/cjs/optional-observable');
+
+describe('ChangeFeed', () => {
+
+    let db;
+    beforeEach(async () => {
+        db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+        await db.ready();
+    });
+
+    const tick = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('reads logged and live mutations without gaps or duplicates', async () => {
+        await db.ref('products/p1').set({ name: 'Chair' });
+        await db.ref('products/p2').set({ name: 'Table' });
+
+        let stored = null;
+        const store = { load: () => stored, save: cursor => { stored = cursor; } };
+        const feed = db.ref('products').changeFeed({ store });
+        const batches = [];
+        for await (const batch of feed) {
+            batches.push(batch);
+            if (batches.length === 1) {
+                // Written while the first batch is processed, must be in the next batch
+                await db.ref('products/p3').set({ name: 'Lamp' });
+                expect(stored).toBeNull();
+            }
+            else {
+                feed.stop();
+            }
+        }
+        expect(batches.map(b => b.items.map(m => m.path))).toEqual([['products/p1', 'products/p2'], ['products/p3']]);
+        expect(batches[0].live).toBeFalse();
+        expect(stored).toBe(batches[1].cursor);
+        expect(feed.cursor).toBe(stored);
+
+        // Waits for new mutations once it has caught up
+        await db.ref('products/p1/name').set('Stool');
+        const restarted = db.ref('products').changeFeed({ store });
+        const iterator = restarted[Symbol.asyncIterator]();
+        let result = await iterator.next();
+        expect(result.value.items.map(m => m.path)).toEqual(['products/p1/name']);
+        let next = iterator.next();
+        await tick();
+        await db.ref('products/p2').remove();
+        result = await next;
+        expect(result.value.live).toBeTrue();
+        expect(result.value.items.map(m => [m.path, m.value])).toEqual([['products/p2', null]]);
+        next = iterator.next();
+        restarted.stop();
+        expect((await next).done).toBeTrue();
+        expect(stored).toBe(result.value.cursor);
+    });
+
+    it('compressed changes and observables', async () => {
+        db.setObservable(ObservableShim);
+        const start = new Date();
+        await db.ref('counter').set({ value: 1 });
+        await db.ref('counter/value').set(2);
+
+        const batches = [];
+        const subscription = db.ref('counter').changeFeed({ cursor: start, compress: true }).observe().subscribe(batch => batches.push(batch));
+        await tick();
+        expect(batches.length).toBe(1);
+        expect(batches[0].items).toEqual([{ path: 'counter', type: 'set', previous: null, value: { value: 2 }, context: jasmine.anything() }]);
+
+        await db.ref('counter/value').set(3);
+        await tick();
+        expect(batches.length).toBe(2);
+        expect(batches[1].items.map(c => [c.path, c.previous, c.value])).toEqual([['counter/value', 2, 3]]);
+
+        subscription.unsubscribe();
+        await db.ref('counter/value').set(4);
+        await tick();
+        expect(batches.length).toBe(2);
+    });
+
+    it('stops listening when observers unsubscribe', async () => {
+        db.setObservable(ObservableShim);
+        await db.ref('counter').set({ value: 1 });
+
+        // Unsubscribe while the first batch is being loaded
+        const batches = [];
+        db.ref('counter').changeFeed({ cursor: new Date(0) }).observe().subscribe(batch => batches.push(batch)).unsubscribe();
+        await tick();
+        expect(batches.length).toBe(0);
+        expect(db.api.subscriptions.length).toBe(0);
+
+        // Unsubscribe while a batch is delivered, like rxjs take(1)
+        const subscription = db.ref('counter').changeFeed({ cursor: new Date(0) }).observe().subscribe(batch => {
+            batches.push(batch);
+            subscription.unsubscribe();
+        });
+        await tick();
+        expect(batches.length).toBe(1);
+        expect(db.api.subscriptions.length).toBe(0);
+        await db.ref('counter/value').set(2);
+        await tick();
+        expect(batches.length).toBe(1);
+    });
+});
@@ -0,0 +1,215 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+
+describe('LiveDataProxy', () => {
+
+    let db;
+    beforeEach(async () => {
+        db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+        await db.ready();
+    });
+
+    const tick = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('offline write queue', async () => {
+        const saved = [];
+        const pendingStore = { load: () => [], save: mutations => { saved.push(mutations); } };
+        const proxy = await db.ref('todo').proxy({ defaultValue: { title: 'Groceries', done: false }, pendingStore });
+
+        db.emit('disconnect');
+        proxy.value.done = true;
+        await tick();
+        expect(proxy.hasPendingMutations).toBeTrue();
+        expect((await db.ref('todo/done').get()).val()).toBeFalse();
+        expect(saved.pop()).toEqual([{ target: ['done'], value: true, previous: false, timestamp: jasmine.any(Number) }]);
+
+        // Changes made after losing the connection are written in order once it is restored
+        proxy.value.title = 'Shopping';
+        await tick();
+        db.emit('connect');
+        await proxy.flush();
+        expect(proxy.hasPendingMutations).toBeFalse();
+        expect(saved.pop()).toEqual([]);
+        expect((await db.ref('todo').get()).val()).toEqual({ title: 'Shopping', done: true });
+
+        // Pending mutations are loaded from the store by new proxies
+        const store = { load: () => [{ target: ['title'], value: 'Party', previous: 'Shopping', timestamp: Date.now() }], save: mutations => { saved.push(mutations); } };
+        db.emit('disconnect');
+        const other = await db.ref('todo').proxy({ pendingStore: store });
+        expect(other.value.title).toBe('Party');
+        expect(other.hasPendingMutations).toBeTrue();
+        db.emit('connect');
+        await other.flush();
+        expect((await db.ref('todo/title').get()).val()).toBe('Party');
+
+        await proxy.destroy();
+        await other.destroy();
+    });
+
+    it('conflict resolution', async () => {
+        await db.ref('docs').set({ a: { text: 'a' }, b: { text: 'b' }, c: { text: 'c', tags: ['x'] } });
+        const conflicts = [];
+        const merge = conflict => {
+            conflicts.push(conflict);
+            return conflict.remote.concat(conflict.local.slice(conflict.previous.length));
+        };
+        const lww = await db.ref('docs/a').proxy();
+        const local = await db.ref('docs/b').proxy({ conflictResolution: 'local-wins' });
+        const custom = await db.ref('docs/c').proxy({ conflictResolution: merge });
+
+        db.emit('disconnect');
+        lww.value.text = 'local a';
+        local.value.text = 'local b';
+        custom.value.tags.push('y');
+        await tick();
+
+        // Remote mutations on the paths with pending local mutations
+        await db.ref('docs/a/text').set('remote a');
+        await db.ref('docs/b/text').set('remote b');
+        await db.ref('docs/c').update({ text: 'remote c', tags: ['x', 'z'] });
+        await tick();
+
+        expect(lww.value.text).toBe('remote a');
+        expect(lww.hasPendingMutations).toBeFalse();
+        expect(local.value.text).toBe('local b');
+        expect(conflicts.length).toBe(1);
+        expect(conflicts[0]).toEqual({ path: 'docs/c/tags', previous: ['x'], local: ['x', 'y'], remote: ['x', 'z'] });
+        expect(custom.value.valueOf()).toEqual({ text: 'remote c', tags: ['x', 'z', 'y'] });
+
+        db.emit('connect');
+        await Promise.all([lww.flush(), local.flush(), custom.flush()]);
+        expect((await db.ref('docs').get()).val()).toEqual({ a: { text: 'remote a' }, b: { text: 'local b' }, c: { text: 'remote c', tags: ['x', 'z', 'y'] } });
+
+        await Promise.all([lww.destroy(), local.destroy(), custom.destroy()]);
+    });
+
+    it('undo and redo', async () => {
+        await db.ref('doc').set({ title: 'Draft', body: { text: 'Hello' }, tags: ['a'] });
+        const proxy = await db.ref('doc').proxy();
+        const doc = proxy.value;
+        const stored = async () => (await db.ref('doc').get()).val();
+
+        doc.title = 'Final';
+        await tick();
+        await proxy.history.batch('Edit body', () => {
+            doc.body.text = 'Hello world';
+            doc.tags.push('b');
+        });
+        expect(proxy.history.undoName).toBe('Edit body');
+
+        await proxy.history.undo();
+        expect(doc.valueOf()).toEqual({ title: 'Final', body: { text: 'Hello' }, tags: ['a'] });
+        expect(await stored()).toEqual({ title: 'Final', body: { text: 'Hello' }, tags: ['a'] });
+        expect(proxy.history.canRedo).toBeTrue();
+        expect(proxy.history.redoName).toBe('Edit body');
+
+        await proxy.history.undo();
+        expect(await stored()).toEqual({ title: 'Draft', body: { text: 'Hello' }, tags: ['a'] });
+        expect(proxy.history.canUndo).toBeFalse();
+
+        await proxy.history.redo();
+        await proxy.history.redo();
+        expect(await stored()).toEqual({ title: 'Final', body: { text: 'Hello world' }, tags: ['a', 'b'] });
+
+        // Named checkpoints group changes until the next one
+        proxy.history.checkpoint('Add author');
+        doc.author = 'Ewout';
+        await tick();
+        doc.authorId = 1;
+        await tick();
+        proxy.history.checkpoint('Subtitle');
+        doc.subtitle = 'Intro';
+        await tick();
+        await proxy.history.undo();
+        await proxy.history.undo();
+        expect(doc.author).toBeUndefined();
+        expect(doc.authorId).toBeUndefined();
+        expect(doc.subtitle).toBeUndefined();
+
+        // New local changes invalidate redo steps
+        doc.title = 'Other';
+        await tick();
+        expect(proxy.history.canRedo).toBeFalse();
+
+        await proxy.destroy();
+    });
+
+    it('history with remote changes', async () => {
+        await db.ref('doc').set({ title: 'Draft', body: { text: 'Hello', lang: 'en' } });
+        const proxy = await db.ref('doc').proxy();
+        const doc = proxy.value;
+
+        doc.body = { text: 'Hi', lang: 'en' };
+        await tick();
+        doc.title = 'Final';
+        await tick();
+
+        // Remote change is rebased onto the body step, and overwrites the title step
+        await db.ref('doc/body/lang').set('nl');
+        await db.ref('doc/title').set('Remote');
+        await tick();
+        expect(proxy.history.canUndo).toBeTrue();
+        await proxy.history.undo();
+        expect((await db.ref('doc').get()).val()).toEqual({ title: 'Remote', body: { text: 'Hello', lang: 'nl' } });
+        expect(proxy.history.canUndo).toBeFalse();
+
+        // Remote change conflicting with a redo step clears it
+        expect(proxy.history.canRedo).toBeTrue();
+        await db.ref('doc/body/text').set('Hey');
+        await tick();
+        expect(proxy.history.canRedo).toBeFalse();
+
+        await proxy.destroy();
+    });
+
+    it('fractional ordered collections', async () => {
+        await db.ref('board').set({ cards: { a: { title: 'A', order: 10 }, b: { title: 'B', order: 0 }, c: { title: 'C', order: 20 } } });
+        const proxy = await db.ref('board').proxy();
+        const other = await db.ref('board').proxy();
+        const titles = collection => collection.getArray().map(card => card.title);
+
+        // Numeric orders are migrated
+        const cards = proxy.value.cards.getOrderedCollection({ orderType: 'fractional' });
+        await tick();
+        const stored = (await db.ref('board/cards').get()).val();
+        expect(Object.values(stored).every(card => typeof card.order === 'string')).toBeTrue();
+        expect(titles(cards)).toEqual(['B', 'A', 'C']);
+
+        // Only the added or moved item is written, also when inserting at the same position many times
+        const writes = [];
+        db.ref('board/cards').on('mutated', snap => writes.push(snap.ref.path));
+        for (let i = 0; i < 50; i++) {
+            cards.add({ title: `${i}` }, 1);
+            await tick(1);
+        }
+        expect(writes.length).toBe(50);
+        expect(titles(cards).slice(0, 3)).toEqual(['B', '49', '48']);
+        expect(cards.getArray().every(card => card.order.length <= 10)).toBeTrue();
+        cards.move(52, 0);
+        await tick();
+        expect(writes.length).toBe(51);
+        expect(titles(cards).slice(0, 2)).toEqual(['C', 'B']);
+
+        // Concurrent inserts at the same position get the same key, all clients order them by their key
+        const otherCards = other.value.cards.getOrderedCollection({ orderType: 'fractional' });
+        const { key: key1 } = cards.add({ title: 'X' }, 1);
+        const { key: key2 } = otherCards.add({ title: 'Y' }, 1);
+        await tick();
+        const [first, second] = key1 < key2 ? ['X', 'Y'] : ['Y', 'X'];
+        expect(titles(cards).slice(0, 4)).toEqual(['C', first, second, 'B']);
+        expect(titles(otherCards)).toEqual(titles(cards));
+        expect(cards.getArray()[1].order).toBe(cards.getArray()[2].order);
+
+        // Inserting between them is still possible
+        cards.add({ title: 'Z' }, 2);
+        await tick();
+        expect(titles(cards).slice(0, 5)).toEqual(['C', first, 'Z', second, 'B']);
+        expect(titles(otherCards)).toEqual(titles(cards));
+
+        cards.sort((a, b) => a.title < b.title ? -1 : 1);
+        await tick();
+        expect(titles(otherCards).slice(0, 3)).toEqual(['0', '1', '10']);
+
+        await proxy.destroy();
+        await other.destroy();
+    });
+});
@@ -0,0 +1,81 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+const { ConsoleLogTransport, DebugLogger, MemoryLogTransport } = require('../dist/cjs/debug');
+
+describe('DebugLogger', () => {
+
+    it('structured records, child loggers and module levels', () => {
+        const memory = new MemoryLogTransport(3);
+        const json = [];
+        const logger = new DebugLogger({ level: 'warn', db: 'mydb', levels: { sync: 'verbose' }, transports: [memory, record => json.push(JSON.stringify(record))] });
+
+        logger.log('Not logged');
+        logger.warn('Low disk space', { free: 100 });
+        expect(memory.records).toEqual([{ level: 'warn', db: 'mydb', message: 'Low disk space', data: { free: 100 }, context: {}, timestamp: jasmine.any(Number) }]);
+        expect(JSON.parse(json[0]).data).toEqual({ free: 100 });
+
+        const sync = logger.child({ module: 'sync' });
+        const child = sync.child({ path: 'users/ewout' });
+        child.verbose('Syncing', 1, 2);
+        expect(memory.records[1]).toEqual(jasmine.objectContaining({ level: 'verbose', message: 'Syncing', data: [1, 2], context: { module: 'sync', path: 'users/ewout' } }));
+
+        // Level changes of the parent apply to its children
+        logger.levels.sync = 'error';
+        child.warn('Not logged');
+        expect(memory.records.length).toBe(2);
+
+        // Ring buffer keeps the last records
+        logger.error('1');
+        logger.error('2');
+        expect(memory.records.map(r => r.message)).toEqual(['Syncing', '1', '2']);
+        memory.clear();
+        expect(memory.records).toEqual([]);
+
+        expect(() => logger.setLevel('debug')).toThrow();
+    });
+
+    it('console and failing transports', () => {
+        spyOn(console, 'log');
+        spyOn(console, 'error');
+        const memory = new MemoryLogTransport();
+        const failing = () => { throw new Error('Transport failed'); };
+        const logger = new DebugLogger({ db: 'mydb', transports: [new ConsoleLogTransport(), failing, memory] });
+
+        // Logged arguments are written to the console as they were passed
+        logger.log('Synced', 1, [2]);
+        expect(console.log).toHaveBeenCalledWith('[mydb]', 'Synced', 1, [2]);
+        logger.log({ items: 2 }, 'synced');
+        expect(console.log).toHaveBeenCalledWith('[mydb]', { items: 2 }, 'synced');
+        logger.log('Items', [1, 2]);
+        expect(console.log).toHaveBeenCalledWith('[mydb]', 'Items', [1, 2]);
+
+        // Transport failures are reported to the other transports
+        expect(memory.records.map(r => r.message)).toEqual(['Error in log transport', 'Synced', 'Error in log transport', '', 'Error in log transport', 'Items']);
+        expect(memory.records[0]).toEqual(jasmine.objectContaining({ level: 'error', data: jasmine.objectContaining({ message: 'Transport failed' }) }));
+        expect(console.error).toHaveBeenCalledWith('[mydb]', 'Error in log transport', jasmine.any(Error));
+    });
+
+    it('database logger setting', async () => {
+        const memory = new MemoryLogTransport();
+        const db = new AceBaseMemory('logged', { sponsor: true, logger: new DebugLogger({ level: 'error', transports: [memory] }) });
+        await db.ready();
+        expect(db.debug.db).toBe('logged');
+
+        db.api.subscribe('items', 'value', () => { throw new Error('Callback failed'); });
+        await db.ref('items/item1').set({ name: 'test' });
+        expect(memory.records.length).toBe(1);
+        const [record] = memory.records;
+        expect(record.db).toBe('logged');
+        expect(record.level).toBe('error');
+        expect(record.context).toEqual({ module: 'memory-api', path: 'items' });
+        expect(record.data.message).toBe('Callback failed');
+
+        // The banner is written to the transports
+        spyOn(console, 'log');
+        const banner = new MemoryLogTransport();
+        const other = new AceBaseMemory('other', { info: 'test', logger: new DebugLogger({ level: 'error', transports: [banner] }) });
+        await other.ready();
+        expect(banner.records.length).toBe(2);
+        expect(banner.records[1].message).toContain('test');
+        expect(console.log).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,51 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+const { ID, ULIDGenerator, UUIDv7Generator } = require('../dist/cjs/id');
+
+describe('ID generators', () => {
+
+    const isSorted = ids => ids.every((id, i) => i === 0 || ids[i - 1] < id);
+
+    it('ulid', () => {
+        const generator = new ULIDGenerator();
+        const start = Date.now();
+        const ids = Array.from({ length: 1000 }, () => generator.generate());
+        expect(ids.every(id => /^[0-9A-HJKMNP-TV-Z]{26}$/.test(id))).toBeTrue();
+        expect(isSorted(ids)).toBeTrue(); // Also within the same millisecond
+        expect(generator.getTimestamp(ids[0])).toBeGreaterThanOrEqual(start);
+        expect(ID.getTimestamp(ids[0])).toBe(generator.getTimestamp(ids[0]));
+        expect(generator.getTimestamp('01ARYZ6S41TSV4RRFFQ69G5FAV')).toBe(1469918176385);
+    });
+
+    it('uuidv7', () => {
+        const generator = new UUIDv7Generator();
+        const start = Date.now();
+        const ids = Array.from({ length: 5000 }, () => generator.generate());
+        expect(ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(id))).toBeTrue();
+        expect(isSorted(ids)).toBeTrue();
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(ID.getTimestamp(ids[0])).toBeGreaterThanOrEqual(start);
+        expect(ID.getTimestamp(ids[0])).toBeLessThanOrEqual(Date.now());
+        expect(ID.getTimestamp('017f22e2-79b0-7cc3-98c4-dc0c0c07398f')).toBe(0x017f22e279b0);
+    });
+
+    it('per database generators', async () => {
+        const ulidDb = new AceBaseMemory('ulid', { logLevel: 'error', sponsor: true, idGenerator: 'ulid' });
+        await ulidDb.ready();
+        const ref = await ulidDb.ref('items').push({ name: 'item' });
+        expect(ref.key.length).toBe(26);
+        expect(Math.abs(ulidDb.idGenerator.getTimestamp(ref.key) - Date.now())).toBeLessThan(1000);
+
+        let n = 0;
+        const customDb = new AceBaseMemory('custom', { logLevel: 'error', sponsor: true, idGenerator: { generate: () => `item${++n}` } });
+        expect(customDb.ref('items').push().key).toBe('item1');
+
+        // Default cuid keys
+        const db = new AceBaseMemory('cuid', { logLevel: 'error', sponsor: true });
+        const key = db.ref('items').push().key;
+        expect(key.length).toBe(24);
+        expect(Math.abs(ID.getTimestamp(key) - Date.now())).toBeLessThan(1000);
+        expect(ID.getTimestamp('not an id')).toBeNull();
+
+        expect(() => new AceBaseMemory('invalid', { logLevel: 'error', sponsor: true, idGenerator: 'uuid' })).toThrow();
+    });
+});
@@ -0,0 +1,91 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+const { JSONPatch } = require('../dist/cjs/json-patch');
+
+describe('JSONPatch', () => {
+
+    let db;
+    beforeEach(async () => {
+        db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+        await db.ready();
+    });
+
+    it('applies operations', () => {
+        const value = { foo: ['bar', 'baz'], 'a/b': { '~c': 1 } };
+        const patched = JSONPatch.apply(value, [
+            { op: 'add', path: '/foo/1', value: 'qux' },
+            { op: 'add', path: '/foo/-', value: 'end' },
+            { op: 'test', path: '/a~1b/~0c', value: 1 },
+            { op: 'replace', path: '/a~1b/~0c', value: 2 },
+            { op: 'copy', from: '/foo/0', path: '/first' },
+            { op: 'move', from: '/foo/2', path: '/moved' },
+            { op: 'remove', path: '/foo/0' },
+        ]);
+        expect(patched).toEqual({ foo: ['qux', 'end'], 'a/b': { '~c': 2 }, first: 'bar', moved: 'baz' });
+        expect(value).toEqual({ foo: ['bar', 'baz'], 'a/b': { '~c': 1 } });
+        expect(JSONPatch.apply({ a: 1 }, [{ op: 'remove', path: '' }])).toBeNull();
+        expect(JSONPatch.apply(null, [{ op: 'add', path: '', value: { a: 1 } }])).toEqual({ a: 1 });
+
+        expect(() => JSONPatch.apply(value, [{ op: 'test', path: '/foo/0', value: 'qux' }])).toThrowError(/operation 0 \(test "\/foo\/0"\) failed/);
+        expect(() => JSONPatch.apply(value, [{ op: 'remove', path: '/missing' }])).toThrow();
+        expect(() => JSONPatch.apply(value, [{ op: 'add', path: '/missing/child', value: 1 }])).toThrow();
+        expect(() => JSONPatch.apply(value, [{ op: 'add', path: '/foo/3', value: 1 }])).toThrow();
+        expect(() => JSONPatch.apply(value, [{ op: 'move', from: '/a~1b', path: '/a~1b/child' }])).toThrow();
+        expect(() => JSONPatch.apply(value, [{ op: 'add', path: 'foo', value: 1 }])).toThrowError(/Invalid JSON Pointer/);
+    });
+
+    it('applies merge patches', () => {
+        const value = { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: ['example', 'sample'], content: 'This will be unchanged' };
+        const patched = JSONPatch.applyMerge(value, { title: 'Hello!', phoneNumber: '+01-123-456-7890', author: { familyName: null }, tags: ['example'] });
+        expect(patched).toEqual({ title: 'Hello!', author: { givenName: 'John' }, tags: ['example'], content: 'This will be unchanged', phoneNumber: '+01-123-456-7890' });
+        expect(value.author.familyName).toBe('Doe');
+        expect(JSONPatch.applyMerge('text', { a: { b: null, c: 1 } })).toEqual({ a: { c: 1 } });
+        expect(JSONPatch.applyMerge({ a: 1 }, null)).toBeNull();
+    });
+
+    it('patches references atomically', async () => {
+        const ref = db.ref('users/ewout');
+        await ref.set({ name: 'Ewout', address: { city: 'Amsterdam', street: 'Main' }, tags: ['dev'] });
+        await ref.patch([
+            { op: 'test', path: '/name', value: 'Ewout' },
+            { op: 'replace', path: '/name', value: 'Ewout de Vries' },
+            { op: 'add', path: '/tags/-', value: 'admin' },
+        ]);
+        expect((await ref.get()).val()).toEqual({ name: 'Ewout de Vries', address: { city: 'Amsterdam', street: 'Main' }, tags: ['dev', 'admin'] });
+
+        // Failing operations cancel all changes
+        await expectAsync(ref.patch([{ op: 'remove', path: '/tags' }, { op: 'test', path: '/name', value: 'Ewout' }])).toBeRejected();
+        expect((await ref.child('tags').get()).val()).toEqual(['dev', 'admin']);
+
+        await ref.mergePatch({ address: { street: null, zip: '1000AA' }, tags: null });
+        expect((await ref.get()).val()).toEqual({ name: 'Ewout de Vries', address: { city: 'Amsterdam', zip: '1000AA' } });
+    });
+
+    it('converts mutations', async () => {
+        await db.ref('users').set({ ewout: { name: 'Ewout', age: 42 }, annet: { name: 'Annet' } });
+        const copy = (await db.ref('users').get()).val();
+        const operations = [];
+        db.ref('users').on('mutations', snap => operations.push(...JSONPatch.fromMutations(snap)));
+        const { new_cursor: cursor } = await db.ref('users').getMutations();
+
+        await db.ref('users/ewout').update({ name: 'Ewout de Vries', age: null, role: 'admin' });
+        await db.ref('users/annet').remove();
+        await db.ref('users/pete').set({ name: 'Pete' });
+
+        expect(operations.slice(0, 3)).toEqual(jasmine.arrayWithExactContents([
+            { op: 'replace', path: '/ewout/name', value: 'Ewout de Vries' },
+            { op: 'remove', path: '/ewout/age' },
+            { op: 'add', path: '/ewout/role', value: 'admin' },
+        ]));
+        expect(operations.slice(3)).toEqual([
+            { op: 'remove', path: '/annet' },
+            { op: 'add', path: '/pete', value: { name: 'Pete' } },
+        ]);
+        expect(JSONPatch.apply(copy, operations)).toEqual((await db.ref('users').get()).val());
+
+        // Converting ValueMutations, relative to a path
+        const { mutations } = await db.ref('users').getMutations(cursor);
+        expect(JSONPatch.fromMutations(mutations)).toContain({ op: 'replace', path: '/users/ewout/name', value: 'Ewout de Vries' });
+        expect(JSONPatch.fromMutations(mutations, 'users/ewout')).toEqual(operations.slice(0, 3).map(op => ({ ...op, path: op.path.slice(6) })));
+        expect(JSONPatch.fromMutations(mutations, 'users/annet')).toEqual([{ op: 'remove', path: '' }]);
+    });
+});
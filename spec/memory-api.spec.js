@@ -0,0 +1,537 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+const { NotImplementedError } = require('../dist/cjs/api');
+
+describe('MemoryApi', () => {
+
+    let db;
+    beforeEach(async () => {
+        db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+        await db.ready();
+    });
+
+    it('set, update, get and remove', async () => {
+        const ref = db.ref('users/ewout');
+        await ref.set({ name: 'Ewout', born: new Date('1980-01-01T00:00:00Z'), address: { city: 'Amsterdam' } });
+        let snap = await ref.get();
+        expect(snap.val().name).toBe('Ewout');
+        expect(snap.val().born instanceof Date).toBeTrue();
+
+        await ref.update({ name: 'Ewout S', address: null });
+        snap = await ref.get();
+        expect(snap.val()).toEqual({ name: 'Ewout S', born: new Date('1980-01-01T00:00:00Z') });
+
+        snap = await ref.get({ exclude: ['born'] });
+        expect(snap.val()).toEqual({ name: 'Ewout S' });
+
+        expect(await ref.exists()).toBeTrue();
+        await ref.remove();
+        expect(await ref.exists()).toBeFalse();
+    });
+
+    it('stored values are immutable', async () => {
+        const value = { tags: ['a', 'b'] };
+        await db.ref('item').set(value);
+        value.tags.push('c');
+        const snap = await db.ref('item').get();
+        expect(snap.val().tags).toEqual(['a', 'b']);
+        snap.val().tags.push('d');
+        expect((await db.ref('item/tags').get()).val()).toEqual(['a', 'b']);
+    });
+
+    it('transactions', async () => {
+        await db.ref('counter').set(1);
+        await Promise.all([
+            db.ref('counter').transaction(snap => snap.val() + 1),
+            db.ref('counter').transaction(async snap => snap.val() + 1),
+        ]);
+        expect((await db.ref('counter').get()).val()).toBe(3);
+
+        // Canceled transaction
+        await db.ref('counter').transaction(() => undefined);
+        expect((await db.ref('counter').get()).val()).toBe(3);
+    });
+
+    it('wildcard events', async () => {
+        const added = [], changed = [], mutated = [], mutations = [];
+        db.ref('users/$uid/posts').on('child_added', snap => added.push({ path: snap.ref.path, uid: snap.ref.vars.uid, val: snap.val() }));
+        db.ref('users/*/posts').on('child_changed', snap => changed.push({ path: snap.ref.path, prev: snap.previous(), val: snap.val() }));
+        db.ref('users/ewout').on('mutated', snap => mutated.push({ path: snap.ref.path, val: snap.val() }));
+        db.ref('users/ewout').on('mutations', snap => mutations.push(snap.val(false)));
+
+        await db.ref('users/ewout').set({ name: 'Ewout', posts: { post1: { title: 'Post 1' } } });
+        expect(added).toEqual([{ path: 'users/ewout/posts/post1', uid: 'ewout', val: { title: 'Post 1' } }]);
+        expect(mutated).toEqual([{ path: 'users/ewout', val: { name: 'Ewout', posts: { post1: { title: 'Post 1' } } } }]);
+
+        await db.ref('users/ewout/posts/post1/title').set('Changed');
+        expect(changed).toEqual([{ path: 'users/ewout/posts/post1', prev: { title: 'Post 1' }, val: { title: 'Changed' } }]);
+        expect(mutated[1]).toEqual({ path: 'users/ewout/posts/post1/title', val: 'Changed' });
+        expect(mutations[1]).toEqual([{ target: ['posts', 'post1', 'title'], prev: 'Post 1', val: 'Changed' }]);
+
+        // Writes that do not change anything must not trigger events
+        await db.ref('users/ewout/posts/post1/title').set('Changed');
+        expect(changed.length).toBe(1);
+        expect(mutated.length).toBe(2);
+    });
+
+    it('value events on descendant paths of a write', async () => {
+        const values = [];
+        db.ref('config/theme').on('value').subscribe(snap => values.push(snap.val()));
+        await db.ref('config').update({ theme: 'dark', lang: 'en' });
+        await db.ref('config').update({ lang: 'nl' });
+        await db.ref('config').remove();
+        expect(values).toEqual(['dark', null]);
+    });
+
+    it('queries', async () => {
+        await db.ref('songs').update({
+            s1: { title: 'Song 1', year: 1991, genre: 'rock', tags: ['guitar'] },
+            s2: { title: 'Song 2', year: 1985, genre: 'pop', tags: ['synth', 'guitar'] },
+            s3: { title: 'Another song', year: 2001, genre: 'rock', tags: [] },
+        });
+        let snaps = await db.query('songs').filter('genre', '==', 'rock').sort('year', false).get();
+        expect(snaps.getValues().map(s => s.title)).toEqual(['Another song', 'Song 1']);
+
+        snaps = await db.query('songs').filter('title', 'like', 'song*').sort('year').take(1).get();
+        expect(snaps.getValues().map(s => s.title)).toEqual(['Song 2']);
+
+        const refs = await db.query('songs').filter('tags', 'contains', 'guitar').filter('year', 'between', [1980, 1990]).find();
+        expect(refs.getPaths()).toEqual(['songs/s2']);
+
+        expect(await db.query('songs').filter('year', '>', 2010).exists()).toBeFalse();
+    });
+
+    it('observed queries', async () => {
+        db.setObservable('shim');
+        await db.ref('scores').set({ a: { points: 10 }, b: { points: 30 }, c: { points: 20 }, d: { points: 5 } });
+        const emitted = [];
+        const subscription = db.query('scores').filter('points', '>=', 10).sort('points', false).take(2).observe()
+            .subscribe(results => emitted.push({ keys: results.map(s => s.key), diff: results.diff }));
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(emitted.length).toBe(1);
+        expect(emitted[0].keys).toEqual(['b', 'c']);
+        expect(emitted[0].diff.added.map(item => item.index)).toEqual([0, 1]);
+
+        // New top score pushes c out of the window
+        await db.ref('scores/e').set({ points: 40 });
+        expect(emitted[1].keys).toEqual(['e', 'b']);
+        expect(emitted[1].diff.added.map(item => [item.index, item.snapshot.key])).toEqual([[0, 'e']]);
+        expect(emitted[1].diff.removed.map(item => [item.index, item.snapshot.key])).toEqual([[1, 'c']]);
+        expect(emitted[1].diff.moved.length).toBe(0);
+
+        // b overtakes e
+        await db.ref('scores/b/points').set(50);
+        expect(emitted[2].keys).toEqual(['b', 'e']);
+        expect(emitted[2].diff.moved.length).toBe(1);
+        expect(emitted[2].diff.changed.map(item => [item.index, item.snapshot.key])).toEqual([[0, 'b']]);
+
+        // Removing e brings c back, changes outside the window are not emitted
+        await db.ref('scores/e').remove();
+        expect(emitted[3].keys).toEqual(['b', 'c']);
+        await db.ref('scores/a/points').set(11);
+        await db.ref('scores/d/points').set(6);
+        expect(emitted.length).toBe(4);
+
+        subscription.unsubscribe();
+        await db.ref('scores/f').set({ points: 100 });
+        expect(emitted.length).toBe(4);
+    });
+
+    it('observed queries: keyset bounds and early unsubscribe', async () => {
+        db.setObservable('shim');
+        await db.ref('scores').set({ a: { points: 10 }, b: { points: 30 }, c: { points: 20 } });
+        const tick = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms));
+
+        // Unsubscribing before the initial results are loaded stops the realtime monitor
+        db.query('scores').filter('points', '>=', 0).observe().subscribe(() => undefined).unsubscribe();
+        await tick();
+        expect(db.api.monitors.length).toBe(0);
+
+        // Realtime results outside of the keyset window are ignored
+        const emitted = [];
+        const subscription = db.query('scores').sort('points').startAfter([10, 'a']).endBefore([30, 'b']).observe()
+            .subscribe(results => emitted.push(results.map(s => s.key)));
+        await tick();
+        expect(emitted).toEqual([['c']]);
+        await db.ref('scores/d').set({ points: 5 });
+        await db.ref('scores/e').set({ points: 40 });
+        await db.ref('scores/f').set({ points: 25 });
+        expect(emitted).toEqual([['c'], ['c', 'f']]);
+        await db.ref('scores/c/points').set(35);
+        expect(emitted[2]).toEqual(['f']);
+        subscription.unsubscribe();
+        expect(db.api.monitors.length).toBe(0);
+    });
+
+    it('filter groups', async () => {
+        await db.ref('tasks').set({
+            t1: { status: 'open', assignee: 'annet', priority: 1 },
+            t2: { status: 'closed', assignee: 'ewout', priority: 2 },
+            t3: { status: 'closed', assignee: 'annet', priority: 3 },
+            t4: { status: 'open', assignee: 'ewout', priority: 3 },
+        });
+        const keys = async query => (await query.find()).map(ref => ref.key);
+        const openOrMine = () => db.query('tasks').or(q => q.filter('status', '==', 'open'), q => q.filter('assignee', '==', 'ewout'));
+        expect(await keys(openOrMine())).toEqual(['t1', 't2', 't4']);
+        expect(await keys(openOrMine().filter('priority', '>', 1))).toEqual(['t2', 't4']);
+        expect(await keys(db.query('tasks').not(q => q.filter('status', '==', 'closed').filter('assignee', '==', 'annet')))).toEqual(['t1', 't2', 't4']);
+        expect(await keys(db.query('tasks').or(
+            q => q.and(a => a.filter('status', '==', 'closed'), a => a.filter('priority', '>=', 3)),
+            q => q.filter('priority', '==', 1),
+        ))).toEqual(['t1', 't3']);
+
+        // Realtime results use the same filters
+        const added = [];
+        const query = openOrMine().on('add', ev => added.push(ev.snapshot.key));
+        await query.get();
+        await db.ref('tasks/t5').set({ status: 'closed', assignee: 'ewout' });
+        await db.ref('tasks/t6').set({ status: 'closed', assignee: 'annet' });
+        await query.stop();
+        expect(added).toEqual(['t5']);
+
+        expect(() => db.query('tasks').or(q => q)).toThrowError(/at least 1 filter/);
+
+        // Backends that don't evaluate filter groups reject these queries instead of returning wrong results
+        spyOnProperty(db.api, 'supportsFilterGroups').and.returnValue(false);
+        await expectAsync(openOrMine().get()).toBeRejectedWithError(NotImplementedError, /filter groups/);
+        await expectAsync(openOrMine().count()).toBeRejectedWithError(NotImplementedError);
+        await expectAsync(openOrMine().aggregate({ total: ['sum', 'priority'] })).toBeRejectedWithError(NotImplementedError);
+        expect(await keys(db.query('tasks').filter('status', '==', 'open'))).toEqual(['t1', 't4']);
+    });
+
+    it('keyset pagination', async () => {
+        const songs = {};
+        for (let i = 1; i <= 7; i++) {
+            songs[`s${i}`] = { title: `Song ${i}`, year: 2000 + Math.floor(i / 2) };
+        }
+        await db.ref('songs').set(songs);
+
+        const page1 = await db.query('songs').sort('year').take(3).get();
+        expect(page1.map(s => s.key)).toEqual(['s1', 's2', 's3']);
+        const page2 = await db.query('songs').sort('year').startAfter(page1[2]).take(3).get();
+        expect(page2.map(s => s.key)).toEqual(['s4', 's5', 's6']);
+        const before = await db.query('songs').sort('year').endBefore([2002, 's4']).get();
+        expect(before.map(s => s.key)).toEqual(['s1', 's2', 's3']);
+        const after = await db.query('songs').sort('year', false).startAfter([2002]).get();
+        expect(after.map(s => s.key)).toEqual(['s2', 's3', 's1']);
+
+        const pages = [];
+        let token;
+        for await (const page of db.query('songs').sort('year', false).paginate(3)) {
+            pages.push(page.map(s => s.key));
+            if (pages.length === 1) {
+                token = page.continuationToken;
+                // Removing a child that was already returned must not shift the next page
+                await db.ref('songs/s1').remove();
+            }
+        }
+        expect(pages).toEqual([['s6', 's7', 's4'], ['s5', 's2', 's3']]);
+
+        const resumed = [];
+        for await (const page of db.query('songs').sort('year', false).paginate(10, token)) {
+            expect(page.continuationToken).toBeNull();
+            resumed.push(...page.map(s => s.key));
+        }
+        expect(resumed).toEqual(['s5', 's2', 's3']);
+        await expectAsync(db.query('songs').sort('title').paginate(10, token).next()).toBeRejectedWithError(/does not match the sort order/);
+
+        // Results of wildcard paths with equal keys are ordered by their path
+        await db.ref('users').set({ u1: { posts: { p1: { year: 2020 } } }, u2: { posts: { p1: { year: 2020 }, p2: { year: 2021 } } } });
+        const paths = [];
+        for await (const page of db.query('users/*/posts').sort('year').paginate(1)) {
+            paths.push(...page.map(s => s.ref.path));
+        }
+        expect(paths).toEqual(['users/u1/posts/p1', 'users/u2/posts/p1', 'users/u2/posts/p2']);
+        const first = (await db.query('users/$uid/posts').sort('year').take(1).get())[0];
+        expect((await db.query('users/$uid/posts').sort('year').startAfter(first).get()).map(s => s.ref.path)).toEqual(['users/u2/posts/p1', 'users/u2/posts/p2']);
+    });
+
+    it('aggregates', async () => {
+        await db.ref('products').set({
+            p1: { category: 'books', price: 10, rating: 4 },
+            p2: { category: 'books', price: 15.5, rating: 5 },
+            p3: { category: 'games', price: 60 },
+            p4: { category: 'books', price: 5, rating: 3, discontinued: true },
+        });
+        const query = () => db.query('products').filter('discontinued', '!exists');
+        expect(await query().aggregate({ count: ['count'], rated: ['count', 'rating'], total: ['sum', 'price'], rating: ['avg', 'rating'], cheapest: ['min', 'price'] }))
+            .toEqual({ count: 3, rated: 2, total: 85.5, rating: 4.5, cheapest: 10 });
+        expect(await query().groupBy('category', { total: ['sum', 'price'], rating: ['avg', 'rating'] })).toEqual([
+            { group: 'books', values: { total: 25.5, rating: 4.5 } },
+            { group: 'games', values: { total: 60, rating: null } },
+        ]);
+        expect(await db.query('products').filter('price', '>', 100).aggregate({ count: ['count'], max: ['max', 'price'] })).toEqual({ count: 0, max: null });
+        await expectAsync(query().aggregate({ total: ['sum'] })).toBeRejectedWithError(TypeError, /requires a key/);
+
+        // Fallback for apis without native support
+        spyOn(db.api, 'aggregate').and.callFake(() => { throw new NotImplementedError('aggregate'); });
+        expect(await query().groupBy('category')).toEqual([{ group: 'books', values: { count: 2 } }, { group: 'games', values: { count: 1 } }]);
+        expect(db.api.aggregate).toHaveBeenCalled();
+    });
+
+    it('realtime queries', async () => {
+        await db.ref('tasks').update({ t1: { done: false }, t2: { done: true } });
+        const events = [];
+        const query = db.query('tasks').filter('done', '==', false)
+            .on('add', ev => events.push(`add:${ev.snapshot.key}`))
+            .on('remove', ev => events.push(`remove:${ev.ref.key}`));
+        await query.get();
+        await db.ref('tasks/t3').set({ done: false });
+        await db.ref('tasks/t1/done').set(true);
+        await query.stop();
+        await db.ref('tasks/t4').set({ done: false });
+        expect(events).toEqual(['add:t3', 'remove:t1']);
+    });
+
+    it('schemas', async () => {
+        await db.schema.set('users/$uid', { name: 'string', 'age?': 'number' });
+        await db.ref('users/ewout').set({ name: 'Ewout' });
+        await expectAsync(db.ref('users/ewout').update({ age: 'old' })).toBeRejectedWithError(/must be typeof number/);
+        await expectAsync(db.ref('users').update({ annet: { age: 40 } })).toBeRejectedWithError(/is not optional/);
+        expect((await db.schema.check('users/ewout/age', 42, false)).ok).toBeTrue();
+        expect((await db.schema.get('users/$uid')).text).toBe('{name:string,age?:number}');
+
+        const result = await db.schema.check('users', { u1: { age: 'old' }, u2: { name: 2 } }, false, { allErrors: true });
+        expect(result.errors.map(e => `${e.rule}:${e.path}`)).toEqual(['required:users/u1/name', 'type:users/u1/age', 'type:users/u2/name']);
+    });
+
+    it('reflect, count and forEach', async () => {
+        await db.ref('items').update({ a: 1, b: { c: 2 }, d: 'text' });
+        expect(await db.ref('items').count()).toBe(3);
+        const children = await db.ref('items').reflect('children', { limit: 2, skip: 0 });
+        expect(children.more).toBeTrue();
+        expect(children.list).toEqual([{ key: 'a', type: 'number', value: 1 }, { key: 'b', type: 'object' }]);
+        const keys = [];
+        await db.ref('items').forEach(snap => { keys.push(snap.key); });
+        expect(keys).toEqual(['a', 'b', 'd']);
+    });
+
+    it('mutations log and cursors', async () => {
+        const chatRef = db.ref('chats/chat1');
+        await chatRef.set({ title: 'Chat', messages: {} });
+        const cursor = chatRef.cursor;
+        expect(typeof cursor).toBe('string');
+
+        await db.ref('chats/chat1/messages/m1').set({ text: 'Hello' });
+        await db.ref('chats/chat1/messages/m1/text').set('Hello!');
+        await db.ref('chats').update({ chat1: { title: 'Renamed' } });
+
+        const { mutations, new_cursor } = await db.ref('chats/chat1/messages').getMutations(cursor);
+        expect(mutations.map(m => m.path)).toEqual(['chats/chat1/messages/m1', 'chats/chat1/messages/m1/text', 'chats/chat1/messages']);
+        expect(mutations[2].type).toBe('set');
+        expect(mutations[2].value).toBeNull();
+
+        const { changes } = await db.ref('chats/chat1').getChanges(cursor);
+        expect(changes.length).toBe(1);
+        expect(changes[0].previous).toEqual({ title: 'Chat', messages: {} });
+        expect(changes[0].value).toEqual({ title: 'Renamed' });
+
+        const result = await db.ref('chats').getMutations(new_cursor);
+        expect(result.mutations.length).toBe(0);
+    });
+
+    it('export and import', async () => {
+        const date = new Date();
+        await db.ref('data').set({ text: 'test', date, list: [1, 2] });
+        let json = '';
+        await db.ref('data').export(str => { json += str; });
+        expect(JSON.parse(json).date).toEqual({ '.type': 'date', '.val': date.toISOString() });
+
+        let read = false;
+        await db.ref('copy').import(() => { const chunk = read ? '' : json; read = true; return chunk; });
+        const snap = await db.ref('copy').get();
+        expect(snap.val()).toEqual({ text: 'test', date, list: [1, 2] });
+    });
+
+    it('ndjson and csv export and import', async () => {
+        const born = new Date('1980-01-01T00:00:00Z');
+        await db.ref('users').set({
+            ewout: { name: 'Ewout', born, visits: 12n, address: { city: 'Amsterdam' } },
+            pete: { name: 'Pete "the dev", Jr.', born, visits: 3n, address: { city: '' } },
+            annet: { name: 'Annet', born },
+        });
+        const reader = text => {
+            const bytes = new TextEncoder().encode(text);
+            let offset = 0;
+            return length => bytes.slice(offset, offset += Math.min(length, 7)); // Small chunks
+        };
+
+        let ndjson = '';
+        await db.ref('users').export(str => { ndjson += str; }, { format: 'ndjson' });
+        const lines = ndjson.trim().split('\n');
+        expect(lines.length).toBe(3);
+        expect(JSON.parse(lines[0])).toEqual({ path: 'users/ewout', value: { name: 'Ewout', born: { '.type': 'date', '.val': born.toISOString() }, visits: { '.type': 'bigint', '.val': '12' }, address: { city: 'Amsterdam' } } });
+        await db.ref('copy').import(reader(ndjson), { format: 'ndjson' });
+        expect((await db.ref('copy').get()).val()).toEqual((await db.ref('users').get()).val());
+
+        const columns = ['name', { name: 'born', key: 'born', type: 'date' }, { name: 'visits', key: 'visits', type: 'bigint' }, { name: 'city', key: 'address/city' }];
+        let csv = '';
+        await db.ref('users').export(str => { csv += str; }, { format: 'csv', csv: { columns } });
+        expect(csv).toBe([
+            'key,name,born,visits,city',
+            `ewout,Ewout,${born.toISOString()},12,Amsterdam`,
+            `pete,"Pete ""the dev"", Jr.",${born.toISOString()},3,""`,
+            `annet,Annet,${born.toISOString()},,`,
+            '',
+        ].join('\n'));
+        await db.ref('csv').import(reader(csv), { format: 'csv', csv: { columns } });
+        expect((await db.ref('csv').get()).val()).toEqual((await db.ref('users').get()).val());
+
+        // Without columns, the properties of the first child are exported and all values are imported as strings
+        csv = '';
+        await db.ref('users').export(str => { csv += str; }, { format: 'csv', csv: { delimiter: ';', keyColumn: 'id' } });
+        expect(csv.split('\n')[0]).toBe('id;name;born;visits');
+        await db.ref('strings').import(reader(csv), { format: 'csv', csv: { delimiter: ';', keyColumn: 'id' } });
+        expect((await db.ref('strings/ewout').get()).val()).toEqual({ name: 'Ewout', born: born.toISOString(), visits: '12' });
+
+        await expectAsync(db.ref('users/ewout/name').export(() => undefined, { format: 'ndjson' })).toBeRejectedWithError(/not an object or array/);
+        await expectAsync(db.ref('bad').import(reader('name\nEwout\n'), { format: 'csv' })).toBeRejectedWithError(/does not have a "key" column/);
+    });
+    it('multiUpdate', async () => {
+        await db.ref('users').set({ u1: { balance: 100 }, u2: { balance: 100 } });
+        await db.schema.set('ledger/$tx', { from: 'string', to: 'string', amount: 'number' });
+
+        const mutations = [];
+        db.ref('').on('mutations', snap => mutations.push(snap.val(false)));
+
+        await db.multiUpdate({
+            'users/u1/balance': 90,
+            'users/u2/balance': 110,
+            'ledger/tx1': { from: 'u1', to: 'u2', amount: 10 },
+        });
+        expect((await db.ref('users').get()).val()).toEqual({ u1: { balance: 90 }, u2: { balance: 110 } });
+        expect(mutations.length).toBe(1);
+        expect(mutations[0].map(m => m.target)).toEqual(jasmine.arrayWithExactContents([['users', 'u1', 'balance'], ['users', 'u2', 'balance'], ['ledger']]));
+
+        // Nothing must be written if any of the targets fails schema validation
+        await expectAsync(db.multiUpdate({
+            'users/u1/balance': 80,
+            'ledger/tx2': { from: 'u1', to: 'u2', amount: '10' },
+        })).toBeRejectedWithError(/must be typeof number/);
+        expect((await db.ref('users/u1/balance').get()).val()).toBe(90);
+        expect(mutations.length).toBe(1);
+
+        await expectAsync(db.multiUpdate({ 'users/u1': null, 'users/u1/balance': 0 })).toBeRejectedWithError(/overlap/);
+    });
+
+    it('recursive wildcards', async () => {
+        // Events
+        const replies = [];
+        db.ref('comments/**/replies/$reply').on('value', snap => replies.push({ path: snap.ref.path, thread: snap.ref.vars[0], reply: snap.ref.vars.reply, val: snap.val() }));
+        await db.ref('comments/c1').set({ text: 'First', replies: { r1: { text: 'Reply' } } });
+        await db.ref('comments/c1/replies/r1/replies/r2').set({ text: 'Nested reply' });
+        expect(replies).toEqual([
+            { path: 'comments/c1/replies/r1', thread: 'c1', reply: 'r1', val: { text: 'Reply' } },
+            { path: 'comments/c1/replies/r1', thread: 'c1', reply: 'r1', val: { text: 'Reply', replies: { r2: { text: 'Nested reply' } } } },
+            { path: 'comments/c1/replies/r1/replies/r2', thread: 'c1/replies/r1', reply: 'r2', val: { text: 'Nested reply' } },
+        ]);
+
+        // Type mappings
+        class File {
+            constructor(snap) { this.name = snap.val().name; this.folder = snap.ref.vars[0]; }
+            serialize() { return { name: this.name }; }
+        }
+        db.types.bind('folders/**/files', File);
+        await db.ref('folders').set({ docs: { files: { f1: { name: 'a.txt' } }, sub: { files: { f2: { name: 'b.md' } } } } });
+        const folders = (await db.ref('folders').get()).val();
+        expect(folders.docs.files.f1).toBeInstanceOf(File);
+        expect(folders.docs.sub.files.f2).toEqual(jasmine.objectContaining({ name: 'b.md', folder: 'docs/sub' }));
+        expect((await db.ref('folders/docs/sub/files/f2').get()).val()).toBeInstanceOf(File);
+        const file = Object.assign(Object.create(File.prototype), { name: 'c.txt', folder: 'docs/sub/deep' });
+        await db.ref('folders/docs/sub/deep/files/f3').set(file);
+        expect((await db.ref('folders/docs/sub/deep/files/f3').get({ exclude: [] })).val().folder).toBe('docs/sub/deep');
+        expect(db.types.map('folders/docs/sub/deep/files/f3')).toBeDefined();
+
+        // Queries
+        const snaps = await db.query('folders/**/files').filter('name', 'like', '*.txt').get();
+        expect(snaps.map(snap => snap.ref.path).sort()).toEqual(['folders/docs/files/f1', 'folders/docs/sub/deep/files/f3']);
+
+        // Schemas
+        await db.schema.set('folders/**/files/$file', { name: 'string' });
+        await expectAsync(db.ref('folders/docs/sub/files/f2/name').set(5)).toBeRejectedWithError(/must be typeof string/);
+        await expectAsync(db.ref('folders/docs').update({ other: { files: { f4: { size: 1 } } } })).toBeRejectedWithError(/folders\/docs\/other\/files\/f4/);
+        await expectAsync(db.ref('folders').set({ files: { f5: { name: 5 } } })).toBeRejected();
+        await db.ref('folders/docs/sub/files/f2/name').set('c.md');
+        const result = await db.schema.check('folders', { a: { files: { f: {} }, b: { c: { files: { f: { name: 1 } } } } } }, false, { allErrors: true });
+        expect(result.errors.map(e => e.path).sort()).toEqual(['folders/a/files/f/name', 'folders/a/b/c/files/f/name'].sort());
+    });
+
+    it('batched events', async () => {
+        const tick = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms));
+
+        // Batches of the same tick, or with a maximum size
+        const batches = [], sized = [];
+        db.ref('items').on('child_added', { newOnly: true, batch: {} }).subscribe(snaps => batches.push(snaps.map(snap => snap.key)));
+        db.ref('items').on('notify_child_added', { newOnly: true, batch: { maxSize: 2, maxWait: 1000 } }).subscribe(refs => sized.push(refs.map(ref => ref.key)));
+        await Promise.all(['a', 'b', 'c'].map(key => db.ref(`items/${key}`).set({ name: key })));
+        await tick();
+        expect(batches).toEqual([['a', 'b', 'c']]);
+        expect(sized).toEqual([['a', 'b']]);
+
+        // Debouncing
+        const debounced = [];
+        const stream = db.ref('items').on('child_changed', { newOnly: true, debounce: 30 });
+        stream.subscribe(snaps => debounced.push(snaps.length));
+        await db.ref('items/a/name').set('A');
+        await tick(15);
+        await db.ref('items/b/name').set('B');
+        await tick(15);
+        expect(debounced).toEqual([]);
+        await tick(30);
+        expect(debounced).toEqual([2]);
+
+        // Stopping discards pending events
+        await db.ref('items/c/name').set('C');
+        stream.stop();
+        await tick(50);
+        expect(debounced).toEqual([2]);
+
+        // Coalescing
+        const coalesced = [];
+        db.ref('items').on('child_changed', { newOnly: true, coalesce: true }).subscribe(snaps => coalesced.push(...snaps));
+        await db.ref('items/a/name').set('A1');
+        await db.ref('items/b/name').set('B1');
+        await db.ref('items/a/name').set('A2');
+        await db.ref('items/c/name').set('C1');
+        await db.ref('items/c/name').set('C');
+        await tick();
+        expect(coalesced.map(snap => ({ key: snap.key, previous: snap.previous(), current: snap.val() }))).toEqual([
+            { key: 'b', previous: { name: 'B' }, current: { name: 'B1' } },
+            { key: 'a', previous: { name: 'A' }, current: { name: 'A2' } },
+        ]);
+
+        const mutations = [];
+        db.ref('items').on('mutations', { newOnly: true, coalesce: true }).subscribe(snaps => mutations.push(...snaps));
+        await db.ref('items/a').update({ name: 'A3', size: 1 });
+        await db.ref('items/a/name').set('A4');
+        await tick();
+        expect(mutations.length).toBe(1);
+        expect(mutations[0].val(false)).toEqual(jasmine.arrayWithExactContents([
+            { target: ['a', 'name'], prev: 'A2', val: 'A4' },
+            { target: ['a', 'size'], prev: null, val: 1 },
+        ]));
+
+        // Observables
+        db.setObservable('shim');
+        const observed = [];
+        const subscription = db.ref('items').on('notify_child_removed', { newOnly: true, batch: {} }).observe()
+            .subscribe(refs => observed.push(refs.map(ref => ref.key)));
+        await db.ref('items').update({ a: null, b: null });
+        await tick();
+        subscription.unsubscribe();
+        await db.ref('items/c').remove();
+        await tick();
+        expect(observed).toEqual([['a', 'b']]);
+
+        const values = [];
+        const valueSubscription = db.ref('items').observe({ batch: { maxWait: 20 } }).subscribe(value => values.push(value));
+        await tick();
+        await db.ref('items/d').set({ name: 'd' });
+        await db.ref('items/e').set({ name: 'e' });
+        await tick(40);
+        valueSubscription.unsubscribe();
+        expect(values.length).toBe(2); // Initial value and 1 update for the batch
+        expect(values[1]).toEqual({ d: { name: 'd' }, e: { name: 'e' } });
+
+        expect(() => db.ref('items').on('value', { debounce: -1 })).toThrowError(/debounce/);
+    });
+});
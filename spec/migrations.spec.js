@@ -0,0 +1,110 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+
+describe('schema migrations', () => {
+
+    let db;
+    beforeEach(async () => {
+        db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+        await db.ready();
+        await db.ref('users').set({
+            ewout: { firstName: 'Ewout', lastName: 'Stortenbeker' },
+            annet: { firstName: 'Annet', lastName: 'Jansen' },
+            pete: { name: { first: 'Pete', last: 'Smith' } },
+        });
+    });
+
+    const splitName = {
+        version: 1,
+        up: user => user.name ? user : { ...user, name: { first: user.firstName, last: user.lastName }, firstName: null, lastName: null },
+        down: user => ({ ...user, firstName: user.name?.first, lastName: user.name?.last, name: null }),
+    };
+    const raw = async path => (await db.api.get(path)).value;
+
+    it('eager migrations', async () => {
+        const report = await db.schema.migrate('users/$uid', splitName, { mode: 'eager', dryRun: true });
+        expect(report).toEqual({ path: 'users/$uid', from: 0, to: 1, total: 3, changed: ['users/ewout', 'users/annet'], errors: [] });
+        expect(await raw('users/ewout')).toEqual({ firstName: 'Ewout', lastName: 'Stortenbeker' });
+        expect(await db.api.getSchemaVersion('users/$uid')).toBe(0);
+
+        // Upgraded values must pass the schema
+        await db.schema.set('users/$uid', { name: { first: 'string', last: 'string' }, 'age?': 'number' });
+        const broken = { version: 1, up: user => user.firstName === 'Annet' ? { ...user, name: 'Annet' } : splitName.up(user) };
+        const dryRun = await db.schema.migrate('users/$uid', broken, { mode: 'eager', dryRun: true });
+        expect(dryRun.changed).toEqual(['users/ewout']);
+        expect(dryRun.errors.map(error => error.path)).toEqual(['users/annet']);
+        await expectAsync(db.schema.migrate('users/$uid', broken, { mode: 'eager' })).toBeRejectedWithError(/Failed to migrate "\/users\/annet" to version 1/);
+        expect(await raw('users/ewout')).toEqual({ firstName: 'Ewout', lastName: 'Stortenbeker' });
+
+        const events = [];
+        db.ref('users/$uid').on('value', { newOnly: true }).subscribe(snap => events.push(snap.context().acebase_migration));
+        const result = await db.schema.migrate('users/$uid', splitName, { mode: 'eager' });
+        expect(result.changed).toEqual(['users/ewout', 'users/annet']);
+        expect(await raw('users')).toEqual({
+            ewout: { name: { first: 'Ewout', last: 'Stortenbeker' } },
+            annet: { name: { first: 'Annet', last: 'Jansen' } },
+            pete: { name: { first: 'Pete', last: 'Smith' } },
+        });
+        expect(events).toEqual([{ path: 'users/$uid', version: 1 }, { path: 'users/$uid', version: 1 }]);
+        expect(await db.api.getSchemaVersion('users/$uid')).toBe(1);
+        await expectAsync(db.schema.migrate('users/$uid', splitName)).toBeRejectedWithError(/already defined/);
+
+        // Migrations that already ran are registered without running them again, eg when the database is opened again
+        const other = new AceBaseMemory('other', { logLevel: 'error', sponsor: true });
+        await other.api.setSchemaVersion('users/$uid', 1);
+        await other.ref('users/pete').set({ name: { first: 'Pete', last: 'Smith' } });
+        const up = jasmine.createSpy('up');
+        expect(await other.schema.migrate('users/$uid', { version: 1, up }, { mode: 'eager' })).toEqual(jasmine.objectContaining({ from: 1, to: 1, total: 0 }));
+        expect(up).not.toHaveBeenCalled();
+    });
+
+    it('lazy migrations', async () => {
+        class User {
+            constructor(snap) { Object.assign(this, snap.val()); }
+        }
+        db.types.bind('users', User);
+        await db.schema.migrate('users/$uid', splitName);
+
+        // Loaded values are upgraded before types are instantiated, stored data is not changed
+        const ewout = (await db.ref('users/ewout').get()).val();
+        expect(ewout).toBeInstanceOf(User);
+        expect(ewout.name).toEqual({ first: 'Ewout', last: 'Stortenbeker' });
+        expect('firstName' in ewout).toBeFalse();
+        const users = (await db.ref('users').get()).val();
+        expect(users.pete.name).toEqual({ first: 'Pete', last: 'Smith' });
+        expect((await db.ref('users/annet').get()).val().name.first).toBe('Annet');
+        expect(await raw('users/ewout')).toEqual({ firstName: 'Ewout', lastName: 'Stortenbeker' });
+        expect(await db.api.getSchemaVersion('users/$uid')).toBe(0);
+
+        // Written values are downgraded to the recorded version
+        const snaps = [];
+        db.ref('users/$uid').on('value', { newOnly: true }).subscribe(snap => snaps.push(snap));
+        await db.ref('users/john').set({ name: { first: 'John', last: 'Doe' } });
+        expect(await raw('users/john')).toEqual({ firstName: 'John', lastName: 'Doe' });
+        expect(snaps[0].val().name).toEqual({ first: 'John', last: 'Doe' });
+        await db.ref('users').update({ annet: { name: { first: 'Annet', last: 'Jansen' }, age: 40 } });
+        expect(await raw('users/annet')).toEqual({ firstName: 'Annet', lastName: 'Jansen', age: 40 });
+
+        // Writes that change part of a node that was not upgraded are rejected
+        await expectAsync(db.ref('users/ewout').update({ age: 30 })).toBeRejectedWithError(/changes part of node "\/users\/ewout"/);
+        await expectAsync(db.ref('users/ewout/name').set({ first: 'Ewout', last: 'S' })).toBeRejectedWithError(/changes part of node/);
+        await expectAsync(db.ref('users/ewout/name/first').remove()).toBeRejectedWithError(/changes part of node/);
+        expect(await raw('users/ewout')).toEqual({ firstName: 'Ewout', lastName: 'Stortenbeker' });
+
+        // An eager migration runs all pending migrations
+        const addAge = { version: 2, up: user => ({ ...user, age: 0 }), down: user => ({ ...user, age: null }) };
+        const result = await db.schema.migrate('users/$uid', addAge, { mode: 'eager' });
+        expect(result).toEqual(jasmine.objectContaining({ from: 0, to: 2, total: 4 }));
+        expect(await raw('users/ewout')).toEqual({ name: { first: 'Ewout', last: 'Stortenbeker' }, age: 0 });
+        expect((await db.ref('users/john').get()).val()).toEqual(jasmine.objectContaining({ name: { first: 'John', last: 'Doe' }, age: 0 }));
+        await db.ref('users/john').update({ age: 30 });
+        expect(await raw('users/john')).toEqual({ name: { first: 'John', last: 'Doe' }, age: 30 });
+    });
+
+    it('validates migrations', async () => {
+        await expectAsync(db.schema.migrate('users/$uid', { version: 1 })).toBeRejectedWithError(TypeError, /up function/);
+        await expectAsync(db.schema.migrate('users/$uid', { version: 0, up: v => v })).toBeRejectedWithError(TypeError, /positive integer/);
+        await expectAsync(db.schema.migrate('users/$uid', { version: 1, up: v => v })).toBeRejectedWithError(TypeError, /down function/);
+        await expectAsync(db.schema.migrate('users/**', splitName)).toBeRejectedWithError(/not supported/);
+        await expectAsync(db.schema.migrate('users/$uid', splitName, { mode: 'batch' })).toBeRejectedWithError(TypeError, /Invalid migration mode/);
+    });
+});
@@ -0,0 +1,56 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+const { getModelSchema } = require('../dist/cjs/model');
+
+describe('Models', () => {
+
+    class Address {
+        static schema = { street: String, city: 'string(1..)' };
+        get label() { return `${this.street}, ${this.city}`; }
+    }
+    class Post {
+        static schema = { title: String, posted: Date, 'replies?': [Post] };
+    }
+    class User {
+        static schema = { name: String, 'born?': Date, 'role?': '"admin"|"user"', address: Address, posts: { '*': Post } };
+        constructor() {
+            this.posts = {};
+        }
+        get postCount() { return Object.keys(this.posts).length; }
+    }
+
+    it('schema', () => {
+        expect(getModelSchema(User).text).toBe('{name:string,born?:Date,role?:"admin"|"user",address:{street:string,city:string(1..)},posts:{*:{title:string,posted:Date,replies?:Array<object>}}}');
+        expect(() => getModelSchema(class NoModel {})).toThrowError(/static schema/);
+        expect(() => getModelSchema(class Invalid { static schema = { tags: [String, Number] }; })).toThrowError(/exactly 1 item type/);
+    });
+
+    it('bindModel', async () => {
+        const db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+        await db.ready();
+        await db.types.bindModel('users', User);
+
+        const user = new User();
+        user.name = 'Ewout';
+        user.address = Object.assign(new Address(), { street: 'Main street', city: 'Amsterdam' });
+        user.posts.post1 = Object.assign(new Post(), { title: 'Hello', posted: new Date('2022-08-01T00:00:00Z'), replies: [{ title: 'Hi', posted: new Date('2022-08-02T00:00:00Z') }] });
+        user.temporary = 'not stored';
+        await db.ref('users/ewout').set(user);
+
+        const snap = await db.ref('users/ewout').get();
+        const loaded = snap.val();
+        expect(loaded instanceof User).toBeTrue();
+        expect(loaded.address instanceof Address).toBeTrue();
+        expect(loaded.address.label).toBe('Main street, Amsterdam');
+        expect(loaded.postCount).toBe(1);
+        expect(loaded.posts.post1 instanceof Post).toBeTrue();
+        expect(loaded.posts.post1.posted instanceof Date).toBeTrue();
+        expect(loaded.posts.post1.replies[0] instanceof Post).toBeTrue();
+        expect(loaded.temporary).toBeUndefined();
+
+        // Schema is installed for the bound path
+        await expectAsync(db.ref('users/other').set({ name: 'Other', address: { street: 'Main street', city: '' }, posts: {} })).toBeRejectedWithError(/users\/other\/address\/city/);
+        await expectAsync(db.ref('users/ewout').update({ role: 'guest' })).toBeRejected();
+        await db.ref('users/ewout').update({ role: 'admin' });
+        expect((await db.ref('users/ewout/role').get()).val()).toBe('admin');
+    });
+});
@@ -166,4 +166,38 @@ describe('PathInfo', function() {
         expect(pathInfo.isOnTrailOf('users/$uid/posts/post1/title')).toBe(true);
         expect(pathInfo.isOnTrailOf('users/*/posts/post1/title')).toBe(true);
     });
+    it('** wildcards', () => {
+        const pathInfo = PathInfo.get('comments/**/replies/$reply');
+        expect(pathInfo.isRecursiveWildcard).toBeTrue();
+        expect(pathInfo.equals('comments/c1/replies/r1')).toBeTrue();
+        expect(pathInfo.equals('comments/c1/replies/r1/replies/r2')).toBeTrue();
+        expect(pathInfo.equals('comments/replies/r1')).toBeTrue(); // ** matches no keys
+        expect(pathInfo.equals('comments/c1/replies')).toBeFalse();
+        expect(pathInfo.equals('posts/c1/replies/r1')).toBeFalse();
+        expect(PathInfo.get('comments/c1/replies/r1').equals(pathInfo)).toBeTrue();
+        expect(PathInfo.get('comments/*/replies/$id').equals('comments/**/replies/*')).toBeTrue();
+
+        expect(pathInfo.isDescendantOf('comments/c1')).toBeTrue();
+        expect(pathInfo.isDescendantOf('posts')).toBeFalse();
+        expect(pathInfo.isAncestorOf('comments/c1/replies/r1/text')).toBeTrue();
+        expect(pathInfo.isAncestorOf('comments/replies/r1/replies/r2')).toBeTrue();
+        expect(pathInfo.isAncestorOf('comments/c1/replies/r1')).toBeFalse();
+        expect(PathInfo.get('comments/c1/replies/r1/text').isDescendantOf(pathInfo)).toBeTrue();
+        expect(PathInfo.get('comments/c1/text').isDescendantOf(pathInfo)).toBeFalse();
+        expect(pathInfo.isOnTrailOf('comments/c1/likes')).toBeTrue();
+        expect(pathInfo.isOnTrailOf('posts')).toBeFalse();
+        expect(pathInfo.isChildOf('comments/**/replies')).toBeTrue();
+
+        const vars = PathInfo.extractVariables('comments/**/replies/$reply', 'comments/c1/replies/r1/replies/r2');
+        expect(vars.length).toBe(2);
+        expect(vars[0]).toBe('c1/replies/r1');
+        expect(vars[1]).toBe('r2');
+        expect(vars.reply).toBe('r2');
+        expect(PathInfo.extractVariables('folders/**/$file', 'folders/a/b[2]/doc')[0]).toBe('a/b[2]');
+        expect(PathInfo.extractVariables('folders/**', 'folders')[0]).toBe('');
+
+        expect(PathInfo.fillVariables('comments/**/replies/$reply', 'comments/c1/replies/r1/text')).toBe('comments/c1/replies/r1');
+        expect(() => PathInfo.fillVariables('comments/**/replies/$reply', 'posts/p1')).toThrow();
+        expect(PathInfo.fillVariables2('comments/**/replies/$reply', vars)).toBe('comments/c1/replies/r1/replies/r2');
+    });
 });
@@ -0,0 +1,36 @@
+const { matchesFilterTree, matchesQuery } = require('../dist/cjs/query-filter');
+
+describe('Query filter matching', () => {
+
+    const task = { status: 'open', assignee: 'ewout', due: new Date('2022-01-01'), tags: ['bug', 'ui'], meta: { priority: 2 } };
+
+    it('single filters', () => {
+        expect(matchesFilterTree(task, { key: 'status', op: '==', compare: 'open' })).toBeTrue();
+        expect(matchesFilterTree(task, { key: 'meta/priority', op: 'between', compare: [1, 3] })).toBeTrue();
+        expect(matchesFilterTree(task, { key: 'due', op: '<', compare: new Date('2022-02-01') })).toBeTrue();
+        expect(matchesFilterTree(task, { key: 'tags', op: 'contains', compare: ['ui', 'bug'] })).toBeTrue();
+        expect(matchesFilterTree(task, { key: 'assignee', op: 'like', compare: 'EW*' })).toBeTrue();
+        expect(matchesFilterTree(task, { key: 'closed', op: '!exists' })).toBeTrue();
+        expect(() => matchesFilterTree(task, { key: 'status', op: 'fulltext:contains', compare: 'open' })).toThrowError(/cannot be evaluated/);
+    });
+
+    it('groups', () => {
+        const isOpen = { key: 'status', op: '==', compare: 'open' };
+        const isMine = { key: 'assignee', op: '==', compare: 'me' };
+        expect(matchesFilterTree(task, { or: [isOpen, isMine] })).toBeTrue();
+        expect(matchesFilterTree(task, { and: [isOpen, isMine] })).toBeFalse();
+        expect(matchesFilterTree(task, { not: { and: [isOpen, isMine] } })).toBeTrue();
+        expect(matchesFilterTree(task, { or: [] })).toBeFalse();
+        expect(matchesFilterTree(task, { and: [] })).toBeTrue();
+    });
+
+    it('queries', () => {
+        expect(matchesQuery(task, { filters: [{ key: 'status', op: '==', compare: 'closed' }] })).toBeFalse();
+        // filterTree takes precedence over the flat filters it contains
+        expect(matchesQuery(task, {
+            filters: [{ key: 'status', op: '==', compare: 'closed' }],
+            filterTree: { or: [{ key: 'status', op: '==', compare: 'closed' }, { key: 'assignee', op: '==', compare: 'ewout' }] },
+        })).toBeTrue();
+        expect(matchesQuery(null, { filters: [] })).toBeFalse();
+    });
+});
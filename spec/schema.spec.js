@@ -0,0 +1,156 @@
+const { SchemaDefinition } = require('../dist/cjs/schema');
+
+describe('SchemaDefinition', () => {
+
+    it('types', () => {
+        const schema = new SchemaDefinition('{ name: string, born?: Date, tags?: string[], role: "admin"|"user" }');
+        expect(schema.check('users/ewout', { name: 'Ewout', role: 'admin' }, false).ok).toBeTrue();
+        expect(schema.check('users/ewout', { name: 'Ewout', role: 'guest' }, false).ok).toBeFalse();
+        expect(schema.check('users/ewout', { name: 1, role: 'user' }, false).reason).toBe('path "users/ewout/name" must be typeof string');
+        expect(schema.check('users/ewout', { name: 'Ewout', role: 'user', tags: [1] }, false).ok).toBeFalse();
+    });
+
+    it('number constraints', () => {
+        const schema = new SchemaDefinition({ percentage: 'number(0..100)', count: 'integer(1..)', 'delta?': 'number(-1.5..1.5)' });
+        expect(schema.check('stats', { percentage: 50, count: 1 }, false).ok).toBeTrue();
+        expect(schema.check('stats', { percentage: 101, count: 1 }, false).reason).toBe('path "stats/percentage" must be <= 100 (max constraint)');
+        expect(schema.check('stats', { percentage: 100, count: 0 }, false).reason).toBe('path "stats/count" must be >= 1 (min constraint)');
+        expect(schema.check('stats', { percentage: 0, count: 1.5 }, false).reason).toBe('path "stats/count" must be an integer');
+        expect(schema.check('stats', { percentage: 0, count: 1, delta: -2 }, false).reason).toBe('path "stats/delta" must be >= -1.5 (min constraint)');
+        expect(schema.check('stats', -1, false, ['percentage']).ok).toBeFalse();
+    });
+
+    it('string and array constraints', () => {
+        const schema = new SchemaDefinition('{ name: string(1..64), code?: string(length: 2), tags?: Array<string(..10)>(max: 3), scores?: number[](min: 1) }');
+        expect(schema.check('user', { name: 'Ewout', code: 'NL', tags: ['a', 'b'], scores: [1] }, false).ok).toBeTrue();
+        expect(schema.check('user', { name: '' }, false).reason).toBe('path "user/name" must be at least 1 characters long (min constraint)');
+        expect(schema.check('user', { name: 'Ewout', code: 'NLD' }, false).reason).toBe('path "user/code" must be at most 2 characters long (max constraint)');
+        expect(schema.check('user', { name: 'Ewout', tags: ['a', 'b', 'c', 'd'] }, false).reason).toBe('path "user/tags" must have at most 3 items (max constraint)');
+        expect(schema.check('user', { name: 'Ewout', tags: ['way too long tag'] }, false).ok).toBeFalse();
+        expect(schema.check('user', { name: 'Ewout', scores: [] }, false).reason).toBe('path "user/scores" must have at least 1 items (min constraint)');
+    });
+
+    it('string formats', () => {
+        const schema = new SchemaDefinition({ email: 'email', id: 'uuid', 'date?': 'iso-date' });
+        const valid = { email: 'me@appy.one', id: '0f8fad5b-d9cb-469f-a165-70867728950e', date: '2022-08-19T12:00:00Z' };
+        expect(schema.check('item', valid, false).ok).toBeTrue();
+        expect(schema.check('item', { ...valid, email: 'me@appy' }, false).reason).toBe('path "item/email" must be a valid email address (email format)');
+        expect(schema.check('item', { ...valid, id: '1234' }, false).reason).toBe('path "item/id" must be a valid uuid (uuid format)');
+        expect(schema.check('item', { ...valid, date: '2022-13-45' }, false).reason).toBe('path "item/date" must be a valid ISO 8601 date (iso-date format)');
+    });
+
+    it('invalid constraints', () => {
+        expect(() => new SchemaDefinition('boolean(0..1)')).toThrowError(/can only be used on number, string and array types/);
+        expect(() => new SchemaDefinition('string(size: 1)')).toThrowError(/Unknown constraint "size"/);
+        expect(() => new SchemaDefinition('string(-1..)')).toThrowError(/positive whole numbers/);
+        expect(() => new SchemaDefinition('string(length: -2)')).toThrowError(/positive whole numbers/);
+        expect(() => new SchemaDefinition('number(5..1)')).toThrowError(/Min constraint 5 before position 12 is larger than max constraint 1/);
+        expect(() => new SchemaDefinition('string[](min: 3, max: 2)')).toThrowError(/larger than max constraint/);
+        expect(new SchemaDefinition('number(-5..-1)').check('n', -3, false).ok).toBeTrue();
+    });
+
+    it('reporting all errors', () => {
+        const schema = new SchemaDefinition('{ name: string, email: email, age?: integer(0..), tags?: string[], *: boolean }');
+        const value = { email: 'nope', age: 1.5, tags: ['a', 2, 'c', false], extra: 'yes' };
+
+        // Default mode stops at the first error
+        expect(schema.check('users/ewout', value, false)).toEqual({ ok: false, reason: 'Property at path "users/ewout/name" is not optional' });
+
+        const result = schema.check('users/ewout', value, false, undefined, { allErrors: true });
+        expect(result.ok).toBeFalse();
+        expect(result.reason).toBe('Property at path "users/ewout/name" is not optional');
+        expect(result.errors.map(({ path, rule, expected, actual }) => ({ path, rule, expected, actual }))).toEqual([
+            { path: 'users/ewout/name', rule: 'required', expected: ['string'], actual: 'undefined' },
+            { path: 'users/ewout/email', rule: 'format', expected: ['email'], actual: 'string' },
+            { path: 'users/ewout/age', rule: 'integer', expected: ['integer'], actual: 'number' },
+            { path: 'users/ewout/tags[1]', rule: 'type', expected: ['string'], actual: 'number' },
+            { path: 'users/ewout/tags[3]', rule: 'type', expected: ['string'], actual: 'boolean' },
+            { path: 'users/ewout/extra', rule: 'type', expected: ['boolean'], actual: 'string' },
+        ]);
+        expect(result.errors[1].message).toBe('path "users/ewout/email" must be a valid email address (email format)');
+
+        expect(schema.check('users/ewout', { name: 'Ewout', email: 'me@appy.one' }, false, undefined, { allErrors: true })).toEqual({ ok: true, errors: [] });
+
+        const strict = new SchemaDefinition('{ name: string }');
+        const errors = strict.check('item', { name: 'a', b: 1, c: 2 }, false, undefined, { allErrors: true }).errors;
+        expect(errors.map(e => `${e.rule}:${e.path}`)).toEqual(['property:item/b', 'property:item/c']);
+    });
+
+    it('TypeScript export', () => {
+        const schema = new SchemaDefinition('{ name: string, role: "admin"|"user", age?: integer(0..), born?: Date, tags?: string[], settings?: { theme: string, $key: boolean|number } }');
+        expect(schema.toTypeScript('User')).toBe([
+            'export interface User {',
+            '    name: string;',
+            '    role: \'admin\' | \'user\';',
+            '    age?: number;',
+            '    born?: Date;',
+            '    tags?: string[];',
+            '    settings?: {',
+            '        theme: string;',
+            '        [key: string]: boolean | number | string;',
+            '    };',
+            '}',
+        ].join('\n'));
+        expect(new SchemaDefinition('Array<string|number>').toTypeScript()).toBe('export type Schema = Array<string | number>;');
+    });
+
+    it('JSON Schema export', () => {
+        const schema = new SchemaDefinition('{ name: string(1..), email?: email, age?: integer(0..150), born?: Date, role: "admin"|"user", tags?: string[](max: 5), *: boolean }');
+        expect(schema.toJSONSchema()).toEqual({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                email: { type: 'string', format: 'email' },
+                age: { type: 'integer', minimum: 0, maximum: 150 },
+                born: { type: 'string', format: 'date-time', 'x-acebase-type': 'Date' },
+                role: { anyOf: [{ const: 'admin' }, { const: 'user' }] },
+                tags: { type: 'array', items: { type: 'string' }, maxItems: 5 },
+            },
+            required: ['name', 'role'],
+            additionalProperties: { type: 'boolean' },
+        });
+        expect(() => new SchemaDefinition('/^[a-z]+$/i').toJSONSchema()).toThrowError(/patterns do not support flags/);
+
+        // iso-date allows values that the "date-time" format does not
+        const date = new SchemaDefinition('iso-date').toJSONSchema();
+        expect(date.format).toBeUndefined();
+        expect(date['x-acebase-format']).toBe('iso-date');
+        ['2024-01-01', '2024-01-01T10:00', '2024-01-01T10:00:00.000Z'].forEach(value => expect(new RegExp(date.pattern).test(value)).toBeTrue());
+    });
+
+    it('JSON Schema import', () => {
+        const schema = SchemaDefinition.fromJSONSchema({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            properties: {
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string', maxLength: 64 },
+                score: { type: ['number', 'null'], minimum: 0 },
+                level: { type: 'integer', exclusiveMinimum: 0 },
+                status: { enum: ['active', 'blocked'] },
+                path: { type: 'string', pattern: '^/[a-z/]*$' },
+                address: { $ref: '#/$defs/address' },
+                tags: { type: 'array', items: { type: 'string' }, minItems: 1 },
+            },
+            required: ['id', 'name'],
+            additionalProperties: false,
+            $defs: {
+                address: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+            },
+        });
+        expect(schema.text).toBe('{id:uuid,name:string(..64),score?:number(0..),level?:integer(1..),status?:"active"|"blocked",path?:/^\\/[a-z\\/]*$/,address?:{city:string,*:any},tags?:Array<string>(1..)}');
+        const value = { id: '0f8fad5b-d9cb-469f-a165-70867728950e', name: 'Ewout', level: 1, status: 'active', path: '/a/b', address: { city: 'Amsterdam', zip: '1000AA' }, tags: ['a'] };
+        expect(schema.check('item', value, false).ok).toBeTrue();
+        expect(schema.check('item', { ...value, level: 0 }, false).ok).toBeFalse();
+        expect(schema.check('item', { ...value, status: 'deleted' }, false).ok).toBeFalse();
+        expect(schema.check('item', { ...value, path: 'a/b' }, false).ok).toBeFalse();
+
+        // Round trip
+        const original = new SchemaDefinition('{ name: string(1..), born?: Date, date?: iso-date, role: "admin"|"user", tags?: string[], $key: number }');
+        expect(SchemaDefinition.fromJSONSchema(original.toJSONSchema()).toJSONSchema()).toEqual(original.toJSONSchema());
+
+        expect(() => SchemaDefinition.fromJSONSchema({ allOf: [] })).toThrowError(/allOf/);
+        expect(() => SchemaDefinition.fromJSONSchema({ $defs: { node: { type: 'object', properties: { next: { $ref: '#/$defs/node' } } } }, $ref: '#/$defs/node' })).toThrowError(/recursive/);
+    });
+});
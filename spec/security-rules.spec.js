@@ -0,0 +1,77 @@
+const { SecurityRules } = require('../dist/cjs/security-rules');
+
+describe('SecurityRules', () => {
+
+    const rules = new SecurityRules({
+        rules: {
+            '.read': false,
+            users: {
+                $uid: {
+                    '.read': 'auth !== null',
+                    '.write': 'auth !== null && auth.uid === $uid',
+                    '.validate': 'newData.hasChildren(["name"])',
+                    name: { '.validate': 'typeof newData.val() === "string" && newData.val().length <= 20' },
+                    posts: {
+                        $postId: {
+                            '.validate': env => env.newData.child('created').val() <= env.now,
+                        },
+                    },
+                },
+            },
+            admin: {
+                '.read': 'root.child("admins").hasChild(auth.uid)',
+            },
+        },
+    });
+    const data = { users: { ewout: { name: 'Ewout', posts: {} } }, admins: { annet: true } };
+
+    it('read rules', () => {
+        expect(rules.canRead('users/ewout/name', { auth: { uid: 'annet' }, data })).toEqual({ allow: true, rule: 'users/$uid/.read' });
+        expect(rules.canRead('users/ewout', { auth: null, data })).toEqual({ allow: false, reason: jasmine.stringMatching(/denied by rule "users\/\$uid\/.read"/), rule: 'users/$uid/.read' });
+        expect(rules.canRead('', { auth: { uid: 'ewout' }, data }).allow).toBeFalse();
+        expect(rules.canRead('admin/settings', { auth: { uid: 'annet' }, data }).allow).toBeTrue();
+
+        // Errors in expressions deny access
+        expect(rules.canRead('admin', { auth: null, data }).allow).toBeFalse();
+    });
+
+    it('write and validate rules', () => {
+        const auth = { uid: 'ewout' };
+        expect(rules.canWrite('users/ewout/name', 'Ewout de Vries', { auth, data })).toEqual({ allow: true, rule: 'users/$uid/.write' });
+        expect(rules.canWrite('users/annet/name', 'Annet', { auth, data }).allow).toBeFalse();
+
+        // Validation of the written node
+        expect(rules.canWrite('users/ewout/name', 'x'.repeat(21), { auth, data })).toEqual({ allow: false, reason: 'validation of "/users/ewout/name" failed by rule "users/$uid/name/.validate"', rule: 'users/$uid/name/.validate' });
+
+        // Validation of ancestors: the user must keep a name
+        expect(rules.canWrite('users/ewout/name', null, { auth, data }).rule).toBe('users/$uid/.validate');
+
+        // Validation of children, with now
+        const now = Date.now();
+        expect(rules.canWrite('users/ewout/posts', { post1: { created: now - 1 } }, { auth, data, now }).allow).toBeTrue();
+        expect(rules.canWrite('users/ewout/posts', { post1: { created: now + 1 } }, { auth, data, now }).rule).toBe('users/$uid/posts/$postId/.validate');
+
+        // Updates check each child
+        expect(rules.canWrite('users', { ewout: { name: 'Ewout' } }, { auth, data }, 'update').allow).toBeTrue();
+        expect(rules.canWrite('users', { ewout: { name: 'Ewout' }, annet: { name: 'Annet' } }, { auth, data }, 'update').allow).toBeFalse();
+        expect(rules.canWrite('users/ewout', { name: 5 }, { auth, data }, 'update').allow).toBeFalse();
+
+        // Removing a node skips validation
+        expect(rules.canWrite('users/ewout', null, { auth, data }).allow).toBeTrue();
+
+        // Empty updates only require write access
+        expect(rules.canWrite('users/ewout', {}, { auth, data }, 'update')).toEqual({ allow: true, rule: 'users/$uid/.write' });
+        expect(rules.canWrite('users/annet', {}, { auth, data }, 'update').allow).toBeFalse();
+
+        // Keys of inherited object members match $variables
+        expect(rules.canWrite('users/__proto__', { name: 'Proto' }, { auth: { uid: '__proto__' }, data })).toEqual({ allow: true, rule: 'users/$uid/.write' });
+        expect(rules.canWrite('users/__proto__', { name: 5 }, { auth: { uid: '__proto__' }, data }).rule).toBe('users/$uid/name/.validate');
+        expect(rules.canRead('users/constructor', { auth, data }).rule).toBe('users/$uid/.read');
+    });
+
+    it('invalid rules', () => {
+        expect(() => new SecurityRules({ '.delete': true })).toThrow();
+        expect(() => new SecurityRules({ users: { $uid: {}, $other: {} } })).toThrow();
+        expect(() => new SecurityRules({ users: { '.read': 'auth.uid ===' } })).toThrowError(/Invalid expression for rule "users\/.read"/);
+    });
+});
@@ -0,0 +1,27 @@
+const { readLines, importChildren } = require('../dist/cjs/stream-formats');
+
+describe('Stream formats', () => {
+
+    const collect = async generator => {
+        const items = [];
+        for await (const item of generator) { items.push(item); }
+        return items;
+    };
+    const chunked = (chunks) => () => chunks.shift();
+
+    it('readLines', async () => {
+        // Multi-byte characters split over binary chunks
+        const bytes = new TextEncoder().encode('één\r\ntwee\n\ndrie €');
+        const chunks = [bytes.slice(0, 1), bytes.slice(1, 9), bytes.slice(9, 17), bytes.slice(17)];
+        expect(await collect(readLines(chunked(chunks)))).toEqual(['één', 'twee', '', 'drie €']);
+        expect(await collect(readLines(chunked(['a\nb', 'c\n'])))).toEqual(['a', 'bc']);
+    });
+
+    it('csv with quoted line breaks', async () => {
+        const csv = 'key,text,count\na,"line 1\nline 2",1\nb,"",\n';
+        const children = await collect(importChildren('csv', chunked([csv]), { columns: ['text', { name: 'count', key: 'count', type: 'number' }] }));
+        expect(children).toEqual([{ key: 'a', value: { text: 'line 1\nline 2', count: 1 } }, { key: 'b', value: { text: '' } }]);
+        await expectAsync(collect(importChildren('csv', chunked(['key,text\na,"open\n']), {}))).toBeRejectedWithError(/unclosed quoted field/);
+        await expectAsync(collect(importChildren('ndjson', chunked(['{"path":"a","value":1}\nnope\n']), {}))).toBeRejectedWithError(/Invalid JSON on line 2/);
+    });
+});
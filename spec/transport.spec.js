@@ -1,4 +1,4 @@
-const { serialize, deserialize, serialize2, deserialize2, detectSerializeVersion } = require('../dist/cjs/transport');
+const { serialize, deserialize, serialize2, deserialize2, serializeBinary, deserializeBinary, detectSerializeVersion } = require('../dist/cjs/transport');
 const { PartialArray } = require('../dist/cjs/partial-array');
 const { encodeString } = require('../dist/cjs/utils');
 const { PathReference } = require('../dist/cjs/path-reference');
@@ -235,4 +235,48 @@ describe('Transport (de)serializing', () => {
         ver = detectSerializeVersion(ser);
         expect(ver).toBe(2);
     });
+
+    it('binary values', () => {
+        const val = {
+            text: 'Unicode text ✓',
+            numbers: [0, -1, 127, 128, -129, 2 ** 31, -(2 ** 31) - 1, 1.5, NaN, Infinity],
+            flags: [true, false, null],
+            date: new Date(),
+            binary: encodeString('AceBase').buffer,
+            ref: new PathReference('users/ewout'),
+            regexp: /^[a-z]+$/gi,
+            big: BigInt('123456789012345678901234567890'),
+            negative: BigInt(-255),
+            zero: BigInt(0),
+            nested: { partial: new PartialArray({ 2: 'two', 10: { date: new Date(0) } }) },
+        };
+        const ser = serializeBinary(val);
+        expect(ser instanceof Uint8Array).toBeTrue();
+        expect(detectSerializeVersion(ser)).toBe(3);
+        expect(detectSerializeVersion(ser.buffer)).toBe(3);
+
+        const check = deserializeBinary(ser);
+        expect(check).toEqual(val);
+        expect(check.nested.partial instanceof PartialArray).toBeTrue();
+        expect(Object.is(deserializeBinary(serializeBinary(-0)), -0)).toBeTrue();
+
+        // Round trips with v1 and v2 serialization
+        expect(deserializeBinary(serializeBinary(deserialize2(serialize2(val))))).toEqual(val);
+        expect(deserialize2(serialize2(deserializeBinary(ser)))).toEqual(val);
+        const simple = { name: 'AceBase', date: new Date(), list: [1, 'two', { three: 3 }] };
+        expect(deserialize(serialize(deserializeBinary(serializeBinary(simple))))).toEqual(simple);
+
+        // Dates and binary data are stored as raw bytes
+        expect(serializeBinary(val.date).length).toBeLessThan(JSON.stringify(serialize2(val.date)).length);
+
+        // Keys can't replace prototypes
+        const polluted = deserializeBinary(serializeBinary(JSON.parse('{"__proto__":{"polluted":true},"a":1}')));
+        expect(Object.getPrototypeOf(polluted)).toBe(Object.prototype);
+        expect(polluted.polluted).toBeUndefined();
+        expect(Object.keys(polluted)).toEqual(['__proto__', 'a']);
+
+        // Invalid data
+        expect(() => deserializeBinary(encodeString('{}'))).toThrow();
+        expect(() => deserializeBinary(ser.slice(0, ser.length - 1))).toThrow();
+    });
 });
@@ -0,0 +1,56 @@
+const { AceBaseMemory } = require('../dist/cjs/acebase-memory');
+
+describe('Triggers', () => {
+
+    let db;
+    beforeEach(async () => {
+        db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+        await db.ready();
+    });
+
+    const tick = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('maintain counters and denormalized values', async () => {
+        const changes = [];
+        const counter = db.triggers.define('posts/$postId/comments/$commentId', {
+            async onWrite(change, context) {
+                changes.push({ type: change.type, path: context.path, vars: { postId: context.vars.postId, commentId: context.vars.$commentId } });
+                if (change.type === 'update') { return; }
+                await context.transaction('posts/$postId/commentCount', count => (count ?? 0) + (change.type === 'create' ? 1 : -1));
+            },
+        });
+        db.triggers.define('posts/$postId', {
+            async onWrite(change, context) {
+                if (change.type === 'delete' || (change.type === 'update' && change.changes.forChild('title') === 'identical')) { return; }
+                await context.transaction(`users/${change.after.author}/lastPostTitle`, () => change.after.title);
+            },
+        });
+        expect(db.triggers.list.length).toBe(2);
+
+        await db.ref('posts/post1').set({ title: 'Hello', author: 'ewout' });
+        // Racing writes are all counted
+        await Promise.all([
+            db.ref('posts/post1/comments/c1').set({ text: 'First' }),
+            db.ref('posts/post1/comments/c2').set({ text: 'Second' }),
+            db.ref('posts/post1/comments').update({ c3: { text: 'Third' } }),
+        ]);
+        await db.ref('posts/post1/comments/c1/text').set('First!');
+        await db.ref('posts/post1/comments/c2').remove();
+        await tick();
+
+        expect((await db.ref('posts/post1/commentCount').get()).val()).toBe(2);
+        expect((await db.ref('users/ewout/lastPostTitle').get()).val()).toBe('Hello');
+        expect(changes.map(c => c.type)).toEqual(['create', 'create', 'create', 'update', 'delete']);
+        expect(changes[0]).toEqual({ type: 'create', path: 'posts/post1/comments/c1', vars: { postId: 'post1', commentId: 'c1' } });
+
+        // Writes of the trigger itself are not delivered to it, stopped triggers do not run
+        counter.stop();
+        expect(db.triggers.list.length).toBe(1);
+        await db.ref('posts/post1/comments/c4').set({ text: 'Fourth' });
+        await tick();
+        expect((await db.ref('posts/post1/commentCount').get()).val()).toBe(2);
+        expect(changes.length).toBe(5);
+
+        expect(() => db.triggers.define('posts/$postId', {})).toThrow();
+    });
+});
@@ -19,9 +19,14 @@
 import { SimpleEventEmitter } from './simple-event-emitter';
 import { DataReference, DataReferenceQuery } from './data-reference';
 import { TypeMappings } from './type-mappings';
+import { Triggers } from './triggers';
+import { SchemaMigrations, ISchemaMigration, ISchemaMigrationOptions } from './migrations';
 import { setObservable } from './optional-observable';
 import { Api } from './api';
+import { PathInfo } from './path-info';
+import type { ISchemaCheckOptions } from './schema';
 import { DebugLogger } from './debug';
+import { ID, IDGeneratorName, IIDGenerator } from './id';
 import { ColorStyle, SetColorsEnabled } from './simple-colors';
 
 export class AceBaseBaseSettings {
@@ -29,6 +34,8 @@ export class AceBaseBaseSettings {
     logColors?: boolean;
     info?: string;
     sponsor?: boolean;
+    logger?: DebugLogger;
+    idGenerator?: IDGeneratorName|IIDGenerator;
 
     constructor(options: Partial<AceBaseBaseSettings>) {
         if (typeof options !== 'object') { options = {}; }
@@ -36,6 +43,8 @@ export class AceBaseBaseSettings {
         this.logColors = typeof options.logColors === 'boolean' ? options.logColors : true;
         this.info = typeof options.info === 'string' ? options.info : undefined;
         this.sponsor = typeof options.sponsor === 'boolean' ? options.sponsor : false;
+        this.logger = options.logger instanceof DebugLogger ? options.logger : undefined;
+        this.idGenerator = options.idGenerator ?? 'cuid';
     }
 }
 
@@ -45,6 +54,11 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
     api: Api;
     debug: DebugLogger;
     types: TypeMappings;
+    triggers: Triggers;
+    /** (for internal use) translates migrated values, use `db.schema.migrate` to define migrations */
+    migrations: SchemaMigrations;
+    /** generates keys for `ref.push()` */
+    idGenerator: IIDGenerator;
     readonly name: string;
 
     /**
@@ -55,9 +69,16 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
         options = new AceBaseBaseSettings(options || {});
 
         this.name = dbname;
+        this.idGenerator = ID.createGenerator(options.idGenerator);
 
-        // Setup console logging
-        this.debug = new DebugLogger(options.logLevel, `[${dbname}]`);
+        // Setup logging, use the given logger or log to the console
+        if (options.logger) {
+            this.debug = options.logger;
+            this.debug.db ||= dbname;
+        }
+        else {
+            this.debug = new DebugLogger({ level: options.logLevel, db: dbname });
+        }
 
         // Enable/disable logging with colors
         SetColorsEnabled(options.logColors);
@@ -83,6 +104,12 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
         // Setup type mapping functionality
         this.types = new TypeMappings(this);
 
+        // Setup triggers
+        this.triggers = new Triggers(this);
+
+        // Setup schema migrations
+        this.migrations = new SchemaMigrations(this);
+
         this.once('ready', () => {
             // console.log(`database "${dbname}" (${this.constructor.name}) is ready to use`);
             this._ready = true;
@@ -151,6 +178,47 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
         return new DataReferenceQuery(ref);
     }
 
+    /**
+     * Atomically writes values to multiple (unrelated) paths in the database: either all values are stored, or none are.
+     * Type mappings and schemas are applied to each target, events are triggered once all values have been stored.
+     * @param updates flat map of absolute target paths and the values to store at them. Use `null` to remove a node
+     * @param options optional context to use for the database operation
+     * @example
+     * await db.multiUpdate({
+     *     'users/u1/balance': 90,
+     *     'users/u2/balance': 110,
+     *     'ledger/tx1': { from: 'u1', to: 'u2', amount: 10 }
+     * });
+     */
+    async multiUpdate(updates: Record<string, any>, options: { context?: any } = {}): Promise<{ cursor?: string }> {
+        if (typeof updates !== 'object' || updates === null) {
+            throw new TypeError('updates must be an object');
+        }
+        const serialized: Record<string, any> = {};
+        Object.keys(updates).forEach(key => {
+            const path = PathInfo.get(key).path;
+            const value = updates[key];
+            if (path === '') {
+                throw new Error('Cannot set the root object. Use update, or set individual child properties');
+            }
+            if (path.includes('*') || path.includes('$')) {
+                throw new Error(`Cannot update wildcard path "/${path}"`);
+            }
+            if (typeof value === 'undefined') {
+                throw new TypeError(`Cannot store undefined value in "/${path}"`);
+            }
+            const overlapping = Object.keys(serialized).find(other => PathInfo.get(other).isOnTrailOf(path));
+            if (overlapping) {
+                throw new Error(`Cannot update both "/${overlapping}" and "/${path}" because they overlap`);
+            }
+            serialized[path] = this.types.serialize(path, value);
+        });
+        if (!this.isReady) {
+            await this.ready();
+        }
+        return this.api.multiUpdate(serialized, { context: options.context });
+    }
+
     get indexes() {
         return {
             /**
@@ -197,8 +265,11 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
             all: () => {
                 return this.api.getSchemas();
             },
-            check: (path: string, value: unknown, isUpdate: boolean) => {
-                return this.api.validateSchema(path, value, isUpdate);
+            check: (path: string, value: unknown, isUpdate: boolean, options?: ISchemaCheckOptions) => {
+                return this.api.validateSchema(path, value, isUpdate, options);
+            },
+            migrate: <T = any>(path: string, migration: ISchemaMigration<T>, options?: ISchemaMigrationOptions) => {
+                return this.migrations.migrate(path, migration, options);
             },
         };
     }
@@ -0,0 +1,40 @@
+import { AceBaseBase, AceBaseBaseSettings } from './acebase-base';
+import { MemoryApi, MemoryApiSettings } from './memory-api';
+
+export class AceBaseMemorySettings extends AceBaseBaseSettings {
+    /**
+     * Transaction (mutations) logging settings. Logging is enabled by default, which allows
+     * `ref.getMutations` and `ref.getChanges` to be used
+     */
+    transactions?: MemoryApiSettings['transactions'];
+
+    constructor(options: Partial<AceBaseMemorySettings>) {
+        super(options);
+        if (typeof options !== 'object') { options = {}; }
+        this.transactions = typeof options.transactions === 'object' ? options.transactions : {};
+    }
+}
+
+/**
+ * AceBase database that keeps all data in memory, using the `MemoryApi`. Data is lost once the instance is garbage collected.
+ * Use it to test code built on `DataReference`, `DataReferenceQuery` or `LiveDataProxy` without a storage backend.
+ * @example
+ * const db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+ * await db.ready();
+ * await db.ref('users/ewout').set({ name: 'Ewout' });
+ */
+export class AceBaseMemory extends AceBaseBase {
+    api: MemoryApi;
+
+    /**
+     * @param dbname Name of the database
+     * @param options Database settings
+     */
+    constructor(dbname = 'memory', options: Partial<AceBaseMemorySettings> = {}) {
+        const settings = new AceBaseMemorySettings(options);
+        super(dbname, settings);
+        this.api = new MemoryApi(dbname, { db: this, transactions: settings.transactions }, () => {
+            this.emit('ready');
+        });
+    }
+}
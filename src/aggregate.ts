@@ -0,0 +1,133 @@
+import { getPropertyValue } from './query-filter';
+
+export type AggregateFunction = 'count'|'sum'|'avg'|'min'|'max';
+
+/**
+ * Aggregates to compute, eg `{ total: ['sum', 'price'], rating: ['avg', 'rating'], count: ['count'] }`.
+ * `count` without a key counts all results, with a key it counts results that have a value for that key
+ */
+export type AggregateSpec = Record<string, [AggregateFunction] | [AggregateFunction, string|number]>;
+
+export interface AggregateGroup {
+    /** value of the `groupBy` key the results in this group have, `null` if results were not grouped */
+    group: any,
+    /** computed aggregates */
+    values: Record<string, any>
+}
+
+const functions: AggregateFunction[] = ['count', 'sum', 'avg', 'min', 'max'];
+
+const compare = (a: any, b: any) => {
+    const x = a instanceof Date ? a.getTime() : a, y = b instanceof Date ? b.getTime() : b;
+    return x < y ? -1 : x > y ? 1 : 0;
+};
+
+class Accumulator {
+    count = 0;
+    sum = 0;
+    numbers = 0;
+    min: any = null;
+    max: any = null;
+
+    add(value: any) {
+        if (value === null || typeof value === 'undefined') { return; }
+        this.count++;
+        if (typeof value === 'number') {
+            this.sum += value;
+            this.numbers++;
+        }
+        if (['number', 'string', 'bigint'].includes(typeof value) || value instanceof Date) {
+            if (this.min === null || compare(value, this.min) < 0) { this.min = value; }
+            if (this.max === null || compare(value, this.max) > 0) { this.max = value; }
+        }
+    }
+}
+
+/**
+ * Computes aggregates of query results one result at a time. Used by `DataReferenceQuery` to aggregate
+ * on the client if the `Api` has no native support, and by `Api` implementations that compute them locally.
+ */
+export class QueryAggregator {
+    private groups = new Map<any, { group: any, total: number, accumulators: Map<string, Accumulator> }>();
+
+    /**
+     * @param aggregates aggregates to compute
+     * @param groupBy key to group results by
+     */
+    constructor(public readonly aggregates: AggregateSpec, public readonly groupBy?: string|number) {
+        if (typeof aggregates !== 'object' || aggregates === null || Object.keys(aggregates).length === 0) {
+            throw new TypeError('aggregates must be an object with at least 1 aggregate');
+        }
+        Object.keys(aggregates).forEach(name => {
+            const [fn, key] = aggregates[name] instanceof Array ? aggregates[name] : [] as any[];
+            if (!functions.includes(fn)) {
+                throw new TypeError(`Unknown aggregate function "${fn}" for "${name}", use one of ${functions.join(', ')}`);
+            }
+            if (fn !== 'count' && !['string', 'number'].includes(typeof key)) {
+                throw new TypeError(`Aggregate "${name}" requires a key to compute the ${fn} of`);
+            }
+        });
+        if (!['string', 'number', 'undefined'].includes(typeof groupBy)) {
+            throw new TypeError('groupBy must be a string or number');
+        }
+    }
+
+    /**
+     * Keys the aggregates and grouping need, can be used to only load those properties of each result
+     */
+    get keys() {
+        const keys = Object.keys(this.aggregates)
+            .map(name => this.aggregates[name][1])
+            .concat(this.groupBy)
+            .filter(key => typeof key !== 'undefined');
+        return keys.filter((key, i) => keys.indexOf(key) === i);
+    }
+
+    /**
+     * Adds a result value
+     */
+    add(value: any) {
+        const group = typeof this.groupBy === 'undefined' ? null : getPropertyValue(value, this.groupBy);
+        const id = group instanceof Date ? `date:${group.getTime()}` : group;
+        if (!this.groups.has(id)) {
+            this.groups.set(id, { group, total: 0, accumulators: new Map() });
+        }
+        const item = this.groups.get(id);
+        item.total++;
+        // Add values once per key, multiple aggregates can use the same key
+        const keys = Object.keys(this.aggregates)
+            .map(name => this.aggregates[name][1])
+            .filter((key, i, keys) => typeof key !== 'undefined' && keys.indexOf(key) === i);
+        keys.forEach(key => {
+            if (!item.accumulators.has(String(key))) {
+                item.accumulators.set(String(key), new Accumulator());
+            }
+            item.accumulators.get(String(key)).add(getPropertyValue(value, key));
+        });
+    }
+
+    /**
+     * Gets the computed aggregates for each group, in the order groups were first encountered. If results are not grouped,
+     * a single group is returned (also if no results were added)
+     */
+    getGroups(): AggregateGroup[] {
+        if (typeof this.groupBy === 'undefined' && this.groups.size === 0) {
+            this.groups.set(null, { group: null, total: 0, accumulators: new Map() });
+        }
+        return [...this.groups.values()].map(item => {
+            const values = Object.keys(this.aggregates).reduce((values, name) => {
+                const [fn, key] = this.aggregates[name];
+                const accumulator = typeof key === 'undefined' ? null : item.accumulators.get(String(key)) ?? new Accumulator();
+                switch (fn) {
+                    case 'count': values[name] = accumulator ? accumulator.count : item.total; break;
+                    case 'sum': values[name] = accumulator.sum; break;
+                    case 'avg': values[name] = accumulator.numbers > 0 ? accumulator.sum / accumulator.numbers : null; break;
+                    case 'min': values[name] = accumulator.min; break;
+                    case 'max': values[name] = accumulator.max; break;
+                }
+                return values;
+            }, {} as Record<string, any>);
+            return { group: item.group, values };
+        });
+    }
+}
@@ -1,16 +1,37 @@
 /* eslint-disable @typescript-eslint/no-unused-vars */
+import type { ISchemaCheckOptions, ISchemaCheckResult } from './schema';
+import type { AggregateGroup, AggregateSpec } from './aggregate';
+import type { QueryFilterNode } from './query-filter';
+import type { CSVOptions, StreamFormat } from './stream-formats';
+
 // eslint-disable-next-line @typescript-eslint/no-empty-interface
 export interface IDataIndex {
     // TODO
 }
 
 export interface IApiQuery {
+    /** filters that must all match. If the query also has `filterTree`, these are the top level filters of that tree */
     filters: Array<{ key: string|number, op: string, compare: any }>
+    /**
+     * Complete filter expression, only set if the query has `or`, `and` or `not` groups. Contains all `filters`
+     * and groups in an `and` group. Use `matchesFilterTree` or `matchesQuery` to evaluate it against a value.
+     */
+    filterTree?: QueryFilterNode
     /** number of results to skip, useful for paging */
     skip: number
     /** number max number of results to return */
     take: number
     order: Array<{ key: string|number, ascending: boolean }>
+    /**
+     * Keyset pagination: only return results sorted after these values. Contains a value for each `order` key,
+     * optionally followed by a child key (or path for wildcard paths) to compare with if all sort values are equal
+     */
+    startAfter?: any[]
+    /**
+     * Keyset pagination: only return results sorted before these values. Contains a value for each `order` key,
+     * optionally followed by a child key (or path for wildcard paths) to compare with if all sort values are equal
+     */
+    endBefore?: any[]
 }
 
 export interface IApiQueryOptions {
@@ -62,9 +83,27 @@ export type StreamWriteFunction = (str: string) => void | Promise<void>
  */
 export type StreamReadFunction = (length: number) => string | ArrayBufferView | Promise<string|ArrayBufferView>;
 
+export interface IApiExportOptions {
+    /** export format, default is `'json'` */
+    format?: StreamFormat
+    /** whether to export `json` values with type information so they can be imported without loss, default is `true` */
+    type_safe?: boolean
+    /** column options for the `csv` format */
+    csv?: CSVOptions
+}
+
+export interface IApiImportOptions {
+    /** import format, default is `'json'` */
+    format?: StreamFormat
+    /** whether to suppress event notifications of imported data */
+    suppress_events?: boolean
+    /** column options for the `csv` format */
+    csv?: CSVOptions
+}
+
 export type ReflectionType = 'info'|'children';
 
-class NotImplementedError extends Error {
+export class NotImplementedError extends Error {
     constructor(name: string) { super(`${name} is not implemented`); }
 }
 
@@ -132,6 +171,12 @@ export abstract class Api {
      */
     stats(options?: any): Promise<any> { throw new NotImplementedError('stats'); }
 
+    /**
+     * Whether `query` and `aggregate` evaluate the `filterTree` of queries (`or`, `and` and `not` filter groups). If not,
+     * queries with filter groups are rejected with a `NotImplementedError` instead of returning results of the top level filters only
+     */
+    get supportsFilterGroups() { return false; }
+
     /**
      * @param path
      * @param event event to subscribe to ("value", "child_added" etc)
@@ -145,6 +190,12 @@ export abstract class Api {
 
     set(path: string, value: any, options: any): Promise<{ cursor?: string }> { throw new NotImplementedError('set'); }
 
+    /**
+     * Atomically writes values to multiple (unrelated) paths: either all values are stored, or none are.
+     * @param updates flat map of absolute target paths and the values to store at them (null to remove)
+     */
+    multiUpdate(updates: Record<string, any>, options: any): Promise<{ cursor?: string }> { throw new NotImplementedError('multiUpdate'); }
+
     get(path: string, options: any): Promise<{ value: any, context: any, cursor?: string }> { throw new NotImplementedError('get'); }
 
     transaction(path: string, callback: (val: any) => any, options: any): Promise<{ cursor?: string }> { throw new NotImplementedError('transaction'); }
@@ -153,13 +204,26 @@ export abstract class Api {
 
     query(path: string, query: IApiQuery, options:IApiQueryOptions): Promise<{ results: { path: string, val: any }[]|string[], context: any, stop(): Promise<void> }> { throw new NotImplementedError('query'); }
 
+    /**
+     * Computes aggregates of the results of a query, optionally grouped by the value of a key. If not implemented,
+     * `DataReferenceQuery` computes them by loading each result.
+     * @returns one group for each distinct `groupBy` value, or a single group if `groupBy` is not given
+     */
+    aggregate(path: string, query: IApiQuery, aggregates: AggregateSpec, groupBy?: string|number): Promise<AggregateGroup[]> { throw new NotImplementedError('aggregate'); }
+
     reflect(path: string, type: ReflectionType, args: any): Promise<any> { throw new NotImplementedError('reflect'); }
 
-    export(path: string, write: StreamWriteFunction, options: any): Promise<void>
-    export(path: string, stream: IStreamLike, options: any): Promise<void>
-    export(path: string, arg: any, options: any): Promise<void> { throw new NotImplementedError('export'); }
+    /**
+     * Exports the value of a node. Implementations can use `exportChildren` to support the `ndjson` and `csv` formats
+     */
+    export(path: string, write: StreamWriteFunction, options: IApiExportOptions): Promise<void>
+    export(path: string, stream: IStreamLike, options: IApiExportOptions): Promise<void>
+    export(path: string, arg: any, options: IApiExportOptions): Promise<void> { throw new NotImplementedError('export'); }
 
-    import(path: string, stream: StreamReadFunction, options: any): Promise<void> { throw new NotImplementedError('import'); }
+    /**
+     * Imports the value of a node. Implementations can use `importChildren` to support the `ndjson` and `csv` formats
+     */
+    import(path: string, stream: StreamReadFunction, options: IApiImportOptions): Promise<void> { throw new NotImplementedError('import'); }
 
     /** Creates an index on key for all child nodes at path */
     createIndex(path: string, key: string, options: any): Promise<IDataIndex> { throw new NotImplementedError('createIndex'); }
@@ -174,7 +238,13 @@ export abstract class Api {
 
     getSchemas(): Promise<IAceBaseSchemaInfo[]> { throw new NotImplementedError('getSchemas'); }
 
-    validateSchema(path: string, value: any, isUpdate: boolean): Promise<{ ok: boolean, reason?: string }> { throw new NotImplementedError('validateSchema'); }
+    validateSchema(path: string, value: any, isUpdate: boolean, options?: ISchemaCheckOptions): Promise<ISchemaCheckResult> { throw new NotImplementedError('validateSchema'); }
+
+    /** Records the schema version of the data stored at a (wildcard) path, set by schema migrations */
+    setSchemaVersion(path: string, version: number): Promise<void> { throw new NotImplementedError('setSchemaVersion'); }
+
+    /** Gets the recorded schema version of the data stored at a (wildcard) path, `0` if no version was recorded */
+    getSchemaVersion(path: string): Promise<number> { throw new NotImplementedError('getSchemaVersion'); }
 
     getMutations(filter: ({ cursor: string } | { timestamp: number }) & { path?:string, for?: Array<{ path: string, events: string[] }> }): Promise<{ used_cursor: string, new_cursor: string, mutations: ValueMutation[] }> { throw new NotImplementedError('getMutations'); }
 
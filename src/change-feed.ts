@@ -0,0 +1,166 @@
+import type { DataReference } from './data-reference';
+import type { ValueChange, ValueMutation } from './api';
+import { getObservable, IObservableLike } from './optional-observable';
+
+/**
+ * Persists the cursor of a change feed, so a restarted feed continues where it left off
+ */
+export interface IChangeFeedCursorStore {
+    /** Loads the stored cursor, `null` if there is none */
+    load(): string | null | Promise<string | null>
+    /** Stores the cursor of the last processed batch */
+    save(cursor: string): void | Promise<void>
+}
+
+export interface ChangeFeedOptions {
+    /**
+     * Cursor or date to start reading from. If not set, the cursor in the `store` is used. If there is none,
+     * all mutations in the transaction log are read
+     */
+    cursor?: string | Date | null
+    /**
+     * Whether to read compressed changes (`ValueChange` items, see `getChanges`) instead of mutations
+     * (`ValueMutation` items, see `getMutations`). Default is `false`
+     */
+    compress?: boolean
+    /**
+     * Store to load the cursor to start from, and to save the cursor of each processed batch to
+     */
+    store?: IChangeFeedCursorStore
+}
+
+export interface ChangeFeedBatch<T extends ValueMutation | ValueChange> {
+    /** cursor to continue reading after this batch with */
+    cursor: string
+    /** whether the batch was read after catching up with the transaction log */
+    live: boolean
+    /** mutations or changes in this batch */
+    items: T[]
+}
+
+interface IChangeFeedIteration {
+    stopped: boolean
+    wake: () => void
+}
+
+/**
+ * Reads mutations of a path and its children from the transaction log in batches, and continues reading when new
+ * mutations are made. Iterate it with `for await`, or use `observe()` to get an Observable. The cursor of a batch
+ * is saved to the `store` once it has been processed: when the next batch is requested by the iterator, or once
+ * the observer's `next` callback returns. Note that exiting a `for await` loop with `break` does not save the cursor of
+ * the last batch, use `stop()` instead.
+ *
+ * Live `"mutations"` events are only used to wake the feed: every batch is read from the transaction log using the
+ * cursor of the previous batch, so mutations made while catching up are never skipped or read twice.
+ * @example
+ * const feed = db.ref('products').changeFeed({ store: cursorStore });
+ * for await (const batch of feed) {
+ *     await searchIndex.apply(batch.items);
+ * }
+ */
+export class ChangeFeed<T extends ValueMutation | ValueChange = ValueMutation> implements AsyncIterable<ChangeFeedBatch<T>> {
+    private iterations = new Set<IChangeFeedIteration>();
+    private _cursor: string = null;
+
+    constructor(public readonly ref: DataReference, private options: ChangeFeedOptions = {}) {
+        if (typeof options.store !== 'undefined' && (typeof options.store?.load !== 'function' || typeof options.store?.save !== 'function')) {
+            throw new TypeError('store must have load and save methods');
+        }
+    }
+
+    /**
+     * Cursor of the last processed batch, `null` if no batches were processed yet
+     */
+    get cursor() {
+        return this._cursor;
+    }
+
+    [Symbol.asyncIterator](): AsyncGenerator<ChangeFeedBatch<T>, void, undefined> {
+        const iteration: IChangeFeedIteration = { stopped: false, wake: () => undefined };
+        return this.iterate(iteration);
+    }
+
+    private async *iterate(iteration: IChangeFeedIteration): AsyncGenerator<ChangeFeedBatch<T>, void, undefined> {
+        const { ref, options } = this;
+        let notified = false;
+        const onMutations = () => {
+            notified = true;
+            iteration.wake();
+        };
+        this.iterations.add(iteration);
+
+        // Listen for mutations before reading the log, so mutations made while catching up wake the feed
+        ref.on('mutations', onMutations);
+        try {
+            let cursor = typeof options.cursor !== 'undefined' ? options.cursor : (await options.store?.load()) ?? null;
+            let live = false;
+            while (!iteration.stopped) {
+                notified = false;
+                const result = options.compress === true ? await ref.getChanges(cursor) : await ref.getMutations(cursor);
+                const items = ('changes' in result ? result.changes : result.mutations) as T[];
+                cursor = result.new_cursor;
+                if (items.length > 0) {
+                    yield { cursor: result.new_cursor, live, items };
+
+                    // Batch has been processed
+                    this._cursor = result.new_cursor;
+                    await options.store?.save(result.new_cursor);
+                    continue;
+                }
+                live = true;
+                if (!notified && !iteration.stopped) {
+                    await new Promise<void>(resolve => { iteration.wake = resolve; });
+                    iteration.wake = () => undefined;
+                }
+            }
+        }
+        finally {
+            ref.off('mutations', onMutations);
+            this.iterations.delete(iteration);
+        }
+    }
+
+    /**
+     * Returns an Observable that emits the batches of the feed
+     */
+    observe(): IObservableLike<ChangeFeedBatch<T>> {
+        const Observable = getObservable();
+        return new Observable(observer => {
+            const iteration: IChangeFeedIteration = { stopped: false, wake: () => undefined };
+            const iterator = this.iterate(iteration);
+            let unsubscribed = false;
+            (async () => {
+                let result = await iterator.next();
+                while (!result.done && !unsubscribed) {
+                    observer.next(result.value);
+                    if (unsubscribed) { break; } // Unsubscribed by the observer
+                    result = await iterator.next();
+                }
+                if (unsubscribed) {
+                    // Finish the iterator if it is suspended at a batch, so it stops listening for mutations
+                    await iterator.return(undefined);
+                    return;
+                }
+                observer.complete?.();
+            })().catch(err => {
+                !unsubscribed && observer.error?.(err);
+            });
+            return () => {
+                unsubscribed = true;
+                iteration.stopped = true;
+                iteration.wake();
+                iterator.return(undefined); // Queued if a batch is being loaded
+            };
+        });
+    }
+
+    /**
+     * Stops all iterations and observables of the feed, after the batches being processed are done
+     */
+    stop() {
+        this.iterations.forEach(iteration => {
+            iteration.stopped = true;
+            iteration.wake();
+        });
+    }
+}
@@ -67,6 +67,18 @@ export interface ILiveDataProxy<T> {
      * Manually reloads current value. Is automatically done after server reconnects if no cursor is available (after sync_done event has fired)
      */
     reload(): Promise<void>
+    /**
+     * Whether there are local mutations that have not been written to the database yet because the connection was lost
+     */
+    readonly hasPendingMutations: boolean
+    /**
+     * Writes pending local mutations to the database. Is automatically done when the connection is restored
+     */
+    flush(): Promise<void>
+    /**
+     * Undo/redo history of local changes made through this proxy
+     */
+    readonly history: ILiveDataProxyHistory
     /**
      * @deprecated Use `.on('mutation', callback)`
      * Registers a callback function to call when the underlying data is being changed. This is optional.
@@ -86,6 +98,56 @@ export interface ILiveDataProxy<T> {
     off(event: 'cursor'|'mutation'|'error', callback: (event: any) => any): void;
 }
 
+/**
+ * Undo/redo history of a live data proxy. By default, all local changes made in the same tick are one undoable step,
+ * use `checkpoint` or `batch` to group changes into named steps. Remote changes are not part of the history: they are
+ * rebased onto undoable steps that changed their ancestor, they make undoable steps on the same or descendant paths
+ * irreversible, and they clear the redo steps they conflict with.
+ */
+export interface ILiveDataProxyHistory {
+    /**
+     * Whether there are local changes that can be undone
+     */
+    readonly canUndo: boolean
+    /**
+     * Whether there are undone changes that can be redone
+     */
+    readonly canRedo: boolean
+    /**
+     * Name of the step that will be undone next, `null` if it has no name or there is nothing to undo
+     */
+    readonly undoName: string
+    /**
+     * Name of the step that will be redone next, `null` if it has no name or there is nothing to redo
+     */
+    readonly redoName: string
+    /**
+     * Starts a new named step: all following local changes are undone and redone together, until the next checkpoint,
+     * `batch`, `undo` or `redo`
+     * @param name name of the step, eg `'Rename'`
+     */
+    checkpoint(name: string): void
+    /**
+     * Runs a callback and groups all local changes it makes into a single named step
+     * @param name name of the step
+     * @param callback function that changes the proxied value
+     * @returns returns the callback's return value
+     */
+    batch<T>(name: string, callback: () => T | Promise<T>): Promise<T>
+    /**
+     * Reverts the last step by applying the previous values of its mutations, in reverse order
+     */
+    undo(): Promise<void>
+    /**
+     * Reapplies the last undone step
+     */
+    redo(): Promise<void>
+    /**
+     * Removes all undo and redo steps
+     */
+    clear(): void
+}
+
 export interface LiveDataProxyOptions<ValueType> {
     /**
      * Default value to use for the proxy if the database path does not exist yet. This value will also be written to the database.
@@ -95,7 +157,83 @@ export interface LiveDataProxyOptions<ValueType> {
      * Cursor to use
      */
     cursor?: string
+    /**
+     * Store to persist local mutations in that have not been written to the database yet, because the connection was lost.
+     * Stored mutations are loaded again when a proxy is created for the same path, and written once the connection is available.
+     */
+    pendingStore?: ILiveDataProxyPendingStore
+    /**
+     * How to resolve a remote mutation on a path that has local mutations that have not been written to the database yet:
+     * - `'last-write-wins'`: (default) the remote mutation was received after the local mutation was made, the local mutation is discarded
+     * - `'local-wins'`: the local mutation is kept and will overwrite the remote value once written
+     * - a callback function that returns the value to use, eg by merging the `local` and `remote` values
+     */
+    conflictResolution?: 'last-write-wins'|'local-wins'|LiveDataProxyConflictResolver
+    /**
+     * Maximum amount of steps to keep in the undo history, default is `100`
+     */
+    historyLimit?: number
 }
+
+export interface LiveDataProxyPendingMutation {
+    /**
+     * Keys of the mutated target, relative to the proxied path
+     */
+    target: Array<string|number>
+    /**
+     * Local value to write
+     */
+    value: any
+    /**
+     * Value of the target before it was changed locally
+     */
+    previous: any
+    /**
+     * Time the target was changed locally
+     */
+    timestamp: number
+}
+
+/**
+ * Persists pending mutations of a live data proxy, eg in `localStorage`. Values can contain `Date` instances and other non-JSON types,
+ * use `Transport.serialize2` and `Transport.deserialize2` if the storage requires plain JSON
+ */
+export interface ILiveDataProxyPendingStore {
+    /**
+     * Loads the pending mutations stored previously
+     */
+    load(): LiveDataProxyPendingMutation[] | Promise<LiveDataProxyPendingMutation[]>
+    /**
+     * Replaces the stored pending mutations, called each time they change
+     */
+    save(mutations: LiveDataProxyPendingMutation[]): void | Promise<void>
+}
+
+export interface LiveDataProxyConflict {
+    /**
+     * Database path of the conflicting target
+     */
+    path: string
+    /**
+     * Value of the target before it was changed locally
+     */
+    previous: any
+    /**
+     * Local value that has not been written to the database yet
+     */
+    local: any
+    /**
+     * Value of the target after applying the remote mutation
+     */
+    remote: any
+}
+
+/**
+ * Resolves a conflict between a remote mutation and a pending local mutation, returns the value to use for the target.
+ * The returned value will be written to the database once the connection is available, unless it equals the remote value
+ */
+export type LiveDataProxyConflictResolver = (conflict: LiveDataProxyConflict) => any;
+
 export class LiveDataProxy {
     /**
      * Creates a live data proxy for the given reference. The data of the reference's path will be loaded, and kept in-sync
@@ -189,6 +327,8 @@ export class LiveDataProxy {
             if (proceed) {
                 clientEventEmitter.emit('cursor', context.acebase_cursor); // // NOTE: cursor is only present in mutations done remotely. For our own updates, server cursors are returned by ref.set and ref.update
                 localMutationsEmitter.emit('mutations', { origin: 'remote', snap });
+                resolveConflicts(mutations);
+                rebaseHistory(mutations);
             }
             else {
                 console.warn(`Cached value of live data proxy on "${ref.path}" appears outdated, will be reloaded`);
@@ -196,9 +336,154 @@ export class LiveDataProxy {
             }
         });
 
+        // Setup offline functionality: mutations that cannot be written because the connection is lost are kept
+        // in a pending queue, which is written to the database once the connection is restored
+        const pendingMutations: LiveDataProxyPendingMutation[] = [];
+        let connected = (ref.db as any).connected !== false; // AceBaseClient exposes its connection state, local databases are always connected
+        const onConnect = () => {
+            connected = true;
+            flush();
+        };
+        const onDisconnect = () => {
+            connected = false;
+        };
+        ref.db.on('connect', onConnect);
+        ref.db.on('disconnect', onDisconnect);
+
+        const savePendingMutations = async () => {
+            if (!options?.pendingStore) { return; }
+            try {
+                await options.pendingStore.save(pendingMutations.map(m => ({ target: m.target.slice(), value: cloneObject(m.value), previous: cloneObject(m.previous), timestamp: m.timestamp })));
+            }
+            catch (err) {
+                clientEventEmitter.emit('error', <ProxyObserveError>{ source: 'pending_store', message: `Error saving pending mutations of "/${ref.path}"`, details: err });
+            }
+        };
+        const addPendingMutations = (mutations: Array<{ target: RelativeNodeTarget, previous: any }>) => {
+            mutations.forEach(m => {
+                const pending = pendingMutations.find(p => RelativeNodeTarget.areEqual(p.target, m.target) || RelativeNodeTarget.isAncestor(p.target, m.target));
+                if (pending) {
+                    // Target (or its ancestor) is pending already, update its value
+                    pending.value = cloneObject(getTargetValue(cache, pending.target));
+                    pending.timestamp = Date.now();
+                    return;
+                }
+                // Pending mutations on descendants are overwritten by this one
+                for (let i = 0; i < pendingMutations.length; i++) {
+                    if (RelativeNodeTarget.isDescendant(pendingMutations[i].target, m.target)) {
+                        pendingMutations.splice(i, 1);
+                        i--;
+                    }
+                }
+                pendingMutations.push({ target: m.target, value: cloneObject(getTargetValue(cache, m.target)), previous: m.previous, timestamp: Date.now() });
+            });
+            savePendingMutations();
+        };
+        const replaceLocalValue = (target: RelativeNodeTarget, value: any, source: string) => {
+            // Changes the cached value of a target without writing it to the database, and notifies subscribers
+            const previous = cloneObject(getTargetValue(cache, target));
+            if (!applyChange(target, cloneObject(value))) {
+                return false;
+            }
+            const context:IProxyContext = { acebase_proxy: { id: proxyId, source } };
+            const mutationSnap = new DataSnapshot(getTargetRef(ref, target), value, false, previous, context);
+            clientEventEmitter.emit('mutation', { snapshot: mutationSnap, isRemote: false });
+            const snap = new MutationsDataSnapshot(ref, [{ target, val: value, prev: previous }], context);
+            localMutationsEmitter.emit('mutations', { origin: 'local', snap });
+            return true;
+        };
+
+        const writePendingMutations = async () => {
+            while (connected && pendingMutations.length > 0) {
+                const m = pendingMutations[0], value = m.value;
+                const targetRef = getTargetRef(ref, m.target);
+                const context:IProxyContext = { acebase_proxy: { id: proxyId, source: 'flush' } };
+                try {
+                    await targetRef.context(context).set(value);
+                    if (targetRef.cursor) {
+                        clientEventEmitter.emit('cursor', targetRef.cursor);
+                    }
+                }
+                catch (err) {
+                    if (!connected) {
+                        // Connection was lost again, retry when it is restored
+                        break;
+                    }
+                    clientEventEmitter.emit('error', <ProxyObserveError>{ source: 'flush', message: `Error writing pending mutation of "/${targetRef.path}"`, details: err });
+                    if (pendingMutations.includes(m)) {
+                        pendingMutations.splice(pendingMutations.indexOf(m), 1);
+                        replaceLocalValue(m.target, m.previous, 'update-rollback');
+                    }
+                    await savePendingMutations();
+                    continue;
+                }
+                // Remove from queue, unless it was changed or resolved while it was being written
+                if (pendingMutations.includes(m) && m.value === value) {
+                    pendingMutations.splice(pendingMutations.indexOf(m), 1);
+                }
+                await savePendingMutations();
+            }
+        };
+        let flushPromise: Promise<void> = null;
+        const flush = async () => {
+            if (flushPromise) {
+                return flushPromise;
+            }
+            flushPromise = writePendingMutations();
+            try {
+                await flushPromise;
+            }
+            finally {
+                flushPromise = null;
+            }
+        };
+
+        const resolveConflicts = (mutations: IDataMutationsArray) => {
+            // Runs the conflict resolver for pending mutations on paths that were changed remotely. Remote mutations have been applied to the cache already
+            const affects = (m: { target: RelativeNodeTarget }, target: RelativeNodeTarget) => RelativeNodeTarget.areEqual(m.target, target) || RelativeNodeTarget.isAncestor(m.target, target);
+            const conflicts = pendingMutations.filter(p => mutations.some(m => affects(m, p.target) || RelativeNodeTarget.isDescendant(m.target, p.target)));
+            if (conflicts.length === 0) {
+                return;
+            }
+            const resolution = options?.conflictResolution ?? 'last-write-wins';
+            conflicts.forEach(pending => {
+                const remote = cloneObject(getTargetValue(cache, pending.target));
+                let value = remote;
+                if (resolution === 'local-wins') {
+                    value = pending.value;
+                }
+                else if (typeof resolution === 'function') {
+                    const path = getTargetRef(ref, pending.target).path;
+                    try {
+                        value = resolution({ path, previous: cloneObject(pending.previous), local: cloneObject(pending.value), remote: cloneObject(remote) }) ?? null;
+                    }
+                    catch (err) {
+                        clientEventEmitter.emit('error', <ProxyObserveError>{ source: 'conflict_resolution', message: `Error resolving conflict on "/${path}"`, details: err });
+                    }
+                }
+                // If the remote mutation replaced the entire target, it is stored already
+                const overwritten = mutations.some(m => affects(m, pending.target));
+                if (overwritten && valuesAreEqual(value, remote)) {
+                    pendingMutations.splice(pendingMutations.indexOf(pending), 1);
+                    return;
+                }
+                if (!valuesAreEqual(value, remote) && !replaceLocalValue(pending.target, value, 'conflict')) {
+                    // Target's parent was removed remotely
+                    pendingMutations.splice(pendingMutations.indexOf(pending), 1);
+                    return;
+                }
+                pending.value = cloneObject(value);
+                pending.timestamp = Date.now();
+                if (overwritten) {
+                    pending.previous = remote;
+                }
+            });
+            savePendingMutations();
+        };
+
         // Setup updating functionality: enqueue all updates, process them at next tick in the order they were issued
         let processPromise:Promise<any> = Promise.resolve();
-        const mutationQueue:Array<{ target: RelativeNodeTarget, previous: any, value?: any }> = [];
+        const mutationQueue:Array<{ target: RelativeNodeTarget, previous: any, value?: any, fromHistory?: boolean }> = [];
         const transactions:Array<{ target: RelativeNodeTarget }> = [];
 
         const pushLocalMutations = async () => {
@@ -220,6 +505,7 @@ export class LiveDataProxy {
             mutations.forEach(mutation => {
                 mutation.value = cloneObject(getTargetValue(cache, mutation.target));
             });
+            addHistoryStep(mutations.filter(m => !m.fromHistory));
 
             // Run local onMutation & onChange callbacks in the next tick
             process.nextTick(() => {
@@ -240,16 +526,21 @@ export class LiveDataProxy {
                 localMutationsEmitter.emit('mutations', { origin: 'local', snap });
             });
 
+            // Only keep top path mutations to prevent unneccessary child path updates
+            const topMutations = mutations.filter(m => !mutations.some(other => RelativeNodeTarget.isAncestor(other.target, m.target)));
+
+            if (!connected || pendingMutations.length > 0) {
+                // Keep them until the connection is restored, or until earlier pending mutations have been written
+                addPendingMutations(topMutations);
+                if (connected) {
+                    await flush();
+                }
+                return;
+            }
+
             // Update database async
             // const batchId = ID.generate();
-            processPromise = mutations
-                .reduce((mutations, m, i, arr) => {
-                    // Only keep top path mutations to prevent unneccessary child path updates
-                    if (!arr.some(other => RelativeNodeTarget.isAncestor(other.target, m.target))) {
-                        mutations.push(m);
-                    }
-                    return mutations;
-                }, <typeof mutations>[])
+            processPromise = topMutations
                 .reduce((updates, m) => {
                     // Prepare db updates
                     const target = m.target;
@@ -291,6 +582,13 @@ export class LiveDataProxy {
                         .context(context)
                         [update.type](update.value) // .set or .update
                         .catch(err => {
+                            if (!connected) {
+                                // Connection was lost, keep the mutations to write them when it is restored
+                                addPendingMutations(update.type === 'set'
+                                    ? [{ target: update.target, previous: update.previous }]
+                                    : Object.keys(update.previous).map(key => ({ target: update.target.concat(key), previous: update.previous[key] })));
+                                return;
+                            }
                             clientEventEmitter.emit('error', <ProxyObserveError>{ source: 'update', message: `Error processing update of "/${ref.path}"`, details: err });
                             // console.warn(`Proxy could not update DB, should rollback (${update.type}) the proxy value of "${update.ref.path}" to: `, update.previous);
 
@@ -357,6 +655,120 @@ export class LiveDataProxy {
             }
         };
 
+        // Setup undo/redo history
+        type HistoryStep = { name: string, mutations: Array<{ target: RelativeNodeTarget, prev: any, val: any }> };
+        const undoStack: HistoryStep[] = [], redoStack: HistoryStep[] = [];
+        const historyLimit = options?.historyLimit ?? 100;
+        let openStep: HistoryStep = null;
+        const overlaps = (t1: RelativeNodeTarget, t2: RelativeNodeTarget) => RelativeNodeTarget.areEqual(t1, t2) || RelativeNodeTarget.isAncestor(t1, t2) || RelativeNodeTarget.isDescendant(t1, t2);
+        const addHistoryStep = (mutations: typeof mutationQueue) => {
+            if (mutations.length === 0) {
+                return;
+            }
+            const step = openStep ?? { name: null, mutations: [] };
+            if (!undoStack.includes(step)) {
+                undoStack.push(step);
+                undoStack.splice(0, undoStack.length - historyLimit);
+            }
+            step.mutations.push(...mutations.map(m => ({ target: m.target, prev: cloneObject(m.previous), val: cloneObject(m.value) })));
+            redoStack.splice(0); // New changes invalidate undone steps
+        };
+        const rebaseHistory = (mutations: IDataMutationsArray) => {
+            // Remote mutations are not added to the history. Apply them to undo steps of ancestors so undoing does not revert them,
+            // and discard undo steps they overwrite and redo steps they conflict with
+            mutations.forEach(remote => {
+                if (redoStack.some(step => step.mutations.some(m => overlaps(m.target, remote.target)))) {
+                    redoStack.splice(0);
+                }
+                undoStack.forEach(step => {
+                    step.mutations = step.mutations.filter(m => {
+                        if (!RelativeNodeTarget.isDescendant(remote.target, m.target)) {
+                            return !RelativeNodeTarget.areEqual(remote.target, m.target) && !RelativeNodeTarget.isAncestor(remote.target, m.target);
+                        }
+                        const trailKeys = remote.target.slice(m.target.length);
+                        m.prev = rebaseValue(m.prev, trailKeys, remote.val);
+                        m.val = rebaseValue(m.val, trailKeys, remote.val);
+                        return true;
+                    });
+                });
+                for (let i = 0; i < undoStack.length; i++) {
+                    if (undoStack[i].mutations.length === 0) {
+                        undoStack.splice(i, 1);
+                        i--;
+                    }
+                }
+            });
+        };
+        const syncPendingMutations = async () => {
+            if (mutationQueue.length > 0 || syncInProgress) {
+                if (!syncInProgress) { scheduleSync(); }
+                await syncCompleted();
+            }
+        };
+        const applyHistoryStep = async (step: HistoryStep, action: 'undo'|'redo') => {
+            if (transactions.some(t => step.mutations.some(m => overlaps(t.target, m.target)))) {
+                throw new Error(`Cannot ${action} changes while a transaction is running on the same data`);
+            }
+            const changes = action === 'undo'
+                ? step.mutations.slice().reverse().map(m => ({ target: m.target, value: m.prev }))
+                : step.mutations.map(m => ({ target: m.target, value: m.val }));
+            changes.forEach(({ target, value }) => {
+                const previous = cloneObject(getTargetValue(cache, target));
+                if (!applyChange(target, cloneObject(value))) {
+                    return; // Parent was removed
+                }
+                if (!mutationQueue.find(m => RelativeNodeTarget.areEqual(m.target, target))) {
+                    mutationQueue.push({ target, previous, fromHistory: true });
+                }
+            });
+            scheduleSync();
+            await syncCompleted();
+        };
+        const history: ILiveDataProxyHistory = {
+            get canUndo() { return undoStack.length > 0; },
+            get canRedo() { return redoStack.length > 0; },
+            get undoName() { return undoStack.slice(-1)[0]?.name ?? null; },
+            get redoName() { return redoStack.slice(-1)[0]?.name ?? null; },
+            checkpoint(name: string) {
+                openStep = { name, mutations: [] };
+            },
+            async batch(name, callback) {
+                await syncPendingMutations(); // Earlier changes are not part of this step
+                const step = openStep = { name, mutations: [] };
+                try {
+                    const result = await callback();
+                    await syncPendingMutations();
+                    return result;
+                }
+                finally {
+                    if (openStep === step) { openStep = null; }
+                }
+            },
+            async undo() {
+                await syncPendingMutations();
+                openStep = null;
+                const step = undoStack.slice(-1)[0];
+                if (!step) { return; }
+                await applyHistoryStep(step, 'undo');
+                undoStack.splice(undoStack.indexOf(step), 1);
+                redoStack.push(step);
+            },
+            async redo() {
+                await syncPendingMutations();
+                openStep = null;
+                const step = redoStack.slice(-1)[0];
+                if (!step) { return; }
+                await applyHistoryStep(step, 'redo');
+                redoStack.splice(redoStack.indexOf(step), 1);
+                undoStack.push(step);
+            },
+            clear() {
+                undoStack.splice(0);
+                redoStack.splice(0);
+                openStep = null;
+            },
+        };
+
         const flagOverwritten = (target: RelativeNodeTarget) => {
             if (!mutationQueue.find(m => RelativeNodeTarget.areEqual(m.target, target))) {
                 mutationQueue.push({ target, previous: cloneObject(getTargetValue(cache, target)) });
@@ -556,6 +968,20 @@ export class LiveDataProxy {
             await ref.context(context).set(cache);
         }
 
+        if (options?.pendingStore) {
+            // Apply mutations that were not written to the database before
+            const stored = await options.pendingStore.load() ?? [];
+            stored.forEach(m => {
+                if (applyChange(m.target, cloneObject(m.value))) {
+                    pendingMutations.push(m);
+                }
+            });
+            if (pendingMutations.length !== stored.length) {
+                await savePendingMutations();
+            }
+            flush();
+        }
+
         proxy = createProxy<T>({ root: { ref, get cache() { return cache; } }, target: [], id: proxyId, flag: handleFlag });
 
         const assertProxyAvailable = () => {
@@ -571,6 +997,8 @@ export class LiveDataProxy {
             const snap = await ref.get({ allow_cache: false });
             const oldVal = cache, newVal = snap.val();
             cache = newVal;
+            pendingMutations.forEach(m => applyChange(m.target, cloneObject(m.value))); // Keep pending local mutations
+            history.clear(); // History does not apply to the reloaded value
 
             // Compare old and new values
             const mutations = getMutations(oldVal, newVal);
@@ -602,6 +1030,8 @@ export class LiveDataProxy {
                     ...clientSubscriptions.map(cs => cs.stop()),
                 ];
                 await Promise.all(promises);
+                ref.db.off('connect', onConnect);
+                ref.db.off('disconnect', onDisconnect);
                 ['cursor','mutation','error'].forEach(event => clientEventEmitter.off(event));
                 cache = null; // Remove cache
                 proxy = null;
@@ -634,6 +1064,17 @@ export class LiveDataProxy {
                 return latestCursor;
             },
             reload,
+            get history() {
+                assertProxyAvailable();
+                return history;
+            },
+            get hasPendingMutations() {
+                return pendingMutations.length > 0;
+            },
+            flush() {
+                assertProxyAvailable();
+                return flush();
+            },
             onMutation(callback: ProxyObserveMutationsCallback) {
                 // Fires callback each time anything changes
                 assertProxyAvailable();
@@ -684,6 +1125,16 @@ function setTargetValue(obj: any, target: RelativeNodeTarget, value: any) {
         targetObject[prop] = value;
     }
 }
+function rebaseValue(value: any, trailKeys: RelativeNodeTarget, newValue: any) {
+    // Returns a copy of value with the descendant at trailKeys replaced
+    const parent = getTargetValue(value, trailKeys.slice(0, -1));
+    if (parent === null || typeof parent !== 'object') {
+        return value;
+    }
+    const copy = cloneObject(value);
+    setTargetValue(copy, trailKeys, cloneObject(newValue));
+    return copy;
+}
 function getTargetRef(ref: DataReference, target: RelativeNodeTarget) {
     // Create new DataReference to prevent context reuse
     const path = PathInfo.get(ref.path).childPath(target);
@@ -855,8 +1306,8 @@ function createProxy<T>(context: { root: { ref: DataReference, readonly cache: a
                     };
                 }
                 if (prop === 'getOrderedCollection') {
-                    return function getOrderedCollection(orderProperty?: string, orderIncrement?: number) {
-                        return new OrderedCollectionProxy(this, orderProperty, orderIncrement);
+                    return function getOrderedCollection(options?: string|OrderedCollectionOptions, orderIncrement?: number) {
+                        return new OrderedCollectionProxy(this, options as any, orderIncrement);
                     };
                 }
                 if (prop === 'startTransaction') {
@@ -1123,6 +1574,81 @@ type ArrayIndexOfMethod = 'indexOf'|'lastIndexOf'
 type ArrayReduceMethod = 'reduce'|'reduceRight'
 type ArrayFindMethod = 'find'|'findIndex'
 
+/**
+ * Options for an `OrderedCollectionProxy`
+ */
+export interface OrderedCollectionOptions {
+    /**
+     * name of the property to store the order in
+     * @default 'order'
+     */
+    orderProperty?: string
+    /**
+     * type of the order values:
+     * - `'number'`: numeric orders spaced by `orderIncrement`. Inserting between 2 items with adjacent orders
+     * renumbers the collection
+     * - `'fractional'`: lexicographically sortable string keys. A key can be generated between any 2 keys, so only
+     * the added or moved item is updated. Numeric orders of an existing collection are converted to keys
+     * @default 'number'
+     */
+    orderType?: 'number'|'fractional'
+    /**
+     * increment between numeric orders
+     * @default 10
+     */
+    orderIncrement?: number
+}
+
+/** Digits of fractional order keys, in ascending character code order */
+const orderKeyDigits = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Valid order keys consist of digits, and do not end with the lowest digit so there is always a key before them
+ */
+const isOrderKey = (key: any): key is string => typeof key === 'string' && /^[0-9A-Za-z]*[1-9A-Za-z]$/.test(key);
+
+/**
+ * Gets the key halfway between `a` and `b` by treating them as fractions (`"V"` is `0.V`), `b === null` is 1
+ */
+function orderKeyMidpoint(a: string, b: string|null): string {
+    if (b !== null) {
+        // Keep common prefix
+        let n = 0;
+        while ((a[n] ?? '0') === b[n]) { n++; }
+        if (n > 0) { return b.slice(0, n) + orderKeyMidpoint(a.slice(n), b.slice(n)); }
+    }
+    const digitA = a ? orderKeyDigits.indexOf(a[0]) : 0;
+    const digitB = b !== null ? orderKeyDigits.indexOf(b[0]) : orderKeyDigits.length;
+    if (digitB - digitA > 1) {
+        return orderKeyDigits[Math.round((digitA + digitB) / 2)];
+    }
+    // Adjacent digits
+    if (b !== null && b.length > 1) { return b[0]; }
+    return orderKeyDigits[digitA] + orderKeyMidpoint(a.slice(1), null);
+}
+
+/**
+ * Generates a fractional order key that sorts between `before` and `after`
+ * @param before key to sort after, or `null` for the start
+ * @param after key to sort before, or `null` for the end
+ */
+function orderKeyBetween(before: string|null, after: string|null): string {
+    if (before !== null && after !== null && before >= after) { throw new Error(`Order key "${before}" must be smaller than "${after}"`); }
+    if (after === null) {
+        // Append: increment the first digit that can be incremented, keeps keys short when adding many items
+        const key = before ?? '';
+        const i = key.search(/[^z]/);
+        return i < 0 ? key + 'V' : key.slice(0, i) + orderKeyDigits[orderKeyDigits.indexOf(key[i]) + 1];
+    }
+    if (before === null) {
+        // Prepend: decrement the first digit that can be decremented
+        const i = after.search(/[^0]/);
+        const digit = orderKeyDigits.indexOf(after[i]);
+        return after.slice(0, i) + (digit > 1 ? orderKeyDigits[digit - 1] : '0V');
+    }
+    return orderKeyMidpoint(before, after);
+}
+
 /**
  * Provides functionality to work with ordered collections through a live data proxy. Eliminates
  * the need for arrays to handle ordered data by adding a 'sort' properties to child objects in a
@@ -1130,15 +1656,42 @@ type ArrayFindMethod = 'find'|'findIndex'
  * updates.
  */
 export class OrderedCollectionProxy<T> {
+    private orderProperty: string;
+    private orderIncrement: number;
+    private orderType: 'number'|'fractional';
+
+    constructor(collection: ObjectCollection<T>, orderProperty?: string, orderIncrement?: number);
+    constructor(collection: ObjectCollection<T>, options: OrderedCollectionOptions);
     constructor(
         private collection: ObjectCollection<T>,
-        private orderProperty: string = 'order',
-        private orderIncrement: number = 10,
+        options: string|OrderedCollectionOptions = 'order',
+        orderIncrement = 10,
     ) {
+        if (typeof options === 'string') { options = { orderProperty: options, orderIncrement }; }
+        const { orderProperty = 'order', orderType = 'number' } = options;
+        if (!['number', 'fractional'].includes(orderType)) { throw new Error(`Invalid orderType "${orderType}"`); }
+        this.orderProperty = orderProperty;
+        this.orderIncrement = options.orderIncrement ?? 10;
+        this.orderType = orderType;
+
         if (typeof collection !== 'object' || !(collection as any)[isProxy]) { throw new Error('Collection is not proxied'); }
         if (collection.valueOf() instanceof Array) { throw new Error('Collection is an array, not an object collection'); }
         if (!Object.keys(collection).every(key => typeof collection[key] === 'object')) { throw new Error('Collection has non-object children'); }
 
+        if (orderType === 'fractional') {
+            // Assign keys to items without one, after the items that have one. Existing numeric orders are
+            // migrated in their current order. Database will be updated automatically
+            const entries = this.getEntries();
+            const migrate = entries.filter(entry => !isOrderKey(entry.order));
+            if (migrate.length === 0) { return; }
+            const ordered = entries.filter(entry => isOrderKey(entry.order));
+            let last = ordered.length > 0 ? ordered[ordered.length - 1].order : null;
+            migrate
+                .sort((a, b) => (typeof a.order === 'number' ? a.order : Infinity) - (typeof b.order === 'number' ? b.order : Infinity) || (a.key < b.key ? -1 : 1))
+                .forEach(entry => entry.item[orderProperty] = last = orderKeyBetween(last, null));
+            return;
+        }
+
         // Check if the collection has order properties. If not, assign them now
         const ok = Object.keys(collection).every(key => typeof collection[key][orderProperty] === 'number');
         if (!ok) {
@@ -1146,11 +1699,26 @@ export class OrderedCollectionProxy<T> {
             const keys = Object.keys(collection);
             for (let i = 0; i < keys.length; i++) {
                 const item:any = collection[keys[i]];
-                item[orderProperty] = i * orderIncrement; // 0, 10, 20, 30 etc
+                item[orderProperty] = i * this.orderIncrement; // 0, 10, 20, 30 etc
             }
         }
     }
 
+    /**
+     * Gets the items with their keys, sorted by order. Items with the same order (eg added concurrently
+     * by multiple clients) are sorted by key, so all clients get the same order
+     */
+    private getEntries() {
+        const entries = Object.keys(this.collection).map(key => {
+            const item = this.collection[key] as any;
+            return { key, item, order: item[this.orderProperty] };
+        });
+        const compareOrder: (a: any, b: any) => number = this.orderType === 'fractional'
+            ? (a: string, b: string) => a < b ? -1 : a > b ? 1 : 0
+            : (a: number, b: number) => a - b;
+        return entries.sort((a, b) => compareOrder(a.order, b.order) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    }
+
     /**
      * Gets an observable for the target object collection. Same as calling `collection.getObservable()`
      * @returns
@@ -1178,7 +1746,8 @@ export class OrderedCollectionProxy<T> {
     }
 
     /**
-     * Gets an ordered array representation of the items in your object collection. The items in the array
+     * Gets an ordered array representation of the items in your object collection. Items with the same order
+     * (eg added concurrently by multiple clients) are sorted by their key. The items in the array
      * are proxied values, changes will be in sync with the database. Note that the array itself
      * is not mutable: adding or removing items to it will NOT update the collection in the
      * the database and vice versa. Use `add`, `delete`, `sort` and `move` methods to make changes
@@ -1186,7 +1755,7 @@ export class OrderedCollectionProxy<T> {
      * @returns order array
      */
     getArray(): T[] {
-        const arr = proxyAccess(this.collection).toArray((a, b) => a[this.orderProperty] - b[this.orderProperty]);
+        const arr = this.getEntries().map(entry => entry.item as T);
         // arr.push = (...items: T[]) => {
         //     items.forEach(item => this.add(item));
         //     return arr.length;
@@ -1204,6 +1773,9 @@ export class OrderedCollectionProxy<T> {
     add(item: T, index: number): { key: string, index: number };
     add(item: T, index: number, from: number): { key: string, index: number };
     add(item: T, index?: number, from?: number) {
+        if (this.orderType === 'fractional') {
+            return this.addFractional(item, index, from);
+        }
         const arr = this.getArray();
         let minOrder: number = Number.POSITIVE_INFINITY,
             maxOrder: number = Number.NEGATIVE_INFINITY;
@@ -1262,6 +1834,41 @@ export class OrderedCollectionProxy<T> {
         return { key, index };
     }
 
+    /**
+     * Adds or moves an item using fractional order keys: only the item itself is updated
+     */
+    private addFractional(item: T, index?: number, from?: number) {
+        const entries = this.getEntries();
+        let fromKey;
+        if (typeof from === 'number') {
+            // Moving existing item
+            fromKey = entries.find(entry => entry.item === item)?.key;
+            if (!fromKey) { throw new Error('item not found in collection'); }
+            if (from === index) { return { key: fromKey, index }; }
+            entries.splice(from, 1);
+        }
+        if (typeof index !== 'number' || index > entries.length) {
+            index = entries.length;
+        }
+        const before = index > 0 ? entries[index - 1].order : null;
+        if (before !== null && entries[index]?.order === before) {
+            // Items with the same key (added concurrently) are sorted by their collection key. Give the next
+            // ones a new key to create room, they keep their position
+            let next = index;
+            while (entries[next]?.order === before) { next++; }
+            const after = entries[next]?.order ?? null;
+            let previous = before;
+            for (let i = index; i < next; i++) {
+                entries[i].item[this.orderProperty] = entries[i].order = previous = orderKeyBetween(previous, after);
+            }
+        }
+        item[this.orderProperty] = orderKeyBetween(before, entries[index]?.order ?? null);
+        const key = typeof fromKey === 'string'
+            ? fromKey // Moved item, don't add it
+            : proxyAccess(this.collection).push(item);
+        return { key, index };
+    }
+
     /**
      * Deletes an item from the object collection using the their index in the sorted array representation
      * @param index
@@ -1295,8 +1902,11 @@ export class OrderedCollectionProxy<T> {
     sort(sortFn: (a: T, b: T) => number) {
         const arr = this.getArray();
         arr.sort(sortFn);
+        let key: string = null;
         for (let i = 0; i < arr.length; i++) {
-            arr[i][this.orderProperty] = i * this.orderIncrement;
+            arr[i][this.orderProperty] = this.orderType === 'fractional'
+                ? key = orderKeyBetween(key, null)
+                : i * this.orderIncrement;
         }
     }
 }
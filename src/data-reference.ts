@@ -1,11 +1,17 @@
 import { DataSnapshot, MutationsDataSnapshot } from './data-snapshot';
-import { EventStream, EventPublisher } from './subscription';
-import { ID } from './id';
+import { EventStream, EventPublisher, EventBatcher, EventBatchSettings } from './subscription';
 import { PathInfo } from './path-info';
 import { LiveDataProxy, LiveDataProxyOptions } from './data-proxy';
+import { ChangeFeed, ChangeFeedOptions } from './change-feed';
+import { JSONPatch, JSONPatchOperation } from './json-patch';
 import { getObservable } from './optional-observable';
 import type { AceBaseBase } from './acebase-base';
-import { IApiQueryOptions, StreamReadFunction, StreamWriteFunction, ValueMutation, ValueChange } from './api';
+import { IApiExportOptions, IApiImportOptions, IApiQueryOptions, NotImplementedError, StreamReadFunction, StreamWriteFunction, ValueMutation, ValueChange } from './api';
+import { AggregateGroup, AggregateSpec, QueryAggregator } from './aggregate';
+import { compareSortValues, getPropertyValue, QueryFilterNode } from './query-filter';
+import { ascii85 } from './ascii85';
+import { decodeString, encodeString, valuesAreEqual } from './utils';
+import { serialize2, deserialize2 } from './transport';
 
 export class DataRetrievalOptions {
     /**
@@ -103,10 +109,48 @@ interface IEventSubscription {
     ourCallback(err: Error, path: string, newValue: any, oldValue: any, eventContext: any): void
 }
 
-interface EventSettings {
+interface EventSettings extends EventBatchSettings {
     newOnly?: boolean,
     syncFallback?: 'reload'|(() => any|Promise<any>)
 }
+
+/**
+ * Merges events on the same path into 1 event with the first previous value and the last value, at the position of the
+ * last event. Events of values that did not effectively change are removed
+ */
+function coalesceEvents(event: string, items: Array<DataSnapshot|DataReference>) {
+    const merged = new Map<string, Array<DataSnapshot|DataReference>>();
+    items.forEach(item => {
+        const path = item instanceof DataReference ? item.path : item.ref.path;
+        const group = merged.get(path) ?? [];
+        merged.delete(path); // Moves the path to the position of its last event
+        merged.set(path, group.concat(item));
+    });
+    return [...merged.values()].reduce((items, group) => {
+        const first = group[0], last = group[group.length - 1];
+        if (group.length === 1 || last instanceof DataReference) {
+            return items.concat(last);
+        }
+        if (last instanceof MutationsDataSnapshot) {
+            // Merge mutations on the same target
+            const mutations = new Map<string, { target: Array<string|number>, prev: any, val: any }>();
+            (group as MutationsDataSnapshot[]).forEach(snap => snap.val(false).forEach(mutation => {
+                const path = PathInfo.get(mutation.target).path;
+                const prev = mutations.has(path) ? mutations.get(path).prev : mutation.prev;
+                mutations.delete(path);
+                mutations.set(path, { target: mutation.target, prev, val: mutation.val });
+            }));
+            const list = [...mutations.values()].filter(m => !valuesAreEqual(m.prev, m.val));
+            return list.length === 0 ? items : items.concat(new MutationsDataSnapshot(last.ref, list, last.context()));
+        }
+        const snap = last as DataSnapshot, previous = (first as DataSnapshot).previous();
+        if (event !== 'child_removed' && valuesAreEqual(previous, snap.val())) {
+            return items;
+        }
+        return items.concat(new DataSnapshot(snap.ref, snap.val(), !snap.exists(), previous, snap.context()));
+    }, [] as Array<DataSnapshot|DataReference>);
+}
+
 const _private = Symbol('private');
 export class DataReference {
     readonly db: AceBaseBase;
@@ -308,7 +352,7 @@ export class DataReference {
                 console.warn(`update called on path "/${this.path}", but there is nothing to update`);
             }
             else {
-                updates = this.db.types.serialize(this.path, updates);
+                updates = this.db.types.serialize(this.path, updates, true);
                 const { cursor } = await this.db.api.update(this.path, updates, { context: this[_private].context });
                 this.cursor = cursor;
             }
@@ -377,13 +421,40 @@ export class DataReference {
         return this;
     }
 
+    /**
+     * Applies JSON Patch ([RFC 6902](https://www.rfc-editor.org/rfc/rfc6902)) operations to the referenced node in a transaction.
+     * Paths of the operations are relative to the referenced node. If any operation fails (eg a `test` operation), no changes are made
+     * @param operations operations to apply
+     * @returns returns a promise that resolves with this reference once the patch has been applied
+     * @example
+     * await db.ref('users/ewout').patch([
+     *     { op: 'test', path: '/name', value: 'Ewout' },
+     *     { op: 'replace', path: '/name', value: 'Ewout de Vries' },
+     *     { op: 'add', path: '/tags/-', value: 'admin' },
+     * ]);
+     */
+    patch(operations: JSONPatchOperation[]): Promise<DataReference> {
+        return this.transaction(snap => JSONPatch.apply(snap.val(), operations));
+    }
+
+    /**
+     * Applies a JSON Merge Patch ([RFC 7386](https://www.rfc-editor.org/rfc/rfc7386)) to the referenced node in a transaction.
+     * Unlike `update`, objects are merged recursively. Properties set to `null` are removed
+     * @param patch merge patch document
+     * @returns returns a promise that resolves with this reference once the patch has been applied
+     */
+    mergePatch(patch: any): Promise<DataReference> {
+        return this.transaction(snap => JSONPatch.applyMerge(snap.val(), patch));
+    }
+
     /**
      * Subscribes to an event. Supported events are "value", "child_added", "child_changed", "child_removed",
      * which will run the callback with a snapshot of the data. If you only wish to receive notifications of the
      * event (without the data), use the "notify_value", "notify_child_added", "notify_child_changed",
      * "notify_child_removed" events instead, which will run the callback with a DataReference to the changed
      * data. This enables you to manually retrieve data upon changes (eg if you want to exclude certain child
-     * data from loading)
+     * data from loading). Use the `batch`, `debounce` and `coalesce` settings to receive arrays of snapshots or references
+     * instead, eg to handle the events of a bulk import at once
      * @param event Name of the event to subscribe to
      * @param callback Callback function, event settings, or whether or not to run callbacks on current values when using "value" or "child_added" events
      * @param cancelCallback Function to call when the subscription is not allowed, or denied access later on
@@ -397,6 +468,10 @@ export class DataReference {
 
         let eventPublisher:EventPublisher = null;
         const eventStream = new EventStream(publisher => { eventPublisher = publisher; });
+        const batcher = typeof callback === 'object' && EventBatcher.isBatching(callback)
+            ? new EventBatcher<DataSnapshot|DataReference>(callback, items => eventPublisher.publish(items), items => coalesceEvents(event, items))
+            : null;
+        const publish = (item: DataSnapshot|DataReference) => batcher ? batcher.add(item) : eventPublisher.publish(item);
 
         // Map OUR callback to original callback, so .off can remove the right callback(s)
         const cb:IEventSubscription = {
@@ -406,7 +481,7 @@ export class DataReference {
             ourCallback: (err, path, newValue, oldValue, eventContext) => {
                 if (err) {
                     // TODO: Investigate if this ever happens?
-                    this.db.debug.error(`Error getting data for event ${event} on path "${path}"`, err);
+                    this.db.debug.child({ path, subscription: event }).error(`Error getting data for event ${event} on path "${path}"`, err);
                     return;
                 }
                 const ref = this.db.ref(path);
@@ -433,7 +508,7 @@ export class DataReference {
                         callbackObject = new DataSnapshot(ref, values.current, isRemoved, values.previous, eventContext);
                     }
                 }
-                eventPublisher.publish(callbackObject);
+                publish(callbackObject);
                 if (eventContext?.acebase_cursor) {
                     this.cursor = eventContext.acebase_cursor;
                 }
@@ -466,15 +541,17 @@ export class DataReference {
                 const callbacks = this[_private].callbacks;
                 callbacks.splice(callbacks.indexOf(cb), 1);
                 this.db.api.unsubscribe(this.path, event, cb.ourCallback);
+                batcher?.stop();
 
                 // Call cancelCallbacks
-                this.db.debug.error(`Subscription "${event}" on path "/${this.path}" canceled because of an error: ${err.message}`);
+                this.db.debug.child({ path: this.path, subscription: event }).error(`Subscription "${event}" on path "/${this.path}" canceled because of an error: ${err.message}`);
                 eventPublisher.cancel(err.message);
             };
             const authorized = this.db.api.subscribe(this.path, event, cb.ourCallback, { newOnly: advancedOptions.newOnly, cancelCallback: cancelSubscription, syncFallback: advancedOptions.syncFallback });
             const allSubscriptionsStoppedCallback = () => {
                 const callbacks = this[_private].callbacks;
                 callbacks.splice(callbacks.indexOf(cb), 1);
+                batcher?.stop();
                 return this.db.api.unsubscribe(this.path, event, cb.ourCallback);
             };
             if (authorized instanceof Promise) {
@@ -498,7 +575,7 @@ export class DataReference {
                 // only be called for future events
                 if (event === 'value') {
                     this.get(snap => {
-                        eventPublisher.publish(snap);
+                        publish(snap);
                         // typeof callback === 'function' && callback(snap);
                     });
                 }
@@ -508,7 +585,7 @@ export class DataReference {
                         if (val === null || typeof val !== 'object') { return; }
                         Object.keys(val).forEach(key => {
                             const childSnap = new DataSnapshot(this.child(key), val[key]);
-                            eventPublisher.publish(childSnap);
+                            publish(childSnap);
                             // typeof callback === 'function' && callback(childSnap);
                         });
                     });
@@ -523,7 +600,7 @@ export class DataReference {
                             .then(children => {
                                 children.list.forEach(child => {
                                     const childRef = this.child(child.key);
-                                    eventPublisher.publish(childRef);
+                                    publish(childRef);
                                 // typeof callback === 'function' && callback(childRef);
                                 });
                                 if (children.more) {
@@ -683,7 +760,7 @@ export class DataReference {
             return Promise.reject(error);
         }
 
-        const id = ID.generate();
+        const id = this.db.idGenerator.generate();
         const ref = this.child(id);
         ref[_private].pushed = true;
 
@@ -745,7 +822,7 @@ export class DataReference {
         return this.db.api.reflect(this.path, type, args);
     }
 
-    async export(write: StreamWriteFunction, options = { format: 'json', type_safe: true }) {
+    async export(write: StreamWriteFunction, options: IApiExportOptions = { format: 'json', type_safe: true }) {
         if (this.isWildcardPath) {
             throw new Error(`Cannot export wildcard path "/${this.path}"`);
         }
@@ -755,7 +832,7 @@ export class DataReference {
         return this.db.api.export(this.path, write, options);
     }
 
-    async import(read: StreamReadFunction, options = { format: 'json', suppress_events: false }) {
+    async import(read: StreamReadFunction, options: IApiImportOptions = { format: 'json', suppress_events: false }) {
         if (this.isWildcardPath) {
             throw new Error(`Cannot import to wildcard path "/${this.path}"`);
         }
@@ -766,7 +843,7 @@ export class DataReference {
     }
 
     proxy<T = any>(options?: LiveDataProxyOptions<T>) {
-        const isOptionsArg = typeof options === 'object' && (typeof options.cursor !== 'undefined' || typeof options.defaultValue !== 'undefined');
+        const isOptionsArg = typeof options === 'object' && ['cursor', 'defaultValue', 'pendingStore', 'conflictResolution'].some(key => typeof options[key] !== 'undefined');
         if (typeof options !== 'undefined' && !isOptionsArg) {
             this.db.debug.warn('Warning: live data proxy is being initialized with a deprecated method signature. Use ref.proxy(options) instead of ref.proxy(defaultValue)');
             options = { defaultValue: options as T };
@@ -774,31 +851,30 @@ export class DataReference {
         return LiveDataProxy.create(this, options);
     }
 
-    observe(options?: DataRetrievalOptions) {
-        // options should not be used yet - we can't prevent/filter mutation events on excluded paths atm
-        if (options) { throw new Error('observe does not support data retrieval options yet'); }
+    observe(options?: DataRetrievalOptions & EventBatchSettings) {
+        // data retrieval options should not be used yet - we can't prevent/filter mutation events on excluded paths atm
+        if (['include', 'exclude', 'child_objects'].some(key => typeof options?.[key] !== 'undefined')) {
+            throw new Error('observe does not support data retrieval options yet');
+        }
 
         if (this.isWildcardPath) {
             throw new Error(`Cannot observe wildcard path "/${this.path}"`);
         }
+        const { batch, debounce, coalesce } = options ?? {};
         const Observable = getObservable();
         return new Observable(observer => {
             let cache, resolved = false;
-            let promise = this.get(options).then(snap => {
+            let promise = this.get().then(snap => {
                 resolved = true;
                 cache = snap.val();
                 observer.next(cache);
             });
 
-            const updateCache = (snap) => {
-                if (!resolved) {
-                    promise = promise.then(() => updateCache(snap));
-                    return;
-                }
+            const applyMutation = (snap: DataSnapshot) => {
                 const mutatedPath = snap.ref.path;
                 if (mutatedPath === this.path) {
                     cache = snap.val();
-                    return observer.next(cache);
+                    return;
                 }
                 const trailKeys = PathInfo.getPathKeys(mutatedPath).slice(PathInfo.getPathKeys(this.path).length);
                 let target = cache;
@@ -821,14 +897,24 @@ export class DataReference {
                     // Set or update it
                     target[prop] = newValue;
                 }
+            };
+
+            const updateCache = (snaps: DataSnapshot|DataSnapshot[]) => {
+                if (!resolved) {
+                    promise = promise.then(() => updateCache(snaps));
+                    return;
+                }
+                // Batched events are applied at once, emitting a single new value
+                (snaps instanceof Array ? snaps : [snaps]).forEach(applyMutation);
                 observer.next(cache);
             };
 
-            this.on('mutated', updateCache); // TODO: Refactor to 'mutations' event instead
+            const stream = this.on('mutated', { newOnly: true, batch, debounce, coalesce }); // TODO: Refactor to 'mutations' event instead
+            stream.subscribe(updateCache);
 
             // Return unsubscribe function
             return () => {
-                this.off('mutated', updateCache);
+                stream.stop();
             };
         });
     }
@@ -883,6 +969,13 @@ export class DataReference {
         const timestamp = cursorOrDate === null || typeof cursorOrDate === 'undefined' ? 0 : cursorOrDate instanceof Date ? cursorOrDate.getTime() : undefined;
         return this.db.api.getChanges({ path: this.path, cursor, timestamp });
     }
+
+    changeFeed(options?: ChangeFeedOptions & { compress?: false }): ChangeFeed<ValueMutation>;
+    changeFeed(options: ChangeFeedOptions & { compress: true }): ChangeFeed<ValueChange>;
+    changeFeed(options?: ChangeFeedOptions): ChangeFeed<ValueMutation>|ChangeFeed<ValueChange>;
+    changeFeed(options: ChangeFeedOptions = {}): ChangeFeed<ValueMutation|ValueChange> {
+        return new ChangeFeed(this, options);
+    }
 }
 
 type ForEachIteratorCallback = (childSnapshot: DataSnapshot) => boolean|void|Promise<boolean|void>;
@@ -903,6 +996,176 @@ interface QueryOrder {
     ascending: boolean
 }
 
+const assertValidFilter = (key: string|number, op: QueryOperator, compare: any) => {
+    if ((op === 'in' || op === '!in') && (!(compare instanceof Array) || compare.length === 0)) {
+        throw new Error(`${op} filter for ${key} must supply an Array compare argument containing at least 1 value`);
+    }
+    if ((op === 'between' || op === '!between') && (!(compare instanceof Array) || compare.length !== 2)) {
+        throw new Error(`${op} filter for ${key} must supply an Array compare argument containing 2 values`);
+    }
+    if ((op === 'matches' || op === '!matches') && !(compare instanceof RegExp)) {
+        throw new Error(`${op} filter for ${key} must supply a RegExp compare argument`);
+    }
+    // DISABLED 2019/10/23 because it is not fully implemented only works locally
+    // if (op === "custom" && typeof compare !== "function") {
+    //     throw `${op} filter for ${key} must supply a Function compare argument`;
+    // }
+    // DISABLED 2022/08/15, implemented by query.ts in acebase
+    // if ((op === 'contains' || op === '!contains') && ((typeof compare === 'object' && !(compare instanceof Array) && !(compare instanceof Date)) || (compare instanceof Array && compare.length === 0))) {
+    //     throw new Error(`${op} filter for ${key} must supply a simple value or (non-zero length) array compare argument`);
+    // }
+};
+
+/**
+ * Group of query filters, passed to the callbacks of `DataReferenceQuery.or`, `and` and `not`
+ */
+export class QueryFilterGroup {
+    readonly nodes: QueryFilterNode[] = [];
+
+    /**
+     * Adds a filter to the group
+     * @param key property to test value of
+     * @param op operator to use
+     * @param compare value to compare with
+     */
+    filter(key: string|number, op: QueryOperator, compare?: any): QueryFilterGroup {
+        assertValidFilter(key, op, compare);
+        this.nodes.push({ key, op, compare });
+        return this;
+    }
+
+    /**
+     * Adds a nested group of which at least one must match
+     */
+    or(...groups: QueryFilterGroupCallback[]): QueryFilterGroup {
+        this.nodes.push({ or: groups.map(createFilterGroup) });
+        return this;
+    }
+
+    /**
+     * Adds a nested group of which all must match
+     */
+    and(...groups: QueryFilterGroupCallback[]): QueryFilterGroup {
+        this.nodes.push({ and: groups.map(createFilterGroup) });
+        return this;
+    }
+
+    /**
+     * Adds a nested group that must not match
+     */
+    not(group: QueryFilterGroupCallback): QueryFilterGroup {
+        this.nodes.push({ not: createFilterGroup(group) });
+        return this;
+    }
+}
+
+export type QueryFilterGroupCallback = (group: QueryFilterGroup) => unknown;
+
+const createFilterGroup = (callback: QueryFilterGroupCallback): QueryFilterNode => {
+    if (typeof callback !== 'function') {
+        throw new TypeError('Filter groups must be created with a callback function');
+    }
+    const group = new QueryFilterGroup();
+    callback(group);
+    if (group.nodes.length === 0) {
+        throw new Error('Filter group must contain at least 1 filter');
+    }
+    return group.nodes.length === 1 ? group.nodes[0] : { and: group.nodes };
+};
+
+/**
+ * Page of query results yielded by `DataReferenceQuery.paginate`
+ */
+export type DataSnapshotsPage = DataSnapshotsArray & {
+    /** Opaque token to continue paging after this page with, or `null` if this is the last page */
+    continuationToken: string|null
+};
+
+const encodeContinuationToken = (order: QueryOrder[], values: any[]) => {
+    const json = JSON.stringify(serialize2({ order, values }));
+    return ascii85.encode(encodeString(json));
+};
+
+const decodeContinuationToken = (token: string, order: QueryOrder[]): any[] => {
+    let data: { order: QueryOrder[], values: any[] };
+    try {
+        const json = decodeString(new Uint8Array(ascii85.decode(token)));
+        data = deserialize2(JSON.parse(json));
+    }
+    catch (err) {
+        throw new Error('Invalid continuation token');
+    }
+    if (JSON.stringify(data.order) !== JSON.stringify(order)) {
+        throw new Error('Continuation token does not match the sort order of the query');
+    }
+    return data.values;
+};
+
+export interface LiveQueryDiff {
+    /** results that entered the results, with their new index */
+    added: Array<{ index: number, snapshot: DataSnapshot }>,
+    /** results that left the results, with their previous index */
+    removed: Array<{ index: number, snapshot: DataSnapshot }>,
+    /** results that changed position relative to the other results, with their previous and new index */
+    moved: Array<{ from: number, to: number, snapshot: DataSnapshot }>,
+    /** results that remained in the results with a changed value, with their new index */
+    changed: Array<{ index: number, snapshot: DataSnapshot }>
+}
+
+/**
+ * Current results of a query emitted by `DataReferenceQuery.observe`
+ */
+export type LiveQueryResults = DataSnapshotsArray & {
+    /** changes since the previously emitted results */
+    diff: LiveQueryDiff
+};
+
+/**
+ * Gets the indexes of the longest increasing subsequence of values
+ */
+const getLongestIncreasingSubsequence = (values: number[]) => {
+    const tails: number[] = [], previous: number[] = [];
+    values.forEach((value, i) => {
+        let low = 0, high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (values[tails[mid]] < value) { low = mid + 1; }
+            else { high = mid; }
+        }
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    });
+    const indexes = new Set<number>();
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) {
+        indexes.add(i);
+    }
+    return indexes;
+};
+
+const getLiveQueryDiff = (previous: DataSnapshot[], current: DataSnapshot[]): LiveQueryDiff => {
+    const previousIndexes = new Map(previous.map((snapshot, index) => [snapshot.ref.path, index]));
+    const currentPaths = new Set(current.map(snapshot => snapshot.ref.path));
+    const diff: LiveQueryDiff = {
+        added: [],
+        removed: previous.map((snapshot, index) => ({ index, snapshot })).filter(item => !currentPaths.has(item.snapshot.ref.path)),
+        moved: [],
+        changed: [],
+    };
+    const remaining = [] as Array<{ from: number, to: number, snapshot: DataSnapshot }>;
+    current.forEach((snapshot, index) => {
+        const from = previousIndexes.get(snapshot.ref.path);
+        if (typeof from === 'undefined') { diff.added.push({ index, snapshot }); }
+        else { remaining.push({ from, to: index, snapshot }); }
+    });
+    // Results that kept their relative order did not move, the others did
+    const unmoved = getLongestIncreasingSubsequence(remaining.map(item => item.from));
+    remaining.forEach((item, i) => {
+        if (!unmoved.has(i)) { diff.moved.push(item); }
+        if (item.snapshot !== previous[item.from]) { diff.changed.push({ index: item.to, snapshot: item.snapshot }); }
+    });
+    return diff;
+};
+
 export interface RealtimeQueryEvent {
     name: string,
     snapshot?: DataSnapshot,
@@ -927,6 +1190,9 @@ export class DataReferenceQuery {
         skip: number,
         take: number,
         order: QueryOrder[],
+        filterTree?: QueryFilterNode,
+        startAfter?: any[],
+        endBefore?: any[],
         events: { [name: string]: RealtimeQueryEventCallback[] }
     };
     ref: DataReference;
@@ -954,24 +1220,53 @@ export class DataReferenceQuery {
      * @param compare value to compare with
      */
     filter(key:string|number, op: QueryOperator, compare: any): DataReferenceQuery {
-        if ((op === 'in' || op === '!in') && (!(compare instanceof Array) || compare.length === 0)) {
-            throw new Error(`${op} filter for ${key} must supply an Array compare argument containing at least 1 value`);
+        assertValidFilter(key, op, compare);
+        const filter = { key, op, compare };
+        this[_private].filters.push(filter);
+        if (this[_private].filterTree) {
+            (this[_private].filterTree as { and: QueryFilterNode[] }).and.push(filter);
         }
-        if ((op === 'between' || op === '!between') && (!(compare instanceof Array) || compare.length !== 2)) {
-            throw new Error(`${op} filter for ${key} must supply an Array compare argument containing 2 values`);
-        }
-        if ((op === 'matches' || op === '!matches') && !(compare instanceof RegExp)) {
-            throw new Error(`${op} filter for ${key} must supply a RegExp compare argument`);
+        return this;
+    }
+
+    /**
+     * Adds a group of filters of which at least one must match. Each group is built with a callback, multiple filters
+     * in a group must all match. Can be combined with other filters and groups, which must also match.
+     * @param groups callbacks that add filters (or nested groups) to the group they are given
+     * @example
+     * // status == 'open' OR assignee == 'me'
+     * db.query('tasks').or(q => q.filter('status', '==', 'open'), q => q.filter('assignee', '==', 'me'));
+     */
+    or(...groups: QueryFilterGroupCallback[]): DataReferenceQuery {
+        return this.addFilterGroup({ or: groups.map(createFilterGroup) });
+    }
+
+    /**
+     * Adds a group of filters that must all match. Only useful to nest in `or` and `not` groups, because
+     * all filters of a query must match already
+     * @param groups callbacks that add filters (or nested groups) to the group they are given
+     */
+    and(...groups: QueryFilterGroupCallback[]): DataReferenceQuery {
+        return this.addFilterGroup({ and: groups.map(createFilterGroup) });
+    }
+
+    /**
+     * Adds a group of filters that must not match
+     * @param group callback that adds filters (or nested groups) to the group it is given
+     * @example
+     * // NOT (status == 'closed' AND archived exists)
+     * db.query('tasks').not(q => q.filter('status', '==', 'closed').filter('archived', 'exists'));
+     */
+    not(group: QueryFilterGroupCallback): DataReferenceQuery {
+        return this.addFilterGroup({ not: createFilterGroup(group) });
+    }
+
+    private addFilterGroup(node: QueryFilterNode) {
+        // filterTree contains all filters, `filters` remains the flat list of top level filters
+        if (!this[_private].filterTree) {
+            this[_private].filterTree = { and: this[_private].filters.slice() };
         }
-        // DISABLED 2019/10/23 because it is not fully implemented only works locally
-        // if (op === "custom" && typeof compare !== "function") {
-        //     throw `${op} filter for ${key} must supply a Function compare argument`;
-        // }
-        // DISABLED 2022/08/15, implemented by query.ts in acebase
-        // if ((op === 'contains' || op === '!contains') && ((typeof compare === 'object' && !(compare instanceof Array) && !(compare instanceof Date)) || (compare instanceof Array && compare.length === 0))) {
-        //     throw new Error(`${op} filter for ${key} must supply a simple value or (non-zero length) array compare argument`);
-        // }
-        this[_private].filters.push({ key, op, compare });
+        (this[_private].filterTree as { and: QueryFilterNode[] }).and.push(node);
         return this;
     }
 
@@ -1016,6 +1311,61 @@ export class DataReferenceQuery {
         return this.sort(key, ascending);
     }
 
+    /**
+     * Only returns results that are sorted after given result (keyset pagination). Unlike `skip`, this returns stable pages
+     * when children are added or removed in the meantime. Results are sorted by their `sort` keys, and by their child key
+     * if those are equal (by their path for wildcard paths, eg `"users/*\/posts"`). Call this after `sort`.
+     * @param snapshotOrValues snapshot of the last result of the previous page, or the values of each sort key, optionally
+     * followed by a child key (or path for wildcard paths)
+     * @example
+     * const page1 = await db.query('songs').sort('year').take(50).get();
+     * const page2 = await db.query('songs').sort('year').startAfter(page1[page1.length - 1]).take(50).get();
+     */
+    startAfter(snapshotOrValues: DataSnapshot|any[]): DataReferenceQuery {
+        this[_private].startAfter = this.getKeysetValues(snapshotOrValues);
+        return this;
+    }
+
+    /**
+     * Only returns results that are sorted before given result (keyset pagination). Call this after `sort`.
+     * @param snapshotOrValues snapshot of a result, or the values of each sort key, optionally followed by a child key (or
+     * path for wildcard paths)
+     */
+    endBefore(snapshotOrValues: DataSnapshot|any[]): DataReferenceQuery {
+        this[_private].endBefore = this.getKeysetValues(snapshotOrValues);
+        return this;
+    }
+
+    /**
+     * Gets the value that orders results with equal sort values: the child key, or the path for wildcard paths because
+     * results with different parents can have the same key
+     */
+    private getTieBreaker(snapshot: DataSnapshot) {
+        return this.ref.isWildcardPath ? snapshot.ref.path : snapshot.key;
+    }
+
+    /**
+     * Gets the values of the sort keys of a result, followed by its child key (or path, see `getTieBreaker`)
+     */
+    private getKeysetValues(snapshotOrValues: DataSnapshot|any[]) {
+        const order = this[_private].order;
+        if (snapshotOrValues instanceof Array) {
+            if (snapshotOrValues.length < order.length || snapshotOrValues.length > order.length + 1) {
+                throw new Error(`Expected ${order.length} sort values, optionally followed by a ${this.ref.isWildcardPath ? 'path' : 'child key'}`);
+            }
+            return snapshotOrValues;
+        }
+        if (!(snapshotOrValues instanceof DataSnapshot)) {
+            throw new TypeError('snapshotOrValues must be a DataSnapshot or an Array of sort values');
+        }
+        if (!snapshotOrValues.exists()) {
+            throw new Error(`Cannot use snapshot of "/${snapshotOrValues.ref.path}" for paging because it has no value`);
+        }
+        const val = snapshotOrValues.val();
+        const values = order.map(order => getPropertyValue(val, order.key));
+        return values.concat(this.getTieBreaker(snapshotOrValues));
+    }
+
     /**
      * Executes the query
      * @param options data retrieval options (to include or exclude specific child data, and whether to return snapshots (default) or references only)
@@ -1081,6 +1431,10 @@ export class DataReferenceQuery {
 
         // NOTE: returning promise here, regardless of callback argument. Good argument to refactor method to async/await soon
         const db = this.ref.db;
+        if (this[_private].filterTree && !db.api.supportsFilterGroups) {
+            // Don't return results that only match the top level filters
+            return Promise.reject(new NotImplementedError('query filter groups (or, and, not)'));
+        }
         return db.api.query(this.ref.path, this[_private], options)
             .catch(err => {
                 throw new Error(err);
@@ -1151,6 +1505,135 @@ export class DataReferenceQuery {
         return this.count().then(count => count > 0);
     }
 
+    /**
+     * Executes the query and keeps its results up to date. Emits the current results (with sort, skip and take applied)
+     * when they are loaded, and again after each change, with a `diff` describing the changes since the previous results.
+     * Results entering or leaving the skip/take window because other results were added, changed or removed are included.
+     * Uses rxjs `Observable`, or the Observable set with `db.setObservable`
+     * @example
+     * db.query('tasks').filter('done', '==', false).sort('due').take(10).observe().subscribe(tasks => {
+     *     const { added, removed, moved, changed } = tasks.diff;
+     *     console.log(`${tasks.length} tasks to do, ${added.length} added`);
+     * });
+     */
+    observe() {
+        const Observable = getObservable();
+        return new Observable(observer => {
+            // Monitor all results matching the filters, so the sort order and skip/take window can be applied here
+            const { filters, filterTree, order, skip, take, startAfter, endBefore } = this[_private];
+            const query = new DataReferenceQuery(this.ref);
+            Object.assign(query[_private], { filters: filters.slice(), filterTree, order: order.slice(), startAfter, endBefore });
+
+            const compare = (a: DataSnapshot, b: DataSnapshot) => {
+                const x = a.val(), y = b.val();
+                for (const { key, ascending } of order) {
+                    const diff = compareSortValues(getPropertyValue(x, key), getPropertyValue(y, key));
+                    if (diff !== 0) { return ascending ? diff : -diff; }
+                }
+                return compareSortValues(this.getTieBreaker(a), this.getTieBreaker(b));
+            };
+            // Compares the sort values of a result, followed by its key or path, to the values of a keyset bound
+            const compareKeyset = (snap: DataSnapshot, keyset: any[]) => {
+                const values = order.map(({ key }) => getPropertyValue(snap.val(), key)).concat(this.getTieBreaker(snap));
+                for (let i = 0; i < values.length && i < keyset.length; i++) {
+                    const diff = compareSortValues(values[i], keyset[i]);
+                    if (diff !== 0) { return i < order.length && !order[i].ascending ? -diff : diff; }
+                }
+                return 0;
+            };
+            const isInKeysetWindow = (snap: DataSnapshot) => (!(startAfter instanceof Array) || compareKeyset(snap, startAfter) > 0)
+                && (!(endBefore instanceof Array) || compareKeyset(snap, endBefore) < 0);
+            let matches: DataSnapshot[] = [], results: DataSnapshot[] = [];
+            const publish = (initial = false) => {
+                const current = matches.slice(skip, take > 0 ? skip + take : undefined);
+                const diff = getLiveQueryDiff(results, current);
+                results = current;
+                if (initial || diff.added.length > 0 || diff.removed.length > 0 || diff.moved.length > 0 || diff.changed.length > 0) {
+                    observer.next(Object.assign(DataSnapshotsArray.from(current), { diff }) as LiveQueryResults);
+                }
+            };
+
+            let resolved = false, unsubscribed = false;
+            const update = (ev: RealtimeQueryEvent) => {
+                if (unsubscribed) { return; }
+                if (!resolved) {
+                    promise = promise.then(() => update(ev));
+                    return;
+                }
+                const path = ev.snapshot ? ev.snapshot.ref.path : ev.ref.path;
+                matches = matches.filter(snap => snap.ref.path !== path);
+                if (ev.name !== 'remove' && isInKeysetWindow(ev.snapshot)) {
+                    matches.push(ev.snapshot);
+                    matches.sort(compare);
+                }
+                publish();
+            };
+            query.on('add', update).on('change', update).on('remove', update);
+            let promise = (query.get() as Promise<DataSnapshotsArray>).then(snaps => {
+                resolved = true;
+                if (unsubscribed) {
+                    // Unsubscribed before the results were loaded, stop is now bound to the realtime monitor
+                    query.stop();
+                    return;
+                }
+                matches = snaps.slice().sort(compare);
+                publish(true);
+            })
+                .catch(err => {
+                    observer.error(err);
+                });
+
+            // Return unsubscribe function
+            return () => {
+                unsubscribed = true;
+                query.stop();
+            };
+        });
+    }
+
+    /**
+     * Executes the query and computes aggregates of the results. If the database does not support computing them
+     * natively, each result is loaded to compute them locally.
+     * @param aggregates aggregates to compute: `count` (optionally of results having a value for a key), `sum`, `avg`, `min` or `max` of a key
+     * @example
+     * const { total, rating, count } = await db.query('products')
+     *  .filter('category', '==', 'books')
+     *  .aggregate({ total: ['sum', 'price'], rating: ['avg', 'rating'], count: ['count'] });
+     */
+    async aggregate(aggregates: AggregateSpec): Promise<Record<string, any>> {
+        const [result] = await this.getAggregates(aggregates);
+        return result.values;
+    }
+
+    /**
+     * Executes the query, groups the results by the value of a key and computes aggregates for each group
+     * @param key key to group the results by
+     * @param aggregates aggregates to compute for each group, counts the results in each group by default
+     * @example
+     * const groups = await db.query('products').groupBy('category', { count: ['count'], total: ['sum', 'price'] });
+     * // [{ group: 'books', values: { count: 12, total: 241.5 } }, { group: 'games', values: { count: 3, total: 120 } }]
+     */
+    async groupBy(key: string|number, aggregates: AggregateSpec = { count: ['count'] }): Promise<AggregateGroup[]> {
+        return this.getAggregates(aggregates, key);
+    }
+
+    private async getAggregates(aggregates: AggregateSpec, groupBy?: string|number) {
+        const aggregator = new QueryAggregator(aggregates, groupBy);
+        const db = this.ref.db;
+        if (!db.isReady) { await db.ready(); }
+        if (typeof db.api.aggregate === 'function' && (!this[_private].filterTree || db.api.supportsFilterGroups)) {
+            try {
+                return await db.api.aggregate(this.ref.path, this[_private], aggregates, groupBy);
+            }
+            catch (err) {
+                if (!(err instanceof NotImplementedError)) { throw err; }
+            }
+        }
+        // Not supported by the api, compute them here
+        await this.forEach({ include: aggregator.keys }, snap => { aggregator.add(snap.val()); });
+        return aggregator.getGroups();
+    }
+
     /**
      * Executes the query, removes all matches from the database
      * @returns returns an Promise that resolves once all matches have been removed, or void if a callback is used
@@ -1214,6 +1697,40 @@ export class DataReferenceQuery {
         return this;
     }
 
+    /**
+     * Executes the query one page at a time using keyset pagination (see `startAfter`). Each page has a `continuationToken`
+     * that can be passed to a new `paginate` call to continue after that page later, or in another process.
+     * @param pageSize max number of results per page
+     * @param continuationToken token of a previously yielded page to continue after
+     * @example
+     * for await (const page of db.query('songs').sort('year').paginate(50)) {
+     *     console.log(`Got ${page.length} songs, next page token: ${page.continuationToken}`);
+     * }
+     */
+    async *paginate(pageSize: number, continuationToken?: string): AsyncGenerator<DataSnapshotsPage, void, undefined> {
+        if (typeof pageSize !== 'number' || pageSize < 1) {
+            throw new TypeError('pageSize must be a positive number');
+        }
+        const { filters, filterTree, skip, order, startAfter, endBefore } = this[_private];
+        const query = new DataReferenceQuery(this.ref);
+        Object.assign(query[_private], { filters: filters.slice(), filterTree, skip, order: order.slice(), take: pageSize + 1, startAfter, endBefore });
+        if (typeof continuationToken === 'string') {
+            query[_private].startAfter = decodeContinuationToken(continuationToken, order);
+            query[_private].skip = 0;
+        }
+        while (true) {
+            // Get 1 additional result to find out if there is another page
+            const results = await query.get() as DataSnapshotsArray;
+            const hasMore = results.length > pageSize;
+            const page = DataSnapshotsArray.from(results.slice(0, pageSize));
+            const lastValues = hasMore ? query.getKeysetValues(page[page.length - 1]) : null;
+            yield Object.assign(page, { continuationToken: hasMore ? encodeContinuationToken(order, lastValues) : null });
+            if (!hasMore) { break; }
+            query[_private].startAfter = lastValues;
+            query[_private].skip = 0;
+        }
+    }
+
     async forEach(callbackOrOptions: ForEachIteratorCallback|DataRetrievalOptions, callback?: ForEachIteratorCallback): Promise<ForEachIteratorResult> {
         let options;
         if (typeof callbackOrOptions === 'function') { callback = callbackOrOptions; }
@@ -1,38 +1,231 @@
 import process from './process';
 
+export type LogLevel = 'verbose'|'log'|'warn'|'error';
+
 type LoggingFunction = (text: string, ...args: any) => void;
 
-// eslint-disable-next-line @typescript-eslint/no-empty-function
-const noop = () => {};
+const levels: LogLevel[] = ['verbose', 'log', 'warn', 'error'];
+
+/**
+ * Extra context added to all records of a (child) logger, eg `{ path: 'users/ewout' }`. The `module` property
+ * determines the log level to use if per-module levels are configured
+ */
+export interface LogContext {
+    module?: string
+    [key: string]: any
+}
+
+export interface LogRecord {
+    level: LogLevel
+    /** name of the database that logged the record */
+    db: string
+    message: string
+    /** logged value, or array of values if multiple were logged along with the message */
+    data?: any
+    /** context of the logger, see `DebugLogger.child` */
+    context: LogContext
+    /** ms since epoch */
+    timestamp: number
+}
+
+/**
+ * Receives log records, either a function or an object with a `write` method
+ */
+export type LogTransport = ((record: LogRecord) => void) | { write(record: LogRecord): void };
+
+export interface DebugLoggerOptions {
+    /** Minimum level to log, default is `'log'` */
+    level?: LogLevel
+    /** Minimum levels to log for specific modules, overrides `level` for loggers with a `module` in their context */
+    levels?: Record<string, LogLevel>
+    /** Name of the database, added to all records */
+    db?: string
+    /** Transports to send records to, default is a `ConsoleLogTransport` */
+    transports?: LogTransport[]
+    /** Context added to all records */
+    context?: LogContext
+}
+
+/**
+ * Records of which the `data` array holds multiple logged arguments, written as separate arguments to the console
+ */
+const multipleArgs = new WeakSet<LogRecord>();
+
+/**
+ * Records of `DebugLogger.write` calls, of which the message is written to the console as is
+ */
+const writtenText = new WeakSet<LogRecord>();
+
+/**
+ * Writes records to the console, as text (default) or JSON
+ */
+export class ConsoleLogTransport {
+    constructor(public readonly options: { format?: 'text'|'json' } = {}) {}
+
+    write(record: LogRecord) {
+        const method = record.level === 'warn' ? 'warn' : record.level === 'error' ? 'error' : 'log';
+        if (this.options.format === 'json') {
+            const replacer = (key: string, value: any) => value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+            return console[method](JSON.stringify(record, replacer));
+        }
+        if (writtenText.has(record)) {
+            const isRunKit = typeof process !== 'undefined' && process.env && typeof process.env.RUNKIT_ENDPOINT_PATH === 'string';
+            if (record.message && isRunKit) {
+                return record.message.split('\n').forEach(line => console.log(line)); // Logs each line separately
+            }
+            return console.log(record.message);
+        }
+        const args = [record.db ? `[${record.db}]` : '', record.message].filter(text => text !== '');
+        if (multipleArgs.has(record)) {
+            args.push(...record.data);
+        }
+        else if (typeof record.data !== 'undefined') {
+            args.push(record.data);
+        }
+        console[method](...args);
+    }
+}
+
+/**
+ * Keeps the last logged records in memory, eg to check logged records in tests
+ */
+export class MemoryLogTransport {
+    private buffer: LogRecord[] = [];
+    private start = 0;
+
+    /**
+     * @param capacity maximum amount of records to keep, older records are overwritten
+     */
+    constructor(public readonly capacity = 1000) {}
+
+    write(record: LogRecord) {
+        if (this.buffer.length < this.capacity) {
+            this.buffer.push(record);
+        }
+        else {
+            this.buffer[this.start] = record;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
 
+    /**
+     * Kept records, oldest first
+     */
+    get records() {
+        return this.buffer.slice(this.start).concat(this.buffer.slice(0, this.start));
+    }
+
+    clear() {
+        this.buffer = [];
+        this.start = 0;
+    }
+}
+
+/**
+ * Logger used by the database, available as `db.debug`. Creates structured `LogRecord`s and sends them to
+ * all configured transports
+ */
 export class DebugLogger {
-    level: 'verbose'|'log'|'warn'|'error';
+    level: LogLevel;
     prefix: string;
+    /** name of the database, added to all records */
+    db: string;
+    /** minimum levels to log for specific modules */
+    levels: Record<string, LogLevel>;
+    transports: LogTransport[];
+    readonly context: LogContext;
+    private parent: DebugLogger;
     verbose: LoggingFunction;
     log: LoggingFunction;
     warn: LoggingFunction;
     error: LoggingFunction;
+    /** Sends text to the transports regardless of the log level, written to the console as is */
     write: (text: string) => void;
 
-    constructor(level = 'log', prefix = '') {
-        this.prefix = prefix;
-        this.setLevel(level);
+    constructor(options?: DebugLoggerOptions);
+    constructor(level?: LogLevel, prefix?: string);
+    constructor(options: LogLevel|DebugLoggerOptions = 'log', prefix = '') {
+        if (typeof options !== 'object') {
+            // Old signature: level and prefix, eg "[dbname]"
+            options = { level: options, db: prefix.replace(/^\[(.*)\]$/, '$1') };
+        }
+        this.prefix = prefix || (options.db ? `[${options.db}]` : '');
+        this.db = options.db ?? '';
+        this.levels = options.levels ?? {};
+        this.transports = options.transports ?? [new ConsoleLogTransport()];
+        this.context = options.context ?? {};
+        this.setLevel(options.level ?? 'log');
+        this.verbose = (message, ...args) => this.record('verbose', message, args);
+        this.log = (message, ...args) => this.record('log', message, args);
+        this.warn = (message, ...args) => this.record('warn', message, args);
+        this.error = (message, ...args) => this.record('error', message, args);
+        this.write = (text) => {
+            // Text is written regardless of the log level, eg the banner
+            const root = this.root;
+            const record: LogRecord = { level: 'log', db: root.db, message: text, context: this.context, timestamp: Date.now() };
+            writtenText.add(record);
+            this.send(record);
+        };
     }
-    setLevel(level) {
-        const prefix = this.prefix ? this.prefix + ' %s' : '';
+
+    setLevel(level: LogLevel) {
+        if (!levels.includes(level)) {
+            throw new Error(`Unknown log level "${level}", use one of ${levels.join(', ')}`);
+        }
         this.level = level;
-        this.verbose = ['verbose'].includes(level) ? prefix ? console.log.bind(console, prefix) : console.log.bind(console) : noop;
-        this.log = ['verbose', 'log'].includes(level) ? prefix ? console.log.bind(console, prefix) : console.log.bind(console) : noop;
-        this.warn = ['verbose', 'log', 'warn'].includes(level) ? prefix ? console.warn.bind(console, prefix) : console.warn.bind(console) : noop;
-        this.error = ['verbose', 'log', 'warn', 'error'].includes(level) ? prefix ? console.error.bind(console, prefix) : console.error.bind(console) : noop;
-        this.write = (text) => {
-            const isRunKit = typeof process !== 'undefined' && process.env && typeof process.env.RUNKIT_ENDPOINT_PATH === 'string';
-            if (text && isRunKit) {
-                text.split('\n').forEach(line => console.log(line)); // Logs each line separately
+    }
+
+    /**
+     * Creates a logger that adds extra context to its records, and uses the level, transports and module levels of this logger
+     * @example
+     * const logger = db.debug.child({ module: 'sync', path: 'users/ewout' });
+     * logger.warn('Sync failed', err); // { level: 'warn', db: 'mydb', message: 'Sync failed', data: err, context: { module: 'sync', path: 'users/ewout' }, ... }
+     */
+    child(context: LogContext) {
+        const logger = new DebugLogger({ db: this.db, context: { ...this.context, ...context } });
+        logger.parent = this;
+        return logger;
+    }
+
+    private get root(): DebugLogger {
+        return this.parent?.root ?? this;
+    }
+
+    private record(level: LogLevel, message: any, args: any[]) {
+        const root = this.root;
+        const minLevel = root.levels[this.context.module] ?? root.level;
+        if (levels.indexOf(level) < levels.indexOf(minLevel)) { return; }
+        if (typeof message !== 'string') {
+            args.unshift(message);
+            message = '';
+        }
+        const data = args.length === 0 ? undefined : args.length === 1 ? args[0] : args;
+        const record: LogRecord = { level, db: root.db, message, data, context: this.context, timestamp: Date.now() };
+        if (args.length > 1) {
+            multipleArgs.add(record);
+        }
+        this.send(record);
+    }
+
+    private send(record: LogRecord) {
+        const root = this.root;
+        const write = (transport: LogTransport, record: LogRecord) => typeof transport === 'function' ? transport(record) : transport.write(record);
+        root.transports.forEach(transport => {
+            try {
+                write(transport, record);
             }
-            else {
-                console.log(text);
+            catch (err) {
+                // Report the failure to the other transports
+                const failure: LogRecord = { level: 'error', db: root.db, message: 'Error in log transport', data: err, context: this.context, timestamp: Date.now() };
+                root.transports.filter(other => other !== transport).forEach(other => {
+                    try {
+                        write(other, failure);
+                    }
+                    catch (err) {
+                        // Ignore, prevents failing transports from reporting each other's failures endlessly
+                    }
+                });
             }
-        };
+        });
     }
 }
@@ -3,6 +3,141 @@ import cuid from './cuid';
 
 let timeBias = 0;
 
+/**
+ * Generates keys for new nodes, eg with `ref.push()`
+ */
+export interface IIDGenerator {
+    /** Generates a new unique key */
+    generate(): string
+    /** Gets the creation time (ms since epoch) of a key generated by this generator, optional for custom generators */
+    getTimestamp?(id: string): number
+}
+
+/**
+ * Name of a built-in ID generator:
+ * - `'cuid'`: (default) 24 character, lowercase sortable keys
+ * - `'ulid'`: 26 character, uppercase sortable keys ([ULID spec](https://github.com/ulid/spec))
+ * - `'uuidv7'`: time-ordered UUIDs ([RFC 9562](https://www.rfc-editor.org/rfc/rfc9562#name-uuid-version-7))
+ */
+export type IDGeneratorName = 'cuid'|'ulid'|'uuidv7';
+
+const now = () => Date.now() + timeBias;
+
+const randomBytes = (length: number) => {
+    const bytes = new Uint8Array(length);
+    const crypto = (globalThis as any).crypto;
+    if (typeof crypto?.getRandomValues === 'function') {
+        crypto.getRandomValues(bytes);
+    }
+    else {
+        bytes.forEach((_, i) => bytes[i] = Math.floor(Math.random() * 256));
+    }
+    return bytes;
+};
+
+/**
+ * AceBase's default generator: cuids without the leading `"c"`
+ */
+export class CuidGenerator implements IIDGenerator {
+    generate() {
+        return cuid(timeBias).slice(1); // Cuts off the always leading 'c'
+    }
+    getTimestamp(id: string) {
+        if (!/^[0-9a-z]{24}$/.test(id)) { throw new Error(`"${id}" is not a cuid`); }
+        return parseInt(id.slice(0, 8), 36);
+    }
+}
+
+const crockford = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Generates ULIDs. Keys generated in the same millisecond are monotonic: the random part of the previous key is incremented
+ */
+export class ULIDGenerator implements IIDGenerator {
+    private lastTime = 0;
+    private lastRandom: number[] = [];
+
+    generate() {
+        let time = now();
+        if (time <= this.lastTime) {
+            // Same millisecond (or the clock went back): increment the random part of the previous key
+            time = this.lastTime;
+            let i = this.lastRandom.length - 1;
+            while (i >= 0 && this.lastRandom[i] === 31) { this.lastRandom[i--] = 0; }
+            if (i < 0) {
+                // Random part overflowed, continue in the next millisecond
+                time++;
+                this.lastRandom = Array.from(randomBytes(16), byte => byte & 31);
+            }
+            else {
+                this.lastRandom[i]++;
+            }
+        }
+        else {
+            this.lastRandom = Array.from(randomBytes(16), byte => byte & 31);
+        }
+        this.lastTime = time;
+        let timeText = '';
+        for (let i = 0; i < 10; i++) {
+            timeText = crockford[time % 32] + timeText;
+            time = Math.floor(time / 32);
+        }
+        return timeText + this.lastRandom.map(n => crockford[n]).join('');
+    }
+    getTimestamp(id: string) {
+        if (!/^[0-7][0-9A-HJKMNP-TV-Z]{25}$/.test(id)) { throw new Error(`"${id}" is not a ULID`); }
+        return id.slice(0, 10).split('').reduce((time, char) => time * 32 + crockford.indexOf(char), 0);
+    }
+}
+
+/**
+ * Generates version 7 UUIDs. Keys generated in the same millisecond are monotonic: the 12 bit `rand_a` field is used as a counter
+ */
+export class UUIDv7Generator implements IIDGenerator {
+    private lastTime = 0;
+    private counter = 0;
+
+    generate() {
+        let time = now();
+        if (time <= this.lastTime) {
+            time = this.lastTime;
+            this.counter++;
+            if (this.counter > 0xfff) {
+                // Counter overflowed, continue in the next millisecond
+                time++;
+                this.counter = 0;
+            }
+        }
+        else {
+            // Start at a random value in the lower half, leaving room to count
+            this.counter = randomBytes(1)[0] << 3;
+        }
+        this.lastTime = time;
+        const bytes = randomBytes(16);
+        for (let i = 5; i >= 0; i--) {
+            bytes[i] = time % 256;
+            time = Math.floor(time / 256);
+        }
+        bytes[6] = 0x70 | (this.counter >> 8); // version 7
+        bytes[7] = this.counter & 0xff;
+        bytes[8] = 0x80 | (bytes[8] & 0x3f); // variant 10
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+    getTimestamp(id: string) {
+        if (!/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id)) { throw new Error(`"${id}" is not a version 7 UUID`); }
+        return parseInt(id.slice(0, 8) + id.slice(9, 13), 16);
+    }
+}
+
+const generators: Record<IDGeneratorName, new () => IIDGenerator> = {
+    cuid: CuidGenerator,
+    ulid: ULIDGenerator,
+    uuidv7: UUIDv7Generator,
+};
+
+const defaultGenerator = new CuidGenerator();
+
 export class ID {
     static set timeBias(bias) {
         if (typeof bias !== 'number') { return; }
@@ -11,7 +146,39 @@ export class ID {
     static generate() {
         // Could also use https://www.npmjs.com/package/pushid for Firebase style 20 char id's
 
-        return cuid(timeBias).slice(1); // Cuts off the always leading 'c'
+        return defaultGenerator.generate();
         // return uuid62.v1();
     }
+
+    /**
+     * Creates a new instance of a built-in generator, or returns the given custom generator
+     */
+    static createGenerator(generator: IDGeneratorName|IIDGenerator = 'cuid'): IIDGenerator {
+        if (typeof generator === 'string') {
+            if (!(generator in generators)) {
+                throw new Error(`Unknown ID generator "${generator}", use one of ${Object.keys(generators).join(', ')}`);
+            }
+            return new generators[generator]();
+        }
+        if (typeof generator?.generate !== 'function') {
+            throw new TypeError('ID generator must have a generate method');
+        }
+        return generator;
+    }
+
+    /**
+     * Gets the creation time of a key generated by one of the built-in generators (cuid, ULID or UUIDv7)
+     * @returns the creation time in ms since epoch, or `null` if the key was not generated by a built-in generator
+     */
+    static getTimestamp(id: string): number {
+        for (const generator of [defaultGenerator, new ULIDGenerator(), new UUIDv7Generator()]) {
+            try {
+                return generator.getTimestamp(id);
+            }
+            catch (err) {
+                // Other format
+            }
+        }
+        return null;
+    }
 }
@@ -1,20 +1,31 @@
 export { AceBaseBase, AceBaseBaseSettings } from './acebase-base';
-export { Api } from './api';
-export { DataReference, DataReferenceQuery, DataRetrievalOptions, QueryDataRetrievalOptions, DataSnapshotsArray, DataReferencesArray } from './data-reference';
+export { Api, ValueMutation, ValueChange } from './api';
+export { MemoryApi, MemoryApiSettings } from './memory-api';
+export { AceBaseMemory, AceBaseMemorySettings } from './acebase-memory';
+export { DataReference, DataReferenceQuery, DataRetrievalOptions, QueryDataRetrievalOptions, DataSnapshotsArray, DataSnapshotsPage, DataReferencesArray, QueryFilterGroup, QueryFilterGroupCallback, LiveQueryResults, LiveQueryDiff } from './data-reference';
+export { ChangeFeed, ChangeFeedOptions, ChangeFeedBatch, IChangeFeedCursorStore } from './change-feed';
 export { DataSnapshot, MutationsDataSnapshot } from './data-snapshot';
-export { DebugLogger } from './debug';
-export { ID } from './id';
+export { JSONPatch, JSONPatchOperation } from './json-patch';
+export { DebugLogger, DebugLoggerOptions, LogLevel, LogContext, LogRecord, LogTransport, ConsoleLogTransport, MemoryLogTransport } from './debug';
+export { ID, IIDGenerator, IDGeneratorName, CuidGenerator, ULIDGenerator, UUIDv7Generator } from './id';
 export { PathReference } from './path-reference';
-export { EventStream, EventPublisher, EventSubscription } from './subscription';
+export { EventStream, EventPublisher, EventSubscription, EventBatchSettings } from './subscription';
 export * as Transport from './transport';
 export { TypeMappings, TypeMappingOptions } from './type-mappings';
+export { Triggers, ITrigger, ITriggerChange, ITriggerContext, ITriggerDefinition } from './triggers';
+export { ISchemaMigration, ISchemaMigrationOptions, ISchemaMigrationResult } from './migrations';
 export * as Utils from './utils';
 export { PathInfo } from './path-info';
 export { ascii85 } from './ascii85';
-export { SimpleCache } from './simple-cache';
-export { proxyAccess } from './data-proxy';
+export { SimpleCache, SimpleCacheOptions, SimpleCacheEvictEvent, SimpleCacheStats } from './simple-cache';
+export { proxyAccess, OrderedCollectionProxy, OrderedCollectionOptions, LiveDataProxyOptions, LiveDataProxyPendingMutation, ILiveDataProxyPendingStore, LiveDataProxyConflict, LiveDataProxyConflictResolver, ILiveDataProxyHistory } from './data-proxy';
 export { SimpleEventEmitter } from './simple-event-emitter';
 export { ColorStyle, Colorize } from './simple-colors';
-export { SchemaDefinition, ISchemaCheckResult } from './schema';
+export { matchesQuery, matchesFilterTree, QueryFilterNode, IQueryFilter } from './query-filter';
+export { QueryAggregator, AggregateSpec, AggregateFunction, AggregateGroup } from './aggregate';
+export { SchemaDefinition, ISchemaCheckResult, ISchemaCheckError, ISchemaCheckOptions, SchemaRule, JSONSchema } from './schema';
+export { getModelSchema, ModelClass, ModelSchema, ModelPropertyType } from './model';
+export { SecurityRules, SecurityRulesNode, SecurityRule, ISecurityRuleEnvironment, ISecurityCheckContext, ISecurityCheckResult, RuleDataSnapshot } from './security-rules';
 export { ObjectCollection } from './object-collection';
 export { PartialArray } from './partial-array';
+export { StreamFormat, CSVColumn, CSVColumnType, CSVOptions, IChildRecord, readLines, exportChildren, importChildren } from './stream-formats';
@@ -0,0 +1,190 @@
+import type { ValueMutation } from './api';
+import type { MutationsDataSnapshot } from './data-snapshot';
+import { PathInfo } from './path-info';
+import { PathReference } from './path-reference';
+import { cloneObject, valuesAreEqual } from './utils';
+
+/**
+ * A JSON Patch ([RFC 6902](https://www.rfc-editor.org/rfc/rfc6902)) operation. Paths are JSON Pointers
+ * ([RFC 6901](https://www.rfc-editor.org/rfc/rfc6901)), eg `"/users/ewout/name"`
+ */
+export type JSONPatchOperation =
+    | { op: 'add', path: string, value: any }
+    | { op: 'remove', path: string }
+    | { op: 'replace', path: string, value: any }
+    | { op: 'move', from: string, path: string }
+    | { op: 'copy', from: string, path: string }
+    | { op: 'test', path: string, value: any };
+
+type Key = string|number;
+
+const isObject = (value: any) => typeof value === 'object' && value !== null && !(value instanceof Array)
+    && !(value instanceof Date) && !(value instanceof ArrayBuffer) && !(value instanceof PathReference) && !(value instanceof RegExp);
+
+/**
+ * Parses a JSON Pointer into its keys
+ */
+const parsePointer = (pointer: string) => {
+    if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) { throw new Error(`Invalid JSON Pointer "${pointer}"`); }
+    return pointer === '' ? [] : pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Creates a JSON Pointer for given keys
+ */
+const toPointer = (keys: Key[]) => keys.map(key => `/${key.toString().replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+/**
+ * Converts between JSON Patch documents and AceBase values and mutations
+ */
+export class JSONPatch {
+    /**
+     * Applies JSON Patch operations to a value. Operations are applied in order, if any of them fails (eg a `test`
+     * operation) an error is thrown and no changes are made
+     * @param value value to patch, is not changed
+     * @param operations operations to apply
+     * @returns the patched value, `null` if the value was removed
+     */
+    static apply<T = any>(value: T, operations: JSONPatchOperation[]): T {
+        if (!(operations instanceof Array)) { throw new TypeError('operations must be an array'); }
+        const root = { value: cloneObject(value ?? null) };
+        operations.forEach((operation, index) => {
+            const fail = (message: string) => {
+                throw new Error(`JSON Patch operation ${index} (${operation?.op} "${operation?.path}") failed: ${message}`);
+            };
+            // Resolves the parent of the target node, and the target key in it
+            const resolve = (pointer: string) => {
+                const keys: Key[] = ['value', ...parsePointer(pointer)];
+                const key = keys.pop();
+                const parent = keys.reduce((parent, key) => {
+                    const child = parent !== null && typeof parent === 'object' && Object.prototype.hasOwnProperty.call(parent, key) ? parent[key] : undefined;
+                    if (typeof child !== 'object' || child === null) { fail(`path "${pointer}" does not exist`); }
+                    return child;
+                }, root as any);
+                if (parent instanceof Array && key !== '-' && !/^(0|[1-9][0-9]*)$/.test(key as string)) { fail(`invalid array index "${key}"`); }
+                return { parent, key: parent instanceof Array && key !== '-' ? +key : key };
+            };
+            const exists = (parent: any, key: Key) => parent instanceof Array ? (key as number) < parent.length : Object.prototype.hasOwnProperty.call(parent, key);
+            const get = (pointer: string) => {
+                const { parent, key } = resolve(pointer);
+                if (!exists(parent, key)) { fail(`path "${pointer}" does not exist`); }
+                return parent[key];
+            };
+            const add = (pointer: string, value: any) => {
+                const { parent, key } = resolve(pointer);
+                if (!(parent instanceof Array)) { parent[key] = value; }
+                else if (key === '-') { parent.push(value); }
+                else if (key > parent.length) { fail(`array index ${key} is out of bounds`); }
+                else { parent.splice(key as number, 0, value); }
+            };
+            const remove = (pointer: string) => {
+                const { parent, key } = resolve(pointer);
+                if (!exists(parent, key)) { fail(`path "${pointer}" does not exist`); }
+                if (parent instanceof Array) { parent.splice(key as number, 1); }
+                else { delete parent[key]; }
+            };
+
+            switch (operation?.op) {
+                case 'add': {
+                    add(operation.path, cloneObject(operation.value));
+                    break;
+                }
+                case 'remove': {
+                    remove(operation.path);
+                    break;
+                }
+                case 'replace': {
+                    get(operation.path);
+                    const { parent, key } = resolve(operation.path);
+                    parent[key] = cloneObject(operation.value);
+                    break;
+                }
+                case 'move': {
+                    if (operation.path.startsWith(`${operation.from}/`)) { fail(`cannot move "${operation.from}" into one of its children`); }
+                    const value = get(operation.from);
+                    remove(operation.from);
+                    add(operation.path, value);
+                    break;
+                }
+                case 'copy': {
+                    add(operation.path, cloneObject(get(operation.from)));
+                    break;
+                }
+                case 'test': {
+                    if (!valuesAreEqual(get(operation.path), operation.value)) { fail('value is not equal'); }
+                    break;
+                }
+                default: {
+                    fail('unknown operation');
+                }
+            }
+        });
+        return root.value ?? null;
+    }
+
+    /**
+     * Applies a JSON Merge Patch ([RFC 7386](https://www.rfc-editor.org/rfc/rfc7386)) to a value: objects in the patch
+     * are merged recursively, `null` values remove properties, all other values replace the current value
+     * @param value value to patch, is not changed
+     * @param patch merge patch document
+     * @returns the patched value, `null` if the value was removed
+     */
+    static applyMerge<T = any>(value: T, patch: any): T {
+        const merge = (target: any, patch: any) => {
+            if (!isObject(patch)) { return cloneObject(patch); }
+            target = isObject(target) ? { ...target } : {};
+            Object.keys(patch).forEach(key => {
+                if (patch[key] === null) { delete target[key]; }
+                else { target[key] = merge(target[key], patch[key]); }
+            });
+            return target;
+        };
+        return merge(value, patch) ?? null;
+    }
+
+    /**
+     * Converts mutations to JSON Patch operations, eg to forward a change feed to services that use JSON Patch.
+     * Values are not serialized, so `Date` values etc are included as is
+     * @param mutations `ValueMutation`s from `ref.getMutations`, `ref.changeFeed` or a `"mutations"` event snapshot
+     * @param path path the JSON Pointers of the operations are relative to. Mutations outside of it are ignored.
+     * Default is the root for `ValueMutation`s, and the path of the snapshot for a `MutationsDataSnapshot`
+     * @returns JSON Patch operations
+     * @example
+     * db.ref('users').on('mutations', snap => {
+     *     const operations = JSONPatch.fromMutations(snap); // [{ op: 'replace', path: '/ewout/name', value: 'Ewout' }]
+     * });
+     */
+    static fromMutations(mutations: ValueMutation[] | MutationsDataSnapshot, path?: string): JSONPatchOperation[] {
+        const list: Array<{ target: Key[], val: any, prev: any }> = mutations instanceof Array
+            ? mutations.reduce((list, mutation) => {
+                const keys = PathInfo.getPathKeys(mutation.changes.path);
+                return list.concat(mutation.changes.list.map(change => ({ target: keys.concat(change.target), val: change.val, prev: change.prev })));
+            }, [])
+            : mutations.val(false).map(mutation => ({ target: PathInfo.getPathKeys(mutations.ref.path).concat(mutation.target), val: mutation.val, prev: mutation.prev }));
+        const baseKeys = PathInfo.getPathKeys(path ?? (mutations instanceof Array ? '' : mutations.ref.path));
+
+        return list.reduce((operations, { target, val, prev }) => {
+            const common = Math.min(target.length, baseKeys.length);
+            if (!target.slice(0, common).every((key, i) => key === baseKeys[i])) {
+                // Not in or above base path
+                return operations;
+            }
+            // Mutations on ancestors of base path affect its value
+            baseKeys.slice(common).forEach(key => {
+                val = val?.[key] ?? null;
+                prev = prev?.[key] ?? null;
+            });
+            const pointer = toPointer(target.slice(common));
+            if (val === null || typeof val === 'undefined') {
+                if (prev !== null && typeof prev !== 'undefined') { operations.push({ op: 'remove', path: pointer }); }
+            }
+            else if (prev === null || typeof prev === 'undefined') {
+                operations.push({ op: 'add', path: pointer, value: val });
+            }
+            else if (!valuesAreEqual(prev, val)) {
+                operations.push({ op: 'replace', path: pointer, value: val });
+            }
+            return operations;
+        }, [] as JSONPatchOperation[]);
+    }
+}
@@ -0,0 +1,896 @@
+import { Api, EventSubscriptionCallback, IAceBaseSchemaInfo, IApiExportOptions, IApiImportOptions, IApiQuery, IApiQueryOptions, IDataIndex, IStreamLike, ReflectionType, StreamReadFunction, StreamWriteFunction, ValueChange, ValueMutation } from './api';
+import { PathInfo } from './path-info';
+import { PathReference } from './path-reference';
+import { AggregateGroup, AggregateSpec, QueryAggregator } from './aggregate';
+import { compareSortValues, getPropertyValue, matchesQuery } from './query-filter';
+import { ISchemaCheckOptions, ISchemaCheckResult, SchemaDefinition } from './schema';
+import { ID } from './id';
+import { ascii85 } from './ascii85';
+import { cloneObject, compareValues, concatTypedArrays, decodeString, defer, getMutations } from './utils';
+import { serialize2, deserialize2 } from './transport';
+import { exportChildren, importChildren } from './stream-formats';
+import type { AceBaseBase } from './acebase-base';
+
+type NodeKey = string|number;
+
+export interface MemoryApiSettings {
+    /** Database the api is used by */
+    db?: AceBaseBase;
+    /** Transaction (mutations) logging settings */
+    transactions?: {
+        /** Whether to log mutations so they can be retrieved with `getMutations` and `getChanges`. Default is `true` */
+        log?: boolean;
+        /** Max age of logged mutations in days. Default is `30` */
+        maxAge?: number;
+    };
+}
+
+interface IMemorySubscription {
+    path: string;
+    keys: NodeKey[];
+    event: string;
+    callback: EventSubscriptionCallback;
+}
+
+interface IMemoryQueryMonitor {
+    path: string;
+    keys: NodeKey[];
+    query: IApiQuery;
+    options: IApiQueryOptions;
+}
+
+interface IMutationLogEntry {
+    id: string;
+    timestamp: number;
+    path: string;
+    type: 'set'|'update';
+    value: any;
+    context: any;
+    /** Root node before the mutation */
+    before: any;
+    /** Root node after the mutation */
+    after: any;
+}
+
+interface IMemoryIndex extends IDataIndex {
+    path: string;
+    key: string;
+    type: string;
+    fileName: string;
+    includeKeys: string[];
+    textLocale?: string;
+    config?: object;
+}
+
+/** A changed node that matched a (wildcard) target path during a write */
+interface IChangedTarget {
+    path: string;
+    keys: NodeKey[];
+    oldValue: any;
+    newValue: any;
+}
+
+const isWildcardKey = (key: NodeKey) => typeof key === 'string' && (key === '*' || key[0] === '$');
+
+/**
+ * Matches the keys of a path to (wildcard) target keys, which can include `**` to match any number of keys
+ * @returns `ancestors`: the lengths of the ancestor paths that match the target keys, `trails`: the remaining
+ * target keys for descendants (or the node itself if empty) to match
+ */
+const matchTargetKeys = (targetKeys: NodeKey[], keys: NodeKey[]) => {
+    // Indexes of the target keys that can be matched next. ** can match no keys, so can be skipped
+    const skipRecursive = (states: Set<number>) => {
+        states.forEach(i => targetKeys[i] === '**' && states.add(i + 1));
+        return states;
+    };
+    let states = skipRecursive(new Set([0]));
+    const ancestors: number[] = [];
+    keys.forEach((key, length) => {
+        if (states.has(targetKeys.length)) { ancestors.push(length); }
+        const next = new Set<number>();
+        states.forEach(i => {
+            const targetKey = targetKeys[i];
+            if (targetKey === '**') { next.add(i); }
+            else if (i < targetKeys.length && (isWildcardKey(targetKey) || targetKey === key)) { next.add(i + 1); }
+        });
+        states = skipRecursive(next);
+    });
+    return { ancestors, trails: [...states].map(i => targetKeys.slice(i)) };
+};
+
+/**
+ * Whether the value is a node that can have children. Dates, binary values, path references and regular expressions are stored as values
+ */
+const isContainer = (val: any) => val !== null && typeof val === 'object'
+    && !(val instanceof Date || val instanceof ArrayBuffer || val instanceof PathReference || val instanceof RegExp || ArrayBuffer.isView(val));
+
+const getChildKeys = (node: any): NodeKey[] => {
+    if (!isContainer(node)) { return []; }
+    if (node instanceof Array) { return node.map((v, i) => i); }
+    return Object.keys(node);
+};
+
+const getChild = (node: any, key: NodeKey) => {
+    if (!isContainer(node)) { return null; }
+    const child = node[key];
+    return typeof child === 'undefined' ? null : child;
+};
+
+const getValueAt = (root: any, keys: NodeKey[]) => {
+    let node = root;
+    for (const key of keys) {
+        node = getChild(node, key);
+        if (node === null) { break; }
+    }
+    return node;
+};
+
+/**
+ * Prepares a value for storage: clones it and removes all `null` and `undefined` properties
+ */
+const prepareValue = (value: any): any => {
+    if (value === null || typeof value === 'undefined') { return null; }
+    const clone = cloneObject(value);
+    const strip = (obj: any) => {
+        if (!isContainer(obj)) { return; }
+        Object.keys(obj).forEach(key => {
+            const val = obj[key];
+            if (val === null || typeof val === 'undefined') { delete obj[key]; }
+            else { strip(val); }
+        });
+    };
+    strip(clone);
+    return clone;
+};
+
+/**
+ * Returns a new root with the node at given path replaced by value. Only nodes on the path are copied, all other
+ * nodes are shared with the original root. Because stored nodes are never altered, previous roots remain valid
+ * snapshots that are used for event and mutation log processing.
+ */
+const setValueAt = (node: any, keys: NodeKey[], value: any): any => {
+    if (keys.length === 0) { return value; }
+    const [key, ...trailKeys] = keys;
+    const current = isContainer(node) ? node : typeof key === 'number' ? [] : {};
+    const copy = current instanceof Array ? current.slice() : { ...current };
+    const childValue = setValueAt(getChild(current, key), trailKeys, value);
+    if (childValue !== null) {
+        copy[key] = childValue;
+    }
+    else if (copy instanceof Array && typeof key === 'number') {
+        copy.splice(key, 1);
+    }
+    else {
+        delete copy[key];
+    }
+    return copy;
+};
+
+/**
+ * Returns a copy of node with given updates merged into it
+ */
+const mergeValue = (node: any, updates: object) => {
+    const current = isContainer(node) ? node : {};
+    const merged = current instanceof Array ? current.slice() : { ...current };
+    const removeIndexes: number[] = [];
+    Object.keys(updates).forEach(key => {
+        const val = prepareValue(updates[key]);
+        const k: NodeKey = merged instanceof Array ? parseInt(key) : key;
+        if (val !== null) { merged[k] = val; }
+        else if (merged instanceof Array) { removeIndexes.push(k as number); }
+        else { delete merged[k]; }
+    });
+    removeIndexes.sort((a, b) => b - a).forEach(index => (merged as any[]).splice(index, 1));
+    return merged;
+};
+
+const getValueType = (val: any) => {
+    if (val instanceof Array) { return 'array'; }
+    if (val instanceof Date) { return 'date'; }
+    if (val instanceof ArrayBuffer) { return 'binary'; }
+    if (val instanceof PathReference) { return 'reference'; }
+    return typeof val;
+};
+
+/**
+ * Applies data retrieval options `include`, `exclude` and `child_objects` to a (cloned) value
+ */
+const applyRetrievalOptions = (value: any, options: { include?: NodeKey[], exclude?: NodeKey[], child_objects?: boolean }) => {
+    if (!isContainer(value) || !options) { return value; }
+    let result = value;
+    if (options.child_objects === false) {
+        result = value instanceof Array ? [] : {};
+        getChildKeys(value).forEach(key => {
+            if (!isContainer(value[key])) { result[key] = value[key]; }
+        });
+    }
+    if (options.include instanceof Array && options.include.length > 0) {
+        const source = result;
+        result = source instanceof Array ? [] : {};
+        const pick = (src: any, target: any, keys: NodeKey[]) => {
+            const [key, ...trailKeys] = keys;
+            const childKeys = isWildcardKey(key) ? getChildKeys(src) : [key];
+            childKeys.forEach(childKey => {
+                const child = getChild(src, childKey);
+                if (child === null) { return; }
+                if (trailKeys.length === 0) {
+                    target[childKey] = child;
+                }
+                else if (isContainer(child)) {
+                    if (!isContainer(target[childKey])) { target[childKey] = child instanceof Array ? [] : {}; }
+                    pick(child, target[childKey], trailKeys);
+                }
+            });
+        };
+        options.include.forEach(path => pick(source, result, PathInfo.getPathKeys(path.toString())));
+    }
+    if (options.exclude instanceof Array && options.exclude.length > 0) {
+        const omit = (target: any, keys: NodeKey[]) => {
+            const [key, ...trailKeys] = keys;
+            const childKeys = isWildcardKey(key) ? getChildKeys(target) : [key];
+            childKeys.forEach(childKey => {
+                if (trailKeys.length === 0) { delete target[childKey]; }
+                else if (isContainer(target[childKey])) { omit(target[childKey], trailKeys); }
+            });
+        };
+        options.exclude.forEach(path => omit(result, PathInfo.getPathKeys(path.toString())));
+    }
+    return result;
+};
+
+/**
+ * In-memory implementation of the `Api`. Stores all data in memory and supports events (including wildcard paths), queries,
+ * realtime query monitoring, schemas and a mutations log with cursors. Useful for testing code that uses `DataReference`,
+ * `DataReferenceQuery` or `LiveDataProxy` without a storage backend.
+ *
+ * Note: all writes (`set`, `update`, `transaction`, `import`) are queued and processed one at a time. Awaiting another write
+ * from within a `transaction` callback will therefore never resolve.
+ */
+export class MemoryApi extends Api {
+    readonly db: AceBaseBase;
+    readonly name: string;
+    private settings: MemoryApiSettings;
+    private root: any = {};
+    private subscriptions: IMemorySubscription[] = [];
+    private monitors: IMemoryQueryMonitor[] = [];
+    private schemas: Array<{ path: string, schema: SchemaDefinition }> = [];
+    private schemaVersions = new Map<string, number>();
+    private indexes: IMemoryIndex[] = [];
+    private log: IMutationLogEntry[] = [];
+    private writeQueue: Promise<any> = Promise.resolve();
+    private counters = { reads: 0, writes: 0 };
+
+    constructor(dbname: string, settings: MemoryApiSettings, readyCallback: () => void) {
+        super(dbname, settings, readyCallback);
+        this.name = dbname;
+        this.db = settings?.db;
+        this.settings = {
+            transactions: {
+                log: settings?.transactions?.log !== false,
+                maxAge: typeof settings?.transactions?.maxAge === 'number' ? settings.transactions.maxAge : 30,
+            },
+        };
+        defer(readyCallback);
+    }
+
+    /**
+     * Runs a write operation after all previously queued writes have finished
+     */
+    private queue<T>(operation: () => T|Promise<T>): Promise<T> {
+        const promise = this.writeQueue.then(operation);
+        this.writeQueue = promise.catch(() => undefined);
+        return promise;
+    }
+
+    private async assertValid(path: string, value: any, isUpdate: boolean) {
+        const result = await this.validateSchema(path, value, isUpdate);
+        if (!result.ok) {
+            throw new Error(`Schema validation for "/${path}" failed: ${result.reason}`);
+        }
+    }
+
+    /**
+     * Stores a new root value, logs the mutation(s) and triggers events. Must only be called by queued write operations.
+     * Multiple writes are committed as 1 atomic operation: each write is logged separately, but events are triggered once.
+     */
+    private commit(writes: Array<{ path: string, type: 'set'|'update', value: any }>, newRoot: any, options: { context?: any, suppress_events?: boolean }) {
+        const before = this.root;
+        this.root = newRoot;
+        this.counters.writes++;
+        const context = options?.context || {};
+        let cursor: string;
+        if (this.settings.transactions.log) {
+            const timestamp = Date.now();
+            writes.forEach(write => {
+                cursor = ID.generate();
+                this.log.push({ id: cursor, timestamp, path: write.path, type: write.type, value: write.value, context, before, after: newRoot });
+            });
+            const expired = timestamp - (this.settings.transactions.maxAge * 24 * 60 * 60 * 1000);
+            while (this.log.length > 0 && this.log[0].timestamp < expired) { this.log.shift(); }
+        }
+        if (options?.suppress_events !== true) {
+            // Use the deepest path shared by all writes to find changed nodes
+            const writeKeys = writes
+                .map(write => PathInfo.getPathKeys(write.path))
+                .reduce((shared, keys) => {
+                    const index = shared.findIndex((key, i) => keys[i] !== key);
+                    return index >= 0 ? shared.slice(0, index) : shared;
+                });
+            const eventContext = cursor ? { ...context, acebase_cursor: cursor } : context;
+            this.triggerEvents(writeKeys, before, newRoot, eventContext);
+        }
+        return { cursor };
+    }
+
+    /**
+     * Finds all nodes matching (wildcard) target keys that changed between the old and new root, given that the write
+     * took place on the node at writeKeys. Target keys can include `**` to match nodes at any depth
+     */
+    private getChangedTargets(targetKeys: NodeKey[], writeKeys: NodeKey[], oldRoot: any, newRoot: any) {
+        const targets: IChangedTarget[] = [];
+        const paths = new Set<string>(); // ** keys can match nodes multiple times
+        const walk = (index: number, keys: NodeKey[], oldNode: any, newNode: any) => {
+            if (oldNode === newNode) {
+                return; // Unchanged (shared) node
+            }
+            if (index === targetKeys.length) {
+                const path = PathInfo.get(keys).path;
+                if (!paths.has(path)) {
+                    paths.add(path);
+                    targets.push({ path, keys, oldValue: oldNode, newValue: newNode });
+                }
+                return;
+            }
+            const targetKey = targetKeys[index];
+            if (targetKey === '**') {
+                // Match this node with the next target key, or continue matching ** with its children
+                walk(index + 1, keys, oldNode, newNode);
+                const childKeys = keys.length < writeKeys.length ? [writeKeys[keys.length]] : getChildKeys(oldNode);
+                if (keys.length >= writeKeys.length) {
+                    getChildKeys(newNode).forEach(key => !childKeys.includes(key) && childKeys.push(key));
+                }
+                childKeys.forEach(key => walk(index, keys.concat(key), getChild(oldNode, key), getChild(newNode, key)));
+            }
+            else if (keys.length < writeKeys.length) {
+                const writeKey = writeKeys[keys.length];
+                if (!isWildcardKey(targetKey) && targetKey !== writeKey) { return; }
+                walk(index + 1, keys.concat(writeKey), getChild(oldNode, writeKey), getChild(newNode, writeKey));
+            }
+            else if (isWildcardKey(targetKey)) {
+                const childKeys = getChildKeys(oldNode);
+                getChildKeys(newNode).forEach(key => !childKeys.includes(key) && childKeys.push(key));
+                childKeys.forEach(key => walk(index + 1, keys.concat(key), getChild(oldNode, key), getChild(newNode, key)));
+            }
+            else {
+                walk(index + 1, keys.concat(targetKey), getChild(oldNode, targetKey), getChild(newNode, targetKey));
+            }
+        };
+        walk(0, [], oldRoot, newRoot);
+        return targets.filter(target => compareValues(target.oldValue, target.newValue) !== 'identical');
+    }
+
+    private triggerEvents(writeKeys: NodeKey[], oldRoot: any, newRoot: any, context: any) {
+        const run = (callback: EventSubscriptionCallback, path: string, newValue: any, oldValue: any) => {
+            try {
+                callback(null, path, cloneObject(newValue), cloneObject(oldValue), context);
+            }
+            catch (err) {
+                this.db?.debug.child({ module: 'memory-api', path }).error(`Error in event callback for path "/${path}":`, err);
+            }
+        };
+        this.subscriptions.slice().forEach(sub => {
+            const event = sub.event.replace(/^notify_/, '');
+            const isChildEvent = event.startsWith('child_');
+            const targets = this.getChangedTargets(isChildEvent ? sub.keys.concat('*') : sub.keys, writeKeys, oldRoot, newRoot);
+            targets.forEach(target => {
+                const { oldValue, newValue } = target;
+                switch (event) {
+                    case 'value': return run(sub.callback, target.path, newValue, oldValue);
+                    case 'child_added': return oldValue === null && run(sub.callback, target.path, newValue, null);
+                    case 'child_removed': return newValue === null && run(sub.callback, target.path, null, oldValue);
+                    case 'child_changed': return oldValue !== null && newValue !== null && run(sub.callback, target.path, newValue, oldValue);
+                    case 'mutated': {
+                        return getMutations(oldValue, newValue).forEach(m => {
+                            run(sub.callback, PathInfo.get(target.keys.concat(m.target)).path, m.val, m.prev);
+                        });
+                    }
+                    case 'mutations': {
+                        return run(sub.callback, target.path, getMutations(oldValue, newValue), null);
+                    }
+                }
+            });
+        });
+        this.monitors.slice().forEach(monitor => {
+            const targets = this.getChangedTargets(monitor.keys.concat('*'), writeKeys, oldRoot, newRoot);
+            targets.forEach(target => {
+                const wasMatch = matchesQuery(target.oldValue, monitor.query);
+                const isMatch = matchesQuery(target.newValue, monitor.query);
+                const name = wasMatch && isMatch ? 'change' : isMatch ? 'add' : wasMatch ? 'remove' : null;
+                if (name === null || !monitor.options.monitor?.[name]) { return; }
+                const value = name === 'remove' ? null : applyRetrievalOptions(cloneObject(target.newValue), monitor.options);
+                try {
+                    monitor.options.eventHandler({ name, path: target.path, value, context });
+                }
+                catch (err) {
+                    this.db?.debug.child({ module: 'memory-api', path: target.path }).error(`Error in query event handler for path "/${target.path}":`, err);
+                }
+            });
+        });
+    }
+
+    async stats() {
+        return {
+            reads: this.counters.reads,
+            writes: this.counters.writes,
+            subscriptions: this.subscriptions.length,
+            mutations: this.log.length,
+        };
+    }
+
+    subscribe(path: string, event: string, callback: EventSubscriptionCallback) {
+        const events = ['value', 'child_added', 'child_changed', 'child_removed', 'mutated', 'mutations'];
+        if (!events.includes(event.replace(/^notify_/, ''))) {
+            throw new Error(`Invalid event "${event}"`);
+        }
+        this.subscriptions.push({ path, keys: PathInfo.getPathKeys(path), event, callback });
+    }
+
+    unsubscribe(path: string, event?: string, callback?: EventSubscriptionCallback) {
+        this.subscriptions = this.subscriptions.filter(sub =>
+            sub.path !== path
+            || (typeof event === 'string' && sub.event !== event)
+            || (typeof callback === 'function' && sub.callback !== callback),
+        );
+    }
+
+    set(path: string, value: any, options: { context?: any, suppress_events?: boolean } = {}) {
+        return this.queue(async () => {
+            await this.assertValid(path, value, false);
+            const keys = PathInfo.getPathKeys(path);
+            const newValue = prepareValue(value);
+            if (keys.length === 0 && !isContainer(newValue)) {
+                throw new Error('Cannot set the root object to anything other than an object');
+            }
+            const newRoot = setValueAt(this.root, keys, newValue);
+            return this.commit([{ path, type: 'set', value: newValue }], newRoot, options);
+        });
+    }
+
+    update(path: string, updates: any, options: { context?: any, suppress_events?: boolean } = {}) {
+        return this.queue(async () => {
+            await this.assertValid(path, updates, true);
+            const keys = PathInfo.getPathKeys(path);
+            const merged = mergeValue(getValueAt(this.root, keys), updates);
+            const newRoot = setValueAt(this.root, keys, merged);
+            return this.commit([{ path, type: 'update', value: prepareValue(updates) }], newRoot, options);
+        });
+    }
+
+    multiUpdate(updates: Record<string, any>, options: { context?: any, suppress_events?: boolean } = {}) {
+        return this.queue(async () => {
+            const paths = Object.keys(updates);
+            if (paths.length === 0) {
+                return { cursor: undefined as string };
+            }
+            // Validate all targets before writing anything
+            for (const path of paths) {
+                await this.assertValid(path, updates[path], false);
+            }
+            const writes = paths.map(path => ({ path, type: 'set' as const, value: prepareValue(updates[path]) }));
+            const newRoot = writes.reduce((root, write) => setValueAt(root, PathInfo.getPathKeys(write.path), write.value), this.root);
+            return this.commit(writes, newRoot, options);
+        });
+    }
+
+    async get(path: string, options?: { include?: NodeKey[], exclude?: NodeKey[], child_objects?: boolean }) {
+        this.counters.reads++;
+        const value = getValueAt(this.root, PathInfo.getPathKeys(path));
+        const cursor = this.log.length > 0 ? this.log[this.log.length - 1].id : undefined;
+        return {
+            value: applyRetrievalOptions(cloneObject(value), options),
+            context: cursor ? { acebase_cursor: cursor } : {},
+            cursor,
+        };
+    }
+
+    transaction(path: string, callback: (val: any) => any, options: { context?: any } = {}) {
+        return this.queue(async () => {
+            const keys = PathInfo.getPathKeys(path);
+            const currentValue = cloneObject(getValueAt(this.root, keys));
+            const newValue = await callback(currentValue);
+            if (typeof newValue === 'undefined') {
+                // Transaction canceled
+                return { cursor: undefined as string };
+            }
+            await this.assertValid(path, newValue, false);
+            const value = prepareValue(newValue);
+            const newRoot = setValueAt(this.root, keys, value);
+            return this.commit([{ path, type: 'set', value }], newRoot, options);
+        });
+    }
+
+    async exists(path: string) {
+        return getValueAt(this.root, PathInfo.getPathKeys(path)) !== null;
+    }
+
+    get supportsFilterGroups() { return true; }
+
+    async query(path: string, query: IApiQuery, options: IApiQueryOptions = { snapshots: false }) {
+        this.counters.reads++;
+        const keys = PathInfo.getPathKeys(path);
+
+        // Find all (wildcard) matching child nodes. Results of wildcard paths can have equal keys, so their paths are compared instead
+        const isWildcardPath = keys.some(key => key === '**' || isWildcardKey(key));
+        let matches: Array<{ path: string, value: any, sortValues: any[] }> = [];
+        const find = (node: any, nodeKeys: NodeKey[], index: number) => {
+            if (index === keys.length) {
+                getChildKeys(node).forEach(key => {
+                    const value = getChild(node, key);
+                    if (matchesQuery(value, query)) {
+                        const resultPath = PathInfo.get(nodeKeys.concat(key)).path;
+                        const sortValues = query.order.map(order => getPropertyValue(value, order.key)).concat(isWildcardPath ? resultPath : key);
+                        matches.push({ path: resultPath, value, sortValues });
+                    }
+                });
+                return;
+            }
+            const key = keys[index];
+            if (key === '**') {
+                // Any depth: continue with the next key, or match ** with the children
+                find(node, nodeKeys, index + 1);
+                getChildKeys(node).forEach(childKey => find(getChild(node, childKey), nodeKeys.concat(childKey), index));
+                return;
+            }
+            const childKeys = isWildcardKey(key) ? getChildKeys(node) : [key];
+            childKeys.forEach(childKey => find(getChild(node, childKey), nodeKeys.concat(childKey), index + 1));
+        };
+        find(this.root, [], 0);
+        if (keys.includes('**')) {
+            // Remove nodes matched multiple times
+            const paths = new Set<string>();
+            matches = matches.filter(match => !paths.has(match.path) && paths.add(match.path));
+        }
+
+        // Sort by the sort keys, then by child key or path. This gives a stable order that keyset pagination (startAfter, endBefore) relies on
+        const compareSortKeys = (a: any[], b: any[]) => {
+            for (let i = 0; i < a.length && i < b.length; i++) {
+                const diff = compareSortValues(a[i], b[i]);
+                if (diff !== 0) { return i < query.order.length && !query.order[i].ascending ? -diff : diff; }
+            }
+            return 0;
+        };
+        matches.sort((a, b) => compareSortKeys(a.sortValues, b.sortValues));
+        if (query.startAfter instanceof Array) {
+            matches = matches.filter(match => compareSortKeys(match.sortValues, query.startAfter) > 0);
+        }
+        if (query.endBefore instanceof Array) {
+            matches = matches.filter(match => compareSortKeys(match.sortValues, query.endBefore) < 0);
+        }
+        const skip = query.skip > 0 ? query.skip : 0;
+        const results = matches.slice(skip, query.take > 0 ? skip + query.take : undefined);
+
+        const monitor: IMemoryQueryMonitor = { path, keys, query: cloneObject(query), options };
+        const isMonitoring = options.monitor && (options.monitor.add || options.monitor.change || options.monitor.remove) && typeof options.eventHandler === 'function';
+        if (isMonitoring) {
+            this.monitors.push(monitor);
+        }
+        const stop = async () => {
+            this.monitors = this.monitors.filter(m => m !== monitor);
+        };
+        const context = this.log.length > 0 ? { acebase_cursor: this.log[this.log.length - 1].id } : {};
+        return {
+            results: options.snapshots
+                ? results.map(result => ({ path: result.path, val: applyRetrievalOptions(cloneObject(result.value), options) }))
+                : results.map(result => result.path),
+            context,
+            stop,
+        };
+    }
+
+    async aggregate(path: string, query: IApiQuery, aggregates: AggregateSpec, groupBy?: string|number): Promise<AggregateGroup[]> {
+        const aggregator = new QueryAggregator(aggregates, groupBy);
+        const { results } = await this.query(path, query, { snapshots: true, include: aggregator.keys });
+        (results as Array<{ path: string, val: any }>).forEach(result => aggregator.add(result.val));
+        return aggregator.getGroups();
+    }
+
+    async reflect(path: string, type: ReflectionType, args: any = {}) {
+        const keys = PathInfo.getPathKeys(path);
+        const value = getValueAt(this.root, keys);
+        const getChildren = (limit = 0, skip = 0, from?: NodeKey) => {
+            let childKeys = getChildKeys(value);
+            if (typeof from !== 'undefined' && from !== null) {
+                childKeys = childKeys.slice(childKeys.indexOf(from) + 1);
+            }
+            const selected = childKeys.slice(skip, limit > 0 ? skip + limit : undefined);
+            return {
+                more: skip + selected.length < childKeys.length,
+                list: selected.map(key => {
+                    const child = value[key];
+                    const info: { key: NodeKey, type: string, value?: any } = { key, type: getValueType(child) };
+                    if (!isContainer(child)) { info.value = cloneObject(child); }
+                    return info;
+                }),
+            };
+        };
+        if (type === 'children') {
+            return getChildren(args.limit, args.skip, args.from);
+        }
+        if (type === 'info') {
+            const info: { key: NodeKey, exists: boolean, type: string, value?: any, children?: any } = {
+                key: PathInfo.get(keys).key ?? '',
+                exists: value !== null,
+                type: value === null ? undefined : getValueType(value),
+            };
+            if (value !== null && !isContainer(value)) {
+                info.value = cloneObject(value);
+            }
+            if (isContainer(value)) {
+                info.children = args.child_count === true
+                    ? { count: getChildKeys(value).length }
+                    : getChildren(args.child_limit, args.child_skip, args.child_from);
+            }
+            return info;
+        }
+        throw new Error(`Invalid reflection type "${type}"`);
+    }
+
+    async export(path: string, arg: StreamWriteFunction|IStreamLike, options: IApiExportOptions = { format: 'json', type_safe: true }) {
+        const write = typeof arg === 'function' ? arg : arg.write.bind(arg) as StreamWriteFunction;
+        if (options.format === 'ndjson' || options.format === 'csv') {
+            const value = getValueAt(this.root, PathInfo.getPathKeys(path));
+            if (!isContainer(value)) {
+                throw new Error(`Cannot export "/${path}" to ${options.format}, its value is not an object or array`);
+            }
+            const children = getChildKeys(value).map(key => ({ key, value: value[key] }));
+            return exportChildren(options.format, path, children, write, options.csv);
+        }
+        if (options.format && options.format !== 'json') {
+            throw new Error(`Export format "${options.format}" is not supported by the memory api`);
+        }
+        const stringify = (val: any) => {
+            if (options.type_safe !== false) {
+                return JSON.stringify(serialize2(val));
+            }
+            return JSON.stringify(val, (key, val) => {
+                if (typeof val === 'bigint') { return val.toString(); }
+                if (val instanceof ArrayBuffer) { return ascii85.encode(val); }
+                if (val instanceof PathReference) { return val.path; }
+                return val;
+            });
+        };
+        const value = getValueAt(this.root, PathInfo.getPathKeys(path));
+        if (!isContainer(value)) {
+            await write(stringify(value));
+            return;
+        }
+        const isArray = value instanceof Array;
+        await write(isArray ? '[' : '{');
+        const childKeys = getChildKeys(value);
+        for (let i = 0; i < childKeys.length; i++) {
+            const key = childKeys[i];
+            const prefix = (i > 0 ? ',' : '') + (isArray ? '' : `${JSON.stringify(key)}:`);
+            await write(prefix + stringify(value[key]));
+        }
+        await write(isArray ? ']' : '}');
+    }
+
+    async import(path: string, read: StreamReadFunction, options: IApiImportOptions = { format: 'json', suppress_events: false }) {
+        if (options.format === 'ndjson' || options.format === 'csv') {
+            // Write imported children in batches
+            const writeOptions = { suppress_events: options.suppress_events === true, context: { acebase_import: true } };
+            let batch: Record<string, any> = {};
+            for await (const child of importChildren(options.format, read, options.csv)) {
+                batch[child.key] = child.value;
+                if (Object.keys(batch).length === 1000) {
+                    await this.update(path, batch, writeOptions);
+                    batch = {};
+                }
+            }
+            if (Object.keys(batch).length > 0) {
+                await this.update(path, batch, writeOptions);
+            }
+            return;
+        }
+        if (options.format && options.format !== 'json') {
+            throw new Error(`Import format "${options.format}" is not supported by the memory api`);
+        }
+        let text = '', bytes: Uint8Array = null;
+        while (true) {
+            const chunk = await read(64 * 1024);
+            if (chunk === null || typeof chunk === 'undefined' || (typeof chunk === 'string' ? chunk.length : chunk.byteLength) === 0) { break; }
+            if (typeof chunk === 'string') {
+                text += chunk;
+            }
+            else {
+                const arr = new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+                bytes = bytes ? concatTypedArrays(bytes, arr) as Uint8Array : arr;
+            }
+        }
+        if (bytes) { text += decodeString(bytes); }
+        const value = deserialize2(JSON.parse(text));
+        const writeOptions = { suppress_events: options.suppress_events === true, context: { acebase_import: true } };
+        if (path === '' || (isContainer(value) && !(value instanceof Array) && await this.exists(path))) {
+            await this.update(path, value, writeOptions);
+        }
+        else {
+            await this.set(path, value, writeOptions);
+        }
+    }
+
+    async createIndex(path: string, key: string, options: { type?: string, rebuild?: boolean, include?: string[], textLocale?: string, config?: object } = {}) {
+        const type = options.type || 'normal';
+        const existing = this.indexes.find(index => index.path === path && index.key === key && index.type === type);
+        if (existing && !options.rebuild) {
+            return existing;
+        }
+        const fileName = `${path.replace(/\//g, '-').replace(/\*/g, '#')}-${key}${type === 'normal' ? '' : `.${type}`}.idx`;
+        const index: IMemoryIndex = { path, key, type, fileName, includeKeys: options.include || [], textLocale: options.textLocale, config: options.config };
+        this.indexes = this.indexes.filter(i => i !== existing).concat(index);
+        return index;
+    }
+
+    async getIndexes() {
+        return this.indexes.slice();
+    }
+
+    async deleteIndex(fileName: string) {
+        const index = this.indexes.find(index => index.fileName === fileName);
+        if (!index) {
+            throw new Error(`Index "${fileName}" does not exist`);
+        }
+        this.indexes.splice(this.indexes.indexOf(index), 1);
+    }
+
+    async setSchema(path: string, schema: Record<string, any>|string) {
+        path = PathInfo.get(path).path;
+        const definition = new SchemaDefinition(schema);
+        this.schemas = this.schemas.filter(s => s.path !== path).concat({ path, schema: definition });
+    }
+
+    async getSchema(path: string): Promise<IAceBaseSchemaInfo> {
+        path = PathInfo.get(path).path;
+        const item = this.schemas.find(s => s.path === path);
+        return item ? { path: item.path, schema: item.schema.source as Record<string, any>|string, text: item.schema.text } : null;
+    }
+
+    async getSchemas(): Promise<IAceBaseSchemaInfo[]> {
+        return this.schemas.map(item => ({ path: item.path, schema: item.schema.source as Record<string, any>|string, text: item.schema.text }));
+    }
+
+    async setSchemaVersion(path: string, version: number) {
+        this.schemaVersions.set(PathInfo.get(path).path, version);
+    }
+
+    async getSchemaVersion(path: string) {
+        return this.schemaVersions.get(PathInfo.get(path).path) ?? 0;
+    }
+
+    async validateSchema(path: string, value: any, isUpdate: boolean, options: ISchemaCheckOptions = {}): Promise<ISchemaCheckResult> {
+        const allErrors = options.allErrors === true;
+        const results = [] as ISchemaCheckResult[];
+        const pathInfo = PathInfo.get(path);
+        this.schemas.every(s => {
+            const schemaKeys = PathInfo.getPathKeys(s.path);
+            const { ancestors, trails } = matchTargetKeys(schemaKeys, pathInfo.keys);
+
+            // Given path is a descendant of nodes matching the schema's path
+            for (const length of ancestors) {
+                const ancestorPath = PathInfo.get(pathInfo.keys.slice(0, length)).path;
+                const trailKeys = pathInfo.keys.slice(length);
+                const result = s.schema.check(ancestorPath, value, isUpdate, trailKeys, options);
+                results.push(result);
+                if (!result.ok && !allErrors) { return false; }
+            }
+
+            // Given path matches the schema's path, or is on a higher path
+            const checked = new Set<string>(); // ** keys can match nodes multiple times
+            const check = (path: string, value: any, trailKeys: NodeKey[]): boolean => {
+                if (trailKeys.length === 0) {
+                    if (checked.has(path)) { return true; }
+                    checked.add(path);
+                    const partial = isUpdate && path === pathInfo.path;
+                    const result = s.schema.check(path, value, partial, undefined, options);
+                    results.push(result);
+                    return result.ok;
+                }
+                if (trailKeys[0] === '**' && !check(path, value, trailKeys.slice(1)) && !allErrors) {
+                    return false;
+                }
+                if (!isContainer(value)) {
+                    // Nothing (more) to check. Another rule might allow this value to be something else than an object
+                    return true;
+                }
+                const [key, ...keys] = trailKeys;
+                const childKeys = isWildcardKey(key) || key === '**' ? getChildKeys(value) : [key];
+                let ok = true;
+                for (const childKey of childKeys) {
+                    const childValue = value[childKey];
+                    if (typeof childValue === 'undefined') { continue; }
+                    ok = check(PathInfo.getChildPath(path, childKey), childValue, key === '**' ? trailKeys : keys) && ok;
+                    if (!ok && !allErrors) { break; }
+                }
+                return ok;
+            };
+            return trails.every(trailKeys => check(pathInfo.path, value, trailKeys) || allErrors);
+        });
+        const failed = results.filter(result => !result.ok);
+        if (failed.length === 0) {
+            return allErrors ? { ok: true, errors: [] } : { ok: true };
+        }
+        if (!allErrors) {
+            return failed[0];
+        }
+        return { ok: false, reason: failed[0].reason, errors: failed.reduce((errors, result) => errors.concat(result.errors), []) };
+    }
+
+    /**
+     * Gets logged mutations relevant to the given filter, narrowed down to the filter path if a mutation was
+     * performed on a higher path
+     */
+    private getLoggedMutations(filter: ({ cursor: string } | { timestamp: number }) & { path?: string, for?: Array<{ path: string, events: string[] }> }) {
+        if (!this.settings.transactions.log) {
+            throw new Error('Transaction logging is not enabled');
+        }
+        const cursor = 'cursor' in filter ? filter.cursor : undefined;
+        const timestamp = 'timestamp' in filter ? filter.timestamp : undefined;
+        const paths = filter.for instanceof Array && filter.for.length > 0 ? filter.for.map(f => f.path) : [filter.path || ''];
+        const entries = this.log.filter(entry => typeof cursor === 'string' ? entry.id > cursor : entry.timestamp >= (timestamp || 0));
+        const results: Array<{ entry: IMutationLogEntry, path: string, narrowed: boolean, oldValue: any, newValue: any }> = [];
+        entries.forEach(entry => {
+            const entryKeys = PathInfo.getPathKeys(entry.path);
+            for (const path of paths) {
+                const pathInfo = PathInfo.get(path);
+                if (pathInfo.equals(entry.path) || pathInfo.isAncestorOf(entry.path)) {
+                    results.push({ entry, path: entry.path, narrowed: false, oldValue: getValueAt(entry.before, entryKeys), newValue: getValueAt(entry.after, entryKeys) });
+                    break;
+                }
+                if (pathInfo.isDescendantOf(entry.path)) {
+                    const targets = this.getChangedTargets(pathInfo.keys, entryKeys, entry.before, entry.after);
+                    targets.forEach(target => {
+                        results.push({ entry, path: target.path, narrowed: true, oldValue: target.oldValue, newValue: target.newValue });
+                    });
+                    if (targets.length > 0) { break; }
+                }
+            }
+        });
+        const newCursor = this.log.length > 0 ? this.log[this.log.length - 1].id : ID.generate();
+        return { used_cursor: cursor || null, new_cursor: newCursor, results };
+    }
+
+    async getMutations(filter: ({ cursor: string } | { timestamp: number }) & { path?: string, for?: Array<{ path: string, events: string[] }> }) {
+        const { used_cursor, new_cursor, results } = this.getLoggedMutations(filter);
+        const mutations = results.map<ValueMutation>(result => ({
+            path: result.path,
+            type: result.narrowed ? 'set' : result.entry.type,
+            value: cloneObject(result.narrowed ? result.newValue : result.entry.value),
+            context: result.entry.context,
+            id: result.entry.id,
+            timestamp: result.entry.timestamp,
+            changes: {
+                path: result.path,
+                list: getMutations(result.oldValue, result.newValue).map(m => ({ target: m.target, val: cloneObject(m.val), prev: cloneObject(m.prev) })),
+            },
+        }));
+        return { used_cursor, new_cursor, mutations };
+    }
+
+    async getChanges(filter: ({ cursor: string } | { timestamp: number }) & { path?: string, for?: Array<{ path: string, events: string[] }> }) {
+        const { used_cursor, new_cursor, results } = this.getLoggedMutations(filter);
+
+        // Compress: only keep the highest mutated paths, use their value before the first and after the last mutation
+        const paths = results.map(r => r.path).filter((path, i, arr) => arr.indexOf(path) === i);
+        const topPaths = paths.filter(path => !paths.some(other => PathInfo.get(other).isAncestorOf(path)));
+        const changes: ValueChange[] = [];
+        topPaths.forEach(path => {
+            const pathInfo = PathInfo.get(path);
+            const related = results.filter(r => pathInfo.equals(r.path) || pathInfo.isAncestorOf(r.path));
+            const first = related[0].entry, last = related[related.length - 1].entry;
+            const previous = getValueAt(first.before, pathInfo.keys);
+            const value = getValueAt(last.after, pathInfo.keys);
+            if (compareValues(previous, value) === 'identical') { return; }
+            changes.push({ path, type: 'set', previous: cloneObject(previous), value: cloneObject(value), context: last.context });
+        });
+        return { used_cursor, new_cursor, changes };
+    }
+}
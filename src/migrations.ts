@@ -0,0 +1,283 @@
+import type { AceBaseBase } from './acebase-base';
+import { PathInfo } from './path-info';
+import { cloneObject, valuesAreEqual } from './utils';
+
+export interface ISchemaMigration<T = any> {
+    /** version the migration upgrades values to. Values stored before any migration was run have version `0` */
+    version: number
+    /** upgrades a value of the previous version */
+    up(value: any): T
+    /**
+     * downgrades a value to the previous version, required for lazy migrations. Only called with entire nodes: lazy
+     * writes that would change part of a migrated node are rejected
+     */
+    down?(value: T): any
+}
+
+export interface ISchemaMigrationOptions {
+    /**
+     * - `"lazy"`: (default) the stored data is not changed: values are upgraded when they are loaded, and written values
+     * are downgraded to the recorded version. Only values that include entire migrated nodes are translated, writes that
+     * change part of a migrated node (eg updates) are rejected until the migration runs eagerly
+     * - `"eager"`: upgrades all stored nodes now, and records the new version
+     */
+    mode?: 'lazy'|'eager'
+    /** Reports which nodes the migration would change, without changing any data or registering the migration */
+    dryRun?: boolean
+}
+
+export interface ISchemaMigrationResult {
+    /** path of the migrated nodes */
+    path: string
+    /** recorded version of the stored data before the migration */
+    from: number
+    /** version values are upgraded to */
+    to: number
+    /** amount of nodes checked, `0` for lazy migrations that are not dry runs */
+    total: number
+    /** paths of the nodes that were changed, or would be changed in a dry run */
+    changed: string[]
+    /** nodes that failed to upgrade, only reported in dry runs. Eager migrations throw the first error */
+    errors: Array<{ path: string, reason: string }>
+}
+
+interface IMigrationEntry {
+    path: string
+    keys: Array<string|number>
+    /** recorded version of the stored data */
+    version: number
+    /** registered migrations, sorted by version */
+    migrations: ISchemaMigration[]
+    /** nodes that have been upgraded by a running eager migration, these are not translated anymore */
+    upgraded: Set<string>
+}
+
+const isWildcardKey = (key: string|number) => key === '*' || (typeof key === 'string' && key[0] === '$');
+
+/**
+ * Removes properties that are set to `null`, like storing the value would
+ */
+const removeNulls = (value: any) => {
+    if (value === null || typeof value !== 'object' || value instanceof Date || value instanceof ArrayBuffer) {
+        return value;
+    }
+    Object.keys(value).forEach(key => {
+        if (value[key] === null && !(value instanceof Array)) {
+            delete value[key];
+        }
+        else {
+            removeNulls(value[key]);
+        }
+    });
+    return value;
+};
+
+/**
+ * Runs the up or down functions of given migrations (sorted by version) on a value. Upgraded values have the
+ * properties removed that the up functions set to `null` to delete them
+ */
+const run = (migrations: ISchemaMigration[], value: any, direction: 'up'|'down') => {
+    return direction === 'up'
+        ? removeNulls(migrations.reduce((value, migration) => migration.up(value), value))
+        : migrations.reduceRight((value, migration) => migration.down(value), value);
+};
+
+/**
+ * Upgrades stored data to new schema versions, available as `db.schema.migrate`
+ */
+export class SchemaMigrations {
+    private entries: IMigrationEntry[] = [];
+
+    constructor(private db: AceBaseBase) {}
+
+    /**
+     * Defines a migration for the nodes at a (wildcard) path, and upgrades the stored data lazily or eagerly. Define all
+     * migrations each time the database is opened: migrations to versions that were recorded before are not run again
+     * @param path path of the nodes to migrate, can include `*` and `$variable` wildcards, eg `"users/$uid"`
+     * @param migration the version to upgrade to, and the functions to upgrade and downgrade values
+     * @param options `mode` and `dryRun` options
+     * @returns returns a promise that resolves with a report of the migration
+     * @example
+     * await db.schema.migrate('users/$uid', {
+     *     version: 1,
+     *     up: user => ({ ...user, name: { first: user.firstName, last: user.lastName }, firstName: null, lastName: null }),
+     *     down: user => ({ ...user, firstName: user.name?.first, lastName: user.name?.last, name: null }),
+     * }, { mode: 'eager' });
+     */
+    async migrate<T = any>(path: string, migration: ISchemaMigration<T>, options: ISchemaMigrationOptions = {}): Promise<ISchemaMigrationResult> {
+        if (typeof migration?.up !== 'function') {
+            throw new TypeError('migration must have an up function');
+        }
+        if (!Number.isInteger(migration.version) || migration.version < 1) {
+            throw new TypeError('migration version must be a positive integer');
+        }
+        const mode = options.mode ?? 'lazy';
+        if (!['lazy', 'eager'].includes(mode)) {
+            throw new TypeError(`Invalid migration mode "${mode}"`);
+        }
+        if (mode === 'lazy' && !options.dryRun && typeof migration.down !== 'function') {
+            throw new TypeError('lazy migrations must have a down function to store written values in the recorded version');
+        }
+        path = PathInfo.get(path).path;
+        if (PathInfo.getPathKeys(path).includes('**')) {
+            throw new Error(`Cannot migrate path "/${path}": "**" wildcards are not supported`);
+        }
+        if (!this.db.isReady) {
+            await this.db.ready();
+        }
+        const version = await this.db.api.getSchemaVersion(path);
+        let entry = this.entries.find(entry => entry.path === path);
+        if (!entry) {
+            entry = { path, keys: PathInfo.getPathKeys(path), version, migrations: [], upgraded: new Set() };
+            this.entries.push(entry);
+            this.entries.sort((a, b) => b.keys.length - a.keys.length); // Deepest paths first
+        }
+        if (entry.migrations.some(m => m.version === migration.version)) {
+            throw new Error(`A migration to version ${migration.version} is already defined for path "/${path}"`);
+        }
+        const migrations = entry.migrations.concat(migration).sort((a, b) => a.version - b.version);
+        const pending = migrations.filter(m => m.version > entry.version);
+        const result: ISchemaMigrationResult = { path, from: entry.version, to: Math.max(entry.version, migrations[migrations.length - 1].version), total: 0, changed: [], errors: [] };
+
+        if (!options.dryRun && (mode === 'lazy' || migration.version <= entry.version)) {
+            // Translate values from now on, or register a migration that already ran
+            entry.migrations = migrations;
+            return result;
+        }
+
+        // Upgrade a copy of the stored value of each node
+        const nodes = await this.getNodePaths(entry);
+        for (const nodePath of nodes) {
+            const { value } = await this.db.api.get(nodePath, {});
+            if (value === null) { continue; }
+            result.total++;
+            try {
+                const upgraded = run(pending, cloneObject(value), 'up');
+                if (valuesAreEqual(value, upgraded)) { continue; }
+                const check = await this.db.api.validateSchema(nodePath, upgraded, false);
+                if (!check.ok) { throw new Error(check.reason); }
+                result.changed.push(nodePath);
+            }
+            catch (err) {
+                if (!options.dryRun) {
+                    throw new Error(`Failed to migrate "/${nodePath}" to version ${result.to}: ${err.message}`);
+                }
+                result.errors.push({ path: nodePath, reason: err.message });
+            }
+        }
+        if (options.dryRun) {
+            return result;
+        }
+
+        // Write the upgraded values
+        for (const nodePath of result.changed) {
+            await this.db.api.transaction(nodePath, current => {
+                if (current === null) { return; } // Removed in the meantime
+                entry.upgraded.add(nodePath);
+                return run(pending, current, 'up');
+            }, { context: { acebase_migration: { path, version: result.to } } })
+                .catch(err => {
+                    entry.upgraded.delete(nodePath);
+                    throw err;
+                });
+        }
+        await this.db.api.setSchemaVersion(path, result.to);
+        entry.version = result.to;
+        entry.migrations = migrations;
+        entry.upgraded.clear();
+        return result;
+    }
+
+    /**
+     * (for internal use) upgrades the migrated nodes in a loaded value to the latest version, used by `TypeMappings.deserialize`
+     */
+    upgrade(path: string, value: any) {
+        return this.translate(path, value, 'up');
+    }
+
+    /**
+     * (for internal use) downgrades the migrated nodes in a written value to the recorded version, used by `TypeMappings.serialize`.
+     * Throws if the write would change part of a node that has not been upgraded yet
+     * @param partial whether the value holds the properties of an update, instead of the entire value to store at the path
+     */
+    downgrade(path: string, value: any, partial = false) {
+        this.checkWrite(path, partial);
+        return this.translate(path, value, 'down');
+    }
+
+    /**
+     * Throws if a write to given path would change part of a stored node that has pending lazy migrations. The
+     * written values can't be downgraded without the rest of the node
+     */
+    private checkWrite(path: string, partial: boolean) {
+        const pathInfo = PathInfo.get(path);
+        const depth = pathInfo.keys.length + (partial ? 1 : 0); // Updates write the children of the path
+        this.entries.forEach(entry => {
+            const pending = entry.migrations.filter(m => m.version > entry.version);
+            if (pending.length === 0 || entry.keys.length >= depth) {
+                return;
+            }
+            const node = PathInfo.get(pathInfo.keys.slice(0, entry.keys.length));
+            if (!node.equals(entry.path) || entry.upgraded.has(node.path)) {
+                return;
+            }
+            const version = pending[pending.length - 1].version;
+            throw new Error(`Cannot write to "/${path}" because it changes part of node "/${node.path}", which is stored in version ${entry.version} until the lazy migration to version ${version} runs eagerly. Write the entire node instead`);
+        });
+    }
+
+    private translate(path: string, value: any, direction: 'up'|'down') {
+        const pathInfo = PathInfo.get(path);
+        this.entries.forEach(entry => {
+            const pending = entry.migrations.filter(m => m.version > entry.version);
+            if (pending.length === 0 || entry.keys.length < pathInfo.keys.length) {
+                // Nothing to translate, or value is a descendant of the migrated nodes
+                return;
+            }
+            if (!PathInfo.get(entry.keys.slice(0, pathInfo.keys.length)).equals(pathInfo)) {
+                return;
+            }
+            const visit = (nodePath: string, node: any, trailKeys: Array<string|number>): any => {
+                if (trailKeys.length === 0) {
+                    return node === null || typeof node === 'undefined' || entry.upgraded.has(nodePath) ? node : run(pending, node, direction);
+                }
+                if (node === null || typeof node !== 'object') {
+                    return node;
+                }
+                const [key, ...rest] = trailKeys;
+                const keys = isWildcardKey(key) ? Object.keys(node) : key in node ? [key] : [];
+                keys.forEach(key => {
+                    const childPath = PathInfo.getChildPath(nodePath, node instanceof Array ? +key : key);
+                    node[key] = visit(childPath, node[key], rest);
+                });
+                return node;
+            };
+            value = visit(pathInfo.path, value, entry.keys.slice(pathInfo.keys.length));
+        });
+        return value;
+    }
+
+    /**
+     * Gets the paths of all stored nodes matching the path of a migration
+     */
+    private async getNodePaths(entry: IMigrationEntry) {
+        const paths = [] as string[];
+        const collect = async (path: string, trailKeys: Array<string|number>) => {
+            if (trailKeys.length === 0) {
+                paths.push(path);
+                return;
+            }
+            const [key, ...rest] = trailKeys;
+            if (!isWildcardKey(key)) {
+                return collect(PathInfo.getChildPath(path, key), rest);
+            }
+            // Reflect the stored child keys, loading them with refs would translate their (partial) values
+            const children: { list: Array<{ key: string|number }> } = await this.db.api.reflect(path, 'children', { limit: 0 });
+            for (const child of children.list) {
+                await collect(PathInfo.getChildPath(path, child.key), rest);
+            }
+        };
+        await collect('', entry.keys);
+        return paths;
+    }
+}
@@ -0,0 +1,131 @@
+import { SchemaDefinition } from './schema';
+
+/**
+ * Type of a model property: a schema type string (eg `'string'`, `'integer(0..)'` or `'"admin"|"user"'`), one of the classes
+ * `String`, `Number`, `Boolean` or `Date`, another model class, an array with 1 item type for arrays of that type, or an
+ * object with the types of nested properties
+ */
+export type ModelPropertyType = string | StringConstructor | NumberConstructor | BooleanConstructor | DateConstructor | ModelClass | [ModelPropertyType] | ModelSchema;
+
+/**
+ * Property types of a model. Append `?` to a property name to make it optional, use `*` or a `$variable` name
+ * for the type of all other properties
+ * @example
+ * class User {
+ *     static schema: ModelSchema = { name: String, 'born?': Date, address: Address, tags: [String] };
+ *     name: string;
+ *     born?: Date;
+ *     address: Address;
+ *     tags: string[];
+ * }
+ */
+export interface ModelSchema {
+    [property: string]: ModelPropertyType
+}
+
+/**
+ * Class with a static `schema` property describing its stored properties. Its constructor is called without arguments
+ * when stored objects are instantiated
+ */
+export interface ModelClass<T = any> {
+    new(): T
+    schema: ModelSchema
+}
+
+const primitives = new Map<any, string>([[String, 'string'], [Number, 'number'], [Boolean, 'boolean'], [Date, 'Date']]);
+
+const isModelClass = (type: any): type is ModelClass => typeof type === 'function' && typeof type.schema === 'object' && type.schema !== null;
+
+const isObjectSchema = (type: any): type is ModelSchema => typeof type === 'object' && type !== null && !(type instanceof Array);
+
+const getTypeText = (type: ModelPropertyType, models: ModelClass[]): string => {
+    if (typeof type === 'string') {
+        return type;
+    }
+    if (type instanceof Array) {
+        if (type.length !== 1) {
+            throw new TypeError('Array types must have exactly 1 item type, eg [String]');
+        }
+        return `Array<${getTypeText(type[0], models)}>`;
+    }
+    if (primitives.has(type)) {
+        return primitives.get(type);
+    }
+    if (isModelClass(type)) {
+        // Recursive models cannot be described in a schema, their nested values are only checked to be objects
+        return models.includes(type) ? 'object' : getObjectText(type.schema, models.concat(type));
+    }
+    if (typeof type === 'function') {
+        throw new TypeError(`Class ${type.name} is not a model, add a static schema property to it`);
+    }
+    if (isObjectSchema(type)) {
+        return getObjectText(type, models);
+    }
+    throw new TypeError(`Invalid model property type ${String(type)}`);
+};
+
+const getObjectText = (schema: ModelSchema, models: ModelClass[]) => {
+    return '{' + Object.keys(schema).map(key => `${key}:${getTypeText(schema[key], models)}`).join(',') + '}';
+};
+
+/**
+ * Gets the type of a property from a model schema, `undefined` if it is not in the schema
+ */
+const getPropertyType = (schema: ModelSchema, key: string|number): ModelPropertyType => {
+    const wildcard = Object.keys(schema).find(name => name === '*' || name[0] === '$');
+    return schema[key] ?? schema[`${key}?`] ?? (wildcard ? schema[wildcard] : undefined);
+};
+
+/**
+ * Creates a `SchemaDefinition` for a model class, including the schemas of nested models
+ */
+export function getModelSchema(type: ModelClass) {
+    if (!isModelClass(type)) {
+        throw new TypeError('type must be a class with a static schema property');
+    }
+    return new SchemaDefinition(getTypeText(type, []));
+}
+
+/**
+ * Converts a stored value to the given model property type: objects of model types are instantiated at any depth
+ */
+export function hydrateModel(type: ModelPropertyType, value: any): any {
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (type instanceof Array) {
+        return value instanceof Array ? value.map(item => hydrateModel(type[0], item)) : value;
+    }
+    const schema = isModelClass(type) ? type.schema : isObjectSchema(type) ? type : null;
+    if (!schema || (isModelClass(type) && value instanceof type)) {
+        return value;
+    }
+    const obj = isModelClass(type) ? new type() : {};
+    Object.keys(value).forEach(key => {
+        obj[key] = hydrateModel(getPropertyType(schema, key), value[key]);
+    });
+    return obj;
+}
+
+/**
+ * Converts a (model) value to a plain value for storage. Only properties that are in the model schema are stored
+ */
+export function dehydrateModel(type: ModelPropertyType, value: any): any {
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (type instanceof Array) {
+        return value instanceof Array ? value.map(item => dehydrateModel(type[0], item)) : value;
+    }
+    const schema = isModelClass(type) ? type.schema : isObjectSchema(type) ? type : null;
+    if (!schema) {
+        return value;
+    }
+    return Object.keys(value).reduce((obj, key) => {
+        const propertyType = getPropertyType(schema, key);
+        if (typeof propertyType !== 'undefined' && typeof value[key] !== 'undefined' && typeof value[key] !== 'function') {
+            obj[key] = dehydrateModel(propertyType, value[key]);
+        }
+        return obj;
+    }, {} as Record<string, any>);
+}
@@ -7,6 +7,51 @@ function getPathKeys(path: string): Array<string|number> {
     });
 }
 
+type PathKey = string|number;
+
+const isWildcardKey = (key: PathKey) => typeof key === 'string' && (key === '*' || key[0] === '$');
+
+/**
+ * Checks if 2 trails of keys match. `*` and `$variable` keys match any key, `**` keys match any number of keys (including none)
+ */
+function keysMatch(keys: PathKey[], otherKeys: PathKey[]): boolean {
+    const match = (i: number, j: number): boolean => {
+        if (keys[i] === '**') { return match(i + 1, j) || (j < otherKeys.length && match(i, j + 1)); }
+        if (otherKeys[j] === '**') { return match(i, j + 1) || (i < keys.length && match(i + 1, j)); }
+        if (i === keys.length || j === otherKeys.length) { return i === keys.length && j === otherKeys.length; }
+        const key = keys[i], otherKey = otherKeys[j];
+        return (key === otherKey || isWildcardKey(key) || isWildcardKey(otherKey)) && match(i + 1, j + 1);
+    };
+    return match(0, 0);
+}
+
+/**
+ * Gets the keys of a path matched by each key of a path containing `**` keys, for the deepest node on the path that matches.
+ * `**` keys match as few keys as possible, and are matched with an array of keys
+ * @returns the matched keys, or `null` if no node on the path matches
+ */
+function captureKeys(varKeys: PathKey[], pathKeys: PathKey[]): Array<PathKey|PathKey[]> {
+    const capture = (i: number, j: number, length: number): Array<PathKey|PathKey[]> => {
+        if (i === varKeys.length) { return j === length ? [] : null; }
+        const key = varKeys[i];
+        if (key === '**') {
+            for (let n = j; n <= length; n++) {
+                const trail = capture(i + 1, n, length);
+                if (trail) { return [pathKeys.slice(j, n), ...trail]; }
+            }
+            return null;
+        }
+        if (j === length || (key !== pathKeys[j] && !isWildcardKey(key))) { return null; }
+        const trail = capture(i + 1, j + 1, length);
+        return trail && [pathKeys[j], ...trail];
+    };
+    for (let length = pathKeys.length; length >= 0; length--) {
+        const keys = capture(0, 0, length);
+        if (keys) { return keys; }
+    }
+    return null;
+}
+
 export class PathInfo {
     static get(path: string|Array<string|number>): PathInfo {
         return new PathInfo(path);
@@ -81,6 +126,12 @@ export class PathInfo {
      *  user: 'dora', // or $user
      *  friend: 'diego' // or $friend
      * };
+     *
+     * PathInfo.extractVariables('comments/**\/replies/$reply', 'comments/c1/replies/r1/replies/r2') === {
+     *  0: 'c1/replies/r1', // path of the keys matched by **
+     *  1: 'r2',
+     *  reply: 'r2' // or $reply
+     * };
     */
     static extractVariables(varPath: string, fullPath: string): any {
         if (!varPath.includes('*') && !varPath.includes('$')) {
@@ -90,14 +141,21 @@ export class PathInfo {
         //     throw new Error(`path does not match with the path of this PathInfo instance: info.equals(path) === false!`)
         // }
         const keys = getPathKeys(varPath);
-        const pathKeys = getPathKeys(fullPath);
+        let pathKeys = getPathKeys(fullPath) as Array<PathKey|PathKey[]>;
+        if (keys.includes('**')) {
+            // Use the keys matched by each key of varPath
+            pathKeys = captureKeys(keys, pathKeys as PathKey[]) ?? [];
+        }
         let count = 0;
         const variables = {
             get length() { return count; },
         };
         keys.forEach((key, index) => {
             const pathKey = pathKeys[index];
-            if (key === '*') {
+            if (key === '**') {
+                if (typeof pathKey !== 'undefined') { variables[count++] = PathInfo.get(pathKey as PathKey[]).path; }
+            }
+            else if (key === '*') {
                 variables[count++] = pathKey;
             }
             else if (typeof key === 'string' && key[0] === '$') {
@@ -125,6 +183,13 @@ export class PathInfo {
         }
         const keys = getPathKeys(varPath);
         const pathKeys = getPathKeys(fullPath);
+        if (keys.includes('**')) {
+            const matched = captureKeys(keys, pathKeys);
+            if (!matched) {
+                throw new Error(`Path "${fullPath}" cannot be used to fill variables of path "${varPath}" because they do not match`);
+            }
+            return PathInfo.get(matched.reduce<PathKey[]>((keys, key) => keys.concat(key), [])).path;
+        }
         const merged = keys.map((key, index) => {
             if (key === pathKeys[index] || index >= pathKeys.length) {
                 return key;
@@ -161,7 +226,8 @@ export class PathInfo {
         const pathKeys = getPathKeys(varPath);
         let n = 0;
         const targetPath = pathKeys.reduce<string>((path, key) => {
-            if (typeof key === 'string' && (key === '*' || key.startsWith('$'))) {
+            if (typeof key === 'string' && (key === '*' || key === '**' || key.startsWith('$'))) {
+                // A ** variable is a path, adds all its keys
                 return PathInfo.getChildPath(path, vars[n++]);
             }
             else {
@@ -172,11 +238,20 @@ export class PathInfo {
     }
 
     /**
-     * Checks if a given path matches this path, eg "posts/*\/title" matches "posts/12344/title" and "users/123/name" matches "users/$uid/name"
+     * Whether the path contains `**` keys, that match any number of keys
+     */
+    get isRecursiveWildcard() {
+        return this.keys.includes('**');
+    }
+
+    /**
+     * Checks if a given path matches this path, eg "posts/*\/title" matches "posts/12344/title", "users/123/name" matches "users/$uid/name"
+     * and "comments/**\/replies" matches "comments/c1/replies/r1/replies"
      */
     equals(otherPath: string|PathInfo): boolean {
         const other = otherPath instanceof PathInfo ? otherPath : new PathInfo(otherPath);
         if (this.path === other.path) { return true; } // they are identical
+        if (this.isRecursiveWildcard || other.isRecursiveWildcard) { return keysMatch(this.keys, other.keys); }
         if (this.keys.length !== other.keys.length) { return false; }
         return this.keys.every((key, index) => {
             const otherKey = other.keys[index];
@@ -193,6 +268,7 @@ export class PathInfo {
         const descendant = descendantPath instanceof PathInfo ? descendantPath : new PathInfo(descendantPath);
         if (descendant.path === '' || this.path === descendant.path) { return false; }
         if (this.path === '') { return true; }
+        if (this.isRecursiveWildcard || descendant.isRecursiveWildcard) { return keysMatch(this.keys.concat('*', '**'), descendant.keys); }
         if (this.keys.length >= descendant.keys.length) { return false; }
         return this.keys.every((key, index) => {
             const otherKey = descendant.keys[index];
@@ -209,6 +285,7 @@ export class PathInfo {
         const ancestor = ancestorPath instanceof PathInfo ? ancestorPath : new PathInfo(ancestorPath);
         if (this.path === '' || this.path === ancestor.path) { return false; }
         if (ancestorPath === '') { return true; }
+        if (this.isRecursiveWildcard || ancestor.isRecursiveWildcard) { return keysMatch(ancestor.keys.concat('*', '**'), this.keys); }
         if (ancestor.keys.length >= this.keys.length) { return false; }
         return ancestor.keys.every((key, index) => {
             const otherKey = this.keys[index];
@@ -226,6 +303,9 @@ export class PathInfo {
         const other = otherPath instanceof PathInfo ? otherPath : new PathInfo(otherPath);
         if (this.path.length === 0 || other.path.length === 0) { return true; }
         if (this.path === other.path) { return true; }
+        if (this.isRecursiveWildcard || other.isRecursiveWildcard) {
+            return keysMatch(this.keys.concat('**'), other.keys) || keysMatch(this.keys, other.keys.concat('**'));
+        }
         return this.pathKeys.every((key, index) => {
             if (index >= other.keys.length) { return true; }
             const otherKey = other.keys[index];
@@ -0,0 +1,126 @@
+import { PathInfo } from './path-info';
+import { PathReference } from './path-reference';
+import { valuesAreEqual } from './utils';
+
+export interface IQueryFilter {
+    key: string|number,
+    op: string,
+    compare: any
+}
+
+/**
+ * Boolean filter expression: a single filter, or a group of expressions that must all (`and`) or any (`or`)
+ * match, or must not (`not`) match
+ */
+export type QueryFilterNode = IQueryFilter | { and: QueryFilterNode[] } | { or: QueryFilterNode[] } | { not: QueryFilterNode };
+
+const isContainer = (val: any) => val !== null && typeof val === 'object'
+    && !(val instanceof Date || val instanceof ArrayBuffer || val instanceof PathReference || val instanceof RegExp || ArrayBuffer.isView(val));
+
+const likeToRegExp = (pattern: string) => {
+    const source = pattern
+        .replace(/[-[\]{}()+.,\\^$|#\s]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Gets the value of a (nested) property, eg `"address/city"`. Returns `null` if it does not exist
+ */
+export const getPropertyValue = (value: any, key: string|number) => {
+    const keys = typeof key === 'number' ? [key] : PathInfo.getPathKeys(key);
+    return keys.reduce((value, key) => isContainer(value) ? value[key] ?? null : null, value);
+};
+
+/**
+ * Compares 2 values to sort query results with. Missing values are sorted first, values of different types are sorted by type name
+ */
+export const compareSortValues = (a: any, b: any) => {
+    const voids = [null, undefined];
+    if (voids.includes(a) && voids.includes(b)) { return 0; }
+    if (voids.includes(a)) { return -1; }
+    if (voids.includes(b)) { return 1; }
+    if (a instanceof Date) { a = a.getTime(); }
+    if (b instanceof Date) { b = b.getTime(); }
+    if (typeof a !== typeof b) { return typeof a < typeof b ? -1 : 1; }
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Tests a single filter operator against a property value
+ */
+export const filterMatches = (filter: { op: string, compare: any }, value: any): boolean => {
+    const { op, compare } = filter;
+    const normalize = (val: any) => val instanceof Date ? val.getTime() : val;
+    const val = normalize(value), cmp = normalize(compare);
+    const exists = value !== null && typeof value !== 'undefined';
+    switch (op) {
+        case 'exists': return exists;
+        case '!exists': return !exists;
+        case '==': return valuesAreEqual(val, cmp);
+        case '!=': return !valuesAreEqual(val, cmp);
+        case '<': return exists && val < cmp;
+        case '<=': return exists && val <= cmp;
+        case '>': return exists && val > cmp;
+        case '>=': return exists && val >= cmp;
+        case 'in': return (compare as any[]).some(c => valuesAreEqual(val, normalize(c)));
+        case '!in': return !(compare as any[]).some(c => valuesAreEqual(val, normalize(c)));
+        case 'between':
+        case '!between': {
+            const [low, high] = (compare as any[]).map(normalize).sort((a, b) => a < b ? -1 : 1);
+            const isBetween = exists && val >= low && val <= high;
+            return op === 'between' ? isBetween : !isBetween;
+        }
+        case 'like':
+        case '!like': {
+            const isLike = typeof value === 'string' && likeToRegExp(compare).test(value);
+            return op === 'like' ? isLike : !isLike;
+        }
+        case 'matches':
+        case '!matches': {
+            const isMatch = typeof value === 'string' && (compare as RegExp).test(value);
+            return op === 'matches' ? isMatch : !isMatch;
+        }
+        case 'has':
+        case '!has': {
+            const has = isContainer(value) && !(value instanceof Array) && typeof value[compare] !== 'undefined' && value[compare] !== null;
+            return op === 'has' ? has : !has;
+        }
+        case 'contains':
+        case '!contains': {
+            const values = compare instanceof Array ? compare : [compare];
+            const contains = value instanceof Array && values.every(c => value.some(v => valuesAreEqual(normalize(v), normalize(c))));
+            return op === 'contains' ? contains : !contains;
+        }
+        default:
+            throw new Error(`Query operator "${op}" cannot be evaluated on plain values`);
+    }
+};
+
+/**
+ * Evaluates a filter expression against a (child) value
+ * @example
+ * matchesFilterTree({ status: 'open', assignee: 'ewout' }, {
+ *     or: [
+ *         { key: 'status', op: '==', compare: 'open' },
+ *         { key: 'assignee', op: '==', compare: 'me' },
+ *     ],
+ * }); // true
+ */
+export const matchesFilterTree = (value: any, node: QueryFilterNode): boolean => {
+    if ('and' in node) { return node.and.every(child => matchesFilterTree(value, child)); }
+    if ('or' in node) { return node.or.some(child => matchesFilterTree(value, child)); }
+    if ('not' in node) { return !matchesFilterTree(value, node.not); }
+    return filterMatches(node, getPropertyValue(value, node.key));
+};
+
+/**
+ * Checks if a (child) value matches the filters of a query. Uses the `filterTree` if the query has one,
+ * otherwise all `filters` must match
+ */
+export const matchesQuery = (value: any, query: { filters: IQueryFilter[], filterTree?: QueryFilterNode }): boolean => {
+    if (value === null || typeof value === 'undefined') { return false; }
+    if (query.filterTree) { return matchesFilterTree(value, query.filterTree); }
+    return query.filters.every(filter => filterMatches(filter, getPropertyValue(value, filter.key)));
+};
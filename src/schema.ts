@@ -5,9 +5,39 @@ export interface IType {
     value?:string|number|boolean|null,
     genericTypes?: IType[],
     children?: IProperty[],
-    matches?: RegExp // NEW: enforces regular expression checks on values
+    matches?: RegExp, // NEW: enforces regular expression checks on values
+    /** only allows whole numbers */
+    integer?: boolean,
+    /** minimum value for numbers, minimum length for strings, minimum number of items for arrays */
+    min?: number,
+    /** maximum value for numbers, maximum length for strings, maximum number of items for arrays */
+    max?: number,
+    /** string format to enforce */
+    format?: StringFormat
 }
 
+export type StringFormat = 'email'|'uuid'|'iso-date';
+
+/**
+ * ISO 8601 dates, optionally with a time (with or without seconds and timezone), eg `2024-01-01` or `2024-01-01T10:00`
+ */
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const formats: Record<StringFormat, { description: string, test: (value: string) => boolean }> = {
+    'email': {
+        description: 'email address',
+        test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    },
+    'uuid': {
+        description: 'uuid',
+        test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    },
+    'iso-date': {
+        description: 'ISO 8601 date',
+        test: value => isoDatePattern.test(value) && !isNaN(Date.parse(value)),
+    },
+};
+
 export interface IProperty {
     name: string,
     optional: boolean,
@@ -58,7 +88,7 @@ function parse(definition: string) {
 
         // try reading simple type first: (string,number,boolean,Date etc)
         let name = '';
-        while (c = definition[pos], (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z')) {
+        while (c = definition[pos], (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') || (c === '-' && name.length > 0 && /[a-z]/i.test(definition[pos + 1]))) {
             name += c;
             pos++;
         }
@@ -132,6 +162,14 @@ function parse(definition: string) {
         else if (['string','number','boolean','undefined','String','Number','Boolean'].includes(name)) {
             type.typeOf = name.toLowerCase();
         }
+        else if (name === 'integer') {
+            type.typeOf = 'number';
+            type.integer = true;
+        }
+        else if (name in formats) {
+            type.typeOf = 'string';
+            type.format = name as StringFormat;
+        }
         else if (name === 'Object' || name === 'object') {
             type.typeOf = 'object';
             type.instanceOf = Object;
@@ -168,6 +206,12 @@ function parse(definition: string) {
             throw new Error(`Unknown type at position ${pos}: "${type}"`);
         }
 
+        // Check for constraints (eg: number(0..100) or Array<string>(max: 10))
+        consumeSpaces();
+        if (definition[pos] === '(') {
+            readConstraints(type);
+        }
+
         // Check if it's an Array of given type (eg: string[] or string[][])
         // Also converts to generics, string[] becomes Array<string>, string[][] becomes Array<Array<string>>
         consumeSpaces();
@@ -175,9 +219,77 @@ function parse(definition: string) {
             consumeCharacter('[');
             consumeCharacter(']');
             type = { typeOf: 'object', instanceOf: Array, genericTypes: [type] };
+            consumeSpaces();
+            if (definition[pos] === '(') {
+                readConstraints(type);
+            }
         }
         return type;
     }
+    function readNumber() {
+        let nr = '', c: string;
+        if (definition[pos] === '-') {
+            nr += '-';
+            pos++;
+        }
+        while (c = definition[pos], (c >= '0' && c <= '9') || (c === '.' && definition[pos + 1] >= '0' && definition[pos + 1] <= '9')) {
+            nr += c;
+            pos++;
+        }
+        if (nr.length === 0 || nr === '-') {
+            throw new Error(`Number expected at position ${pos}, found: ${definition.slice(pos, pos + 10)}..`);
+        }
+        return parseFloat(nr);
+    }
+    function readConstraints(type: IType) {
+        // Constraints can be specified as a range: (min..max), (min..) or (..max),
+        // or named: (min: 1, max: 10) or (length: 5)
+        const isNumber = type.typeOf === 'number' && !('value' in type);
+        const isString = type.typeOf === 'string' && !('value' in type);
+        const isArray = type.instanceOf === Array;
+        if (!isNumber && !isString && !isArray) {
+            throw new Error(`Constraints at position ${pos} can only be used on number, string and array types`);
+        }
+        consumeCharacter('(');
+        consumeSpaces();
+        const c = definition[pos];
+        if (c === '.' || c === '-' || (c >= '0' && c <= '9')) {
+            if (c !== '.') { type.min = readNumber(); }
+            consumeCharacter('.');
+            consumeCharacter('.');
+            if (definition[pos] !== ')') { type.max = readNumber(); }
+        }
+        else {
+            while (true) {
+                consumeSpaces();
+                let name = '', c: string;
+                while (c = definition[pos], c >= 'a' && c <= 'z') {
+                    name += c;
+                    pos++;
+                }
+                if (!['min', 'max', 'length'].includes(name)) {
+                    throw new Error(`Unknown constraint "${name}" at position ${pos}, expected min, max or length`);
+                }
+                consumeSpaces();
+                consumeCharacter(':');
+                consumeSpaces();
+                const value = readNumber();
+                if (name === 'length') { type.min = type.max = value; }
+                else { type[name] = value; }
+                consumeSpaces();
+                if (definition[pos] !== ',') { break; }
+                consumeCharacter(',');
+            }
+        }
+        consumeSpaces();
+        consumeCharacter(')');
+        if (!isNumber && ((typeof type.min === 'number' && (type.min < 0 || !Number.isInteger(type.min))) || (typeof type.max === 'number' && (type.max < 0 || !Number.isInteger(type.max))))) {
+            throw new Error(`Length constraints before position ${pos} must be positive whole numbers`);
+        }
+        if (typeof type.min === 'number' && typeof type.max === 'number' && type.min > type.max) {
+            throw new Error(`Min constraint ${type.min} before position ${pos} is larger than max constraint ${type.max}`);
+        }
+    }
     function readTypes() {
         consumeSpaces();
         const types = [readType()];
@@ -191,7 +303,94 @@ function parse(definition: string) {
     return readType();
 }
 
-function checkObject(path: string, properties: IProperty[], obj: object, partial: boolean) {
+/**
+ * Schema rule a value failed to comply with:
+ * - `type`: value is not of the expected type(s)
+ * - `value`: value does not equal the expected literal value
+ * - `required`: a non-optional property is missing
+ * - `property`: object has a property that is not defined in the schema
+ * - `integer`, `min`, `max`, `format`: value constraint failed
+ * - `matches`: string does not match the regular expression
+ */
+export type SchemaRule = 'type'|'value'|'required'|'property'|'integer'|'min'|'max'|'format'|'matches';
+
+export interface ISchemaCheckError {
+    /** path of the value that failed validation, eg `users/ewout/age` or `users/ewout/tags[2]` */
+    path: string,
+    /** the rule that failed */
+    rule: SchemaRule,
+    /** the types allowed at the path, eg `['string', 'number']` */
+    expected: string[],
+    /** the type of the value found at the path, eg `'boolean'` or `'undefined'` for a missing value */
+    actual: string,
+    /** human readable description of the error */
+    message: string
+}
+
+export interface ISchemaCheckResult {
+    ok: boolean,
+    /** description of the (first) error */
+    reason?: string,
+    /** all errors, only set if the check was done with the `allErrors` option */
+    errors?: ISchemaCheckError[]
+}
+
+export interface ISchemaCheckOptions {
+    /**
+     * Whether to continue checking after the first error and report all errors in the `errors` property of the result.
+     * @default false
+     */
+    allErrors?: boolean
+}
+
+/**
+ * Returns a readable name for a type definition, eg `string`, `Array<number>` or `"admin"`
+ */
+export function getTypeName(type: IType): string {
+    if ('value' in type) {
+        return typeof type.value === 'string' ? `"${type.value}"` : String(type.value);
+    }
+    if (type.instanceOf === Array) {
+        return `Array<${type.genericTypes ? type.genericTypes.map(getTypeName).join('|') : 'any'}>`;
+    }
+    if (type.instanceOf === Object) { return 'object'; }
+    if (type.instanceOf) { return type.instanceOf.name; }
+    if (type.matches) { return `/${type.matches.source}/${type.matches.flags}`; }
+    if (type.format) { return type.format; }
+    if (type.integer) { return 'integer'; }
+    return type.typeOf;
+}
+
+function getValueTypeName(value: any): string {
+    if (value === null) { return 'null'; }
+    if (value instanceof Array) { return 'array'; }
+    if (typeof value === 'object' && value.constructor && value.constructor !== Object) { return value.constructor.name; }
+    return typeof value;
+}
+
+/**
+ * Internal check result, always contains the error(s) found. The public result only includes them when requested
+ */
+type CheckResult = { ok: boolean, reason?: string, errors: ISchemaCheckError[] };
+
+const success = (): CheckResult => ({ ok: true, errors: [] });
+
+function failure(path: string, rule: SchemaRule, types: IType[], value: any, message: string): CheckResult {
+    const error: ISchemaCheckError = { path, rule, expected: types.map(getTypeName), actual: getValueTypeName(value), message };
+    return { ok: false, reason: message, errors: [error] };
+}
+
+/**
+ * Combines the results of multiple checks into one result, using the reason of the first failed check
+ */
+function combine(results: CheckResult[]): CheckResult {
+    const failed = results.filter(result => !result.ok);
+    if (failed.length === 0) { return success(); }
+    return { ok: false, reason: failed[0].reason, errors: failed.reduce((errors, result) => errors.concat(result.errors), [] as ISchemaCheckError[]) };
+}
+
+function checkObject(path: string, properties: IProperty[], obj: object, partial: boolean, allErrors: boolean): CheckResult {
+    const results = [] as CheckResult[];
     // Are there any properties that should not be in there?
     const invalidProperties =
         properties.find(prop => prop.name === '*' || prop.name[0] === '$') // Only if no wildcard properties are allowed
@@ -201,47 +400,88 @@ function checkObject(path: string, properties: IProperty[], obj: object, partial
                 && !properties.find(prop => prop.name === key),
             );
     if (invalidProperties.length > 0) {
-        return { ok: false, reason: `Object at path "${path}" cannot have propert${invalidProperties.length === 1 ? 'y' : 'ies'} ${invalidProperties.map(p => `"${p}"`).join(', ')}`};
+        const reason = `Object at path "${path}" cannot have propert${invalidProperties.length === 1 ? 'y' : 'ies'} ${invalidProperties.map(p => `"${p}"`).join(', ')}`;
+        const result = { ...combine(invalidProperties.map(p => failure(`${path}/${p}`, 'property', [], obj[p], `Object at path "${path}" cannot have property "${p}"`))), reason };
+        if (!allErrors) { return result; }
+        results.push(result);
     }
     // Loop through properties that should be present
-    function checkProperty(property: IProperty) {
-        const hasValue = ![null,undefined].includes(obj[property.name]);
-        if (!property.optional && (partial ? obj[property.name] === null : !hasValue)) {
-            return { ok: false, reason: `Property at path "${path}/${property.name}" is not optional` };
+    function checkProperty(property: IProperty): CheckResult {
+        const propertyPath = `${path}/${property.name}`;
+        const value = obj[property.name];
+        const hasValue = ![null,undefined].includes(value);
+        if (!property.optional && (partial ? value === null : !hasValue)) {
+            return failure(propertyPath, 'required', property.types, value, `Property at path "${propertyPath}" is not optional`);
         }
         if (hasValue && property.types.length === 1) {
-            return checkType(`${path}/${property.name}`, property.types[0], obj[property.name], false);
+            return checkType(propertyPath, property.types[0], value, false, undefined, allErrors);
         }
-        if (hasValue && !property.types.some(type => checkType(`${path}/${property.name}`, type, obj[property.name], false).ok)) {
-            return { ok: false, reason: `Property at path "${path}/${property.name}" does not match any of ${property.types.length} allowed types` };
+        if (hasValue && !property.types.some(type => checkType(propertyPath, type, value, false, undefined, false).ok)) {
+            return failure(propertyPath, 'type', property.types, value, `Property at path "${propertyPath}" does not match any of ${property.types.length} allowed types`);
         }
-        return { ok: true };
+        return success();
     }
     const namedProperties = properties.filter(prop => !prop.wildcard);
-    const failedProperty = namedProperties.find(prop => !checkProperty(prop).ok);
-    if (failedProperty) {
-        const reason = checkProperty(failedProperty).reason;
-        return { ok: false, reason };
-    }
     const wildcardProperty = properties.find(prop => prop.wildcard);
-    if (!wildcardProperty) {
-        return { ok: true };
-    }
-    const wildcardChildKeys = Object.keys(obj).filter(key => !namedProperties.find(prop => prop.name === key));
-    let result = { ok: true };
-    for (let i = 0; i < wildcardChildKeys.length && result.ok; i++) {
-        const childKey = wildcardChildKeys[i];
-        result = checkProperty({ name: childKey, types: wildcardProperty.types, optional: true, wildcard: true });
+    const checkProperties = namedProperties.concat(
+        wildcardProperty
+            ? Object.keys(obj)
+                .filter(key => !namedProperties.find(prop => prop.name === key))
+                .map(key => ({ name: key, types: wildcardProperty.types, optional: true, wildcard: true }))
+            : [],
+    );
+    for (const property of checkProperties) {
+        const result = checkProperty(property);
+        if (!result.ok && !allErrors) { return result; }
+        results.push(result);
     }
-    return result;
+    return combine(results);
 }
 
-export interface ISchemaCheckResult {
-    ok: boolean,
-    reason?: string
+/**
+ * Checks value constraints (integer, min, max and format) of a value that is known to be of the given type
+ */
+function checkConstraints(path: string, type: IType, value: any): CheckResult {
+    const hasMin = typeof type.min === 'number', hasMax = typeof type.max === 'number';
+    const fail = (rule: SchemaRule, reason: string) => failure(path, rule, [type], value, reason);
+    if (type.typeOf === 'number') {
+        if (type.integer && !Number.isInteger(value)) {
+            return fail('integer', `path "${path}" must be an integer`);
+        }
+        if (hasMin && value < type.min) {
+            return fail('min', `path "${path}" must be >= ${type.min} (min constraint)`);
+        }
+        if (hasMax && value > type.max) {
+            return fail('max', `path "${path}" must be <= ${type.max} (max constraint)`);
+        }
+    }
+    else if (type.typeOf === 'string') {
+        const length = (value as string).length;
+        if (hasMin && length < type.min) {
+            return fail('min', `path "${path}" must be at least ${type.min} characters long (min constraint)`);
+        }
+        if (hasMax && length > type.max) {
+            return fail('max', `path "${path}" must be at most ${type.max} characters long (max constraint)`);
+        }
+        if (type.format && !formats[type.format].test(value)) {
+            return fail('format', `path "${path}" must be a valid ${formats[type.format].description} (${type.format} format)`);
+        }
+    }
+    else if (type.instanceOf === Array) {
+        const length = (value as any[]).length;
+        if (hasMin && length < type.min) {
+            return fail('min', `path "${path}" must have at least ${type.min} items (min constraint)`);
+        }
+        if (hasMax && length > type.max) {
+            return fail('max', `path "${path}" must have at most ${type.max} items (max constraint)`);
+        }
+    }
+    return success();
 }
-function checkType(path: string, type: IType, value: any, partial: boolean, trailKeys?: Array<string|number>) : ISchemaCheckResult {
-    const ok = { ok: true };
+
+function checkType(path: string, type: IType, value: any, partial: boolean, trailKeys: Array<string|number>, allErrors: boolean) : CheckResult {
+    const ok = success();
+    const fail = (rule: SchemaRule, reason: string) => failure(path, rule, [type], value, reason);
 
     if (type.typeOf === 'any') {
         return ok;
@@ -251,7 +491,7 @@ function checkType(path: string, type: IType, value: any, partial: boolean, trai
         // The value to check resides in a descendant path of given type definition.
         // Recursivly check child type definitions to find a match
         if (type.typeOf !== 'object') {
-            return { ok: false, reason: `path "${path}" must be typeof ${type.typeOf}` }; // given value resides in a child path, but parent is not allowed be an object.
+            return fail('type', `path "${path}" must be typeof ${type.typeOf}`); // given value resides in a child path, but parent is not allowed be an object.
         }
         if (!type.children) {
             return ok;
@@ -262,15 +502,15 @@ function checkType(path: string, type: IType, value: any, partial: boolean, trai
             property = type.children.find(prop => prop.name === '*' || prop.name[0] === '$');
         }
         if (!property) {
-            return { ok: false, reason: `Object at path "${path}" cannot have property "${childKey}"` };
+            return failure(`${path}/${childKey}`, 'property', [], value, `Object at path "${path}" cannot have property "${childKey}"`);
         }
         if (property.optional && value === null && trailKeys.length === 1) {
             return ok;
         }
-        let result:ISchemaCheckResult;
+        let result: CheckResult;
         property.types.some(type => {
             const childPath = typeof childKey === 'number' ? `${path}[${childKey}]` : `${path}/${childKey}`;
-            result = checkType(childPath, type, value, partial, trailKeys.slice(1));
+            result = checkType(childPath, type, value, partial, trailKeys.slice(1), allErrors);
             return result.ok;
         });
         return result;
@@ -280,25 +520,48 @@ function checkType(path: string, type: IType, value: any, partial: boolean, trai
         return ok;
     }
     if (type.instanceOf === Object && (typeof value !== 'object' || value instanceof Array || value instanceof Date)) {
-        return { ok: false, reason: `path "${path}" must be an object collection` };
+        return fail('type', `path "${path}" must be an object collection`);
     }
     if (type.instanceOf && (typeof value !== 'object' || value.constructor !== type.instanceOf)) { // !(value instanceof type.instanceOf) // value.constructor.name !== type.instanceOf
-        return { ok: false, reason: `path "${path}" must be an instance of ${type.instanceOf.name}` };
+        return fail('type', `path "${path}" must be an instance of ${type.instanceOf.name}`);
     }
     if ('value' in type && value !== type.value) {
-        return { ok: false, reason: `path "${path}" must be value: ${type.value}` };
+        return fail('value', `path "${path}" must be value: ${type.value}`);
     }
     if (typeof value !== type.typeOf) {
-        return { ok: false, reason: `path "${path}" must be typeof ${type.typeOf}` };
+        return fail('type', `path "${path}" must be typeof ${type.typeOf}`);
+    }
+    const constraintResult = checkConstraints(path, type, value);
+    if (!constraintResult.ok) {
+        return constraintResult;
     }
-    if (type.instanceOf === Array && type.genericTypes && !(value as Array<any>).every(v => type.genericTypes.some(t => checkType(path, t, v, false).ok ))) {
-        return { ok: false, reason: `every array value of path "${path}" must match one of the specified types` };
+    if (type.instanceOf === Array && type.genericTypes) {
+        const items = value as any[];
+        if (!allErrors) {
+            if (!items.every(v => type.genericTypes.some(t => checkType(path, t, v, false, undefined, false).ok))) {
+                return fail('type', `every array value of path "${path}" must match one of the specified types`);
+            }
+        }
+        else {
+            // Check each item individually so errors can be reported for their own paths
+            const results = items.map((v, i) => {
+                const itemPath = `${path}[${i}]`;
+                if (type.genericTypes.length === 1) {
+                    return checkType(itemPath, type.genericTypes[0], v, false, undefined, true);
+                }
+                return type.genericTypes.some(t => checkType(itemPath, t, v, false, undefined, false).ok)
+                    ? success()
+                    : failure(itemPath, 'type', type.genericTypes, v, `Array value at path "${itemPath}" does not match any of ${type.genericTypes.length} allowed types`);
+            });
+            const result = combine(results);
+            if (!result.ok) { return result; }
+        }
     }
     if (type.typeOf === 'object' && type.children) {
-        return checkObject(path, type.children, value, partial);
+        return checkObject(path, type.children, value, partial, allErrors);
     }
     if (type.matches && !type.matches.test(value)) {
-        return { ok: false, reason: `path "${path}" must match regular expression /${type.matches.source}/${type.matches.flags}` };
+        return fail('matches', `path "${path}" must match regular expression /${type.matches.source}/${type.matches.flags}`);
     }
     return ok;
 }
@@ -315,6 +578,253 @@ function getConstructorType(val: Function) {
     }
 }
 
+/**
+ * JSON Schema document or subschema
+ */
+export type JSONSchema = boolean | { [keyword: string]: any };
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+function typesToTypeScript(types: IType[], indent: string): string {
+    return types.map(type => typeToTypeScript(type, indent)).join(' | ');
+}
+
+function typeToTypeScript(type: IType, indent: string): string {
+    if ('value' in type) {
+        return typeof type.value === 'string' ? `'${type.value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'` : String(type.value);
+    }
+    if (type.typeOf === 'any') {
+        return 'any';
+    }
+    if (type.instanceOf === Array) {
+        if (!type.genericTypes) { return 'any[]'; }
+        const itemType = typesToTypeScript(type.genericTypes, indent);
+        return type.genericTypes.length === 1 ? `${itemType}[]` : `Array<${itemType}>`;
+    }
+    if (type.instanceOf === Object) {
+        if (!type.children) { return 'Record<string, any>'; }
+        const childIndent = indent + '    ';
+        const namedProperties = type.children.filter(prop => !prop.wildcard);
+        const wildcardProperty = type.children.find(prop => prop.wildcard);
+        const lines = namedProperties.map(prop => `${childIndent}${prop.name}${prop.optional ? '?' : ''}: ${typesToTypeScript(prop.types, childIndent)};`);
+        if (wildcardProperty) {
+            // The index signature must also allow the types of all named properties
+            const types = [wildcardProperty, ...namedProperties]
+                .reduce((types, prop) => types.concat(prop.types.map(type => typeToTypeScript(type, childIndent))), [] as string[])
+                .filter((type, i, types) => types.indexOf(type) === i);
+            const keyName = wildcardProperty.name === '*' ? 'key' : wildcardProperty.name.slice(1);
+            lines.push(`${childIndent}[${keyName}: string]: ${types.join(' | ')};`);
+        }
+        return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+    if (type.instanceOf) {
+        return type.instanceOf.name;
+    }
+    return type.typeOf;
+}
+
+function typesToJSONSchema(types: IType[]): JSONSchema {
+    return types.length === 1 ? typeToJSONSchema(types[0]) : { anyOf: types.map(typeToJSONSchema) };
+}
+
+function typeToJSONSchema(type: IType): JSONSchema {
+    if ('value' in type) {
+        return type.value === null ? { type: 'null' } : { const: type.value };
+    }
+    const schema: { [keyword: string]: any } = {};
+    const hasMin = typeof type.min === 'number', hasMax = typeof type.max === 'number';
+    if (type.typeOf === 'any') {
+        return schema;
+    }
+    else if (type.typeOf === 'undefined') {
+        // Value must not be present
+        return false;
+    }
+    else if (type.instanceOf === Array) {
+        schema.type = 'array';
+        if (type.genericTypes) { schema.items = typesToJSONSchema(type.genericTypes); }
+        if (hasMin) { schema.minItems = type.min; }
+        if (hasMax) { schema.maxItems = type.max; }
+    }
+    else if (type.instanceOf === Object) {
+        schema.type = 'object';
+        if (type.children) {
+            const namedProperties = type.children.filter(prop => !prop.wildcard);
+            const wildcardProperty = type.children.find(prop => prop.wildcard);
+            schema.properties = namedProperties.reduce((properties, prop) => {
+                properties[prop.name] = typesToJSONSchema(prop.types);
+                return properties;
+            }, {} as Record<string, JSONSchema>);
+            const required = namedProperties.filter(prop => !prop.optional).map(prop => prop.name);
+            if (required.length > 0) { schema.required = required; }
+            schema.additionalProperties = wildcardProperty ? typesToJSONSchema(wildcardProperty.types) : false;
+        }
+    }
+    else if (type.instanceOf === Date) {
+        // JSON has no date type, dates are transferred as ISO 8601 strings
+        Object.assign(schema, { type: 'string', format: 'date-time', 'x-acebase-type': 'Date' });
+    }
+    else if (type.instanceOf === ArrayBuffer) {
+        Object.assign(schema, { type: 'string', contentEncoding: 'base64', 'x-acebase-type': 'binary' });
+    }
+    else if (type.typeOf === 'number') {
+        schema.type = type.integer ? 'integer' : 'number';
+        if (hasMin) { schema.minimum = type.min; }
+        if (hasMax) { schema.maximum = type.max; }
+    }
+    else if (type.typeOf === 'string') {
+        schema.type = 'string';
+        if (hasMin) { schema.minLength = type.min; }
+        if (hasMax) { schema.maxLength = type.max; }
+        if (type.format === 'iso-date') {
+            // JSON Schema "date-time" requires seconds and a timezone, "iso-date" also allows dates without (a part of) the time
+            Object.assign(schema, { pattern: isoDatePattern.source, 'x-acebase-format': 'iso-date' });
+        }
+        else if (type.format) { schema.format = type.format; }
+        if (type.matches) {
+            if (type.matches.flags.replace('u', '') !== '') {
+                throw new Error(`Cannot convert regular expression /${type.matches.source}/${type.matches.flags} to JSON Schema: patterns do not support flags`);
+            }
+            schema.pattern = type.matches.source;
+        }
+    }
+    else if (type.typeOf === 'boolean') {
+        schema.type = 'boolean';
+    }
+    else {
+        throw new Error(`Cannot convert type "${getTypeName(type)}" to JSON Schema`);
+    }
+    return schema;
+}
+
+/**
+ * Converts a JSON Schema (sub)schema to an AceBase type definition string
+ * @param schema (sub)schema to convert
+ * @param root root document, used to resolve `$ref`s
+ * @param refs `$ref`s being resolved, used to detect recursion
+ */
+function jsonSchemaToDefinition(schema: JSONSchema, root: JSONSchema, refs: string[] = []): string {
+    if (schema === true) { return 'any'; }
+    if (schema === false) { return 'undefined'; }
+    if (typeof schema !== 'object' || schema === null || schema instanceof Array) {
+        throw new TypeError('JSON Schema must be an object or boolean');
+    }
+    const convert = (schema: JSONSchema) => jsonSchemaToDefinition(schema, root, refs);
+    const constraints = (min: number, max: number) => typeof min === 'number' || typeof max === 'number' ? `(${min ?? ''}..${max ?? ''})` : '';
+
+    if (typeof schema.$ref === 'string') {
+        const ref = schema.$ref;
+        const match = ref.match(/^#(?:\/(\$defs|definitions)\/(.+))?$/);
+        if (!match) {
+            throw new Error(`Cannot resolve JSON Schema reference "${ref}", only local references to "#", "#/$defs" and "#/definitions" are supported`);
+        }
+        if (refs.includes(ref)) {
+            throw new Error(`Cannot convert recursive JSON Schema reference "${ref}"`);
+        }
+        const target = match[1] ? root[match[1]]?.[decodeURIComponent(match[2])] : root;
+        if (typeof target === 'undefined') {
+            throw new Error(`JSON Schema reference "${ref}" does not exist`);
+        }
+        return jsonSchemaToDefinition(target, root, refs.concat(ref));
+    }
+    if ('const' in schema) {
+        return jsonValueToDefinition(schema.const);
+    }
+    if (schema.enum instanceof Array) {
+        return schema.enum.map(jsonValueToDefinition).join('|');
+    }
+    if (schema.allOf) {
+        throw new Error('Cannot convert JSON Schema keyword "allOf"');
+    }
+    const union = schema.anyOf || schema.oneOf;
+    if (union instanceof Array) {
+        return union.map(convert).join('|');
+    }
+
+    let types: string[] = schema.type instanceof Array ? schema.type
+        : typeof schema.type === 'string' ? [schema.type]
+            : 'properties' in schema || 'additionalProperties' in schema ? ['object']
+                : 'items' in schema ? ['array']
+                    : [];
+    if (types.length === 0) {
+        return 'any';
+    }
+    // null values are not stored in the database, so allowing null is the same as being optional
+    types = types.length > 1 ? types.filter(type => type !== 'null') : types;
+
+    return types.map(type => {
+        switch (type) {
+            case 'null': return 'null';
+            case 'boolean': return 'boolean';
+            case 'number':
+            case 'integer': {
+                let min = schema.minimum, max = schema.maximum;
+                if (typeof schema.exclusiveMinimum === 'number' || typeof schema.exclusiveMaximum === 'number') {
+                    if (type !== 'integer') {
+                        throw new Error('Cannot convert JSON Schema keywords "exclusiveMinimum" and "exclusiveMaximum" for non-integer numbers');
+                    }
+                    if (typeof schema.exclusiveMinimum === 'number') { min = Math.max(min ?? -Infinity, Math.floor(schema.exclusiveMinimum) + 1); }
+                    if (typeof schema.exclusiveMaximum === 'number') { max = Math.min(max ?? Infinity, Math.ceil(schema.exclusiveMaximum) - 1); }
+                }
+                return type + constraints(min, max);
+            }
+            case 'string': {
+                if (schema['x-acebase-type'] === 'Date') { return 'Date'; }
+                if (schema['x-acebase-type'] === 'binary') { return 'binary'; }
+                const base = schema['x-acebase-format'] === 'iso-date' ? 'iso-date'
+                    : typeof schema.pattern === 'string' ? `/${schema.pattern.replace(/\\.|\//g, (m: string) => m === '/' ? '\\/' : m)}/`
+                        : ['date-time', 'date'].includes(schema.format) ? 'iso-date'
+                            : schema.format in formats ? schema.format
+                                : 'string';
+                return base + constraints(schema.minLength, schema.maxLength);
+            }
+            case 'array': {
+                if (schema.items instanceof Array || 'prefixItems' in schema) {
+                    throw new Error('Cannot convert JSON Schema tuples');
+                }
+                const itemTypes = 'items' in schema ? convert(schema.items) : 'any';
+                return `Array<${itemTypes}>` + constraints(schema.minItems, schema.maxItems);
+            }
+            case 'object': {
+                const properties = Object.keys(schema.properties || {});
+                const additional = schema.additionalProperties ?? true;
+                if (properties.length === 0 && additional === true) {
+                    return 'object';
+                }
+                const required: string[] = schema.required instanceof Array ? schema.required : [];
+                const children = properties.map(name => {
+                    if (!/^[a-z_][a-z0-9_$]*$/i.test(name)) {
+                        throw new Error(`Cannot convert JSON Schema property "${name}", property names must be valid identifiers`);
+                    }
+                    return `${name}${required.includes(name) ? '' : '?'}:${convert(schema.properties[name])}`;
+                });
+                if (additional !== false) {
+                    children.push(`*:${convert(additional)}`);
+                }
+                return `{${children.join(',')}}`;
+            }
+            default: throw new Error(`Unknown JSON Schema type "${type}"`);
+        }
+    }).join('|');
+}
+
+function jsonValueToDefinition(value: any): string {
+    if (typeof value === 'string') {
+        const quote = ['"', '\'', '`'].find(quote => !value.includes(quote));
+        if (!quote) {
+            throw new Error(`Cannot convert JSON Schema constant ${JSON.stringify(value)}: it contains all supported quote characters`);
+        }
+        return `${quote}${value}${quote}`;
+    }
+    if (typeof value === 'number' && value >= 0) {
+        return String(value);
+    }
+    if (typeof value === 'boolean' || value === null) {
+        return String(value);
+    }
+    throw new Error(`Cannot convert JSON Schema constant ${JSON.stringify(value)}, only strings, positive numbers, booleans and null are supported`);
+}
+
 export class SchemaDefinition {
     readonly source: string|object;
     readonly text: string;
@@ -356,7 +866,57 @@ export class SchemaDefinition {
         }
         this.type = parse(this.text);
     }
-    check(path: string, value: any, partial: boolean, trailKeys?: Array<string|number>) : ISchemaCheckResult {
-        return checkType(path, this.type, value, partial, trailKeys);
+    /**
+     * Checks if a value complies with this schema definition
+     * @param path path of the value, used in error messages
+     * @param value value to check
+     * @param partial whether the value is a partial (update) value, so missing properties are not checked
+     * @param trailKeys keys of the path the value is stored at, relative to the path of this schema definition
+     * @param options set `allErrors` to collect all errors in the `errors` property of the result instead of stopping at the first error
+     */
+    check(path: string, value: any, partial: boolean, trailKeys?: Array<string|number>, options: ISchemaCheckOptions = {}) : ISchemaCheckResult {
+        const allErrors = options.allErrors === true;
+        const result = checkType(path, this.type, value, partial, trailKeys, allErrors);
+        if (allErrors) {
+            return result.ok ? { ok: true, errors: [] } : result;
+        }
+        return result.ok ? { ok: true } : { ok: false, reason: result.reason };
+    }
+
+    /**
+     * Generates TypeScript declaration text for this schema definition
+     * @param name name of the interface or type to declare
+     * @example
+     * new SchemaDefinition('{ name: string, tags?: string[] }').toTypeScript('User');
+     * // export interface User {
+     * //     name: string;
+     * //     tags?: string[];
+     * // }
+     */
+    toTypeScript(name = 'Schema'): string {
+        const ts = typeToTypeScript(this.type, '');
+        return this.type.instanceOf === Object && this.type.children
+            ? `export interface ${name} ${ts}`
+            : `export type ${name} = ${ts};`;
+    }
+
+    /**
+     * Generates a JSON Schema (draft 2020-12) document for this schema definition. Dates are described as
+     * ISO 8601 strings and binary values as base64 strings, both with an `x-acebase-type` annotation that
+     * allows them to be converted back by `SchemaDefinition.fromJSONSchema`. `iso-date` strings are described with
+     * a `pattern` and an `x-acebase-format` annotation, because JSON Schema's `date-time` format requires a full time
+     */
+    toJSONSchema(): Record<string, any> {
+        const schema = typeToJSONSchema(this.type);
+        return { $schema: JSON_SCHEMA_DIALECT, ...(typeof schema === 'boolean' ? (schema ? {} : { not: {} }) : schema) };
+    }
+
+    /**
+     * Creates a schema definition from a JSON Schema document. Local `$ref`s (`#/$defs/...`) are resolved,
+     * JSON Schema features without an AceBase equivalent (`allOf`, tuples, recursive references etc) throw an error.
+     * @param schema JSON Schema document
+     */
+    static fromJSONSchema(schema: JSONSchema): SchemaDefinition {
+        return new SchemaDefinition(jsonSchemaToDefinition(schema, schema));
     }
 }
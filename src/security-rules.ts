@@ -0,0 +1,346 @@
+import { PathInfo } from './path-info';
+import { PathReference } from './path-reference';
+
+type RuleType = '.read'|'.write'|'.validate';
+
+const ruleTypes: RuleType[] = ['.read', '.write', '.validate'];
+
+/**
+ * Data available to rules. Expression rules can use these as variables, along with the `$variables` of the rule path
+ */
+export interface ISecurityRuleEnvironment {
+    /** authenticated user (as given in the check context), `null` if not signed in */
+    auth: any
+    /** current data at the rule's path */
+    data: RuleDataSnapshot
+    /** data at the rule's path after the write, equals `data` for read rules */
+    newData: RuleDataSnapshot
+    /** current data at the root */
+    root: RuleDataSnapshot
+    /** data at the root after the write, equals `root` for read rules */
+    newRoot: RuleDataSnapshot
+    /** current time in ms since epoch */
+    now: number
+    /** values of the `$variables` in the rule's path, eg `{ $uid: 'ewout', uid: 'ewout' }` */
+    vars: Record<string, string|number>
+}
+
+/**
+ * A rule: a boolean, a JavaScript expression such as `"auth !== null && auth.uid === $uid"`, or a function
+ */
+export type SecurityRule = boolean | string | ((env: ISecurityRuleEnvironment) => boolean);
+
+/**
+ * Rules keyed by path: nested nodes for child keys, or a `$variable` node that matches any child key
+ * @example
+ * {
+ *     users: {
+ *         $uid: {
+ *             '.read': 'auth !== null',
+ *             '.write': 'auth !== null && auth.uid === $uid',
+ *             '.validate': 'newData.hasChildren(["name"])',
+ *             name: { '.validate': 'typeof newData.val() === "string"' },
+ *         },
+ *     },
+ * }
+ */
+export interface SecurityRulesNode {
+    '.read'?: SecurityRule
+    '.write'?: SecurityRule
+    '.validate'?: SecurityRule
+    [key: string]: SecurityRule | SecurityRulesNode
+}
+
+export interface ISecurityCheckContext {
+    /** authenticated user, available to rules as `auth` */
+    auth?: any
+    /** current value of the database root, used for `data` and `root` */
+    data?: any
+    /** time to use as `now`, default is `Date.now()` */
+    now?: number
+}
+
+export interface ISecurityCheckResult {
+    allow: boolean
+    /** description of why access was denied */
+    reason?: string
+    /** path of the rule that allowed or denied access, eg `"users/$uid/.write"` */
+    rule?: string
+}
+
+const isContainer = (val: any) => val !== null && typeof val === 'object'
+    && !(val instanceof Date || val instanceof ArrayBuffer || val instanceof PathReference || val instanceof RegExp || ArrayBuffer.isView(val));
+
+const getValueAt = (root: any, keys: Array<string|number>) => {
+    return keys.reduce((value, key) => isContainer(value) ? value[key] ?? null : null, root ?? null);
+};
+
+/**
+ * Returns a copy of the root with the value of the node at path set (or merged with for an update). Only nodes on the path are copied
+ */
+const applyWrite = (root: any, keys: Array<string|number>, value: any, type: 'set'|'update'): any => {
+    if (keys.length === 0) {
+        if (type === 'set' || !isContainer(value)) { return value; }
+        const updated = isContainer(root) ? (root instanceof Array ? root.slice() : { ...root }) : {};
+        Object.keys(value).forEach(key => {
+            value[key] === null ? delete updated[key] : updated[key] = value[key];
+        });
+        return updated;
+    }
+    const [key, ...trail] = keys;
+    const copy = isContainer(root) ? (root instanceof Array ? root.slice() : { ...root }) : typeof key === 'number' ? [] : {};
+    const child = applyWrite(copy[key] ?? null, trail, value, type);
+    child === null ? delete copy[key] : copy[key] = child;
+    return copy;
+};
+
+/**
+ * Snapshot of data available to rules, similar to `DataSnapshot` but without database access
+ */
+export class RuleDataSnapshot {
+    constructor(private rootValue: any, public readonly path: string) {}
+
+    get key() {
+        return PathInfo.get(this.path).key;
+    }
+
+    /** Gets the value, `null` if it does not exist */
+    val(): any {
+        return getValueAt(this.rootValue, PathInfo.getPathKeys(this.path));
+    }
+
+    exists() {
+        return this.val() !== null;
+    }
+
+    child(path: string|number) {
+        return new RuleDataSnapshot(this.rootValue, PathInfo.getChildPath(this.path, path));
+    }
+
+    parent() {
+        const parentPath = PathInfo.get(this.path).parentPath;
+        return parentPath === null ? null : new RuleDataSnapshot(this.rootValue, parentPath);
+    }
+
+    hasChild(path: string|number) {
+        return this.child(path).exists();
+    }
+
+    /**
+     * Checks if the value has any children, or all of the given children
+     */
+    hasChildren(keys?: Array<string|number>) {
+        return keys instanceof Array ? keys.every(key => this.hasChild(key)) : this.numChildren() > 0;
+    }
+
+    numChildren() {
+        const value = this.val();
+        return isContainer(value) ? Object.keys(value).length : 0;
+    }
+}
+
+interface IMatchedRulesNode {
+    node: SecurityRulesNode
+    /** path of the rules node, eg `"users/$uid"` */
+    rulePath: string
+    /** path of the data the node applies to, eg `"users/ewout"` */
+    dataPath: string
+}
+
+/**
+ * Evaluates path-based `.read`, `.write` and `.validate` rules, to test rules locally or to check whether a write
+ * will be allowed before sending it to a server.
+ *
+ * Access is granted if any `.read` or `.write` rule on the path or on one of its ancestors allows it. Once granted, it
+ * cannot be revoked by rules on deeper paths. `.validate` rules do not cascade: they must all pass for every node
+ * that is written, including its ancestors. Validation is skipped for removed nodes.
+ * Expression rules are compiled to functions, so only use rules from trusted sources.
+ * @example
+ * const rules = new SecurityRules({ rules: { users: { $uid: { '.write': 'auth?.uid === $uid' } } } });
+ * rules.canWrite('users/ewout/name', 'Ewout', { auth: { uid: 'ewout' } }); // { allow: true, rule: 'users/$uid/.write' }
+ */
+export class SecurityRules {
+    readonly rules: SecurityRulesNode;
+    private compiled = new Map<string, (env: ISecurityRuleEnvironment) => boolean>();
+
+    /**
+     * @param rules rules definition, with or without a root `rules` property
+     */
+    constructor(rules: { rules: SecurityRulesNode } | SecurityRulesNode) {
+        if (typeof rules !== 'object' || rules === null) {
+            throw new TypeError('rules must be an object');
+        }
+        this.rules = (typeof rules.rules === 'object' && rules.rules !== null ? rules.rules : rules) as SecurityRulesNode;
+        this.compile(this.rules, '', []);
+    }
+
+    private compile(node: SecurityRulesNode, rulePath: string, variables: string[]) {
+        const keys = Object.keys(node);
+        const vars = keys.filter(key => key[0] === '$');
+        if (vars.length > 1) {
+            throw new Error(`Rules for "/${rulePath}" have multiple variables: ${vars.join(', ')}`);
+        }
+        keys.forEach(key => {
+            const value = node[key];
+            const path = rulePath ? `${rulePath}/${key}` : key;
+            if (key[0] === '.') {
+                if (!ruleTypes.includes(key as RuleType)) {
+                    throw new Error(`Unknown rule "${path}", use ${ruleTypes.join(', ')}`);
+                }
+                if (typeof value === 'boolean') {
+                    this.compiled.set(path, () => value);
+                }
+                else if (typeof value === 'function') {
+                    this.compiled.set(path, value);
+                }
+                else if (typeof value === 'string') {
+                    let fn: (...args: any[]) => any;
+                    try {
+                        fn = new Function('auth', 'data', 'newData', 'root', 'newRoot', 'now', 'vars', ...variables, `"use strict"; return (${value});`) as any;
+                    }
+                    catch (err) {
+                        throw new Error(`Invalid expression for rule "${path}": ${err.message}`);
+                    }
+                    this.compiled.set(path, env => fn(env.auth, env.data, env.newData, env.root, env.newRoot, env.now, env.vars, ...variables.map(name => env.vars[name])));
+                }
+                else {
+                    throw new TypeError(`Rule "${path}" must be a boolean, expression string or function`);
+                }
+            }
+            else if (typeof value === 'object' && value !== null) {
+                this.compile(value, path, key[0] === '$' ? variables.concat(key) : variables);
+            }
+            else {
+                throw new TypeError(`Rules for "${path}" must be an object`);
+            }
+        });
+    }
+
+    private getChildNode(node: SecurityRulesNode, key: string|number) {
+        const name = Object.prototype.hasOwnProperty.call(node, key) && typeof node[key] === 'object' ? String(key) : Object.keys(node).find(name => name[0] === '$');
+        return typeof name === 'string' ? { name, node: node[name] as SecurityRulesNode } : null;
+    }
+
+    /**
+     * Gets the rules nodes matching the path, from the root down to the deepest node with rules
+     */
+    private getRulesNodes(path: string) {
+        const keys = PathInfo.getPathKeys(path);
+        const nodes: IMatchedRulesNode[] = [{ node: this.rules, rulePath: '', dataPath: '' }];
+        for (let i = 0; i < keys.length; i++) {
+            const parent = nodes[nodes.length - 1];
+            const child = this.getChildNode(parent.node, keys[i]);
+            if (!child) { break; }
+            nodes.push({ node: child.node, rulePath: parent.rulePath ? `${parent.rulePath}/${child.name}` : child.name, dataPath: PathInfo.get(keys.slice(0, i + 1)).path });
+        }
+        return nodes;
+    }
+
+    /**
+     * Evaluates a rule, returns `false` if it throws
+     */
+    private evaluate(type: RuleType, match: IMatchedRulesNode, context: ISecurityCheckContext, newRootValue: any) {
+        const rule = this.compiled.get(match.rulePath ? `${match.rulePath}/${type}` : type);
+        if (!rule) { return null; }
+        const rootValue = context.data ?? null;
+        const vars = PathInfo.extractVariables(match.rulePath, match.dataPath);
+        const env: ISecurityRuleEnvironment = {
+            auth: context.auth ?? null,
+            data: new RuleDataSnapshot(rootValue, match.dataPath),
+            newData: new RuleDataSnapshot(newRootValue, match.dataPath),
+            root: new RuleDataSnapshot(rootValue, ''),
+            newRoot: new RuleDataSnapshot(newRootValue, ''),
+            now: context.now ?? Date.now(),
+            vars: vars instanceof Array ? {} : { ...vars },
+        };
+        try {
+            return rule(env) === true;
+        }
+        catch (err) {
+            return false;
+        }
+    }
+
+    private checkAccess(type: '.read'|'.write', path: string, context: ISecurityCheckContext, newRootValue: any): ISecurityCheckResult {
+        const nodes = this.getRulesNodes(path);
+        const match = nodes.find(match => this.evaluate(type, match, context, newRootValue) === true);
+        if (match) {
+            return { allow: true, rule: match.rulePath ? `${match.rulePath}/${type}` : type };
+        }
+        const denied = nodes.filter(match => typeof match.node[type] !== 'undefined').pop();
+        const action = type === '.read' ? 'read' : 'write';
+        return {
+            allow: false,
+            reason: denied ? `${action} access to "/${path}" denied by rule "${denied.rulePath ? `${denied.rulePath}/${type}` : type}"` : `no rule allows ${action} access to "/${path}"`,
+            rule: denied ? (denied.rulePath ? `${denied.rulePath}/${type}` : type) : undefined,
+        };
+    }
+
+    /**
+     * Evaluates the `.validate` rules of a written node and all its children
+     */
+    private validateNode(match: IMatchedRulesNode, context: ISecurityCheckContext, newRootValue: any, descendants: boolean): ISecurityCheckResult {
+        const value = getValueAt(newRootValue, PathInfo.getPathKeys(match.dataPath));
+        if (value === null) { return { allow: true }; }
+        if (this.evaluate('.validate', match, context, newRootValue) === false) {
+            const rule = match.rulePath ? `${match.rulePath}/.validate` : '.validate';
+            return { allow: false, reason: `validation of "/${match.dataPath}" failed by rule "${rule}"`, rule };
+        }
+        if (!descendants || !isContainer(value)) { return { allow: true }; }
+        for (const key of Object.keys(value)) {
+            const child = this.getChildNode(match.node, value instanceof Array ? +key : key);
+            if (!child) { continue; }
+            const result = this.validateNode({
+                node: child.node,
+                rulePath: match.rulePath ? `${match.rulePath}/${child.name}` : child.name,
+                dataPath: PathInfo.getChildPath(match.dataPath, value instanceof Array ? +key : key),
+            }, context, newRootValue, true);
+            if (!result.allow) { return result; }
+        }
+        return { allow: true };
+    }
+
+    /**
+     * Checks if data at a path can be read
+     * @param path path to read
+     * @param context `auth` and current `data` to use
+     */
+    canRead(path: string, context: ISecurityCheckContext = {}): ISecurityCheckResult {
+        return this.checkAccess('.read', path, context, context.data ?? null);
+    }
+
+    /**
+     * Checks if a value can be written to a path: a `.write` rule must allow it, and all `.validate` rules of the written
+     * nodes and their ancestors must pass. For updates, each updated child is checked
+     * @param path path to write to
+     * @param value value to write, or updates to merge for type `'update'`
+     * @param context `auth` and current `data` to use
+     * @param type `'set'` (default) to overwrite the value, or `'update'` to merge it with the current value
+     */
+    canWrite(path: string, value: any, context: ISecurityCheckContext = {}, type: 'set'|'update' = 'set'): ISecurityCheckResult {
+        if (type === 'update' && !isContainer(value)) {
+            throw new TypeError('updates must be an object');
+        }
+        const newRootValue = applyWrite(context.data ?? null, PathInfo.getPathKeys(path), value ?? null, type);
+        const targets = type === 'update' ? Object.keys(value).map(key => PathInfo.getChildPath(path, key)) : [path];
+        if (targets.length === 0) {
+            // Empty update does not change any data, only requires write access to the path
+            return this.checkAccess('.write', path, context, newRootValue);
+        }
+        let allowed: ISecurityCheckResult;
+        for (const target of targets) {
+            allowed = this.checkAccess('.write', target, context, newRootValue);
+            if (!allowed.allow) { return allowed; }
+        }
+        for (const target of targets) {
+            const nodes = this.getRulesNodes(target);
+            const depth = PathInfo.getPathKeys(target).length;
+            for (const match of nodes) {
+                const isTarget = PathInfo.getPathKeys(match.dataPath).length === depth;
+                const result = this.validateNode(match, context, newRootValue, isTarget);
+                if (!result.allow) { return result; }
+            }
+        }
+        return allowed;
+    }
+}
@@ -1,34 +1,117 @@
 import { cloneObject } from './utils';
+import { SimpleEventEmitter } from './simple-event-emitter';
 
-export interface SimpleCacheOptions {
+export interface SimpleCacheOptions<K = any, V = any> {
     /** The number of seconds to keep items cached after their last update */
     expirySeconds?: number;
     /** Whether to deep clone the stored values to protect them from accidental adjustments */
     cloneValues?: boolean;
     /** Maximum amount of entries to keep in cache */
     maxEntries?: number
+    /** Maximum estimated amount of memory (in bytes) the cached values may use */
+    maxBytes?: number
+    /**
+     * Function that estimates the amount of memory (in bytes) a cached value uses. The default estimator
+     * walks the value, counting 2 bytes per string character, 8 bytes per number and the length of binary data
+     */
+    sizeOf?: (value: V, key: K) => number
+    /**
+     * Which entry to evict when `maxEntries` or `maxBytes` is reached: the least recently used (`'lru'`, default),
+     * or the least frequently used (`'lfu'`) entry. Expired entries are always evicted first
+     */
+    policy?: 'lru'|'lfu'
+}
+
+export interface SimpleCacheEvictEvent<K, V> {
+    key: K
+    value: V
+    /**
+     * `'expired'` if the entry expired, `'capacity'` if `maxEntries` was reached, or `'size'` if `maxBytes` was reached
+     * (also used for values that are larger than `maxBytes` themselves, which are not cached)
+     */
+    reason: 'expired'|'capacity'|'size'
+}
+
+export interface SimpleCacheStats {
+    /** number of `get` calls that returned a cached value */
+    hits: number
+    /** number of `get` calls for keys that were not cached */
+    misses: number
+    /** number of entries evicted because they expired or the cache was full */
+    evictions: number
+    /** number of cached entries */
+    entries: number
+    /** estimated amount of memory (in bytes) used by the cached values */
+    bytes: number
+}
+
+interface ICacheEntry<V> {
+    value: V
+    added: number
+    accessed: number
+    expires: number
+    /** expiry seconds of this entry */
+    ttl: number
+    /** estimated size in bytes */
+    size: number
+    /** number of times the entry was accessed, used by the LFU policy */
+    frequency: number
 }
 
 const calculateExpiryTime = (expirySeconds: number) => expirySeconds > 0 ? Date.now() + (expirySeconds * 1000) : Infinity;
 
+/**
+ * Estimates the amount of memory a value uses
+ */
+const estimateSize = (value: any, seen = new Set<any>()): number => {
+    switch (typeof value) {
+        case 'string': return value.length * 2;
+        case 'number': return 8;
+        case 'boolean': return 4;
+        case 'bigint': return 8 + Math.ceil(value.toString(16).length / 2);
+        case 'object': {
+            if (value === null) { return 0; }
+            if (value instanceof Date) { return 8; }
+            if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) { return value.byteLength; }
+            if (seen.has(value)) { return 0; }
+            seen.add(value);
+            return Object.keys(value).reduce((size, key) => size + key.length * 2 + estimateSize(value[key], seen), 0);
+        }
+        default: return 0;
+    }
+};
+
 /**
  * Simple cache implementation that retains immutable values in memory for a limited time.
  * Immutability is enforced by cloning the stored and retrieved values. To change a cached value, it will have to be `set` again with the new value.
+ *
+ * Entries are kept in a `Map` in order of their last use, so the least recently used entry can be evicted in O(1).
+ * The LFU policy additionally keeps the keys grouped by access frequency. Emits an `"evict"` event with a
+ * `SimpleCacheEvictEvent` for each evicted entry.
  */
-export class SimpleCache<K, V> {
-    options: SimpleCacheOptions;
-    private cache: Map<K, { value: V, added: number, expires: number, accessed: number }>;
+export class SimpleCache<K, V> extends SimpleEventEmitter {
+    options: SimpleCacheOptions<K, V>;
+    private cache: Map<K, ICacheEntry<V>>;
+    /** Keys by access frequency, in order of their last use. Only used by the LFU policy */
+    private frequencies = new Map<number, Set<K>>();
+    private minFrequency = 0;
+    private bytes = 0;
+    private counters = { hits: 0, misses: 0, evictions: 0 };
     enabled = true;
     get size() { return this.cache.size; }
 
-    constructor(options: number|SimpleCacheOptions) {
+    constructor(options: number|SimpleCacheOptions<K, V>) {
+        super();
         if (typeof options === 'number') {
             // Old signature: only expirySeconds given
             options = { expirySeconds: options };
         }
         options.cloneValues = options.cloneValues !== false;
-        if (typeof options.expirySeconds !== 'number' && typeof options.maxEntries !== 'number') {
-            throw new Error('Either expirySeconds or maxEntries must be specified');
+        if (typeof options.expirySeconds !== 'number' && typeof options.maxEntries !== 'number' && typeof options.maxBytes !== 'number') {
+            throw new Error('Either expirySeconds, maxEntries or maxBytes must be specified');
+        }
+        if (!['lru', 'lfu', undefined].includes(options.policy)) {
+            throw new Error(`Unknown cache policy "${options.policy}", use "lru" or "lfu"`);
         }
         this.options = options;
         this.cache = new Map();
@@ -39,45 +122,137 @@ export class SimpleCache<K, V> {
     }
     has(key: K) {
         if (!this.enabled) { return false; }
-        return this.cache.has(key);
+        const entry = this.cache.get(key);
+        return !!entry && !this.expire(key, entry);
     }
     get(key: K): V {
         if (!this.enabled) { return null; }
         const entry = this.cache.get(key);
-        if (!entry) { return null; } // if (!entry || entry.expires <= Date.now()) { return null; }
-        entry.expires = calculateExpiryTime(this.options.expirySeconds);
+        if (!entry || this.expire(key, entry)) {
+            this.counters.misses++;
+            return null;
+        }
+        this.counters.hits++;
+        entry.expires = calculateExpiryTime(entry.ttl);
         entry.accessed = Date.now();
+        this.touch(key, entry);
         return this.options.cloneValues ? cloneObject(entry.value) as V : entry.value;
     }
-    set(key: K, value: V) {
-        if (this.options.maxEntries > 0 && this.cache.size >= this.options.maxEntries && !this.cache.has(key)) {
-            // console.warn(`* cache limit ${this.options.maxEntries} reached: ${this.cache.size}`);
-
-            // Remove an expired item or the one that was accessed longest ago
-            let oldest: { key: K, accessed: number } = null;
-            const now = Date.now();
-            for (const [key, entry] of this.cache.entries()) {
-                if (entry.expires <= now) {
-                    // Found an expired item. Remove it now and stop
-                    this.cache.delete(key);
-                    oldest = null;
-                    break;
-                }
-                if (!oldest || entry.accessed < oldest.accessed) { oldest = { key, accessed: entry.accessed }; }
-            }
-            if (oldest !== null) {
-                this.cache.delete(oldest.key);
-            }
+    /**
+     * Adds or replaces a cached value
+     * @param key
+     * @param value
+     * @param expirySeconds number of seconds to keep this entry cached after its last use, overrides the `expirySeconds` option
+     */
+    set(key: K, value: V, expirySeconds = this.options.expirySeconds) {
+        const stored = this.options.cloneValues ? cloneObject(value) as V : value;
+        const size = typeof this.options.sizeOf === 'function' ? this.options.sizeOf(stored, key) : estimateSize(stored);
+        this.delete(key);
+        if (this.options.maxBytes > 0 && size > this.options.maxBytes) {
+            // Value does not fit
+            this.counters.evictions++;
+            this.emit('evict', { key, value, reason: 'size' } as SimpleCacheEvictEvent<K, V>);
+            return;
+        }
+        while (this.cache.size > 0 && this.options.maxEntries > 0 && this.cache.size >= this.options.maxEntries) {
+            this.evict('capacity');
+        }
+        while (this.cache.size > 0 && this.options.maxBytes > 0 && this.bytes + size > this.options.maxBytes) {
+            this.evict('size');
         }
-        this.cache.set(key, { value: this.options.cloneValues ? cloneObject(value) as V : value, added: Date.now(), accessed: Date.now(), expires: calculateExpiryTime(this.options.expirySeconds) });
+        const now = Date.now();
+        const entry: ICacheEntry<V> = { value: stored, added: now, accessed: now, expires: calculateExpiryTime(expirySeconds), ttl: expirySeconds, size, frequency: 0 };
+        this.cache.set(key, entry);
+        this.bytes += size;
+        this.touch(key, entry);
     }
     remove(key: K) {
-        this.cache.delete(key);
+        this.delete(key);
     }
     cleanUp() {
-        const now = Date.now();
         this.cache.forEach((entry, key) => {
-            if (entry.expires <= now) { this.cache.delete(key); }
+            this.expire(key, entry);
         });
     }
+    /**
+     * Gets the cache's usage statistics
+     */
+    stats(): SimpleCacheStats {
+        return { ...this.counters, entries: this.cache.size, bytes: this.bytes };
+    }
+
+    /**
+     * Updates the position of a used entry: moves it to the end of the `Map` (most recently used), and to the next frequency
+     */
+    private touch(key: K, entry: ICacheEntry<V>) {
+        if (entry.frequency > 0) {
+            // Existing entry
+            this.cache.delete(key);
+            this.cache.set(key, entry);
+        }
+        if (this.options.policy !== 'lfu') {
+            entry.frequency = 1;
+            return;
+        }
+        if (entry.frequency > 0) {
+            this.removeFrequency(key, entry.frequency);
+        }
+        entry.frequency++;
+        if (!this.frequencies.has(entry.frequency)) {
+            this.frequencies.set(entry.frequency, new Set());
+        }
+        this.frequencies.get(entry.frequency).add(key);
+        if (entry.frequency === 1 || !this.frequencies.has(this.minFrequency)) {
+            this.minFrequency = entry.frequency;
+        }
+    }
+    private removeFrequency(key: K, frequency: number) {
+        const keys = this.frequencies.get(frequency);
+        keys.delete(key);
+        if (keys.size === 0) {
+            this.frequencies.delete(frequency);
+        }
+    }
+    private delete(key: K) {
+        const entry = this.cache.get(key);
+        if (!entry) { return null; }
+        this.cache.delete(key);
+        this.bytes -= entry.size;
+        if (this.options.policy === 'lfu') {
+            this.removeFrequency(key, entry.frequency);
+        }
+        return entry;
+    }
+    /**
+     * Removes an entry if it has expired
+     * @returns whether the entry expired
+     */
+    private expire(key: K, entry: ICacheEntry<V>) {
+        if (entry.expires > Date.now()) { return false; }
+        this.delete(key);
+        this.counters.evictions++;
+        this.emit('evict', { key, value: entry.value, reason: 'expired' } as SimpleCacheEvictEvent<K, V>);
+        return true;
+    }
+    /**
+     * Evicts the least recently (LRU) or least frequently (LFU) used entry, or an expired entry if that is the next in line
+     */
+    private evict(reason: 'capacity'|'size') {
+        let key: K;
+        if (this.options.policy === 'lfu') {
+            if (!this.frequencies.has(this.minFrequency)) {
+                // Lowest frequency was removed, find the new lowest
+                this.minFrequency = Math.min(...this.frequencies.keys());
+            }
+            key = this.frequencies.get(this.minFrequency).values().next().value;
+        }
+        else {
+            key = this.cache.keys().next().value;
+        }
+        const entry = this.cache.get(key);
+        if (this.expire(key, entry)) { return; }
+        this.delete(key);
+        this.counters.evictions++;
+        this.emit('evict', { key, value: entry.value, reason } as SimpleCacheEvictEvent<K, V>);
+    }
 }
@@ -0,0 +1,280 @@
+import type { StreamReadFunction, StreamWriteFunction } from './api';
+import { PathInfo } from './path-info';
+import { getPropertyValue } from './query-filter';
+import { serialize2, deserialize2 } from './transport';
+import { concatTypedArrays, decodeString } from './utils';
+
+/**
+ * Export and import formats:
+ * - `'json'`: the entire value as (type safe) JSON
+ * - `'ndjson'`: newline delimited JSON, a `{ path, value }` record for each child, values are serialized with `Transport.serialize2`
+ * - `'csv'`: comma separated values, a row for each (flat) child object
+ */
+export type StreamFormat = 'json'|'ndjson'|'csv';
+
+/**
+ * How to convert CSV text to a property value. Missing values are exported as empty fields and not imported, empty strings
+ * are exported as quoted empty fields (`""`):
+ * - `'string'`: (default) text as is
+ * - `'number'`, `'boolean'`, `'bigint'`: parsed text
+ * - `'date'`: ISO 8601 date text
+ * - `'json'`: JSON text of an object or array, serialized with `Transport.serialize2`
+ */
+export type CSVColumnType = 'string'|'number'|'boolean'|'date'|'bigint'|'json';
+
+export interface CSVColumn {
+    /** column name in the header row */
+    name: string
+    /** property of the child objects, can be a nested property eg `"address/city"` */
+    key: string
+    /** type of the property, used to convert imported text */
+    type?: CSVColumnType
+}
+
+export interface CSVOptions {
+    /**
+     * Columns to export or import. Strings are used both as column name and property key. If not specified, an export uses the properties
+     * of the first child and an import uses the header row, with all values imported as strings
+     */
+    columns?: Array<string|CSVColumn>
+    /**
+     * Name of the column with the child keys, default is `"key"`
+     */
+    keyColumn?: string
+    /**
+     * Field delimiter, default is `","`
+     */
+    delimiter?: string
+}
+
+export interface IChildRecord {
+    key: string|number
+    value: any
+}
+
+const getValueType = (value: any): CSVColumnType => {
+    if (value instanceof Date) { return 'date'; }
+    switch (typeof value) {
+        case 'number':
+        case 'boolean':
+        case 'bigint':
+            return typeof value as CSVColumnType;
+        case 'object':
+            return 'json';
+        default:
+            return 'string';
+    }
+};
+
+/**
+ * Encodes a property value as CSV text, or `null` if it is missing
+ */
+const encodeCSVValue = (value: any): string => {
+    if (value === null || typeof value === 'undefined') { return null; }
+    if (value instanceof Date) { return value.toISOString(); }
+    if (typeof value === 'object') { return JSON.stringify(serialize2(value)); }
+    return String(value);
+};
+
+const decodeCSVValue = (text: string, column: CSVColumn) => {
+    switch (column.type ?? 'string') {
+        case 'string': return text;
+        case 'number': {
+            const value = Number(text);
+            if (isNaN(value)) { throw new Error(`Value "${text}" of column "${column.name}" is not a number`); }
+            return value;
+        }
+        case 'boolean': return text === 'true' || text === '1';
+        case 'date': return new Date(text);
+        case 'bigint': return BigInt(text);
+        case 'json': return deserialize2(JSON.parse(text));
+        default: throw new Error(`Unknown type "${column.type}" for column "${column.name}"`);
+    }
+};
+
+/**
+ * Encodes the fields of a row, missing (`null`) fields are left empty and empty strings are quoted
+ */
+const encodeCSVRow = (fields: string[], delimiter: string) => {
+    return fields.map(field => field === null ? ''
+        : field === '' || field.includes(delimiter) || /["\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"`
+            : field).join(delimiter) + '\n';
+};
+
+/**
+ * Parses the fields of a row, empty fields that are not quoted are returned as `null`
+ */
+const parseCSVRow = (text: string, delimiter: string) => {
+    const fields: string[] = [];
+    let field = '', quoted = false, wasQuoted = false;
+    const add = () => {
+        fields.push(field === '' && !wasQuoted ? null : field);
+        field = '';
+        wasQuoted = false;
+    };
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') { field += char; }
+            else if (text[i + 1] === '"') { field += '"'; i++; }
+            else { quoted = false; }
+        }
+        else if (char === '"') { quoted = wasQuoted = true; }
+        else if (text.startsWith(delimiter, i)) {
+            add();
+            i += delimiter.length - 1;
+        }
+        else { field += char; }
+    }
+    add();
+    return fields;
+};
+
+const getCSVColumns = (options: CSVOptions, names?: string[]): CSVColumn[] => {
+    const keyColumn = options.keyColumn ?? 'key';
+    const columns = (options.columns ?? names.filter(name => name !== keyColumn))
+        .map(column => typeof column === 'string' ? { name: column, key: column } : column);
+    columns.forEach(column => {
+        if (typeof column.name !== 'string' || typeof column.key !== 'string') {
+            throw new TypeError('CSV columns must have a name and key');
+        }
+        if (column.name === keyColumn) {
+            throw new Error(`Column "${column.name}" has the same name as the key column, use the keyColumn option to rename it`);
+        }
+    });
+    return columns;
+};
+
+/**
+ * Reads a text stream line by line. Supports both string and binary (UTF-8) chunks, and `\n` and `\r\n` line endings
+ * @param read function that reads the next chunk of the stream
+ */
+export async function* readLines(read: StreamReadFunction, chunkSize = 64 * 1024): AsyncGenerator<string> {
+    let text = '', bytes: Uint8Array = null;
+    while (true) {
+        const chunk = await read(chunkSize);
+        const done = chunk === null || typeof chunk === 'undefined' || (typeof chunk === 'string' ? chunk.length : chunk.byteLength) === 0;
+        if (done) {
+            if (bytes) { text += decodeString(bytes); }
+        }
+        else if (typeof chunk === 'string') {
+            text += chunk;
+        }
+        else {
+            // Only decode complete lines, a chunk can end in the middle of a multi-byte character
+            const arr = new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+            bytes = bytes ? concatTypedArrays(bytes, arr) as Uint8Array : arr;
+            const end = bytes.lastIndexOf(10);
+            if (end >= 0) {
+                text += decodeString(bytes.slice(0, end + 1));
+                bytes = end + 1 < bytes.length ? bytes.slice(end + 1) : null;
+            }
+        }
+        const lines = text.split('\n');
+        text = lines.pop(); // Incomplete last line, or empty if text ended with a line break
+        if (done && text !== '') {
+            lines.push(text);
+        }
+        for (const line of lines) {
+            yield line.endsWith('\r') ? line.slice(0, -1) : line;
+        }
+        if (done) { return; }
+    }
+}
+
+/**
+ * Streams children of a node in a line delimited format. Used by `Api` implementations to export data to `ndjson` or `csv`
+ * @param format `'ndjson'` or `'csv'`
+ * @param path path of the exported node
+ * @param children children of the exported node
+ * @param write function that writes to the output stream
+ * @param options CSV options
+ */
+export async function exportChildren(format: StreamFormat, path: string, children: Iterable<IChildRecord>|AsyncIterable<IChildRecord>, write: StreamWriteFunction, options: CSVOptions = {}) {
+    if (format === 'ndjson') {
+        for await (const child of children) {
+            await write(JSON.stringify({ path: PathInfo.getChildPath(path, child.key), value: serialize2(child.value) }) + '\n');
+        }
+    }
+    else if (format === 'csv') {
+        const delimiter = options.delimiter ?? ',';
+        let columns: CSVColumn[] = null;
+        for await (const child of children) {
+            const value = child.value;
+            if (value === null || typeof value !== 'object' || value instanceof Array || value instanceof Date) {
+                throw new Error(`Cannot export child "${child.key}" of "/${path}" to csv, only object children are supported`);
+            }
+            if (!columns) {
+                columns = getCSVColumns(options, Object.keys(value).filter(key => getValueType(value[key]) !== 'json'));
+                await write(encodeCSVRow([options.keyColumn ?? 'key', ...columns.map(column => column.name)], delimiter));
+            }
+            await write(encodeCSVRow([String(child.key), ...columns.map(column => encodeCSVValue(getPropertyValue(value, column.key)))], delimiter));
+        }
+    }
+    else {
+        throw new Error(`Cannot export children in format "${format}"`);
+    }
+}
+
+/**
+ * Reads children of a node from a stream in a line delimited format. Used by `Api` implementations to import data from `ndjson` or `csv`.
+ * Only the key of each NDJSON record's path is used, so data can be imported to another path
+ * @param format `'ndjson'` or `'csv'`
+ * @param read function that reads the next chunk of the input stream
+ * @param options CSV options
+ */
+export async function* importChildren(format: StreamFormat, read: StreamReadFunction, options: CSVOptions = {}): AsyncGenerator<IChildRecord> {
+    if (format === 'ndjson') {
+        let lineNumber = 0;
+        for await (const line of readLines(read)) {
+            lineNumber++;
+            if (line.trim() === '') { continue; }
+            let record: { path: string, value: any };
+            try {
+                record = JSON.parse(line);
+            }
+            catch (err) {
+                throw new Error(`Invalid JSON on line ${lineNumber}: ${err.message}`);
+            }
+            if (typeof record?.path !== 'string' || !('value' in record)) {
+                throw new Error(`Record on line ${lineNumber} must have a path and value`);
+            }
+            yield { key: PathInfo.get(record.path).key, value: deserialize2(record.value) };
+        }
+    }
+    else if (format === 'csv') {
+        const delimiter = options.delimiter ?? ',';
+        let header: string[] = null, columns: CSVColumn[] = null, keyIndex = -1, row = '';
+        for await (const line of readLines(read)) {
+            // A quoted field can contain line breaks: continue until all quotes are closed
+            row = row ? `${row}\n${line}` : line;
+            if ((row.match(/"/g)?.length ?? 0) % 2 === 1) { continue; }
+            const text = row;
+            row = '';
+            if (text.trim() === '') { continue; }
+            const fields = parseCSVRow(text, delimiter);
+            if (!header) {
+                header = fields.map(field => field ?? '');
+                columns = getCSVColumns(options, header);
+                keyIndex = header.indexOf(options.keyColumn ?? 'key');
+                if (keyIndex < 0) { throw new Error(`CSV header does not have a "${options.keyColumn ?? 'key'}" column with the child keys`); }
+                const missing = columns.find(column => !header.includes(column.name));
+                if (missing) { throw new Error(`CSV header does not have a "${missing.name}" column`); }
+                continue;
+            }
+            const value = {} as Record<string, any>;
+            columns.forEach(column => {
+                const text = fields[header.indexOf(column.name)] ?? null;
+                if (text === null || (text === '' && (column.type ?? 'string') !== 'string')) { return; } // Missing value
+                const keys = PathInfo.getPathKeys(column.key);
+                const parent = keys.slice(0, -1).reduce((obj, key) => obj[key] ??= {}, value);
+                parent[keys[keys.length - 1]] = decodeCSVValue(text, column);
+            });
+            yield { key: fields[keyIndex], value };
+        }
+        if (row) { throw new Error('CSV ends with an unclosed quoted field'); }
+    }
+    else {
+        throw new Error(`Cannot import children in format "${format}"`);
+    }
+}
@@ -1,3 +1,5 @@
+import { getObservable, IObservableLike } from './optional-observable';
+
 type SubscriptionStop = () => void
 
 export class EventSubscription {
@@ -68,6 +70,96 @@ export class EventSubscription {
     }
 }
 
+/**
+ * Settings to deliver events in arrays instead of one at a time
+ */
+export interface EventBatchSettings {
+    /**
+     * Delivers events in batches: once `maxWait` ms passed since the first event of the batch (default is `0`: delivers
+     * all events that occur in the same tick), or once the batch has `maxSize` events
+     */
+    batch?: { maxWait?: number, maxSize?: number }
+    /**
+     * Delivers events in batches once no new events occurred for given amount of ms. If `batch` is also set,
+     * `batch.maxWait` and `batch.maxSize` limit the size of the batch
+     */
+    debounce?: number
+    /**
+     * Merges events on the same path in a batch into 1 event with the first previous value and the last value.
+     * Delivers events in batches of the same tick if no `batch` or `debounce` is set
+     */
+    coalesce?: boolean
+}
+
+/**
+ * Collects published values, and delivers them in arrays according to given batch settings
+ */
+export class EventBatcher<T> {
+    private pending: T[] = [];
+    private waitTimeout: ReturnType<typeof setTimeout> = null;
+    private debounceTimeout: ReturnType<typeof setTimeout> = null;
+
+    /**
+     * @param settings batch settings
+     * @param deliver function that delivers a batch
+     * @param merge function that merges the values of a batch (when coalescing)
+     */
+    constructor(private settings: EventBatchSettings, private deliver: (values: T[]) => void, private merge?: (values: T[]) => T[]) {
+        const { batch, debounce } = settings;
+        if (typeof batch !== 'undefined' && (typeof batch !== 'object' || batch === null)) {
+            throw new TypeError('batch must be an object');
+        }
+        if (typeof batch?.maxWait !== 'undefined' && !(batch.maxWait >= 0)) { throw new TypeError('batch.maxWait must be a positive number'); }
+        if (typeof batch?.maxSize !== 'undefined' && !(batch.maxSize >= 1)) { throw new TypeError('batch.maxSize must be a number larger than 0'); }
+        if (typeof debounce !== 'undefined' && !(debounce >= 0)) { throw new TypeError('debounce must be a positive number'); }
+    }
+
+    /**
+     * Whether given settings enable batching
+     */
+    static isBatching(settings: EventBatchSettings) {
+        return typeof settings?.batch !== 'undefined' || typeof settings?.debounce !== 'undefined' || settings?.coalesce === true;
+    }
+
+    add(value: T) {
+        const { batch, debounce } = this.settings;
+        this.pending.push(value);
+        if (this.pending.length >= (batch?.maxSize ?? Infinity)) {
+            return this.flush();
+        }
+        if (typeof debounce === 'number') {
+            clearTimeout(this.debounceTimeout);
+            this.debounceTimeout = setTimeout(() => this.flush(), debounce);
+            if (typeof batch?.maxWait !== 'number') { return; }
+        }
+        if (this.waitTimeout === null) {
+            this.waitTimeout = setTimeout(() => this.flush(), batch?.maxWait ?? 0);
+        }
+    }
+
+    /**
+     * Delivers pending values now
+     */
+    flush() {
+        const values = this.pending;
+        this.stop();
+        const batch = this.settings.coalesce === true && this.merge ? this.merge(values) : values;
+        if (batch.length > 0) {
+            this.deliver(batch);
+        }
+    }
+
+    /**
+     * Discards pending values
+     */
+    stop() {
+        clearTimeout(this.waitTimeout);
+        clearTimeout(this.debounceTimeout);
+        this.waitTimeout = this.debounceTimeout = null;
+        this.pending = [];
+    }
+}
+
 export class EventPublisher {
     publish: (val: any) => boolean;
     start: (stoppedCallback: () => void) => void;
@@ -107,6 +199,20 @@ export class EventStream {
      */
     stop: () => void;
 
+    /**
+     * Gets an Observable for the values published in the stream. Unsubscribing from the Observable stops its subscription to the stream
+     */
+    observe(): IObservableLike<any> {
+        const Observable = getObservable();
+        return new Observable(observer => {
+            const next = (value: any) => observer.next(value);
+            this.subscribe(next, (activated, cancelReason) => {
+                if (!activated) { observer.error?.(new Error(cancelReason)); }
+            });
+            return () => this.unsubscribe(next);
+        });
+    }
+
     /**
      *
      * @param eventPublisherCallback
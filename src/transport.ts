@@ -1,5 +1,5 @@
 import { PathReference } from './path-reference';
-import { cloneObject } from './utils';
+import { cloneObject, decodeString, encodeString } from './utils';
 import { ascii85 } from './ascii85';
 import { PathInfo } from './path-info';
 import { PartialArray } from './partial-array';
@@ -111,6 +111,9 @@ export const deserialize = (data: SerializedValue) => {
  * @returns
  */
 export const detectSerializeVersion = (data: any) => {
+    if (isBinarySerialized(data)) {
+        return 3;
+    }
     if (typeof data !== 'object' || data === null) {
         // This can only be v2, which allows primitive types to bypass serializing
         return 2;
@@ -342,3 +345,302 @@ export const deserialize2 = (data: V2SerializedValue): any => {
     }
     throw new Error(`Unknown data type "${data['.type']}" in serialized value`);
 };
+
+/*
+    v3:
+    Binary serialization method, a compact binary encoding of values (similar to CBOR and MessagePack) that stores
+    all SerializedDataTypes natively: dates as 64-bit timestamps, binary data as raw bytes, bigints as bytes.
+    Serialized data starts with the 3 header bytes 0xAC 0xEB 0x03, followed by the encoded value: a tag byte
+    followed by the tag's data. Lengths and counts are unsigned LEB128 varints, numbers are little endian.
+*/
+
+const BINARY_HEADER = [0xac, 0xeb, 0x03];
+
+const enum BinaryTag {
+    null = 0x00,
+    false = 0x01,
+    true = 0x02,
+    int8 = 0x10,
+    int32 = 0x11,
+    float64 = 0x12,
+    string = 0x20,
+    array = 0x30,
+    object = 0x31,
+    partialArray = 0x32,
+    date = 0x40,
+    binary = 0x41,
+    reference = 0x42,
+    regexp = 0x43,
+    bigint = 0x44,
+}
+
+const isBinarySerialized = (data: any) => {
+    if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) {
+        return false;
+    }
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return bytes.length > BINARY_HEADER.length && BINARY_HEADER.every((byte, i) => bytes[i] === byte);
+};
+
+class BinaryWriter {
+    private bytes = new Uint8Array(256);
+    private view = new DataView(this.bytes.buffer);
+    length = 0;
+
+    private reserve(length: number) {
+        if (this.length + length <= this.bytes.length) { return; }
+        let size = this.bytes.length * 2;
+        while (size < this.length + length) { size *= 2; }
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+    byte(byte: number) {
+        this.reserve(1);
+        this.bytes[this.length++] = byte;
+    }
+    varint(n: number) {
+        do {
+            const byte = n % 128;
+            n = Math.floor(n / 128);
+            this.byte(n > 0 ? byte | 0x80 : byte);
+        } while (n > 0);
+    }
+    raw(bytes: Uint8Array) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+    sized(bytes: Uint8Array) {
+        this.varint(bytes.length);
+        this.raw(bytes);
+    }
+    string(str: string) {
+        this.sized(encodeString(str));
+    }
+    int8(n: number) {
+        this.reserve(1);
+        this.view.setInt8(this.length, n);
+        this.length += 1;
+    }
+    int32(n: number) {
+        this.reserve(4);
+        this.view.setInt32(this.length, n, true);
+        this.length += 4;
+    }
+    float64(n: number) {
+        this.reserve(8);
+        this.view.setFloat64(this.length, n, true);
+        this.length += 8;
+    }
+    get result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class BinaryReader {
+    private view: DataView;
+    offset = 0;
+
+    constructor(private bytes: Uint8Array) {
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+    private assertAvailable(length: number) {
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('Unexpected end of binary serialized data');
+        }
+    }
+    byte() {
+        this.assertAvailable(1);
+        return this.bytes[this.offset++];
+    }
+    varint() {
+        let n = 0, factor = 1, byte: number;
+        do {
+            byte = this.byte();
+            n += (byte & 0x7f) * factor;
+            factor *= 128;
+        } while (byte & 0x80);
+        return n;
+    }
+    raw(length: number) {
+        this.assertAvailable(length);
+        const bytes = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+    sized() {
+        return this.raw(this.varint());
+    }
+    string() {
+        return decodeString(this.sized());
+    }
+    int8() {
+        this.assertAvailable(1);
+        return this.view.getInt8(this.offset++);
+    }
+    int32() {
+        this.assertAvailable(4);
+        const n = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return n;
+    }
+    float64() {
+        this.assertAvailable(8);
+        const n = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return n;
+    }
+}
+
+/**
+ * Binary serialization method, stores dates, binary data, references, regular expressions, partial arrays and bigints natively.
+ * Results in smaller payloads than `serialize2` for binary data and dates, and is faster to process
+ * @param obj value to serialize
+ * @returns the serialized bytes
+ */
+export const serializeBinary = (obj: any): Uint8Array => {
+    const writer = new BinaryWriter();
+    BINARY_HEADER.forEach(byte => writer.byte(byte));
+    const write = (val: any) => {
+        if (val === null || typeof val === 'undefined') {
+            writer.byte(BinaryTag.null);
+        }
+        else if (typeof val === 'boolean') {
+            writer.byte(val ? BinaryTag.true : BinaryTag.false);
+        }
+        else if (typeof val === 'number') {
+            const isInteger = Number.isInteger(val) && !Object.is(val, -0);
+            if (isInteger && val >= -128 && val <= 127) {
+                writer.byte(BinaryTag.int8);
+                writer.int8(val);
+            }
+            else if (isInteger && val >= -2147483648 && val <= 2147483647) {
+                writer.byte(BinaryTag.int32);
+                writer.int32(val);
+            }
+            else {
+                writer.byte(BinaryTag.float64);
+                writer.float64(val);
+            }
+        }
+        else if (typeof val === 'string') {
+            writer.byte(BinaryTag.string);
+            writer.string(val);
+        }
+        else if (typeof val === 'bigint') {
+            // Sign byte and magnitude bytes, least significant first
+            writer.byte(BinaryTag.bigint);
+            writer.byte(val < BigInt(0) ? 1 : 0);
+            let magnitude = val < BigInt(0) ? -val : val;
+            const bytes: number[] = [];
+            while (magnitude > BigInt(0)) {
+                bytes.push(Number(magnitude & BigInt(0xff)));
+                magnitude >>= BigInt(8);
+            }
+            writer.sized(new Uint8Array(bytes));
+        }
+        else if (val instanceof Date) {
+            writer.byte(BinaryTag.date);
+            writer.float64(val.getTime());
+        }
+        else if (val instanceof ArrayBuffer) {
+            writer.byte(BinaryTag.binary);
+            writer.sized(new Uint8Array(val));
+        }
+        else if (val instanceof PathReference) {
+            writer.byte(BinaryTag.reference);
+            writer.string(val.path);
+        }
+        else if (val instanceof RegExp) {
+            writer.byte(BinaryTag.regexp);
+            writer.string(val.source);
+            writer.string(val.flags);
+        }
+        else if (val instanceof Array) {
+            writer.byte(BinaryTag.array);
+            writer.varint(val.length);
+            val.forEach(item => write(item));
+        }
+        else if (typeof val === 'object') {
+            const keys = Object.keys(val).filter(key => typeof val[key] !== 'undefined');
+            writer.byte(val instanceof PartialArray ? BinaryTag.partialArray : BinaryTag.object);
+            writer.varint(keys.length);
+            keys.forEach(key => {
+                writer.string(key);
+                write(val[key]);
+            });
+        }
+        else {
+            throw new TypeError(`Cannot serialize value of type ${typeof val}`);
+        }
+    };
+    write(obj);
+    return writer.result;
+};
+
+/**
+ * Binary deserialization method
+ * @param data bytes created by `serializeBinary`
+ * @returns the deserialized value
+ */
+export const deserializeBinary = (data: ArrayBuffer|ArrayBufferView): any => {
+    if (!isBinarySerialized(data)) {
+        throw new Error('data is not a binary serialized value');
+    }
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const reader = new BinaryReader(bytes);
+    reader.offset = BINARY_HEADER.length;
+    const read = (): any => {
+        const tag = reader.byte();
+        switch (tag) {
+            case BinaryTag.null: return null;
+            case BinaryTag.false: return false;
+            case BinaryTag.true: return true;
+            case BinaryTag.int8: return reader.int8();
+            case BinaryTag.int32: return reader.int32();
+            case BinaryTag.float64: return reader.float64();
+            case BinaryTag.string: return reader.string();
+            case BinaryTag.bigint: {
+                const negative = reader.byte() === 1;
+                const magnitude = reader.sized().reduceRight((n, byte) => (n << BigInt(8)) + BigInt(byte), BigInt(0));
+                return negative ? -magnitude : magnitude;
+            }
+            case BinaryTag.date: return new Date(reader.float64());
+            case BinaryTag.binary: {
+                const bytes = reader.sized();
+                return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+            }
+            case BinaryTag.reference: return new PathReference(reader.string());
+            case BinaryTag.regexp: {
+                const source = reader.string();
+                return new RegExp(source, reader.string());
+            }
+            case BinaryTag.array: {
+                const length = reader.varint();
+                const arr = [];
+                for (let i = 0; i < length; i++) { arr.push(read()); }
+                return arr;
+            }
+            case BinaryTag.object:
+            case BinaryTag.partialArray: {
+                const count = reader.varint();
+                const obj = tag === BinaryTag.partialArray ? new PartialArray() : {};
+                for (let i = 0; i < count; i++) {
+                    const key = reader.string();
+                    // Define properties instead of assigning them, so keys like "__proto__" can't replace the prototype
+                    Object.defineProperty(obj, key, { value: read(), enumerable: true, writable: true, configurable: true });
+                }
+                return obj;
+            }
+            default:
+                throw new Error(`Unknown tag 0x${tag.toString(16)} at offset ${reader.offset - 1} in binary serialized data`);
+        }
+    };
+    const value = read();
+    if (reader.offset !== bytes.length) {
+        throw new Error(`Unexpected data after binary serialized value at offset ${reader.offset}`);
+    }
+    return value;
+};
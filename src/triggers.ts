@@ -0,0 +1,136 @@
+import type { AceBaseBase } from './acebase-base';
+import type { DataReference } from './data-reference';
+import type { DataSnapshot } from './data-snapshot';
+import type { EventStream } from './subscription';
+import { ID } from './id';
+import { PathInfo } from './path-info';
+import { compareValues } from './utils';
+
+export interface ITriggerChange<T = any> {
+    /** value before the write, `null` if the node was created */
+    before: T
+    /** value after the write, `null` if the node was removed */
+    after: T
+    type: 'create'|'update'|'delete'
+    /** differences between `before` and `after`, as returned by `Utils.compareValues` */
+    changes: ReturnType<typeof compareValues>
+}
+
+export interface ITriggerContext {
+    /** path of the written node */
+    path: string
+    /** reference to the written node */
+    ref: DataReference
+    /** values of the `$variables` and wildcards in the trigger path, eg `{ $postId: 'post1', postId: 'post1' }` */
+    vars: Record<string|number, string|number>
+    /** context of the write */
+    context: any
+    /**
+     * Updates a (derived) value in a transaction, so concurrent changes cannot be overwritten. `$variables`
+     * of the trigger path can be used in the path, writes are not delivered to the trigger itself
+     * @param path path of the value to update, eg `"posts/$postId/commentCount"`
+     * @param callback callback that returns the new value for the current value, or `undefined` to keep it
+     */
+    transaction<T = any>(path: string, callback: (current: T) => T|undefined|Promise<T|undefined>): Promise<void>
+}
+
+export interface ITriggerDefinition<T = any> {
+    /**
+     * Runs after the value of a node matching the trigger path is created, updated or removed. Runs for one change of the
+     * trigger at a time, in the order of the writes
+     */
+    onWrite(change: ITriggerChange<T>, context: ITriggerContext): void|Promise<void>
+}
+
+export interface ITrigger {
+    readonly id: string
+    readonly path: string
+    /** Stops running the trigger */
+    stop(): void
+}
+
+/**
+ * Replaces the `$variables` in a path with their values
+ */
+const fillVariables = (path: string, vars: ITriggerContext['vars']) => {
+    const keys = PathInfo.getPathKeys(path).map(key => typeof key === 'string' && key[0] === '$' && key in vars ? vars[key] : key);
+    return PathInfo.get(keys).path;
+};
+
+/**
+ * Runs callbacks when data at (wildcard) paths is written, to maintain computed or denormalized values such as counters.
+ * Available as `db.triggers`
+ */
+export class Triggers {
+    private triggers: Array<ITrigger & { definition: ITriggerDefinition }> = [];
+
+    constructor(private db: AceBaseBase) {}
+
+    /**
+     * Defines a trigger for a (wildcard) path. Uses a `"value"` event subscription, so `before` and `after` are the values
+     * of the node at each write, even if writes race
+     * @param path path to trigger on, can include `*` and `$variables`
+     * @param definition trigger callbacks
+     * @example
+     * db.triggers.define('posts/$postId/comments/$commentId', {
+     *     async onWrite(change, context) {
+     *         if (change.type === 'update') { return; }
+     *         await context.transaction('posts/$postId/commentCount', count => (count ?? 0) + (change.type === 'create' ? 1 : -1));
+     *     },
+     * });
+     */
+    define<T = any>(path: string, definition: ITriggerDefinition<T>): ITrigger {
+        if (typeof definition?.onWrite !== 'function') {
+            throw new TypeError('definition must have an onWrite function');
+        }
+        const id = ID.generate();
+        const logger = this.db.debug.child({ module: 'triggers', path });
+        let queue = Promise.resolve();
+        const handleWrite = (snap: DataSnapshot) => {
+            if (snap.context()?.acebase_trigger === id) {
+                // Written by this trigger
+                return;
+            }
+            const before = snap.previous(), after = snap.val();
+            const changes = compareValues(before, after);
+            if (changes === 'identical') { return; }
+            const change: ITriggerChange<T> = { before, after, type: before === null ? 'create' : after === null ? 'delete' : 'update', changes };
+            const vars = { ...snap.ref.vars } as ITriggerContext['vars'];
+            const context: ITriggerContext = {
+                path: snap.ref.path,
+                ref: snap.ref,
+                vars,
+                context: snap.context(),
+                transaction: async (targetPath, callback) => {
+                    const ref = this.db.ref(fillVariables(targetPath, vars));
+                    await ref.context({ acebase_trigger: id }).transaction(current => callback(current.val()));
+                },
+            };
+            queue = queue
+                .then(() => definition.onWrite(change, context))
+                .catch(err => logger.error(`Error in trigger for "/${context.path}":`, err));
+        };
+        const stream: EventStream = this.db.ref(path).on('value', { newOnly: true });
+        stream.subscribe(handleWrite);
+        const trigger = {
+            id,
+            path,
+            definition,
+            stop: () => {
+                const index = this.triggers.indexOf(trigger);
+                if (index < 0) { return; }
+                stream.stop();
+                this.triggers.splice(index, 1);
+            },
+        };
+        this.triggers.push(trigger);
+        return trigger;
+    }
+
+    /**
+     * Gets all defined triggers
+     */
+    get list(): ITrigger[] {
+        return this.triggers.map(({ id, path, stop }) => ({ id, path, stop }));
+    }
+}
@@ -3,6 +3,7 @@ import { PathInfo } from './path-info';
 import { DataReference } from './data-reference';
 import { DataSnapshot } from './data-snapshot';
 import type { AceBaseBase } from './acebase-base';
+import { ModelClass, getModelSchema, hydrateModel, dehydrateModel } from './model';
 
 type CreatorFunction = string | ((snap: DataSnapshot) => any);
 type SerializerFunction = string | ((ref: DataReference, typedObj: any) => any);
@@ -33,6 +34,9 @@ function get(mappings:ITypeMappings, path: string): ITypeMapping {
     const keys = PathInfo.getPathKeys(path);
     const mappedPath = Object.keys(mappings).find(mpath => {
         const mkeys = PathInfo.getPathKeys(mpath);
+        if (mkeys.includes('**')) {
+            return PathInfo.get(mkeys).equals(PathInfo.get(keys));
+        }
         if (mkeys.length !== keys.length) {
             return false; // Can't be a match
         }
@@ -79,11 +83,15 @@ function mapDeep(mappings: ITypeMappings, entryPath: string): { path: string, ty
 
         //const mkeys = mpath.length > 0 ? mpath.split("/") : [];
         const mkeys = PathInfo.getPathKeys(mpath);
-        if (mkeys.length < keys.length) {
+        let isMatch = true;
+        if (mkeys.includes('**')) {
+            // Match if the mapping can be on or below startPath
+            isMatch = PathInfo.get(mkeys).equals(PathInfo.get(keys.concat('**')));
+        }
+        else if (mkeys.length < keys.length) {
             return m; // Can't be a match
         }
-        let isMatch = true;
-        if (keys.length === 0 && startPath !== null) {
+        else if (keys.length === 0 && startPath !== null) {
             // Only match first node's children if mapping pattern is "*" or "$variable"
             isMatch = mkeys.length === 1 && (mkeys[0] === '*' || mkeys[0][0] === '$');
         }
@@ -112,6 +120,40 @@ function mapDeep(mappings: ITypeMappings, entryPath: string): { path: string, ty
     return matches;
 }
 
+/**
+ * (for internal use) - serializes or deserializes the object and all nested objects that are children of a node matching
+ * a mapping path with `**` keys. Deepest objects are processed first. Like `process`, this alters the given object: processed
+ * children are set on their parent objects, and when serializing their original values are added to `changes`
+ * @returns returns the (de)serialized value
+ */
+function processRecursive(db: AceBaseBase, mapping: { path: string, type: ITypeMapping }, path: string, obj: any, action: 'serialize'|'deserialize', changes: any[]): any {
+    const mappingPath = PathInfo.get(mapping.path);
+    const processValue = (path: string, value: any) => {
+        if (value === null || typeof value !== 'object' || value instanceof Date || value instanceof ArrayBuffer) {
+            return value;
+        }
+        Object.keys(value).forEach(key => {
+            const childKey = value instanceof Array ? +key : key;
+            const child = value[key];
+            const processed = processValue(PathInfo.getChildPath(path, childKey), child);
+            if (processed === child) { return; }
+            if (action === 'serialize') {
+                // Restored by process after serialization
+                changes.push({ parent: value, key, original: child });
+            }
+            value[key] = processed;
+        });
+        if (!mappingPath.isParentOf(path)) {
+            return value;
+        }
+        const ref = new DataReference(db, path, PathInfo.extractVariables(mapping.path, path));
+        return action === 'serialize'
+            ? mapping.type.serialize(value, ref)
+            : mapping.type.deserialize(new DataSnapshot(ref, value));
+    };
+    return processValue(path, obj);
+}
+
 /**
  * (for internal use) - serializes or deserializes an object using type mappings
  * @returns returns the (de)serialized value
@@ -125,6 +167,10 @@ function process(db: AceBaseBase, mappings: ITypeMappings, path: string, obj: an
     const changes = [];
     m.sort((a,b) => PathInfo.getPathKeys(a.path).length > PathInfo.getPathKeys(b.path).length ? -1 : 1); // Deepest paths first
     m.forEach(mapping => {
+        if (mapping.path.includes('**')) {
+            obj = processRecursive(db, mapping, path, obj, action, changes);
+            return;
+        }
         const mkeys = PathInfo.getPathKeys(mapping.path); //mapping.path.length > 0 ? mapping.path.split("/") : [];
         mkeys.push('*');
         const mTrailKeys = mkeys.slice(keys.length);
@@ -238,7 +284,8 @@ export class TypeMappings {
     /**
      * Maps objects that are stored in a specific path to a class, so they can automatically be
      * serialized when stored to, and deserialized (instantiated) when loaded from the database.
-     * @param path path to an object container, eg "users" or "users/*\/posts"
+     * @param path path to an object container, eg "users" or "users/*\/posts". Use `**` to match containers at any depth,
+     * eg "comments/**\/replies"
      * @param type class to bind all child objects of path to
      * @param options (optional) You can specify the functions to use to
      * serialize and/or instantiate your class. If you do not specificy a creator (constructor) method,
@@ -324,13 +371,35 @@ export class TypeMappings {
         };
     }
 
+    /**
+     * Binds a model class to a path: objects stored in the path are instantiated as the model class (including nested
+     * models), only the properties in the model's schema are stored, and the schema derived from the model is installed
+     * to validate the stored objects
+     * @param path path to an object container, eg "users" or "users/*\/posts"
+     * @param type model class with a static `schema` property
+     * @param options set `schema` to `false` to only bind the type mapping without installing a schema
+     */
+    async bindModel(path: string, type: ModelClass, options: { schema?: boolean } = {}) {
+        const schema = getModelSchema(type); // throws if type is not a model class
+        this.bind(path, type, {
+            creator: (snap: DataSnapshot) => hydrateModel(type, snap.val()),
+            serializer: (ref: DataReference, obj: any) => dehydrateModel(type, obj),
+        });
+        if (options.schema !== false) {
+            const childPath = PathInfo.get(path.replace(/^\/|\/$/g, '')).childPath('*');
+            await this.db.schema.set(childPath, schema.text);
+        }
+    }
+
     /**
      * Serializes any child in given object that has a type mapping
      * @param {string} path | path to the object's location
      * @param {object} obj | object to serialize
+     * @param {boolean} [partial=false] | whether obj holds the properties of an update
      */
-    serialize(path, obj) {
-        return process(this.db, this[_mappings], path, obj, 'serialize');
+    serialize(path, obj, partial = false) {
+        const serialized = process(this.db, this[_mappings], path, obj, 'serialize');
+        return this.db.migrations.downgrade(path, serialized, partial); // Stores values of lazy migrations in their recorded version
     }
 
     /**
@@ -339,6 +408,7 @@ export class TypeMappings {
      * @param {object} obj | object to deserialize
      */
     deserialize(path, obj) {
+        obj = this.db.migrations.upgrade(path, obj); // Upgrades values of lazy migrations before instantiating types
         return process(this.db, this[_mappings], path, obj, 'deserialize');
     }
 }
@@ -1,7 +1,11 @@
 import { DataReference, DataReferenceQuery } from './data-reference';
 import { TypeMappings } from './type-mappings';
+import { Triggers } from './triggers';
 import { DebugLogger } from './debug';
+import { IDGeneratorName, IIDGenerator } from './id';
 import type { Api } from '../src/api';
+import type { ISchemaCheckOptions, ISchemaCheckResult } from './schema';
+import type { ISchemaMigration, ISchemaMigrationOptions, ISchemaMigrationResult } from './migrations';
 import type { SimpleEventEmitter } from '../src/simple-event-emitter';
 
 export abstract class AceBaseBaseSettings {
@@ -14,6 +18,19 @@ export abstract class AceBaseBaseSettings {
     logColors?: boolean;
     /** You can turn this on if you are a sponsor */
     sponsor?: boolean;
+    /**
+     * Logger to use for all database logging instead of logging to the console, eg to send JSON records to your own log sink.
+     * `logLevel` is ignored if a logger is given
+     * @example
+     * const logger = new DebugLogger({ level: 'warn', transports: [record => sink.send(JSON.stringify(record))] });
+     * const db = new AceBaseMemory('mydb', { logger });
+     */
+    logger?: DebugLogger;
+    /**
+     * Generator of the keys created by `ref.push()`: the name of a built-in generator or a custom generator
+     * @default 'cuid'
+     */
+    idGenerator?: IDGeneratorName|IIDGenerator;
     constructor(options: any);
 }
 
@@ -22,6 +39,10 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
     protected api: Api;
     protected debug: DebugLogger;
     readonly types: TypeMappings;
+    /** Triggers that run when data is written, to maintain computed or denormalized values */
+    readonly triggers: Triggers;
+    /** Generates the keys created by `ref.push()` */
+    readonly idGenerator: IIDGenerator;
     readonly name: string;
 
     /**
@@ -47,6 +68,21 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
     readonly isReady: boolean;
     readonly indexes: AceBaseIndexes;
 
+    /**
+     * Atomically writes values to multiple (unrelated) paths in the database: either all values are stored, or none are.
+     * Type mappings and schemas are applied to each target, events are triggered once all values have been stored.
+     * @param updates flat map of absolute target paths and the values to store at them. Use `null` to remove a node
+     * @param options optional context to use for the database operation
+     * @returns returns a promise that resolves with the new cursor once all values have been stored
+     * @example
+     * await db.multiUpdate({
+     *     'users/u1/balance': 90,
+     *     'users/u2/balance': 110,
+     *     'ledger/tx1': { from: 'u1', to: 'u2', amount: 10 }
+     * });
+     */
+    multiUpdate(updates: Record<string, any>, options?: { context?: any }): Promise<{ cursor?: string }>;
+
     /**
      * Allow to specify the Observable implementation to be used by methods returning observables. If you have _rxjs_ installed in your project and AceBase resides in the same bundle, there is no need to do this.
      * @param Observable Observable implementation to use. Use `"shim"` if you don't want to install _rxjs_ in your project, and use a VERY basic implementation instead.
@@ -84,6 +120,10 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
          * - Any type: `any`, or `*`
          * - Combinations: `string | number | Date[]`
          * - Specific values: `1 | 2 | 3`, or `"car" | "boat" | "airplane"` etc
+         * - Whole numbers: `integer`
+         * - String formats: `email`, `uuid`, `iso-date`
+         * - Constraints: value range for numbers (`number(0..100)`, `integer(1..)`), length for strings (`string(1..64)`, `string(length: 2)`)
+         * and number of items for arrays (`string[](..10)`, `Array<string>(max: 10)`). Named constraints are `min`, `max` and `length`
          *
          * NOTE 1: Types `object` and `Object` are treated the same way: they allow a given value to be *any* object, *except* `Array`, `Date` and binary values. This means that if you are using custom class mappings, you will be able to store a `Pet` object, but not an `Array`.
          *
@@ -138,9 +178,39 @@ export abstract class AceBaseBase extends SimpleEventEmitter {
          * @param isUpdate whether to value is updating or overwriting a current value. If it's an update,
          * it will only check properties present in the passed value. If it's not, it will also check for missing
          * properties.
+         * @param options set `allErrors` to report all errors in the `errors` property of the result, instead of only the first one in `reason`
          * @returns Returns a promise that resolves with the validation result
+         * @example
+         * const result = await db.schema.check('users/ewout', { name: 42, email: 'nope' }, false, { allErrors: true });
+         * // result.errors: [
+         * //   { path: 'users/ewout/name', rule: 'type', expected: ['string'], actual: 'number', message: '...' },
+         * //   { path: 'users/ewout/email', rule: 'format', expected: ['email'], actual: 'string', message: '...' }
+         * // ]
+         */
+        check(path: string, value: any, isUpdate: boolean, options?: ISchemaCheckOptions): Promise<ISchemaCheckResult>;
+
+        /**
+         * Defines a migration for the nodes at a (wildcard) path, and records the schema version of the stored data. Define all
+         * migrations each time the database is opened: migrations to versions that were recorded before are not run again.
+         * - In `"lazy"` mode (default), stored data is not changed: loaded values are upgraded with `up` before type mappings
+         * are applied, and written values are downgraded with `down` to the recorded version
+         * - In `"eager"` mode, all nodes are iterated with `forEach`, upgraded with all pending migrations and written back in
+         * transactions. Upgraded values are validated against the schemas first, nothing is written if any of them fails
+         *
+         * Use the `dryRun` option to report which nodes would change, without changing any data
+         * @param path path of the nodes to migrate, can include `*` and `$variable` wildcards, eg `"users/$uid"`
+         * @param migration the version to upgrade to (values stored before any migration have version `0`), and the
+         * functions to upgrade and downgrade values
+         * @param options `mode` and `dryRun` options
+         * @returns Returns a promise that resolves with a report of the migration
+         * @example
+         * await db.schema.migrate('users/$uid', {
+         *     version: 1,
+         *     up: user => ({ ...user, name: { first: user.firstName, last: user.lastName }, firstName: null, lastName: null }),
+         *     down: user => ({ ...user, firstName: user.name?.first, lastName: user.name?.last, name: null }),
+         * }, { mode: 'eager' });
          */
-        check(path: string, value: any, isUpdate: boolean): Promise<{ ok: boolean, reason?: string }>;
+        migrate<T = any>(path: string, migration: ISchemaMigration<T>, options?: ISchemaMigrationOptions): Promise<ISchemaMigrationResult>;
     };
 
 }
@@ -0,0 +1,45 @@
+import { AceBaseBase, AceBaseBaseSettings } from './acebase-base';
+import { Api } from '../src/api';
+
+export interface MemoryApiSettings {
+    /** Transaction (mutations) logging settings */
+    transactions?: {
+        /** Whether to log mutations so they can be retrieved with `getMutations` and `getChanges`. Default is `true` */
+        log?: boolean;
+        /** Max age of logged mutations in days. Default is `30` */
+        maxAge?: number;
+    };
+}
+
+/**
+ * In-memory implementation of the `Api`. Stores all data in memory and supports events (including wildcard paths), queries,
+ * realtime query monitoring, schemas and a mutations log with cursors.
+ */
+export class MemoryApi extends Api {
+    constructor(dbname: string, settings: MemoryApiSettings & { db?: AceBaseBase }, readyCallback: () => void);
+}
+
+export class AceBaseMemorySettings extends AceBaseBaseSettings {
+    /**
+     * Transaction (mutations) logging settings. Logging is enabled by default, which allows
+     * `ref.getMutations` and `ref.getChanges` to be used
+     */
+    transactions?: MemoryApiSettings['transactions'];
+    constructor(options: Partial<AceBaseMemorySettings>);
+}
+
+/**
+ * AceBase database that keeps all data in memory. Use it to test code built on `DataReference`,
+ * `DataReferenceQuery` or `LiveDataProxy` without a storage backend.
+ * @example
+ * const db = new AceBaseMemory('test', { logLevel: 'error', sponsor: true });
+ * await db.ready();
+ * await db.ref('users/ewout').set({ name: 'Ewout' });
+ */
+export class AceBaseMemory extends AceBaseBase {
+    /**
+     * @param dbname Name of the database, default is `"memory"`
+     * @param options Database settings
+     */
+    constructor(dbname?: string, options?: Partial<AceBaseMemorySettings>);
+}
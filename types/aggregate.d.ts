@@ -0,0 +1,45 @@
+export type AggregateFunction = 'count'|'sum'|'avg'|'min'|'max';
+
+/**
+ * Aggregates to compute, eg `{ total: ['sum', 'price'], rating: ['avg', 'rating'], count: ['count'] }`.
+ * `count` without a key counts all results, with a key it counts results that have a value for that key
+ */
+export type AggregateSpec = Record<string, [AggregateFunction] | [AggregateFunction, string|number]>;
+
+export interface AggregateGroup {
+    /** value of the `groupBy` key the results in this group have, `null` if results were not grouped */
+    group: any,
+    /** computed aggregates */
+    values: Record<string, any>
+}
+
+/**
+ * Computes aggregates of query results one result at a time. Used by `DataReferenceQuery` to aggregate
+ * on the client if the `Api` has no native support, and by `Api` implementations that compute them locally.
+ */
+export class QueryAggregator {
+    readonly aggregates: AggregateSpec;
+    readonly groupBy?: string|number;
+
+    /**
+     * @param aggregates aggregates to compute
+     * @param groupBy key to group results by
+     */
+    constructor(aggregates: AggregateSpec, groupBy?: string|number);
+
+    /**
+     * Keys the aggregates and grouping need, can be used to only load those properties of each result
+     */
+    get keys(): Array<string|number>;
+
+    /**
+     * Adds a result value
+     */
+    add(value: any): void;
+
+    /**
+     * Gets the computed aggregates for each group, in the order groups were first encountered. If results are not grouped,
+     * a single group is returned (also if no results were added)
+     */
+    getGroups(): AggregateGroup[];
+}
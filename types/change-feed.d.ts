@@ -0,0 +1,67 @@
+import { DataReference, ValueChange, ValueMutation } from './data-reference';
+import { IObservableLike } from './optional-observable';
+
+/**
+ * Persists the cursor of a change feed, so a restarted feed continues where it left off
+ */
+export interface IChangeFeedCursorStore {
+    /** Loads the stored cursor, `null` if there is none */
+    load(): string | null | Promise<string | null>
+    /** Stores the cursor of the last processed batch */
+    save(cursor: string): void | Promise<void>
+}
+
+export interface ChangeFeedOptions {
+    /**
+     * Cursor or date to start reading from. If not set, the cursor in the `store` is used. If there is none,
+     * all mutations in the transaction log are read
+     */
+    cursor?: string | Date | null
+    /**
+     * Whether to read compressed changes (`ValueChange` items, see `getChanges`) instead of mutations
+     * (`ValueMutation` items, see `getMutations`). Default is `false`
+     */
+    compress?: boolean
+    /**
+     * Store to load the cursor to start from, and to save the cursor of each processed batch to
+     */
+    store?: IChangeFeedCursorStore
+}
+
+export interface ChangeFeedBatch<T extends ValueMutation | ValueChange> {
+    /** cursor to continue reading after this batch with */
+    cursor: string
+    /** whether the batch was read after catching up with the transaction log */
+    live: boolean
+    /** mutations or changes in this batch */
+    items: T[]
+}
+
+/**
+ * Reads mutations of a path and its children from the transaction log in batches, and continues reading when new
+ * mutations are made. Iterate it with `for await`, or use `observe()` to get an Observable. The cursor of a batch
+ * is saved to the `store` once it has been processed: when the next batch is requested by the iterator, or once
+ * the observer's `next` callback returns. Note that exiting a `for await` loop with `break` does not save the cursor of
+ * the last batch, use `stop()` instead.
+ */
+export class ChangeFeed<T extends ValueMutation | ValueChange = ValueMutation> implements AsyncIterable<ChangeFeedBatch<T>> {
+    constructor(ref: DataReference, options?: ChangeFeedOptions);
+    readonly ref: DataReference;
+
+    /**
+     * Cursor of the last processed batch, `null` if no batches were processed yet
+     */
+    readonly cursor: string;
+
+    [Symbol.asyncIterator](): AsyncGenerator<ChangeFeedBatch<T>, void, undefined>;
+
+    /**
+     * Returns an Observable that emits the batches of the feed
+     */
+    observe(): IObservableLike<ChangeFeedBatch<T>>;
+
+    /**
+     * Stops all iterations and observables of the feed, after the batches being processed are done
+     */
+    stop(): void;
+}
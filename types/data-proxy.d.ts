@@ -13,8 +13,142 @@ export interface LiveDataProxyOptions<ValueType> {
      * Cursor to use
      */
     cursor?: string
+    /**
+     * Store to persist local mutations in that have not been written to the database yet, because the connection was lost.
+     * Stored mutations are loaded again when a proxy is created for the same path, and written once the connection is available.
+     */
+    pendingStore?: ILiveDataProxyPendingStore
+    /**
+     * How to resolve a remote mutation on a path that has local mutations that have not been written to the database yet:
+     * - `'last-write-wins'`: (default) the remote mutation was received after the local mutation was made, the local mutation is discarded
+     * - `'local-wins'`: the local mutation is kept and will overwrite the remote value once written
+     * - a callback function that returns the value to use, eg by merging the `local` and `remote` values
+     */
+    conflictResolution?: 'last-write-wins'|'local-wins'|LiveDataProxyConflictResolver
+    /**
+     * Maximum amount of steps to keep in the undo history, default is `100`
+     */
+    historyLimit?: number
+}
+
+/**
+ * Undo/redo history of a live data proxy. By default, all local changes made in the same tick are one undoable step,
+ * use `checkpoint` or `batch` to group changes into named steps. Remote changes are not part of the history: they are
+ * rebased onto undoable steps that changed their ancestor, they make undoable steps on the same or descendant paths
+ * irreversible, and they clear the redo steps they conflict with.
+ * @example
+ * const proxy = await db.ref('documents/doc1').proxy();
+ * const doc = proxy.value;
+ * await proxy.history.batch('Rename', () => {
+ *     doc.title = 'New title';
+ *     doc.slug = 'new-title';
+ * });
+ * await proxy.history.undo(); // Reverts both title and slug
+ * await proxy.history.redo();
+ */
+export interface ILiveDataProxyHistory {
+    /**
+     * Whether there are local changes that can be undone
+     */
+    readonly canUndo: boolean
+    /**
+     * Whether there are undone changes that can be redone
+     */
+    readonly canRedo: boolean
+    /**
+     * Name of the step that will be undone next, `null` if it has no name or there is nothing to undo
+     */
+    readonly undoName: string
+    /**
+     * Name of the step that will be redone next, `null` if it has no name or there is nothing to redo
+     */
+    readonly redoName: string
+    /**
+     * Starts a new named step: all following local changes are undone and redone together, until the next checkpoint,
+     * `batch`, `undo` or `redo`
+     * @param name name of the step, eg `'Rename'`
+     */
+    checkpoint(name: string): void
+    /**
+     * Runs a callback and groups all local changes it makes into a single named step
+     * @param name name of the step
+     * @param callback function that changes the proxied value
+     * @returns returns the callback's return value
+     */
+    batch<T>(name: string, callback: () => T | Promise<T>): Promise<T>
+    /**
+     * Reverts the last step by applying the previous values of its mutations, in reverse order
+     */
+    undo(): Promise<void>
+    /**
+     * Reapplies the last undone step
+     */
+    redo(): Promise<void>
+    /**
+     * Removes all undo and redo steps
+     */
+    clear(): void
+}
+
+export interface LiveDataProxyPendingMutation {
+    /**
+     * Keys of the mutated target, relative to the proxied path
+     */
+    target: Array<string|number>
+    /**
+     * Local value to write
+     */
+    value: any
+    /**
+     * Value of the target before it was changed locally
+     */
+    previous: any
+    /**
+     * Time the target was changed locally
+     */
+    timestamp: number
+}
+
+/**
+ * Persists pending mutations of a live data proxy, eg in `localStorage`. Values can contain `Date` instances and other non-JSON types,
+ * use `Transport.serialize2` and `Transport.deserialize2` if the storage requires plain JSON
+ */
+export interface ILiveDataProxyPendingStore {
+    /**
+     * Loads the pending mutations stored previously
+     */
+    load(): LiveDataProxyPendingMutation[] | Promise<LiveDataProxyPendingMutation[]>
+    /**
+     * Replaces the stored pending mutations, called each time they change
+     */
+    save(mutations: LiveDataProxyPendingMutation[]): void | Promise<void>
 }
 
+export interface LiveDataProxyConflict {
+    /**
+     * Database path of the conflicting target
+     */
+    path: string
+    /**
+     * Value of the target before it was changed locally
+     */
+    previous: any
+    /**
+     * Local value that has not been written to the database yet
+     */
+    local: any
+    /**
+     * Value of the target after applying the remote mutation
+     */
+    remote: any
+}
+
+/**
+ * Resolves a conflict between a remote mutation and a pending local mutation, returns the value to use for the target.
+ * The returned value will be written to the database once the connection is available, unless it equals the remote value
+ */
+export type LiveDataProxyConflictResolver = (conflict: LiveDataProxyConflict) => any;
+
 export interface ILiveDataProxy<T> {
     /**
      * The live value of the data wrapped in a Proxy
@@ -56,6 +190,21 @@ export interface ILiveDataProxy<T> {
      */
     reload(): Promise<void>
 
+    /**
+     * Whether there are local mutations that have not been written to the database yet because the connection was lost
+     */
+    readonly hasPendingMutations: boolean
+
+    /**
+     * Writes pending local mutations to the database. Is automatically done when the connection is restored
+     */
+    flush(): Promise<void>
+
+    /**
+     * Undo/redo history of local changes made through this proxy
+     */
+    readonly history: ILiveDataProxyHistory
+
     /**
      * @deprecated Use `.on('mutation', callback)` instead.
      * @see Also see onChanged event in {@link ILiveDataProxyValue<T>}
@@ -206,7 +355,16 @@ export interface ILiveDataProxyValue<T> {
      */
     getObservable(): Observable<T>;
 
-    getOrderedCollection<U>(): OrderedCollectionProxy<U|T>;
+    /**
+     * Gets an `OrderedCollectionProxy` for an object collection, to work with its items as an ordered array
+     * @param orderProperty name of the property to store the order in, default is `"order"`
+     * @param orderIncrement increment between numeric orders, default is `10`
+     * @example
+     * const board = (proxy.value.cards as any).getOrderedCollection({ orderType: 'fractional' });
+     * board.move(3, 0);
+     */
+    getOrderedCollection<U>(orderProperty?: string, orderIncrement?: number): OrderedCollectionProxy<U|T>;
+    getOrderedCollection<U>(options: OrderedCollectionOptions): OrderedCollectionProxy<U|T>;
 
     /**
      * Starts a transaction on the value. Local changes made to the value and its children
@@ -310,9 +468,35 @@ export interface DataProxyOnChangeCallback<T> {
 // export interface IObservableLike<T> {
 //     subscribe(observer: (value: T) => any): { unsubscribe(): any }
 // }
+/**
+ * Options for an `OrderedCollectionProxy`
+ */
+export interface OrderedCollectionOptions {
+    /**
+     * name of the property to store the order in
+     * @default 'order'
+     */
+    orderProperty?: string
+    /**
+     * type of the order values:
+     * - `'number'`: numeric orders spaced by `orderIncrement`. Inserting between 2 items with adjacent orders
+     * renumbers the collection
+     * - `'fractional'`: lexicographically sortable string keys. A key can be generated between any 2 keys, so only
+     * the added or moved item is updated. Numeric orders of an existing collection are converted to keys
+     * @default 'number'
+     */
+    orderType?: 'number'|'fractional'
+    /**
+     * increment between numeric orders
+     * @default 10
+     */
+    orderIncrement?: number
+}
+
 export class OrderedCollectionProxy<T> {
 
     constructor(collection: ObjectCollection<T>, orderProperty?: string, orderIncrement?: number);
+    constructor(collection: ObjectCollection<T>, options: OrderedCollectionOptions);
 
     /**
      * Gets an observable for the target object collection. Same as calling `collection.getObservable()`
@@ -328,7 +512,8 @@ export class OrderedCollectionProxy<T> {
     getArrayObservable(): Observable<T[]>;
 
     /**
-     * Gets an ordered array representation of the items in your object collection. The items in the array
+     * Gets an ordered array representation of the items in your object collection. Items with the same order
+     * (eg added concurrently by multiple clients) are sorted by their key. The items in the array
      * are proxied values, changes will be in sync with the database. Note that the array itself
      * is not mutable: adding or removing items to it will NOT update the collection in the
      * the database and vice versa. Use `add`, `delete`, `sort` and `move` methods to make changes
@@ -1,12 +1,17 @@
 import { AceBaseBase } from './acebase-base';
 import { DataSnapshot } from './data-snapshot';
 import { ILiveDataProxy, LiveDataProxyOptions } from './data-proxy';
-import { EventStream } from './subscription';
+import { EventBatchSettings, EventStream } from './subscription';
 import { Observable } from './optional-observable';
+import { AggregateGroup, AggregateSpec } from './aggregate';
+import { QueryFilterNode } from './query-filter';
+import { CSVOptions, StreamFormat } from './stream-formats';
+import { ChangeFeed, ChangeFeedOptions } from './change-feed';
+import { JSONPatchOperation } from './json-patch';
 
 type ValueEvent = 'value'|'child_added'|'child_changed'|'child_removed'|'mutated'|'mutations'
 type NotifyEvent = 'notify_value'|'notify_child_added'|'notify_child_changed'|'notify_child_removed'|'notify_mutated'|'notify_mutations'
-interface EventSettings {
+interface EventSettings extends EventBatchSettings {
     /** Specifies whether to skip callbacks for current value (applies to `"value"` and `"child_added"` events) */
     newOnly?: boolean;
     /**
@@ -18,6 +23,8 @@ interface EventSettings {
      */
     syncFallback?: 'reload'|(() => any|Promise<any>);
 }
+/** Event settings that deliver events in arrays */
+type BatchedEventSettings = EventSettings & ({ batch: EventBatchSettings['batch'] } | { debounce: number } | { coalesce: true });
 export class DataReference
 {
     constructor(db: AceBaseBase, path: string);
@@ -39,7 +46,8 @@ export class DataReference
 
     /**
      * Contains values of the variables/wildcards used in a subscription path if this reference was
-     * created by an event ("value", "child_added" etc), or in a type mapping path when serializing / instantiating typed objects
+     * created by an event ("value", "child_added" etc), or in a type mapping path when serializing / instantiating typed objects.
+     * The value of a `**` wildcard is the path of the keys it matched, eg `"c1/replies/r1"` for "comments/**\/replies/$reply"
      */
     readonly vars: { [name: string]: string|number|Array<string|number>, wildcards?: Array<string|number> };
 
@@ -140,13 +148,37 @@ export class DataReference
      */
     transaction(callback: (currentValue: DataSnapshot) => any): Promise<DataReference>;
 
+    /**
+     * Applies JSON Patch ([RFC 6902](https://www.rfc-editor.org/rfc/rfc6902)) operations to the referenced node in a transaction.
+     * Paths of the operations are relative to the referenced node. If any operation fails (eg a `test` operation), no changes are made
+     * @param operations operations to apply
+     * @returns returns a promise that resolves with this reference once the patch has been applied
+     * @example
+     * await db.ref('users/ewout').patch([
+     *     { op: 'test', path: '/name', value: 'Ewout' },
+     *     { op: 'replace', path: '/name', value: 'Ewout de Vries' },
+     *     { op: 'add', path: '/tags/-', value: 'admin' },
+     * ]);
+     */
+    patch(operations: JSONPatchOperation[]): Promise<DataReference>;
+
+    /**
+     * Applies a JSON Merge Patch ([RFC 7386](https://www.rfc-editor.org/rfc/rfc7386)) to the referenced node in a transaction.
+     * Unlike `update`, objects are merged recursively. Properties set to `null` are removed
+     * @param patch merge patch document
+     * @returns returns a promise that resolves with this reference once the patch has been applied
+     */
+    mergePatch(patch: any): Promise<DataReference>;
+
     /**
      * Subscribes to an event. Supported events are "value", "child_added", "child_changed", "child_removed", "mutated" and "mutations",
      * which will run the callback with a snapshot of the data. If you only wish to receive notifications of the
      * event (without the data), use the "notify_value", "notify_child_added", "notify_child_changed",
      * "notify_child_removed" etc events instead, which will run the callback with a DataReference to the changed
      * data. This enables you to manually retrieve data upon changes (eg if you want to exclude certain child
-     * data from loading)
+     * data from loading). The path can include `*` and `$variable` wildcards to match any key, and `**` to match any
+     * number of keys, eg "comments/**\/replies/$reply" to monitor all replies in a comment thread of any depth.
+     * Use the `batch`, `debounce` and `coalesce` options to receive arrays of snapshots or references instead
      * @param event - Name of the event to subscribe to
      * @param callback - Callback function. Optional, you can also use the returned EventStream.
      * @param cancelCallback Function to call when the subscription is not allowed, or denied access later on
@@ -158,11 +190,13 @@ export class DataReference
     on(event: ValueEvent, callback: ((snapshot:DataSnapshot) => void)): EventStream<DataSnapshot>;
     on(event: ValueEvent, callback: ((snapshot:DataSnapshot) => void), cancelCallback: (error: string) => void): EventStream<DataSnapshot>;
     on(event: ValueEvent, fireForCurrentValue: boolean, cancelCallback?: (error: string) => void): EventStream<DataSnapshot>;
+    on(event: ValueEvent, options: BatchedEventSettings): EventStream<DataSnapshot[]>;
     on(event: ValueEvent, options: EventSettings): EventStream<DataSnapshot>;
     on(event: NotifyEvent): EventStream<DataReference>;
     on(event: NotifyEvent, callback: ((reference:DataReference) => void)): EventStream<DataReference>;
     on(event: NotifyEvent, callback: ((reference:DataReference) => void), cancelCallback: (error: string) => void): EventStream<DataReference>;
     on(event: NotifyEvent, fireForCurrentValue: boolean, cancelCallback?: (error: string) => void): EventStream<DataReference>;
+    on(event: NotifyEvent, options: BatchedEventSettings): EventStream<DataReference[]>;
     on(event: NotifyEvent, options: EventSettings): EventStream<DataReference>;
 
     /**
@@ -311,22 +345,28 @@ export class DataReference
     /**
      * Exports the value of this node and all children
      * @param write Function that writes data to your stream
-     * @param options Only supported format currently is json
+     * @param options `format` to export to: `'json'` (default), or `'ndjson'` or `'csv'` to export a line for each child.
+     * Use `csv` to configure the exported columns
      * @returns returns a promise that resolves once all data is exported
+     * @example
+     * // Export users as CSV
+     * let csv = '';
+     * await db.ref('users').export(str => { csv += str; }, { format: 'csv', csv: { columns: ['name', { name: 'city', key: 'address/city' }] } });
      */
-    export(write: StreamWriteFunction, options?: { format?: 'json', type_safe?: boolean }): Promise<void>
+    export(write: StreamWriteFunction, options?: { format?: StreamFormat, type_safe?: boolean, csv?: CSVOptions }): Promise<void>
     /**
      * @deprecated use method signature with stream writer function argument instead
      */
-    export(stream: IStreamLike, options?: { format?: 'json', type_safe?: boolean }): Promise<void>
+    export(stream: IStreamLike, options?: { format?: StreamFormat, type_safe?: boolean, csv?: CSVOptions }): Promise<void>
 
     /**
      * Imports the value of this node and all children
      * @param read Function that reads data from your stream
-     * @param options Only supported format currently is json
+     * @param options `format` to import from: `'json'` (default), or `'ndjson'` or `'csv'` to import a line for each child.
+     * Use `csv` to set the imported columns and their types
      * @returns returns a promise that resolves once all data is imported
      */
-    import(read: StreamReadFunction, options?: { format?: 'json', suppress_events?: boolean }): Promise<void>
+    import(read: StreamReadFunction, options?: { format?: StreamFormat, suppress_events?: boolean, csv?: CSVOptions }): Promise<void>
 
     /**
      * Returns a RxJS Observable that can be used to observe
@@ -364,6 +404,13 @@ export class DataReference
      * or sync actions when using an AceBaseClient with cache db.
      */
     observe(options?: DataRetrievalOptions): Observable<any>
+    /**
+     * @param options `batch`, `debounce` and `coalesce` settings to apply mutations in batches, emitting 1 new value per batch
+     * @example
+     * // Emit at most once per 100ms during bulk updates
+     * db.ref('chats/chat_id').observe({ batch: { maxWait: 100 } })
+     */
+    observe<T = any>(options: EventBatchSettings): Observable<T>
 
     /**
      * Creates a live data proxy for the given reference. The data of the referenced path will be loaded, and kept in-sync
@@ -443,13 +490,28 @@ export class DataReference
      * @param since Date/time to use. When not given all available changes in the transaction log will be returned.
      */
     getChanges(since?: Date): Promise<{ used_cursor: string, new_cursor: string, changes: ValueChange[] }>
+
+    /**
+     * Creates a change feed that reads mutations to the referenced path and its children from the transaction log in batches,
+     * and continues reading when new mutations are made. Use it as an async iterator or Observable, and pass a `store` to
+     * persist the cursor of processed batches.
+     * @param options cursor or date to start from, whether to read compressed changes, and cursor store to use
+     * @example
+     * const feed = db.ref('products').changeFeed({ store: { load: () => cursors.get('search'), save: cursor => cursors.set('search', cursor) } });
+     * for await (const batch of feed) {
+     *     await searchIndex.apply(batch.items);
+     * }
+     */
+    changeFeed(options?: ChangeFeedOptions & { compress?: false }): ChangeFeed<ValueMutation>
+    changeFeed(options: ChangeFeedOptions & { compress: true }): ChangeFeed<ValueChange>
+    changeFeed(options?: ChangeFeedOptions): ChangeFeed<ValueMutation>|ChangeFeed<ValueChange>
 }
 
 /**
  * Uncompressed mutation: a single database operation of `type` `"set"` (overwrite) or `"update"` (merge) on `mutations.path`
  * caused the value of `path` to be mutated to `value`
  */
-type ValueMutation = {
+export type ValueMutation = {
     /** path the mutation had effect on */
     path: string,
     /** database operation used */
@@ -481,7 +543,7 @@ type ValueMutation = {
  * Compressed mutation: one or more database operations caused the value of the node at `path` to effectively be mutated
  * from `previous` to `value` using database operation logic of `type` `"set"` (overwrite) or `"update"` (merge)
  */
-type ValueChange = { path: string, type: 'set'|'update', previous: any, value: any, context: any }
+export type ValueChange = { path: string, type: 'set'|'update', previous: any, value: any, context: any }
 // type MutationsResult<T> = { used_cursor: string, new_cursor: string, mutations: T[] };
 
 type ForEachIteratorCallback = (childSnapshot: DataSnapshot) => boolean|void|Promise<boolean|void>;
@@ -578,6 +640,32 @@ export class DataReferenceQuery {
      */
     filter(key: string|number, op: QueryOperator, compare?: any): DataReferenceQuery
 
+    /**
+     * Adds a group of filters of which at least one must match. Each group is built with a callback, multiple filters
+     * in a group must all match. Can be combined with other filters and groups, which must also match.
+     * @param groups callbacks that add filters (or nested groups) to the group they are given
+     * @example
+     * // status == 'open' OR assignee == 'me'
+     * db.query('tasks').or(q => q.filter('status', '==', 'open'), q => q.filter('assignee', '==', 'me'));
+     */
+    or(...groups: QueryFilterGroupCallback[]): DataReferenceQuery
+
+    /**
+     * Adds a group of filters that must all match. Only useful to nest in `or` and `not` groups, because
+     * all filters of a query must match already
+     * @param groups callbacks that add filters (or nested groups) to the group they are given
+     */
+    and(...groups: QueryFilterGroupCallback[]): DataReferenceQuery
+
+    /**
+     * Adds a group of filters that must not match
+     * @param group callback that adds filters (or nested groups) to the group it is given
+     * @example
+     * // NOT (status == 'closed' AND archived exists)
+     * db.query('tasks').not(q => q.filter('status', '==', 'closed').filter('archived', 'exists'));
+     */
+    not(group: QueryFilterGroupCallback): DataReferenceQuery
+
     /**
      * Limits the number of query results to n
      * @param {number} n
@@ -604,6 +692,37 @@ export class DataReferenceQuery {
      */
     sort(key:string|number, ascending: boolean) : DataReferenceQuery
 
+    /**
+     * Only returns results that are sorted after given result (keyset pagination). Unlike `skip`, this returns stable pages
+     * when children are added or removed in the meantime. Results are sorted by their `sort` keys, and by their child key
+     * if those are equal (by their path for wildcard paths, eg `"users/*\/posts"`). Call this after `sort`.
+     * @param snapshotOrValues snapshot of the last result of the previous page, or the values of each sort key, optionally
+     * followed by a child key (or path for wildcard paths)
+     * @example
+     * const page1 = await db.query('songs').sort('year').take(50).get();
+     * const page2 = await db.query('songs').sort('year').startAfter(page1[page1.length - 1]).take(50).get();
+     */
+    startAfter(snapshotOrValues: DataSnapshot|any[]): DataReferenceQuery
+
+    /**
+     * Only returns results that are sorted before given result (keyset pagination). Call this after `sort`.
+     * @param snapshotOrValues snapshot of a result, or the values of each sort key, optionally followed by a child key (or
+     * path for wildcard paths)
+     */
+    endBefore(snapshotOrValues: DataSnapshot|any[]): DataReferenceQuery
+
+    /**
+     * Executes the query one page at a time using keyset pagination (see `startAfter`). Each page has a `continuationToken`
+     * that can be passed to a new `paginate` call to continue after that page later, or in another process.
+     * @param pageSize max number of results per page
+     * @param continuationToken token of a previously yielded page to continue after
+     * @example
+     * for await (const page of db.query('songs').sort('year').paginate(50)) {
+     *     console.log(`Got ${page.length} songs, next page token: ${page.continuationToken}`);
+     * }
+     */
+    paginate(pageSize: number, continuationToken?: string): AsyncGenerator<DataSnapshotsPage, void, undefined>
+
     /**
      * Executes the query
      * @returns {Promise<DataSnapshotsArray>} returns an Promise that resolves with an array of DataSnapshots
@@ -656,6 +775,40 @@ export class DataReferenceQuery {
      */
     exists(): Promise<boolean>
 
+    /**
+     * Executes the query and keeps its results up to date. Emits the current results (with sort, skip and take applied)
+     * when they are loaded, and again after each change, with a `diff` describing the changes since the previous results.
+     * Results entering or leaving the skip/take window because other results were added, changed or removed are included.
+     * Uses rxjs `Observable`, or the Observable set with `db.setObservable`
+     * @example
+     * db.query('tasks').filter('done', '==', false).sort('due').take(10).observe().subscribe(tasks => {
+     *     const { added, removed, moved, changed } = tasks.diff;
+     *     console.log(`${tasks.length} tasks to do, ${added.length} added`);
+     * });
+     */
+    observe(): Observable<LiveQueryResults>
+
+    /**
+     * Executes the query and computes aggregates of the results. If the database does not support computing them
+     * natively, each result is loaded to compute them locally.
+     * @param aggregates aggregates to compute: `count` (optionally of results having a value for a key), `sum`, `avg`, `min` or `max` of a key
+     * @example
+     * const { total, rating, count } = await db.query('products')
+     *  .filter('category', '==', 'books')
+     *  .aggregate({ total: ['sum', 'price'], rating: ['avg', 'rating'], count: ['count'] });
+     */
+    aggregate(aggregates: AggregateSpec): Promise<Record<string, any>>
+
+    /**
+     * Executes the query, groups the results by the value of a key and computes aggregates for each group
+     * @param key key to group the results by
+     * @param aggregates aggregates to compute for each group, counts the results in each group by default
+     * @example
+     * const groups = await db.query('products').groupBy('category', { count: ['count'], total: ['sum', 'price'] });
+     * // [{ group: 'books', values: { count: 12, total: 241.5 } }, { group: 'games', values: { count: 3, total: 120 } }]
+     */
+    groupBy(key: string|number, aggregates?: AggregateSpec): Promise<AggregateGroup[]>
+
     /**
      * Executes the query, removes all matches from the database
      * @returns returns an Promise that resolves once all matches have been removed
@@ -728,6 +881,65 @@ export class DataSnapshotsArray extends Array<DataSnapshot> {
     getValues(): any[]
 }
 
+/**
+ * Group of query filters, passed to the callbacks of `DataReferenceQuery.or`, `and` and `not`
+ */
+export class QueryFilterGroup {
+    readonly nodes: QueryFilterNode[];
+
+    /**
+     * Adds a filter to the group
+     * @param key property to test value of
+     * @param op operator to use
+     * @param compare value to compare with
+     */
+    filter(key: string|number, op: QueryOperator, compare?: any): QueryFilterGroup
+
+    /**
+     * Adds a nested group of which at least one must match
+     */
+    or(...groups: QueryFilterGroupCallback[]): QueryFilterGroup
+
+    /**
+     * Adds a nested group of which all must match
+     */
+    and(...groups: QueryFilterGroupCallback[]): QueryFilterGroup
+
+    /**
+     * Adds a nested group that must not match
+     */
+    not(group: QueryFilterGroupCallback): QueryFilterGroup
+}
+
+export type QueryFilterGroupCallback = (group: QueryFilterGroup) => unknown;
+
+export interface LiveQueryDiff {
+    /** results that entered the results, with their new index */
+    added: Array<{ index: number, snapshot: DataSnapshot }>,
+    /** results that left the results, with their previous index */
+    removed: Array<{ index: number, snapshot: DataSnapshot }>,
+    /** results that changed position relative to the other results, with their previous and new index */
+    moved: Array<{ from: number, to: number, snapshot: DataSnapshot }>,
+    /** results that remained in the results with a changed value, with their new index */
+    changed: Array<{ index: number, snapshot: DataSnapshot }>
+}
+
+/**
+ * Current results of a query emitted by `DataReferenceQuery.observe`
+ */
+export type LiveQueryResults = DataSnapshotsArray & {
+    /** changes since the previously emitted results */
+    diff: LiveQueryDiff
+};
+
+/**
+ * Page of query results yielded by `DataReferenceQuery.paginate`
+ */
+export type DataSnapshotsPage = DataSnapshotsArray & {
+    /** Opaque token to continue paging after this page with, or `null` if this is the last page */
+    continuationToken: string|null
+};
+
 export class DataReferencesArray extends Array<DataReference> {
     static from(refs: DataReference[]): DataReferencesArray
     getPaths(): string[]
@@ -1,8 +1,97 @@
+export type LogLevel = 'verbose'|'log'|'warn'|'error';
+
+/**
+ * Extra context added to all records of a (child) logger, eg `{ path: 'users/ewout' }`. The `module` property
+ * determines the log level to use if per-module levels are configured
+ */
+export interface LogContext {
+    module?: string
+    [key: string]: any
+}
+
+export interface LogRecord {
+    level: LogLevel
+    /** name of the database that logged the record */
+    db: string
+    message: string
+    /** logged value, or array of values if multiple were logged along with the message */
+    data?: any
+    /** context of the logger, see `DebugLogger.child` */
+    context: LogContext
+    /** ms since epoch */
+    timestamp: number
+}
+
+/**
+ * Receives log records, either a function or an object with a `write` method
+ */
+export type LogTransport = ((record: LogRecord) => void) | { write(record: LogRecord): void };
+
+export interface DebugLoggerOptions {
+    /** Minimum level to log, default is `'log'` */
+    level?: LogLevel
+    /** Minimum levels to log for specific modules, overrides `level` for loggers with a `module` in their context */
+    levels?: Record<string, LogLevel>
+    /** Name of the database, added to all records */
+    db?: string
+    /** Transports to send records to, default is a `ConsoleLogTransport` */
+    transports?: LogTransport[]
+    /** Context added to all records */
+    context?: LogContext
+}
+
+/**
+ * Writes records to the console, as text (default) or JSON
+ */
+export class ConsoleLogTransport {
+    constructor(options?: { format?: 'text'|'json' })
+    readonly options: { format?: 'text'|'json' };
+    write(record: LogRecord): void
+}
+
+/**
+ * Keeps the last logged records in memory, eg to check logged records in tests
+ */
+export class MemoryLogTransport {
+    /**
+     * @param capacity maximum amount of records to keep, older records are overwritten. Default is 1000
+     */
+    constructor(capacity?: number)
+    readonly capacity: number;
+    write(record: LogRecord): void
+    /**
+     * Kept records, oldest first
+     */
+    readonly records: LogRecord[];
+    clear(): void
+}
+
+/**
+ * Logger used by the database, available as `db.debug`. Creates structured `LogRecord`s and sends them to
+ * all configured transports
+ */
 export class DebugLogger {
-    constructor(level: 'verbose'|'log'|'warn'|'error', prefix?: string)
+    constructor(options?: DebugLoggerOptions)
+    constructor(level: LogLevel, prefix?: string)
+    level: LogLevel;
+    /** name of the database, added to all records */
+    db: string;
+    /** minimum levels to log for specific modules */
+    levels: Record<string, LogLevel>;
+    transports: LogTransport[];
+    readonly context: LogContext;
     log(message: any, ...optionalParams: any[]): void
     warn(message: any, ...optionalParams: any[]): void
     error(message: any, ...optionalParams: any[]): void
     verbose(message: any, ...optionalParams: any[]): void
-    setLevel(level: 'log'|'warn'|'error'): void
+    /** Sends text to the transports regardless of the log level, written to the console as is */
+    write(text: string): void
+    setLevel(level: LogLevel): void
+    /**
+     * Creates a logger that adds extra context to its records, and uses the level, transports and module levels of this logger
+     * @example
+     * const logger = db.debug.child({ module: 'sync', path: 'users/ewout' });
+     * logger.warn('Sync failed', err); // { level: 'warn', db: 'mydb', message: 'Sync failed', data: err, context: { module: 'sync', path: 'users/ewout' }, ... }
+     */
+    child(context: LogContext): DebugLogger
 }
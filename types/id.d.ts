@@ -1,3 +1,57 @@
+/**
+ * Generates keys for new nodes, eg with `ref.push()`
+ */
+export interface IIDGenerator {
+    /** Generates a new unique key */
+    generate(): string
+    /** Gets the creation time (ms since epoch) of a key generated by this generator, optional for custom generators */
+    getTimestamp?(id: string): number
+}
+
+/**
+ * Name of a built-in ID generator:
+ * - `'cuid'`: (default) 24 character, lowercase sortable keys
+ * - `'ulid'`: 26 character, uppercase sortable keys ([ULID spec](https://github.com/ulid/spec))
+ * - `'uuidv7'`: time-ordered UUIDs ([RFC 9562](https://www.rfc-editor.org/rfc/rfc9562#name-uuid-version-7))
+ */
+export type IDGeneratorName = 'cuid'|'ulid'|'uuidv7';
+
+/**
+ * AceBase's default generator: cuids without the leading `"c"`
+ */
+export class CuidGenerator implements IIDGenerator {
+    generate(): string;
+    getTimestamp(id: string): number;
+}
+
+/**
+ * Generates ULIDs. Keys generated in the same millisecond are monotonic: the random part of the previous key is incremented
+ */
+export class ULIDGenerator implements IIDGenerator {
+    generate(): string;
+    getTimestamp(id: string): number;
+}
+
+/**
+ * Generates version 7 UUIDs. Keys generated in the same millisecond are monotonic: the 12 bit `rand_a` field is used as a counter
+ */
+export class UUIDv7Generator implements IIDGenerator {
+    generate(): string;
+    getTimestamp(id: string): number;
+}
+
 export class ID {
+    static timeBias: number;
     static generate(): string
+
+    /**
+     * Creates a new instance of a built-in generator, or returns the given custom generator
+     */
+    static createGenerator(generator?: IDGeneratorName|IIDGenerator): IIDGenerator
+
+    /**
+     * Gets the creation time of a key generated by one of the built-in generators (cuid, ULID or UUIDv7)
+     * @returns the creation time in ms since epoch, or `null` if the key was not generated by a built-in generator
+     */
+    static getTimestamp(id: string): number
 }
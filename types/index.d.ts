@@ -1,19 +1,24 @@
 export { AceBaseBaseSettings, AceBaseBase, AceBaseIndexes } from './acebase-base';
+export { AceBaseMemory, AceBaseMemorySettings, MemoryApi, MemoryApiSettings } from './acebase-memory';
 export { TypeMappings, TypeMappingOptions } from './type-mappings';
-export { DataReference, DataRetrievalOptions } from './data-reference';
+export { Triggers, ITrigger, ITriggerChange, ITriggerContext, ITriggerDefinition } from './triggers';
+export { ISchemaMigration, ISchemaMigrationOptions, ISchemaMigrationResult } from './migrations';
+export { DataReference, DataRetrievalOptions, ValueMutation, ValueChange } from './data-reference';
+export { ChangeFeed, ChangeFeedOptions, ChangeFeedBatch, IChangeFeedCursorStore } from './change-feed';
 export { IStreamLike, IReflectionNodeInfo, IReflectionChildrenInfo } from './data-reference';
-export { DataReferenceQuery, QueryDataRetrievalOptions, DataSnapshotsArray, DataReferencesArray} from './data-reference'; // TODO: move to data-reference-query
-export { ILiveDataProxy, ILiveDataProxyValue, DataProxyOnChangeCallback, proxyAccess, OrderedCollectionProxy } from './data-proxy';
+export { DataReferenceQuery, QueryDataRetrievalOptions, DataSnapshotsArray, DataSnapshotsPage, DataReferencesArray, QueryFilterGroup, QueryFilterGroupCallback, LiveQueryResults, LiveQueryDiff } from './data-reference'; // TODO: move to data-reference-query
+export { ILiveDataProxy, ILiveDataProxyValue, DataProxyOnChangeCallback, proxyAccess, OrderedCollectionProxy, OrderedCollectionOptions, LiveDataProxyOptions, LiveDataProxyPendingMutation, ILiveDataProxyPendingStore, LiveDataProxyConflict, LiveDataProxyConflictResolver, ILiveDataProxyHistory } from './data-proxy';
 export { ObjectCollection, ObjectCollection as IObjectCollection } from './object-collection';
-export { EventStream, EventSubscription } from './subscription';
+export { EventStream, EventSubscription, EventBatchSettings } from './subscription';
 export * as Transport from './transport';
 export { DataSnapshot, MutationsDataSnapshot } from './data-snapshot';
+export { JSONPatch, JSONPatchOperation } from './json-patch';
 export { PathInfo } from './path-info';
 export { PathReference } from './path-reference';
-export { ID } from './id';
+export { ID, IIDGenerator, IDGeneratorName, CuidGenerator, ULIDGenerator, UUIDv7Generator } from './id';
 export { DataIndex } from './acebase-base';
-export { DebugLogger } from './debug';
-export { SimpleCache } from './simple-cache';
+export { DebugLogger, DebugLoggerOptions, LogLevel, LogContext, LogRecord, LogTransport, ConsoleLogTransport, MemoryLogTransport } from './debug';
+export { SimpleCache, SimpleCacheOptions, SimpleCacheEvictEvent, SimpleCacheStats } from './simple-cache';
 export { IObservableLike } from './optional-observable';
 export { PartialArray } from './partial-array';
 
@@ -24,4 +29,9 @@ export * as ascii85 from './ascii85';
 export { SimpleEventEmitter } from './simple-event-emitter';
 export { ColorStyle, Colorize } from './simple-colors';
 
-export { SchemaDefinition, ISchemaCheckResult } from './schema';
+export { matchesQuery, matchesFilterTree, QueryFilterNode, IQueryFilter } from './query-filter';
+export { QueryAggregator, AggregateSpec, AggregateFunction, AggregateGroup } from './aggregate';
+export { SchemaDefinition, ISchemaCheckResult, ISchemaCheckError, ISchemaCheckOptions, SchemaRule, JSONSchema } from './schema';
+export { getModelSchema, ModelClass, ModelSchema, ModelPropertyType } from './model';
+export { SecurityRules, SecurityRulesNode, SecurityRule, ISecurityRuleEnvironment, ISecurityCheckContext, ISecurityCheckResult, RuleDataSnapshot } from './security-rules';
+export { StreamFormat, CSVColumn, CSVColumnType, CSVOptions, IChildRecord, readLines, exportChildren, importChildren } from './stream-formats';
@@ -0,0 +1,51 @@
+import { MutationsDataSnapshot } from './data-snapshot';
+import { ValueMutation } from './data-reference';
+
+/**
+ * A JSON Patch ([RFC 6902](https://www.rfc-editor.org/rfc/rfc6902)) operation. Paths are JSON Pointers
+ * ([RFC 6901](https://www.rfc-editor.org/rfc/rfc6901)), eg `"/users/ewout/name"`
+ */
+export type JSONPatchOperation =
+    | { op: 'add', path: string, value: any }
+    | { op: 'remove', path: string }
+    | { op: 'replace', path: string, value: any }
+    | { op: 'move', from: string, path: string }
+    | { op: 'copy', from: string, path: string }
+    | { op: 'test', path: string, value: any };
+
+/**
+ * Converts between JSON Patch documents and AceBase values and mutations
+ */
+export class JSONPatch {
+    /**
+     * Applies JSON Patch operations to a value. Operations are applied in order, if any of them fails (eg a `test`
+     * operation) an error is thrown and no changes are made
+     * @param value value to patch, is not changed
+     * @param operations operations to apply
+     * @returns the patched value, `null` if the value was removed
+     */
+    static apply<T = any>(value: T, operations: JSONPatchOperation[]): T;
+
+    /**
+     * Applies a JSON Merge Patch ([RFC 7386](https://www.rfc-editor.org/rfc/rfc7386)) to a value: objects in the patch
+     * are merged recursively, `null` values remove properties, all other values replace the current value
+     * @param value value to patch, is not changed
+     * @param patch merge patch document
+     * @returns the patched value, `null` if the value was removed
+     */
+    static applyMerge<T = any>(value: T, patch: any): T;
+
+    /**
+     * Converts mutations to JSON Patch operations, eg to forward a change feed to services that use JSON Patch.
+     * Values are not serialized, so `Date` values etc are included as is
+     * @param mutations `ValueMutation`s from `ref.getMutations`, `ref.changeFeed` or a `"mutations"` event snapshot
+     * @param path path the JSON Pointers of the operations are relative to. Mutations outside of it are ignored.
+     * Default is the root for `ValueMutation`s, and the path of the snapshot for a `MutationsDataSnapshot`
+     * @returns JSON Patch operations
+     * @example
+     * db.ref('users').on('mutations', snap => {
+     *     const operations = JSONPatch.fromMutations(snap); // [{ op: 'replace', path: '/ewout/name', value: 'Ewout' }]
+     * });
+     */
+    static fromMutations(mutations: ValueMutation[] | MutationsDataSnapshot, path?: string): JSONPatchOperation[];
+}
@@ -0,0 +1,38 @@
+export interface ISchemaMigration<T = any> {
+    /** version the migration upgrades values to. Values stored before any migration was run have version `0` */
+    version: number
+    /** upgrades a value of the previous version */
+    up(value: any): T
+    /**
+     * downgrades a value to the previous version, required for lazy migrations. Only called with entire nodes: lazy
+     * writes that would change part of a migrated node are rejected
+     */
+    down?(value: T): any
+}
+
+export interface ISchemaMigrationOptions {
+    /**
+     * - `"lazy"`: (default) the stored data is not changed: values are upgraded when they are loaded, and written values
+     * are downgraded to the recorded version. Only values that include entire migrated nodes are translated, writes that
+     * change part of a migrated node (eg updates) are rejected until the migration runs eagerly
+     * - `"eager"`: upgrades all stored nodes now, and records the new version
+     */
+    mode?: 'lazy'|'eager'
+    /** Reports which nodes the migration would change, without changing any data or registering the migration */
+    dryRun?: boolean
+}
+
+export interface ISchemaMigrationResult {
+    /** path of the migrated nodes */
+    path: string
+    /** recorded version of the stored data before the migration */
+    from: number
+    /** version values are upgraded to */
+    to: number
+    /** amount of nodes checked, `0` for lazy migrations that are not dry runs */
+    total: number
+    /** paths of the nodes that were changed, or would be changed in a dry run */
+    changed: string[]
+    /** nodes that failed to upgrade, only reported in dry runs. Eager migrations throw the first error */
+    errors: Array<{ path: string, reason: string }>
+}
@@ -0,0 +1,38 @@
+import { SchemaDefinition } from './schema';
+
+/**
+ * Type of a model property: a schema type string (eg `'string'`, `'integer(0..)'` or `'"admin"|"user"'`), one of the classes
+ * `String`, `Number`, `Boolean` or `Date`, another model class, an array with 1 item type for arrays of that type, or an
+ * object with the types of nested properties
+ */
+export type ModelPropertyType = string | StringConstructor | NumberConstructor | BooleanConstructor | DateConstructor | ModelClass | [ModelPropertyType] | ModelSchema;
+
+/**
+ * Property types of a model. Append `?` to a property name to make it optional, use `*` or a `$variable` name
+ * for the type of all other properties
+ * @example
+ * class User {
+ *     static schema: ModelSchema = { name: String, 'born?': Date, address: Address, tags: [String] };
+ *     name: string;
+ *     born?: Date;
+ *     address: Address;
+ *     tags: string[];
+ * }
+ */
+export interface ModelSchema {
+    [property: string]: ModelPropertyType
+}
+
+/**
+ * Class with a static `schema` property describing its stored properties. Its constructor is called without arguments
+ * when stored objects are instantiated
+ */
+export interface ModelClass<T = any> {
+    new(): T
+    schema: ModelSchema
+}
+
+/**
+ * Creates a `SchemaDefinition` for a model class, including the schemas of nested models
+ */
+export function getModelSchema(type: ModelClass): SchemaDefinition;
@@ -15,6 +15,8 @@ export class PathInfo {
     childPath(childKey: string|number|Array<string|number>): string
     /** @deprecated use keys property */
     readonly pathKeys: Array<string|number>;
+    /** Whether the path contains `**` keys, that match any number of keys */
+    readonly isRecursiveWildcard: boolean;
     equals(otherPath: string|PathInfo): boolean
     isAncestorOf(otherPath: string|PathInfo): boolean
     isDescendantOf(otherPath: string|PathInfo): boolean
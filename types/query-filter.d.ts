@@ -0,0 +1,29 @@
+export interface IQueryFilter {
+    key: string|number,
+    op: string,
+    compare: any
+}
+
+/**
+ * Boolean filter expression: a single filter, or a group of expressions that must all (`and`) or any (`or`)
+ * match, or must not (`not`) match
+ */
+export type QueryFilterNode = IQueryFilter | { and: QueryFilterNode[] } | { or: QueryFilterNode[] } | { not: QueryFilterNode };
+
+/**
+ * Evaluates a filter expression against a (child) value
+ * @example
+ * matchesFilterTree({ status: 'open', assignee: 'ewout' }, {
+ *     or: [
+ *         { key: 'status', op: '==', compare: 'open' },
+ *         { key: 'assignee', op: '==', compare: 'me' },
+ *     ],
+ * }); // true
+ */
+export function matchesFilterTree(value: any, node: QueryFilterNode): boolean;
+
+/**
+ * Checks if a (child) value matches the filters of a query. Uses the `filterTree` if the query has one,
+ * otherwise all `filters` must match
+ */
+export function matchesQuery(value: any, query: { filters: IQueryFilter[], filterTree?: QueryFilterNode }): boolean;
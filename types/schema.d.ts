@@ -5,9 +5,19 @@ export interface IType {
     value?:string|number|boolean|null,
     genericTypes?: IType[],
     children?: IProperty[],
-    matches?: RegExp
+    matches?: RegExp,
+    /** only allows whole numbers */
+    integer?: boolean,
+    /** minimum value for numbers, minimum length for strings, minimum number of items for arrays */
+    min?: number,
+    /** maximum value for numbers, maximum length for strings, maximum number of items for arrays */
+    max?: number,
+    /** string format to enforce */
+    format?: StringFormat
 }
 
+export type StringFormat = 'email'|'uuid'|'iso-date';
+
 export interface IProperty {
     name: string,
     optional: boolean,
@@ -15,15 +25,95 @@ export interface IProperty {
     types: IType[]
 }
 
+/**
+ * Schema rule a value failed to comply with:
+ * - `type`: value is not of the expected type(s)
+ * - `value`: value does not equal the expected literal value
+ * - `required`: a non-optional property is missing
+ * - `property`: object has a property that is not defined in the schema
+ * - `integer`, `min`, `max`, `format`: value constraint failed
+ * - `matches`: string does not match the regular expression
+ */
+export type SchemaRule = 'type'|'value'|'required'|'property'|'integer'|'min'|'max'|'format'|'matches';
+
+export interface ISchemaCheckError {
+    /** path of the value that failed validation, eg `users/ewout/age` or `users/ewout/tags[2]` */
+    path: string,
+    /** the rule that failed */
+    rule: SchemaRule,
+    /** the types allowed at the path, eg `['string', 'number']` */
+    expected: string[],
+    /** the type of the value found at the path, eg `'boolean'` or `'undefined'` for a missing value */
+    actual: string,
+    /** human readable description of the error */
+    message: string
+}
+
 export interface ISchemaCheckResult {
     ok: boolean,
-    reason?: string
+    /** description of the (first) error */
+    reason?: string,
+    /** all errors, only set if the check was done with the `allErrors` option */
+    errors?: ISchemaCheckError[]
+}
+
+export interface ISchemaCheckOptions {
+    /**
+     * Whether to continue checking after the first error and report all errors in the `errors` property of the result.
+     * @default false
+     */
+    allErrors?: boolean
 }
 
+/**
+ * Returns a readable name for a type definition, eg `string`, `Array<number>` or `"admin"`
+ */
+export function getTypeName(type: IType): string;
+
+/**
+ * JSON Schema document or subschema
+ */
+export type JSONSchema = boolean | { [keyword: string]: any };
+
 export class SchemaDefinition {
     readonly source: string|object;
     readonly text: string;
     readonly type: IType;
     constructor(definition: string|object)
-    check(path: string, value: any, partial: boolean, trailKeys?: Array<string|number>) : ISchemaCheckResult
+    /**
+     * Checks if a value complies with this schema definition
+     * @param path path of the value, used in error messages
+     * @param value value to check
+     * @param partial whether the value is a partial (update) value, so missing properties are not checked
+     * @param trailKeys keys of the path the value is stored at, relative to the path of this schema definition
+     * @param options set `allErrors` to collect all errors in the `errors` property of the result instead of stopping at the first error
+     */
+    check(path: string, value: any, partial: boolean, trailKeys?: Array<string|number>, options?: ISchemaCheckOptions) : ISchemaCheckResult
+
+    /**
+     * Generates TypeScript declaration text for this schema definition
+     * @param name name of the interface or type to declare
+     * @example
+     * new SchemaDefinition('{ name: string, tags?: string[] }').toTypeScript('User');
+     * // export interface User {
+     * //     name: string;
+     * //     tags?: string[];
+     * // }
+     */
+    toTypeScript(name?: string): string
+
+    /**
+     * Generates a JSON Schema (draft 2020-12) document for this schema definition. Dates are described as
+     * ISO 8601 strings and binary values as base64 strings, both with an `x-acebase-type` annotation that
+     * allows them to be converted back by `SchemaDefinition.fromJSONSchema`. `iso-date` strings are described with
+     * a `pattern` and an `x-acebase-format` annotation, because JSON Schema's `date-time` format requires a full time
+     */
+    toJSONSchema(): Record<string, any>
+
+    /**
+     * Creates a schema definition from a JSON Schema document. Local `$ref`s (`#/$defs/...`) are resolved,
+     * JSON Schema features without an AceBase equivalent (`allOf`, tuples, recursive references etc) throw an error.
+     * @param schema JSON Schema document
+     */
+    static fromJSONSchema(schema: JSONSchema): SchemaDefinition
 }
@@ -0,0 +1,119 @@
+/**
+ * Data available to rules. Expression rules can use these as variables, along with the `$variables` of the rule path
+ */
+export interface ISecurityRuleEnvironment {
+    /** authenticated user (as given in the check context), `null` if not signed in */
+    auth: any
+    /** current data at the rule's path */
+    data: RuleDataSnapshot
+    /** data at the rule's path after the write, equals `data` for read rules */
+    newData: RuleDataSnapshot
+    /** current data at the root */
+    root: RuleDataSnapshot
+    /** data at the root after the write, equals `root` for read rules */
+    newRoot: RuleDataSnapshot
+    /** current time in ms since epoch */
+    now: number
+    /** values of the `$variables` in the rule's path, eg `{ $uid: 'ewout', uid: 'ewout' }` */
+    vars: Record<string, string|number>
+}
+
+/**
+ * A rule: a boolean, a JavaScript expression such as `"auth !== null && auth.uid === $uid"`, or a function
+ */
+export type SecurityRule = boolean | string | ((env: ISecurityRuleEnvironment) => boolean);
+
+/**
+ * Rules keyed by path: nested nodes for child keys, or a `$variable` node that matches any child key
+ * @example
+ * {
+ *     users: {
+ *         $uid: {
+ *             '.read': 'auth !== null',
+ *             '.write': 'auth !== null && auth.uid === $uid',
+ *             '.validate': 'newData.hasChildren(["name"])',
+ *             name: { '.validate': 'typeof newData.val() === "string"' },
+ *         },
+ *     },
+ * }
+ */
+export interface SecurityRulesNode {
+    '.read'?: SecurityRule
+    '.write'?: SecurityRule
+    '.validate'?: SecurityRule
+    [key: string]: SecurityRule | SecurityRulesNode
+}
+
+export interface ISecurityCheckContext {
+    /** authenticated user, available to rules as `auth` */
+    auth?: any
+    /** current value of the database root, used for `data` and `root` */
+    data?: any
+    /** time to use as `now`, default is `Date.now()` */
+    now?: number
+}
+
+export interface ISecurityCheckResult {
+    allow: boolean
+    /** description of why access was denied */
+    reason?: string
+    /** path of the rule that allowed or denied access, eg `"users/$uid/.write"` */
+    rule?: string
+}
+
+/**
+ * Snapshot of data available to rules, similar to `DataSnapshot` but without database access
+ */
+export class RuleDataSnapshot {
+    constructor(rootValue: any, path: string);
+    readonly path: string;
+    readonly key: string|number;
+    /** Gets the value, `null` if it does not exist */
+    val(): any
+    exists(): boolean
+    child(path: string|number): RuleDataSnapshot
+    parent(): RuleDataSnapshot
+    hasChild(path: string|number): boolean
+    /**
+     * Checks if the value has any children, or all of the given children
+     */
+    hasChildren(keys?: Array<string|number>): boolean
+    numChildren(): number
+}
+
+/**
+ * Evaluates path-based `.read`, `.write` and `.validate` rules, to test rules locally or to check whether a write
+ * will be allowed before sending it to a server.
+ *
+ * Access is granted if any `.read` or `.write` rule on the path or on one of its ancestors allows it. Once granted, it
+ * cannot be revoked by rules on deeper paths. `.validate` rules do not cascade: they must all pass for every node
+ * that is written, including its ancestors. Validation is skipped for removed nodes.
+ * Expression rules are compiled to functions, so only use rules from trusted sources.
+ * @example
+ * const rules = new SecurityRules({ rules: { users: { $uid: { '.write': 'auth?.uid === $uid' } } } });
+ * rules.canWrite('users/ewout/name', 'Ewout', { auth: { uid: 'ewout' } }); // { allow: true, rule: 'users/$uid/.write' }
+ */
+export class SecurityRules {
+    /**
+     * @param rules rules definition, with or without a root `rules` property
+     */
+    constructor(rules: { rules: SecurityRulesNode } | SecurityRulesNode);
+    readonly rules: SecurityRulesNode;
+
+    /**
+     * Checks if data at a path can be read
+     * @param path path to read
+     * @param context `auth` and current `data` to use
+     */
+    canRead(path: string, context?: ISecurityCheckContext): ISecurityCheckResult
+
+    /**
+     * Checks if a value can be written to a path: a `.write` rule must allow it, and all `.validate` rules of the written
+     * nodes and their ancestors must pass. For updates, each updated child is checked
+     * @param path path to write to
+     * @param value value to write, or updates to merge for type `'update'`
+     * @param context `auth` and current `data` to use
+     * @param type `'set'` (default) to overwrite the value, or `'update'` to merge it with the current value
+     */
+    canWrite(path: string, value: any, context?: ISecurityCheckContext, type?: 'set'|'update'): ISecurityCheckResult
+}
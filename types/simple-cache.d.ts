@@ -1,23 +1,75 @@
-export interface SimpleCacheOptions {
+import { SimpleEventEmitter } from './simple-event-emitter';
+
+export interface SimpleCacheOptions<KeyType = any, ValueType = any> {
     /** The number of seconds to keep items cached after their last update */
     expirySeconds?: number;
     /** Whether to deep clone the stored values to protect them from accidental adjustments */
     cloneValues?: boolean;
     /** Maximum amount of entries to keep in cache */
     maxEntries?: number
+    /** Maximum estimated amount of memory (in bytes) the cached values may use */
+    maxBytes?: number
+    /**
+     * Function that estimates the amount of memory (in bytes) a cached value uses. The default estimator
+     * walks the value, counting 2 bytes per string character, 8 bytes per number and the length of binary data
+     */
+    sizeOf?: (value: ValueType, key: KeyType) => number
+    /**
+     * Which entry to evict when `maxEntries` or `maxBytes` is reached: the least recently used (`'lru'`, default),
+     * or the least frequently used (`'lfu'`) entry. Expired entries are always evicted first
+     */
+    policy?: 'lru'|'lfu'
+}
+
+export interface SimpleCacheEvictEvent<KeyType, ValueType> {
+    key: KeyType
+    value: ValueType
+    /**
+     * `'expired'` if the entry expired, `'capacity'` if `maxEntries` was reached, or `'size'` if `maxBytes` was reached
+     * (also used for values that are larger than `maxBytes` themselves, which are not cached)
+     */
+    reason: 'expired'|'capacity'|'size'
+}
+
+export interface SimpleCacheStats {
+    /** number of `get` calls that returned a cached value */
+    hits: number
+    /** number of `get` calls for keys that were not cached */
+    misses: number
+    /** number of entries evicted because they expired or the cache was full */
+    evictions: number
+    /** number of cached entries */
+    entries: number
+    /** estimated amount of memory (in bytes) used by the cached values */
+    bytes: number
 }
 
 /**
  * Simple cache implementation that retains immutable values in memory for a limited time.
  * Immutability is enforced by cloning the stored and retrieved values. To change a cached value, it will have to be `set` again with the new value.
+ * Emits an `"evict"` event with a `SimpleCacheEvictEvent` for each evicted entry.
  */
-export class SimpleCache<KeyType, ValueType> {
+export class SimpleCache<KeyType, ValueType> extends SimpleEventEmitter {
     enabled: boolean;
+    options: SimpleCacheOptions<KeyType, ValueType>;
     readonly size: number;
     constructor(expirySeconds: number);
-    constructor(options: SimpleCacheOptions);
+    constructor(options: SimpleCacheOptions<KeyType, ValueType>);
     has(key: KeyType): boolean;
-    set(key: KeyType, value:ValueType): void;
+    /**
+     * Adds or replaces a cached value
+     * @param key
+     * @param value
+     * @param expirySeconds number of seconds to keep this entry cached after its last use, overrides the `expirySeconds` option
+     */
+    set(key: KeyType, value: ValueType, expirySeconds?: number): void;
     get(key: KeyType): ValueType;
     remove(key: KeyType): void;
+    cleanUp(): void;
+    /**
+     * Gets the cache's usage statistics
+     */
+    stats(): SimpleCacheStats;
+    on(event: 'evict', callback: (event: SimpleCacheEvictEvent<KeyType, ValueType>) => void): void;
+    on(event: string, callback: (data: any) => void): void;
 }
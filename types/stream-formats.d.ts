@@ -0,0 +1,74 @@
+import { StreamReadFunction, StreamWriteFunction } from './data-reference';
+
+/**
+ * Export and import formats:
+ * - `'json'`: the entire value as (type safe) JSON
+ * - `'ndjson'`: newline delimited JSON, a `{ path, value }` record for each child, values are serialized with `Transport.serialize2`
+ * - `'csv'`: comma separated values, a row for each (flat) child object
+ */
+export type StreamFormat = 'json'|'ndjson'|'csv';
+
+/**
+ * How to convert CSV text to a property value. Missing values are exported as empty fields and not imported, empty strings
+ * are exported as quoted empty fields (`""`):
+ * - `'string'`: (default) text as is
+ * - `'number'`, `'boolean'`, `'bigint'`: parsed text
+ * - `'date'`: ISO 8601 date text
+ * - `'json'`: JSON text of an object or array, serialized with `Transport.serialize2`
+ */
+export type CSVColumnType = 'string'|'number'|'boolean'|'date'|'bigint'|'json';
+
+export interface CSVColumn {
+    /** column name in the header row */
+    name: string
+    /** property of the child objects, can be a nested property eg `"address/city"` */
+    key: string
+    /** type of the property, used to convert imported text */
+    type?: CSVColumnType
+}
+
+export interface CSVOptions {
+    /**
+     * Columns to export or import. Strings are used both as column name and property key. If not specified, an export uses the properties
+     * of the first child and an import uses the header row, with all values imported as strings
+     */
+    columns?: Array<string|CSVColumn>
+    /**
+     * Name of the column with the child keys, default is `"key"`
+     */
+    keyColumn?: string
+    /**
+     * Field delimiter, default is `","`
+     */
+    delimiter?: string
+}
+
+export interface IChildRecord {
+    key: string|number
+    value: any
+}
+
+/**
+ * Reads a text stream line by line. Supports both string and binary (UTF-8) chunks, and `\n` and `\r\n` line endings
+ * @param read function that reads the next chunk of the stream
+ */
+export function readLines(read: StreamReadFunction, chunkSize?: number): AsyncGenerator<string>;
+
+/**
+ * Streams children of a node in a line delimited format. Used by `Api` implementations to export data to `ndjson` or `csv`
+ * @param format `'ndjson'` or `'csv'`
+ * @param path path of the exported node
+ * @param children children of the exported node
+ * @param write function that writes to the output stream
+ * @param options CSV options
+ */
+export function exportChildren(format: StreamFormat, path: string, children: Iterable<IChildRecord>|AsyncIterable<IChildRecord>, write: StreamWriteFunction, options?: CSVOptions): Promise<void>;
+
+/**
+ * Reads children of a node from a stream in a line delimited format. Used by `Api` implementations to import data from `ndjson` or `csv`.
+ * Only the key of each NDJSON record's path is used, so data can be imported to another path
+ * @param format `'ndjson'` or `'csv'`
+ * @param read function that reads the next chunk of the input stream
+ * @param options CSV options
+ */
+export function importChildren(format: StreamFormat, read: StreamReadFunction, options?: CSVOptions): AsyncGenerator<IChildRecord>;
@@ -1,3 +1,26 @@
+import { IObservableLike } from './optional-observable';
+
+/**
+ * Settings to deliver events in arrays instead of one at a time
+ */
+export interface EventBatchSettings {
+    /**
+     * Delivers events in batches: once `maxWait` ms passed since the first event of the batch (default is `0`: delivers
+     * all events that occur in the same tick), or once the batch has `maxSize` events
+     */
+    batch?: { maxWait?: number, maxSize?: number };
+    /**
+     * Delivers events in batches once no new events occurred for given amount of ms. If `batch` is also set,
+     * `batch.maxWait` and `batch.maxSize` limit the size of the batch
+     */
+    debounce?: number;
+    /**
+     * Merges events on the same path in a batch into 1 event with the first previous value and the last value.
+     * Delivers events in batches of the same tick if no `batch` or `debounce` is set
+     */
+    coalesce?: boolean;
+}
+
 export class EventStream<T> {
     /**
      * Stops all subscriptions from receiving future events
@@ -17,6 +40,11 @@ export class EventStream<T> {
      * @param callback (optional) specific callback to remove. Will remove all callbacks when omitted
      */
     unsubscribe(callback?: (val: T) => void): void
+
+    /**
+     * Gets an Observable for the values published in the stream. Unsubscribing from the Observable stops its subscription to the stream
+     */
+    observe(): IObservableLike<T>
 }
 
 export class EventSubscription {
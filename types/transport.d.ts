@@ -1,4 +1,4 @@
-export type SerializedDataType = 'date'|'binary'|'reference'|'regexp'|'array';
+export type SerializedDataType = 'date'|'binary'|'reference'|'regexp'|'array'|'bigint';
 export type SerializedDataMap = { [path: string]: SerializedDataType };
 export type SerializedValue =  { map?: SerializedDataType | SerializedDataMap, val: any };
 
@@ -45,4 +45,19 @@ export function deserialize2(obj: V2SerializedValue): any;
  * @param data
  * @returns
  */
-export function detectSerializeVersion(data: any): 1|2;
+export function detectSerializeVersion(data: any): 1|2|3;
+
+/**
+ * Binary serialization method, stores dates, binary data, references, regular expressions, partial arrays and bigints natively.
+ * Results in smaller payloads than `serialize2` for binary data and dates, and is faster to process
+ * @param obj value to serialize
+ * @returns the serialized bytes
+ */
+export function serializeBinary(obj: any): Uint8Array;
+
+/**
+ * Binary deserialization method
+ * @param data bytes created by `serializeBinary`
+ * @returns the deserialized value
+ */
+export function deserializeBinary(data: ArrayBuffer|ArrayBufferView): any;
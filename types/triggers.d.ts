@@ -0,0 +1,71 @@
+import { DataReference } from './data-reference';
+import { TCompareResult } from './utils';
+
+export interface ITriggerChange<T = any> {
+    /** value before the write, `null` if the node was created */
+    before: T
+    /** value after the write, `null` if the node was removed */
+    after: T
+    type: 'create'|'update'|'delete'
+    /** differences between `before` and `after`, as returned by `Utils.compareValues` */
+    changes: TCompareResult
+}
+
+export interface ITriggerContext {
+    /** path of the written node */
+    path: string
+    /** reference to the written node */
+    ref: DataReference
+    /** values of the `$variables` and wildcards in the trigger path, eg `{ $postId: 'post1', postId: 'post1' }` */
+    vars: Record<string|number, string|number>
+    /** context of the write */
+    context: any
+    /**
+     * Updates a (derived) value in a transaction, so concurrent changes cannot be overwritten. `$variables`
+     * of the trigger path can be used in the path, writes are not delivered to the trigger itself
+     * @param path path of the value to update, eg `"posts/$postId/commentCount"`
+     * @param callback callback that returns the new value for the current value, or `undefined` to keep it
+     */
+    transaction<T = any>(path: string, callback: (current: T) => T|undefined|Promise<T|undefined>): Promise<void>
+}
+
+export interface ITriggerDefinition<T = any> {
+    /**
+     * Runs after the value of a node matching the trigger path is created, updated or removed. Runs for one change of the
+     * trigger at a time, in the order of the writes
+     */
+    onWrite(change: ITriggerChange<T>, context: ITriggerContext): void|Promise<void>
+}
+
+export interface ITrigger {
+    readonly id: string
+    readonly path: string
+    /** Stops running the trigger */
+    stop(): void
+}
+
+/**
+ * Runs callbacks when data at (wildcard) paths is written, to maintain computed or denormalized values such as counters.
+ * Available as `db.triggers`
+ */
+export class Triggers {
+    /**
+     * Defines a trigger for a (wildcard) path. Uses a `"value"` event subscription, so `before` and `after` are the values
+     * of the node at each write, even if writes race
+     * @param path path to trigger on, can include `*` and `$variables`
+     * @param definition trigger callbacks
+     * @example
+     * db.triggers.define('posts/$postId/comments/$commentId', {
+     *     async onWrite(change, context) {
+     *         if (change.type === 'update') { return; }
+     *         await context.transaction('posts/$postId/commentCount', count => (count ?? 0) + (change.type === 'create' ? 1 : -1));
+     *     },
+     * });
+     */
+    define<T = any>(path: string, definition: ITriggerDefinition<T>): ITrigger;
+
+    /**
+     * Gets all defined triggers
+     */
+    readonly list: ITrigger[];
+}
@@ -1,5 +1,6 @@
 import { DataReference } from './data-reference';
 import { DataSnapshot } from './data-snapshot';
+import { ModelClass } from './model';
 
 export class TypeMappings {
     /**
@@ -37,6 +38,31 @@ export class TypeMappings {
      * db.types.bind('users', User); // Automatically uses serialize and static create methods
      */
     bind(path: string, type: new (...args: any[]) => object, options?: TypeMappingOptions): void
+
+    /**
+     * Binds a model class to a path: objects stored in the path are instantiated as the model class (including nested
+     * models), only the properties in the model's schema are stored, and the schema derived from the model is installed
+     * to validate the stored objects
+     * @param path path to an object container, eg "users" or "users/*\/posts"
+     * @param type model class with a static `schema` property
+     * @param options set `schema` to `false` to only bind the type mapping without installing a schema
+     * @example
+     * class Address {
+     *     static schema: ModelSchema = { street: String, city: String };
+     *     street: string;
+     *     city: string;
+     *     get label() { return `${this.street}, ${this.city}`; }
+     * }
+     * class User {
+     *     static schema: ModelSchema = { name: 'string(1..)', 'born?': Date, addresses: [Address] };
+     *     name: string;
+     *     born?: Date;
+     *     addresses: Address[] = [];
+     * }
+     * await db.types.bindModel('users', User);
+     * const user = (await db.ref('users/ewout').get()).val() as User; // user.addresses[0] is an Address
+     */
+    bindModel(path: string, type: ModelClass, options?: { schema?: boolean }): Promise<void>
     // bind(path: string, type: new (snap: DataSnapshot) => object)
 }
 